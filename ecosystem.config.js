@@ -14,12 +14,13 @@ module.exports = {
       env_development: {
         NODE_ENV: "development",
         LOG_LEVEL: "debug",
+        LOG_FORMAT: "text",
       },
       error_file: "./logs/pm2-error.log",
       out_file: "./logs/pm2-out.log",
       log_file: "./logs/pm2-combined.log",
-      time: true,
-      log_date_format: "YYYY-MM-DD HH:mm:ss Z",
+      // Log lines are JSON with their own timestamp; a PM2 prefix would break parsing
+      time: false,
       merge_logs: true,
 
       // Restart policy
@@ -27,7 +28,8 @@ module.exports = {
       min_uptime: "10s",
 
       // Advanced PM2 features
-      kill_timeout: 5000,
+      // Must exceed SHUTDOWN_TIMEOUT_MS, so running jobs can finish on reload
+      kill_timeout: 30000,
       listen_timeout: 3000,
 
       // Cron restart (optional - restart every day at 3 AM)
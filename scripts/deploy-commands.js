@@ -1,38 +1,50 @@
-const { REST, Routes, PermissionFlagsBits } = require("discord.js");
+const fs = require("fs");
+const path = require("path");
+const { REST, Routes } = require("discord.js");
 require("dotenv").config();
+const commandRegistry = require("../src/commands");
 
-// Array of slash commands to register
-const commands = [
-  {
-    name: "hello",
-    description: "Replies with Hello World!",
-  },
-  {
-    name: "test-reset",
-    description: "Test subscription reset on yourself (cancels sub, removes roles, clears DB, sends DM)",
-  },
-  {
-    name: "test-mode",
-    description: "Toggle Stripe between test and live mode (admin only)",
-    default_member_permissions: String(PermissionFlagsBits.Administrator),
-  },
-  {
-    name: "reset-all",
-    description: "Reset all active subscriptions: cancel Stripe, remove roles, delete from DB, DM users (admin only)",
-    default_member_permissions: String(PermissionFlagsBits.Administrator),
-  },
-];
-
-// Deploy commands function
-async function deployCommands() {
+// Hash of the last registered payload; unchanged commands are not sent again
+const HASH_FILE = path.resolve(
+  __dirname,
+  "..",
+  process.env.COMMANDS_HASH_FILE || "data/commands.hash"
+);
+
+/**
+ * Read the hash of the last registered payload
+ * @returns {string|null}
+ */
+function readDeployedHash() {
   try {
-    console.log("🚀 Started refreshing application (/) commands.");
+    return fs.readFileSync(HASH_FILE, "utf8").trim();
+  } catch {
+    return null;
+  }
+}
 
-    // Create REST instance
-    const rest = new REST({ version: "10" }).setToken(
-      process.env.DISCORD_TOKEN
-    );
+/**
+ * Remember the hash of the registered payload
+ * @param {string} hash - Payload hash
+ */
+function writeDeployedHash(hash) {
+  try {
+    fs.mkdirSync(path.dirname(HASH_FILE), { recursive: true });
+    fs.writeFileSync(HASH_FILE, `${hash}\n`);
+  } catch (error) {
+    // Only costs a redundant deploy next time
+    console.warn(`⚠️ Could not save the commands hash: ${error.message}`);
+  }
+}
 
+/**
+ * Register the commands in src/commands with Discord
+ * Skipped when the payload is the same as the last one registered.
+ * @param {Object} options - { force: register even if nothing changed }
+ * @returns {Object} - { deployed, hash }
+ */
+async function deployCommands({ force = false } = {}) {
+  try {
     // Check if required environment variables exist
     if (!process.env.DISCORD_TOKEN) {
       throw new Error("Missing DISCORD_TOKEN in environment variables");
@@ -44,14 +56,29 @@ async function deployCommands() {
       throw new Error("Missing GUILD_ID in environment variables");
     }
 
-    // Register commands for specific guild (faster for development)
-    const data = await rest.put(
-      Routes.applicationGuildCommands(
-        process.env.CLIENT_ID,
-        process.env.GUILD_ID
-      ),
-      { body: commands }
+    const route = Routes.applicationGuildCommands(
+      process.env.CLIENT_ID,
+      process.env.GUILD_ID
     );
+    const hash = commandRegistry.getDefinitionsHash(route);
+
+    if (!force && readDeployedHash() === hash) {
+      console.log("✅ Application (/) commands unchanged, skipping deploy.");
+      return { deployed: false, hash };
+    }
+
+    console.log("🚀 Started refreshing application (/) commands.");
+
+    // Create REST instance
+    const rest = new REST({ version: "10" }).setToken(
+      process.env.DISCORD_TOKEN
+    );
+
+    // Register commands for specific guild (faster for development)
+    const data = await rest.put(route, {
+      body: commandRegistry.getDefinitions(),
+    });
+    writeDeployedHash(hash);
 
     console.log(
       `✅ Successfully reloaded ${data.length} application (/) commands.`
@@ -60,6 +87,8 @@ async function deployCommands() {
     data.forEach((command) => {
       console.log(`  • /${command.name} - ${command.description}`);
     });
+
+    return { deployed: true, hash };
   } catch (error) {
     console.error("❌ Error deploying commands:", error);
     // Only exit if this script is run directly, not when imported
@@ -80,7 +109,7 @@ async function deployGlobalCommands() {
 
         const data = await rest.put(
             Routes.applicationCommands(process.env.CLIENT_ID),
-            { body: commands },
+            { body: commandRegistry.getDefinitions() },
         );
 
         console.log(`✅ Successfully reloaded ${data.length} global application (/) commands.`);
@@ -93,9 +122,9 @@ async function deployGlobalCommands() {
 }
 */
 
-// Run the deployment
+// Run the deployment (--force registers even if nothing changed)
 if (require.main === module) {
-  deployCommands();
+  deployCommands({ force: process.argv.includes("--force") });
 }
 
-module.exports = { deployCommands, commands };
+module.exports = { deployCommands };
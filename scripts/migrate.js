@@ -0,0 +1,213 @@
+/**
+ * Database Migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js status       Show applied and pending migrations
+ *   node scripts/migrate.js up [version] Apply pending migrations (up to version)
+ *   node scripts/migrate.js down [steps] Revert the last migration (or last N)
+ *   node scripts/migrate.js legacy-grace-period [--confirm]
+ *                                        Give pre-subscription members a
+ *                                        30-day legacy trial (once)
+ *
+ * The bot refuses to start while migrations are pending, so run
+ * `npm run migrate up` after every deploy that adds a migration.
+ */
+
+require("dotenv").config();
+
+const { createStorage } = require("../src/storage");
+const migrationRunner = require("../src/services/migrationRunner");
+
+const LEGACY_GRACE_PERIOD_DAYS = 30;
+const LEGACY_MARKER = "legacy_users_grace_period";
+
+/**
+ * Print applied and pending migrations
+ * @param {Object} db - Storage driver
+ */
+async function printStatus(db) {
+  const { applied, pending, unknown } = await migrationRunner.getStatus(db);
+
+  console.log("Applied migrations:");
+  if (applied.length === 0) {
+    console.log("  (none)");
+  }
+  for (const migration of applied) {
+    console.log(
+      `  ✅ ${migrationRunner.formatMigration(migration)} - ${migration.description} (${new Date(
+        migration.appliedAt
+      ).toLocaleString()})`
+    );
+  }
+
+  console.log("\nPending migrations:");
+  if (pending.length === 0) {
+    console.log("  (none)");
+  }
+  for (const migration of pending) {
+    console.log(
+      `  ⏳ ${migrationRunner.formatMigration(migration)} - ${migration.description}`
+    );
+  }
+
+  if (unknown.length > 0) {
+    console.log("\n⚠️  Applied migrations without a file in this build:");
+    for (const row of unknown) {
+      console.log(`  ${row.version} (${row.name})`);
+    }
+  }
+}
+
+/**
+ * Give members who paid the one-time fee before subscriptions existed a
+ * legacy trial, replacing scripts/migrate-legacy-users.js
+ * Only members without a Stripe subscription, invoice or cohort count:
+ * invoice and cohort registrants keep their purchase-based access. Runs once;
+ * the bot_state marker (also carried over by migration 009) stops re-runs.
+ * @param {Object} db - Storage driver
+ * @param {Object} options - { confirm } confirm: false only counts members
+ * @returns {Object} - { alreadyRan, eligible, updated }
+ */
+async function grantLegacyGracePeriod(db, { confirm = false } = {}) {
+  const [marker] = await db.execute(
+    "SELECT value FROM bot_state WHERE key_name = ?",
+    [LEGACY_MARKER]
+  );
+  if (marker.length > 0) {
+    return { alreadyRan: marker[0].value, eligible: 0, updated: 0 };
+  }
+
+  const where = `(is_legacy_user = FALSE OR is_legacy_user IS NULL)
+     AND (stripe_subscription_id IS NULL OR stripe_subscription_id = '')
+     AND (invoice_number IS NULL OR invoice_number = '')
+     AND cohort_id IS NULL`;
+  const [[{ count }]] = await db.execute(
+    `SELECT COUNT(*) AS count FROM users WHERE ${where}`
+  );
+  if (!confirm) {
+    return { alreadyRan: null, eligible: count, updated: 0 };
+  }
+
+  const [result] = await db.execute(
+    `UPDATE users SET
+      is_legacy_user = TRUE,
+      subscription_status = 'trialing',
+      subscription_ends_at = ?
+     WHERE ${where}`,
+    [new Date(Date.now() + LEGACY_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)]
+  );
+  await db.execute(
+    `INSERT INTO bot_state (key_name, value) VALUES (?, ?)
+     ${db.onConflictUpdate(["key_name"], ["value"], ["updated_at = CURRENT_TIMESTAMP"])}`,
+    [LEGACY_MARKER, `${new Date().toISOString()} (${result.affectedRows} users)`]
+  );
+  return { alreadyRan: null, eligible: count, updated: result.affectedRows };
+}
+
+/**
+ * Run the legacy-grace-period command and print what it did
+ * @param {Object} db - Storage driver
+ * @param {boolean} confirm - Whether --confirm was given
+ */
+async function runLegacyGracePeriod(db, confirm) {
+  await migrationRunner.assertSchemaCurrent(db);
+  const { alreadyRan, eligible, updated } = await grantLegacyGracePeriod(db, {
+    confirm,
+  });
+
+  if (alreadyRan) {
+    console.log(`ℹ️  The legacy grace period was already given: ${alreadyRan}`);
+    console.log(
+      `   To give it again, delete the marker first: DELETE FROM bot_state WHERE key_name = '${LEGACY_MARKER}';`
+    );
+  } else if (!confirm) {
+    console.log(
+      `${eligible} member(s) without a subscription, invoice or cohort would get a ${LEGACY_GRACE_PERIOD_DAYS}-day legacy trial.`
+    );
+    console.log("Run again with --confirm to give it (only once).");
+  } else {
+    console.log(
+      `✅ Gave ${updated} member(s) a ${LEGACY_GRACE_PERIOD_DAYS}-day legacy trial`
+    );
+  }
+}
+
+/**
+ * Parse an optional positive integer argument
+ * @param {string|undefined} value - Argument value
+ * @param {string} name - Argument name (for the error message)
+ * @returns {number|undefined}
+ */
+function parseNumberArg(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+/**
+ * Run the command given on the command line
+ * @param {Array<string>} args - Command line arguments
+ */
+async function main(args) {
+  const [command = "status", value] = args;
+  const db = createStorage();
+  await db.connect();
+
+  try {
+    switch (command) {
+      case "status":
+        await printStatus(db);
+        break;
+
+      case "up": {
+        const to = parseNumberArg(value, "version");
+        const applied = await migrationRunner.migrateUp(db, { to });
+        console.log(
+          applied.length > 0
+            ? `✅ Applied ${applied.length} migration(s)`
+            : "✅ Database schema is already up to date"
+        );
+        break;
+      }
+
+      case "down": {
+        const steps = parseNumberArg(value, "steps");
+        const reverted = await migrationRunner.migrateDown(db, { steps });
+        console.log(
+          reverted.length > 0
+            ? `✅ Reverted ${reverted.length} migration(s)`
+            : "ℹ️  No applied migrations to revert"
+        );
+        break;
+      }
+
+      case "legacy-grace-period":
+        await runLegacyGracePeriod(db, value === "--confirm");
+        break;
+
+      default:
+        throw new Error(
+          `Unknown command "${command}". Use status, up [version], down [steps] or legacy-grace-period [--confirm].`
+        );
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, grantLegacyGracePeriod };
@@ -0,0 +1,363 @@
+/**
+ * Mock Seolaxy API
+ * Local stand-in for the Seolaxy open API, so the join modals can be tried
+ * without the live mentorship.seolaxy.com endpoint.
+ *
+ * Usage:
+ *   npm run mock-api
+ *   SEOLAXY_API_BASE_URL=http://localhost:4010/api/open-api npm run dev
+ *
+ * It implements PATCH /purchase/enroll-discord against a fixture set of
+ * purchases (scripts/fixtures/seolaxy-purchases.json by default): a known,
+ * not yet enrolled purchase answers 200 { success: true } and is marked
+ * enrolled; an enrolled one answers 409 and an unknown one 404, both with
+ * { error } in the body. With MOCK_SEOLAXY_API_ERROR_STYLE=body those two
+ * answer 200 { success: false, error } instead, the other shape the API
+ * has used. PATCH /purchase/unenroll-discord releases an enrolled purchase
+ * the same way (409 "not_enrolled" if it is not enrolled).
+ *
+ * Control routes (for trying outages and the registration queue):
+ *   GET  /mock/purchases                     Current purchases
+ *   POST /mock/fail?count=3&status=503       Fail the next purchase requests
+ *                                            (status "hang" never answers)
+ *   POST /mock/reset                         Restore the seeded purchases
+ *
+ * Tests start it with createMockSeolaxyApi() and point SEOLAXY_API_BASE_URL
+ * at its url.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const BASE_PATH = "/api/open-api";
+// Request path -> whether a request to it enrolls (true) or releases (false)
+const ENDPOINTS = {
+  [`${BASE_PATH}/purchase/enroll-discord`]: true,
+  [`${BASE_PATH}/purchase/unenroll-discord`]: false,
+};
+const DEFAULT_FIXTURES = path.join(__dirname, "fixtures", "seolaxy-purchases.json");
+
+/**
+ * Read purchases from a fixture file
+ * @param {string} filename - JSON file with { purchases: [...] }
+ * @returns {Array<Object>} - [{ paymentIntentId, invoiceNumber, enrolled }]
+ */
+function loadFixtures(filename = DEFAULT_FIXTURES) {
+  const { purchases } = JSON.parse(fs.readFileSync(filename, "utf8"));
+  if (!Array.isArray(purchases)) {
+    throw new Error(`${filename} has no "purchases" array`);
+  }
+  return purchases;
+}
+
+/**
+ * Create a mock Seolaxy API server
+ * @param {Object} options
+ * @param {Array<Object>} [options.purchases] - Seed purchases
+ *   [{ paymentIntentId, invoiceNumber, enrolled }] (default: the fixture file)
+ * @param {Array<string>} [options.tokens] - Accepted bearer tokens; any
+ *   token is accepted when empty
+ * @param {string} [options.errorStyle] - "status" (409/404) or "body"
+ *   (200 with { success: false, error })
+ * @param {Function} [options.onRequest] - Called with each recorded request
+ * @returns {Object} - Mock server
+ */
+function createMockSeolaxyApi({
+  purchases = loadFixtures(),
+  tokens = [],
+  errorStyle = "status",
+  onRequest = () => {},
+} = {}) {
+  let seeded = [];
+  let failures = [];
+  let server = null;
+
+  const mock = {
+    url: null,
+    // Purchase requests received: [{ endpoint, authorization, body, status }]
+    requests: [],
+
+    /**
+     * Replace the purchases
+     * @param {Array<Object>} newPurchases - [{ paymentIntentId, invoiceNumber, enrolled }]
+     */
+    seed(newPurchases) {
+      seeded = newPurchases;
+      mock.purchases = newPurchases.map((purchase) => ({
+        paymentIntentId: purchase.paymentIntentId || null,
+        invoiceNumber: purchase.invoiceNumber || null,
+        enrolled: Boolean(purchase.enrolled),
+      }));
+    },
+
+    /**
+     * Restore the seeded purchases and forget requests and failures
+     */
+    reset() {
+      mock.seed(seeded);
+      mock.requests = [];
+      failures = [];
+    },
+
+    /**
+     * Fail the next purchase requests
+     * @param {number} count - Number of requests to fail
+     * @param {number|string} status - HTTP status, or "hang" to never answer
+     */
+    failNext(count, status = 503) {
+      failures.push(...Array.from({ length: count }, () => status));
+    },
+
+    /**
+     * Find a purchase by payment intent ID or invoice number
+     * @param {string} id - Payment intent ID or invoice number
+     * @returns {Object|null}
+     */
+    findPurchase(id) {
+      return (
+        mock.purchases.find(
+          (purchase) =>
+            purchase.paymentIntentId === id || purchase.invoiceNumber === id
+        ) || null
+      );
+    },
+
+    /**
+     * Start listening
+     * @param {number} [port] - Port (0 picks a free one)
+     * @param {string} [host] - Interface to listen on
+     * @returns {Promise<string>} - Base URL to use as SEOLAXY_API_BASE_URL
+     */
+    start(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server = http.createServer((req, res) => handleRequest(req, res));
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          mock.url = `http://${host}:${server.address().port}${BASE_PATH}`;
+          resolve(mock.url);
+        });
+      });
+    },
+
+    /**
+     * Stop listening and drop open connections (hanging requests included)
+     * @returns {Promise<void>}
+     */
+    stop() {
+      if (!server) {
+        return Promise.resolve();
+      }
+
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections?.();
+        server = null;
+      });
+    },
+  };
+
+  /**
+   * Answer one request
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   */
+  async function handleRequest(req, res) {
+    const [pathname, query = ""] = (req.url || "/").split("?");
+    const rawBody = await readBody(req);
+
+    if (req.method === "GET" && pathname === "/mock/purchases") {
+      send(res, 200, { purchases: mock.purchases });
+      return;
+    }
+    if (req.method === "POST" && pathname === "/mock/fail") {
+      const params = new URLSearchParams(query);
+      const status = params.get("status") || "503";
+      mock.failNext(
+        parseInt(params.get("count"), 10) || 1,
+        status === "hang" ? status : parseInt(status, 10)
+      );
+      send(res, 200, { failing: failures.length });
+      return;
+    }
+    if (req.method === "POST" && pathname === "/mock/reset") {
+      mock.reset();
+      send(res, 200, { purchases: mock.purchases.length });
+      return;
+    }
+    if (!(pathname in ENDPOINTS)) {
+      send(res, 404, { error: "not_found" });
+      return;
+    }
+    if (req.method !== "PATCH") {
+      send(res, 405, { error: "method_not_allowed" });
+      return;
+    }
+
+    const enroll = ENDPOINTS[pathname];
+    const request = {
+      endpoint: pathname.slice(BASE_PATH.length),
+      authorization: req.headers.authorization || null,
+      body: parseJson(rawBody),
+      status: null,
+    };
+    mock.requests.push(request);
+
+    const answer = (status, body) => {
+      request.status = status;
+      onRequest(request);
+      send(res, status, body);
+    };
+
+    const failure = failures.shift();
+    if (failure === "hang") {
+      request.status = "hang";
+      onRequest(request);
+      return;
+    }
+    if (failure) {
+      answer(failure, { error: "mock_failure" });
+      return;
+    }
+
+    const token = (request.authorization || "").replace(/^Bearer /, "");
+    if (!token || (tokens.length > 0 && !tokens.includes(token))) {
+      answer(401, { error: "invalid_token" });
+      return;
+    }
+
+    const {
+      payment_intent_id: paymentIntentId = "",
+      invoice_number: invoiceNumber = "",
+    } = request.body || {};
+    if (!request.body || Boolean(paymentIntentId) === Boolean(invoiceNumber)) {
+      answer(400, { error: "invalid_request" });
+      return;
+    }
+
+    const purchase = mock.purchases.find((candidate) =>
+      paymentIntentId
+        ? candidate.paymentIntentId === paymentIntentId
+        : candidate.invoiceNumber === invoiceNumber
+    );
+
+    if (!purchase) {
+      answerError(answer, 404, "purchase_not_found");
+      return;
+    }
+    if (purchase.enrolled === enroll) {
+      answerError(answer, 409, enroll ? "already_enrolled" : "not_enrolled");
+      return;
+    }
+
+    purchase.enrolled = enroll;
+    answer(200, { success: true });
+  }
+
+  /**
+   * Answer a refused request in the configured style
+   * @param {Function} answer - (status, body) => void
+   * @param {number} status - HTTP status for the "status" style
+   * @param {string} error - Error code
+   */
+  function answerError(answer, status, error) {
+    if (errorStyle === "body") {
+      answer(200, { success: false, error });
+    } else {
+      answer(status, { success: false, error });
+    }
+  }
+
+  mock.seed(purchases);
+  return mock;
+}
+
+/**
+ * Read the full request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Parse a JSON request body
+ * @param {string} rawBody - Request body
+ * @returns {Object|null} - Parsed body, or null if it is not a JSON object
+ */
+function parseJson(rawBody) {
+  try {
+    const body = JSON.parse(rawBody);
+    return body && typeof body === "object" ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Server response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Run the mock server from the command line until interrupted
+ */
+async function main() {
+  require("dotenv").config();
+
+  const fixtures = process.env.MOCK_SEOLAXY_API_FIXTURES
+    ? path.resolve(process.env.MOCK_SEOLAXY_API_FIXTURES)
+    : DEFAULT_FIXTURES;
+  const mock = createMockSeolaxyApi({
+    purchases: loadFixtures(fixtures),
+    tokens: (process.env.MOCK_SEOLAXY_API_TOKENS || "")
+      .split(",")
+      .map((token) => token.trim())
+      .filter(Boolean),
+    errorStyle: process.env.MOCK_SEOLAXY_API_ERROR_STYLE || "status",
+    onRequest: ({ endpoint, body, status }) =>
+      console.log(
+        `${status === 200 ? "✅" : "⚠️ "} PATCH ${endpoint} ${JSON.stringify(body)} -> ${status}`
+      ),
+  });
+
+  const url = await mock.start(
+    parseInt(process.env.MOCK_SEOLAXY_API_PORT, 10) || 4010,
+    process.env.MOCK_SEOLAXY_API_HOST || "127.0.0.1"
+  );
+
+  console.log(
+    `🧪 Mock Seolaxy API listening with ${mock.purchases.length} purchase(s) from ${fixtures}`
+  );
+  for (const purchase of mock.purchases) {
+    console.log(
+      `   ${purchase.enrolled ? "🔒" : "🆓"} ${purchase.paymentIntentId || "-"} / ${purchase.invoiceNumber || "-"}`
+    );
+  }
+  console.log(`\nStart the bot with SEOLAXY_API_BASE_URL=${url}`);
+
+  const shutdown = () => mock.stop().then(() => process.exit(0));
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createMockSeolaxyApi, loadFixtures };
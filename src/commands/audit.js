@@ -0,0 +1,55 @@
+/**
+ * /audit - page through a member's access history (staff only)
+ */
+
+const {
+  ApplicationCommandOptionType,
+  PermissionFlagsBits,
+} = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const auditService = require("../services/auditService");
+const { createAuditLogEmbed } = require("../components/embeds");
+const { createAuditPaginationButtons } = require("../components/buttons");
+
+/**
+ * Handle audit command - page through a member's access history (staff only)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function execute(interaction) {
+  const target = interaction.options.getUser("user", true);
+  logger.info(
+    `Audit command used by ${interaction.user.tag} for ${target.tag} (${target.id})`
+  );
+
+  await interaction.deferReply({ flags: 64 });
+
+  const pageData = await auditService.getAuditPage(target.id, 1);
+
+  await interaction.editReply({
+    embeds: [createAuditLogEmbed(target.id, pageData)],
+    components:
+      pageData.totalPages > 1
+        ? [createAuditPaginationButtons(target.id, 1, pageData.totalPages)]
+        : [],
+  });
+}
+
+module.exports = {
+  definition: {
+    name: "audit",
+    description: "Show a member's access history (staff only)",
+    options: [
+      {
+        type: ApplicationCommandOptionType.User,
+        name: "user",
+        description: "Member to show the history for",
+        required: true,
+      },
+    ],
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+    roles: ["staff"],
+  },
+  execute,
+};
@@ -0,0 +1,192 @@
+/**
+ * /cohort - list cohorts or create one in this server (admin only,
+ * see services/cohortService.js)
+ */
+
+const {
+  ApplicationCommandOptionType,
+  ChannelType,
+  PermissionFlagsBits,
+} = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const cohortService = require("../services/cohortService");
+
+/**
+ * Format a registration window date
+ * @param {Date|string|null} date - Date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : "—";
+}
+
+/**
+ * /cohort list - show every cohort and whether it takes registrations
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleList(interaction) {
+  const cohorts = cohortService.getCohorts();
+
+  const lines = cohorts.map(
+    (cohort) =>
+      `${cohortService.isOpen(cohort) ? "🟢" : "⚪"} **${cohort.name}** (\`${cohort.slug}\`)` +
+      ` · invoices \`${cohort.invoice_pattern}\`` +
+      ` · ${formatDate(cohort.starts_at)} → ${formatDate(cohort.ends_at)}` +
+      ` · join ${cohort.join_channel_id ? `<#${cohort.join_channel_id}>` : "—"}` +
+      ` · role ${cohort.verified_role_id ? `<@&${cohort.verified_role_id}>` : "—"}`
+  );
+
+  await interaction.reply({
+    content: lines.length
+      ? `🎓 **Cohorts** (🟢 = open for registration)\n${lines.join("\n")}`
+      : "🎓 No cohorts yet. Create one with `/cohort create`.",
+    flags: 64,
+    allowedMentions: { parse: [] },
+  });
+}
+
+/**
+ * /cohort create - create a cohort in this server
+ * Its join panel and users list are posted on the next restart.
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleCreate(interaction) {
+  const options = interaction.options;
+
+  const dates = {};
+  for (const name of ["starts", "ends"]) {
+    const value = options.getString(name);
+    if (value) {
+      dates[name] = cohortService.parseDate(value);
+      if (!dates[name]) {
+        await interaction.reply({
+          content: `❌ \`${value}\` is not a date, use YYYY-MM-DD.`,
+          flags: 64,
+        });
+        return;
+      }
+    }
+  }
+
+  const result = await cohortService.create(
+    {
+      slug: options.getString("slug"),
+      name: options.getString("name"),
+      guildId: interaction.guildId,
+      joinChannelId: options.getChannel("join_channel")?.id,
+      usersChannelId: options.getChannel("users_channel")?.id,
+      verifiedRoleId: options.getRole("verified_role")?.id,
+      apiTokenEnv: options.getString("api_token_env"),
+      invoicePattern: options.getString("invoice_pattern"),
+      startsAt: dates.starts || null,
+      endsAt: dates.ends || null,
+    },
+    interaction.user.id
+  );
+
+  if (!result.success) {
+    await interaction.reply({ content: `❌ ${result.error}`, flags: 64 });
+    return;
+  }
+
+  logger.info(
+    `${interaction.user.tag} created cohort ${result.cohort.slug} in ${interaction.guildId}`
+  );
+
+  await interaction.reply({
+    content:
+      `✅ Created **${result.cohort.name}** (\`${result.cohort.slug}\`), ` +
+      `${result.assigned} existing member(s) matched its invoice pattern. ` +
+      "Its join panel and users list are posted on the next restart.",
+    flags: 64,
+  });
+}
+
+module.exports = {
+  definition: {
+    name: "cohort",
+    description: "List cohorts or create one in this server (admin only)",
+    default_member_permissions: String(PermissionFlagsBits.Administrator),
+    options: [
+      {
+        type: ApplicationCommandOptionType.Subcommand,
+        name: "list",
+        description: "Show every cohort and whether it takes registrations",
+      },
+      {
+        type: ApplicationCommandOptionType.Subcommand,
+        name: "create",
+        description: "Create a cohort in this server",
+        options: [
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "slug",
+            description: "Short ID, e.g. mentorship3 (lowercase letters, digits, dashes)",
+            required: true,
+            max_length: 30,
+          },
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "name",
+            description: "Name shown to members, e.g. Mentorship #3",
+            required: true,
+            max_length: 100,
+          },
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "invoice_pattern",
+            description: "Invoice numbers of the cohort, % = any text, e.g. SM-%/2027",
+            required: true,
+            max_length: 100,
+          },
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "api_token_env",
+            description: "Variable with its Seolaxy API token, named like MENTORSHIP3_API_BEARER_TOKEN",
+            required: true,
+            max_length: 100,
+          },
+          {
+            type: ApplicationCommandOptionType.Channel,
+            name: "join_channel",
+            description: "Channel the join panel is posted in",
+            required: true,
+            channel_types: [ChannelType.GuildText],
+          },
+          {
+            type: ApplicationCommandOptionType.Channel,
+            name: "users_channel",
+            description: "Channel with the staff users list",
+            required: true,
+            channel_types: [ChannelType.GuildText],
+          },
+          {
+            type: ApplicationCommandOptionType.Role,
+            name: "verified_role",
+            description: "Role granted on registration",
+            required: true,
+          },
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "starts",
+            description: "First day of registration, YYYY-MM-DD (default: now)",
+            required: false,
+          },
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "ends",
+            description: "Registration closes at the start of this day, YYYY-MM-DD",
+            required: false,
+          },
+        ],
+      },
+    ],
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+  },
+  subcommands: {
+    list: handleList,
+    create: handleCreate,
+  },
+};
@@ -0,0 +1,223 @@
+/**
+ * /config - show or change a server's roles, channels, language and flows
+ * (admin only, see services/guildConfigService.js)
+ */
+
+const {
+  ApplicationCommandOptionType,
+  PermissionFlagsBits,
+} = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const guildConfigService = require("../services/guildConfigService");
+const { settings } = require("../config/guilds");
+
+// Options shared by the subcommands
+const settingOption = {
+  type: ApplicationCommandOptionType.String,
+  name: "key",
+  description: "Setting to change",
+  required: true,
+  choices: Object.entries(settings).map(([key, { description }]) => ({
+    name: `${key} - ${description}`.slice(0, 100),
+    value: key,
+  })),
+};
+const serverOption = {
+  type: ApplicationCommandOptionType.String,
+  name: "server",
+  description: "Server ID (defaults to this server)",
+  required: false,
+  autocomplete: true,
+};
+
+/**
+ * Find the server a /config subcommand applies to, replying if the bot
+ * is not in it
+ * Showing or changing another server also requires Administrator in that
+ * server; the command permission is only checked where it is run.
+ * @param {Interaction} interaction - Discord interaction
+ * @returns {Guild|null}
+ */
+async function resolveGuild(interaction) {
+  const guildId = interaction.options.getString("server") || interaction.guildId;
+
+  const guild =
+    interaction.client.guilds.cache.get(guildId) ||
+    (await interaction.client.guilds.fetch(guildId).catch(() => null));
+  if (!guild) {
+    await interaction.reply({
+      content: `❌ The bot is not in server \`${guildId}\`.`,
+      flags: 64,
+    });
+    return null;
+  }
+
+  if (guild.id !== interaction.guildId) {
+    const member = await guild.members
+      .fetch(interaction.user.id)
+      .catch(() => null);
+    if (!member?.permissions.has(PermissionFlagsBits.Administrator)) {
+      logger.warn(
+        `${interaction.user.tag} tried to use the settings of ${guild.name} (${guild.id}) without being an administrator there`
+      );
+      await interaction.reply({
+        content: `❌ You need the Administrator permission in **${guild.name}** to view or change its settings.`,
+        flags: 64,
+      });
+      return null;
+    }
+  }
+  return guild;
+}
+
+/**
+ * /config show - list every setting of the server
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleShow(interaction) {
+  const guild = await resolveGuild(interaction);
+  if (!guild) return;
+
+  const lines = guildConfigService
+    .describe(guild.id)
+    .map(({ key, type, value, source }) => {
+      let shown = "*not set*";
+      if (value !== null && type === "role") shown = `<@&${value}>`;
+      else if (value !== null && type === "channel") shown = `<#${value}>`;
+      else if (value !== null) shown = `\`${value}\``;
+      return `\`${key}\`: ${shown}${source === "stored" ? " ✏️" : ""}`;
+    });
+
+  await interaction.reply({
+    content: `⚙️ **Settings for ${guild.name}** (✏️ = changed with /config)\n${lines.join("\n")}`,
+    flags: 64,
+    allowedMentions: { parse: [] },
+  });
+}
+
+/**
+ * Reply with the outcome of a set or reset
+ * @param {Interaction} interaction - Discord interaction
+ * @param {Guild} guild - Server the setting belongs to
+ * @param {string} key - Setting key
+ * @param {Object} result - { success, value, previous, error }
+ */
+async function replyWithChange(interaction, guild, key, result) {
+  if (!result.success) {
+    await interaction.reply({ content: `❌ ${result.error}`, flags: 64 });
+    return;
+  }
+
+  logger.info(
+    `${interaction.user.tag} changed ${key} for ${guild.name} (${guild.id})`
+  );
+
+  await interaction.reply({
+    content: `✅ \`${key}\` for **${guild.name}**: \`${result.previous}\` → \`${result.value}\``,
+    flags: 64,
+  });
+}
+
+/**
+ * /config set - validate and store a setting
+ * Changes apply immediately; panels posted on startup (join/users channels,
+ * flows) are moved on the next restart.
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleSet(interaction) {
+  const guild = await resolveGuild(interaction);
+  if (!guild) return;
+
+  const key = interaction.options.getString("key");
+  const result = await guildConfigService.set(
+    guild,
+    key,
+    interaction.options.getString("value"),
+    interaction.user.id
+  );
+  await replyWithChange(interaction, guild, key, result);
+}
+
+/**
+ * /config reset - go back to a setting's default
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleReset(interaction) {
+  const guild = await resolveGuild(interaction);
+  if (!guild) return;
+
+  const key = interaction.options.getString("key");
+  const result = await guildConfigService.reset(
+    guild.id,
+    key,
+    interaction.user.id
+  );
+  await replyWithChange(interaction, guild, key, result);
+}
+
+/**
+ * Suggest the configured servers the bot is in for the server option
+ * @param {Interaction} interaction - Autocomplete interaction
+ */
+async function autocomplete(interaction) {
+  const typed = interaction.options.getFocused().toLowerCase();
+
+  const choices = guildConfigService
+    .getGuildIds()
+    .map((guildId) => interaction.client.guilds.cache.get(guildId))
+    .filter(Boolean)
+    .filter(
+      (guild) =>
+        guild.id.includes(typed) || guild.name.toLowerCase().includes(typed)
+    )
+    .slice(0, 25)
+    .map((guild) => ({ name: guild.name.slice(0, 100), value: guild.id }));
+
+  await interaction.respond(choices);
+}
+
+module.exports = {
+  definition: {
+    name: "config",
+    description: "Show or change a server's roles, channels, language and flows (admin only)",
+    default_member_permissions: String(PermissionFlagsBits.Administrator),
+    options: [
+      {
+        type: ApplicationCommandOptionType.Subcommand,
+        name: "show",
+        description: "Show every setting of the server",
+        options: [serverOption],
+      },
+      {
+        type: ApplicationCommandOptionType.Subcommand,
+        name: "set",
+        description: "Change a setting (role/channel IDs must exist in the server)",
+        options: [
+          settingOption,
+          {
+            type: ApplicationCommandOptionType.String,
+            name: "value",
+            description: "Role or channel ID/mention, locale, true/false, or none to clear it",
+            required: true,
+          },
+          serverOption,
+        ],
+      },
+      {
+        type: ApplicationCommandOptionType.Subcommand,
+        name: "reset",
+        description: "Go back to the default value of a setting",
+        options: [settingOption, serverOption],
+      },
+    ],
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+  },
+  subcommands: {
+    show: handleShow,
+    set: handleSet,
+    reset: handleReset,
+  },
+  autocomplete,
+};
@@ -0,0 +1,129 @@
+/**
+ * /enrollment - move a registration to another Discord account or release
+ * a purchase on Seolaxy (staff only, see services/enrollmentService.js)
+ */
+
+const {
+  ApplicationCommandOptionType,
+  PermissionFlagsBits,
+} = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const enrollmentService = require("../services/enrollmentService");
+
+/**
+ * /enrollment transfer - move the registration of an invoice to another member
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleTransfer(interaction) {
+  const invoiceNumber = interaction.options.getString("invoice", true).trim();
+  const newMember = interaction.options.getUser("new_member", true);
+  const reason = interaction.options.getString("reason") || "/enrollment transfer";
+
+  logger.info(
+    `Enrollment transfer of ${invoiceNumber} to ${newMember.tag} requested by ${interaction.user.tag}`
+  );
+
+  await interaction.deferReply({ flags: 64 });
+
+  const result = await enrollmentService.transferEnrollment(
+    invoiceNumber,
+    newMember,
+    { actorId: interaction.user.id, reason }
+  );
+
+  if (!result.success) {
+    await interaction.editReply({ content: `❌ ${result.message}` });
+    return;
+  }
+
+  await interaction.editReply({
+    content:
+      `✅ Moved \`${invoiceNumber}\` from <@${result.previousDiscordId}> to <@${newMember.id}>.` +
+      (result.rolesMoved
+        ? ""
+        : "\n⚠️ Their roles could not be moved, please check them by hand."),
+    allowedMentions: { parse: [] },
+  });
+}
+
+/**
+ * /enrollment release - release a purchase no member is registered with,
+ * so it can be used to register again
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleRelease(interaction) {
+  const invoiceNumber = interaction.options.getString("invoice", true).trim();
+  const reason = interaction.options.getString("reason") || "/enrollment release";
+
+  logger.info(
+    `Enrollment release of ${invoiceNumber} requested by ${interaction.user.tag}`
+  );
+
+  await interaction.deferReply({ flags: 64 });
+
+  const result = await enrollmentService.releaseUnusedEnrollment(
+    invoiceNumber,
+    { actorId: interaction.user.id, reason }
+  );
+
+  await interaction.editReply({
+    content: result.success
+      ? `✅ Released \`${invoiceNumber}\` on Seolaxy, it can be used to register again.`
+      : `❌ ${result.message}`,
+    allowedMentions: { parse: [] },
+  });
+}
+
+const invoiceOption = {
+  type: ApplicationCommandOptionType.String,
+  name: "invoice",
+  description: "Invoice number or payment intent ID",
+  required: true,
+  max_length: 50,
+};
+
+const reasonOption = {
+  type: ApplicationCommandOptionType.String,
+  name: "reason",
+  description: "Why (shown in /audit)",
+  required: false,
+  max_length: 255,
+};
+
+module.exports = {
+  definition: {
+    name: "enrollment",
+    description: "Move a registration to another account or release a purchase (staff only)",
+    options: [
+      {
+        type: ApplicationCommandOptionType.Subcommand,
+        name: "transfer",
+        description: "Move the registration of an invoice to another member",
+        options: [
+          invoiceOption,
+          {
+            type: ApplicationCommandOptionType.User,
+            name: "new_member",
+            description: "Member the registration moves to",
+            required: true,
+          },
+          reasonOption,
+        ],
+      },
+      {
+        type: ApplicationCommandOptionType.Subcommand,
+        name: "release",
+        description: "Release a purchase nobody is registered with, so it can be used again",
+        options: [invoiceOption, reasonOption],
+      },
+    ],
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+    roles: ["staff"],
+  },
+  subcommands: {
+    transfer: handleTransfer,
+    release: handleRelease,
+  },
+};
@@ -0,0 +1,85 @@
+/**
+ * /grant - give a member access without a Stripe subscription (staff only)
+ */
+
+const {
+  ApplicationCommandOptionType,
+  PermissionFlagsBits,
+} = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const manualAccessService = require("../services/manualAccessService");
+
+/**
+ * Handle grant command - give a member access without a Stripe subscription (staff only)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function execute(interaction) {
+  const member = interaction.options.getUser("member", true);
+  const duration = interaction.options.getString("duration", true);
+  const reason = interaction.options.getString("reason", true);
+
+  logger.info(
+    `Grant command used by ${interaction.user.tag} for ${member.tag} (${duration}): ${reason}`
+  );
+
+  await interaction.deferReply({ flags: 64 });
+
+  const durationMs = manualAccessService.parseDuration(duration);
+  if (!durationMs) {
+    await interaction.editReply({
+      content:
+        "❌ Invalid duration. Use a number with a unit, e.g. `12h`, `30d`, `2w`, `6m` (months) or `1y`, up to 5 years.",
+    });
+    return;
+  }
+
+  const result = await manualAccessService.grantAccess(member.id, {
+    actorId: interaction.user.id,
+    durationMs,
+    reason,
+  });
+
+  if (!result.success) {
+    await interaction.editReply({ content: `❌ ${result.error}` });
+    return;
+  }
+
+  await interaction.editReply({
+    content: `✅ Granted access to <@${member.id}> until <t:${Math.floor(
+      result.expiresAt.getTime() / 1000
+    )}:F>. Syncs will not remove their roles while the grant is active.`,
+  });
+}
+
+module.exports = {
+  definition: {
+    name: "grant",
+    description: "Give a member access without a subscription (staff only)",
+    options: [
+      {
+        type: ApplicationCommandOptionType.User,
+        name: "member",
+        description: "Member to grant access to",
+        required: true,
+      },
+      {
+        type: ApplicationCommandOptionType.String,
+        name: "duration",
+        description: "How long access lasts, e.g. 30d, 2w, 6m, 1y",
+        required: true,
+      },
+      {
+        type: ApplicationCommandOptionType.String,
+        name: "reason",
+        description: "Why access is granted (mentor, partner, scholarship...)",
+        required: true,
+        max_length: 255,
+      },
+    ],
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+    roles: ["staff"],
+  },
+  execute,
+};
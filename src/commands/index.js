@@ -0,0 +1,100 @@
+/**
+ * Command Registry
+ * Every other file in this directory is one slash command. A command module
+ * exports:
+ * - definition: the application command sent to Discord (name, description,
+ *   options, default_member_permissions, *_localizations)
+ * - permissions: who may run it, checked by handlers/commands.js
+ *   ({ permissions, roles, allowInTestMode }, see checkCommandPermission)
+ * - execute(interaction), or subcommands: { name: handler } for commands
+ *   with subcommands (a command can have both; execute handles the rest)
+ * - autocomplete(interaction) (optional): answers options with
+ *   autocomplete: true
+ *
+ * Commands are discovered from the file names, so adding a command only
+ * needs a new file; scripts/deploy-commands.js registers what is here.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const commands = loadCommands();
+
+/**
+ * Load and check every command module in this directory
+ * @returns {Map<string, Object>} - Command modules by command name
+ * @throws {Error} - If a module is incomplete or its name is taken
+ */
+function loadCommands() {
+  const loaded = new Map();
+
+  for (const file of fs.readdirSync(__dirname).sort()) {
+    if (!file.endsWith(".js") || file === "index.js") continue;
+
+    const command = require(path.join(__dirname, file));
+    const name = command.definition?.name;
+
+    if (!name) {
+      throw new Error(`Command ${file} has no definition name`);
+    }
+    if (!command.permissions) {
+      throw new Error(`Command /${name} has no permission rule`);
+    }
+    if (typeof command.execute !== "function" && !command.subcommands) {
+      throw new Error(`Command /${name} has no execute or subcommands`);
+    }
+    if (loaded.has(name)) {
+      throw new Error(`Command /${name} is defined twice`);
+    }
+
+    loaded.set(name, command);
+  }
+
+  return loaded;
+}
+
+/**
+ * Get a command module
+ * @param {string} name - Command name
+ * @returns {Object|null}
+ */
+function getCommand(name) {
+  return commands.get(name) || null;
+}
+
+/**
+ * Get the names of every registered command
+ * @returns {Array<string>}
+ */
+function getCommandNames() {
+  return [...commands.keys()];
+}
+
+/**
+ * Get the payload registering every command with Discord
+ * @returns {Array<Object>} - Application command definitions
+ */
+function getDefinitions() {
+  return [...commands.values()].map((command) => command.definition);
+}
+
+/**
+ * Hash the registration payload, so unchanged commands are not re-registered
+ * @param {string} scope - Where the commands are registered (e.g. app/guild)
+ * @returns {string} - SHA-256 hex digest
+ */
+function getDefinitionsHash(scope = "") {
+  return crypto
+    .createHash("sha256")
+    .update(scope)
+    .update(JSON.stringify(getDefinitions()))
+    .digest("hex");
+}
+
+module.exports = {
+  getCommand,
+  getCommandNames,
+  getDefinitions,
+  getDefinitionsHash,
+};
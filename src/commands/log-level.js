@@ -0,0 +1,62 @@
+/**
+ * /log-level - show or change the log level until the next restart
+ * (admin only)
+ */
+
+const {
+  ApplicationCommandOptionType,
+  PermissionFlagsBits,
+} = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+
+/**
+ * Handle log-level command - show or change the log level at runtime (admin only)
+ * The change lasts until the next restart; LOG_LEVEL sets the level on startup.
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function execute(interaction) {
+  const level = interaction.options.getString("level");
+  const previousLevel = logger.getLevel();
+
+  if (!level) {
+    await interaction.reply({
+      content: `Current log level: **${previousLevel}**`,
+      flags: 64,
+    });
+    return;
+  }
+
+  logger.setLevel(level);
+  logger.warn(
+    `Log level changed from ${previousLevel} to ${level} by ${interaction.user.tag}`
+  );
+
+  await interaction.reply({
+    content: `✅ Log level changed from **${previousLevel}** to **${level}** until the next restart.`,
+    flags: 64,
+  });
+}
+
+module.exports = {
+  definition: {
+    name: "log-level",
+    description: "Show or change the bot's log level until the next restart (admin only)",
+    default_member_permissions: String(PermissionFlagsBits.Administrator),
+    options: [
+      {
+        type: ApplicationCommandOptionType.String,
+        name: "level",
+        description: "New log level (leave empty to show the current one)",
+        required: false,
+        choices: ["error", "warn", "info", "debug"].map((level) => ({
+          name: level,
+          value: level,
+        })),
+      },
+    ],
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+  },
+  execute,
+};
@@ -0,0 +1,71 @@
+/**
+ * /reset-all - plan a reset of all subscriptions (admin only)
+ * The dry run report needs a second administrator's approval (see
+ * services/subscriptionReset.js and the reset run buttons).
+ */
+
+const { PermissionFlagsBits } = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const subscriptionReset = require("../services/subscriptionReset");
+const csvExport = require("../services/csvExport");
+const { createResetRunButtons } = require("../components/buttons");
+
+/**
+ * Handle reset-all command - plans a reset of all verified members (admin only)
+ * Replies in the channel with a dry-run report and approval buttons, so a
+ * second administrator can review and approve it.
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function execute(interaction) {
+  logger.info(`Reset-all command used by ${interaction.user.tag}`);
+
+  await interaction.deferReply();
+
+  try {
+    const plan = await subscriptionReset.planReset(interaction.user.id);
+
+    if (!plan.runId) {
+      await interaction.editReply({
+        content: "No verified members found to reset.",
+      });
+      return;
+    }
+
+    const { items, runId, expiresAt } = plan;
+    const subscriptionCount = items.filter((i) => i.stripeSubscriptionId).length;
+    const dbRowCount = items.filter((i) => i.hasDbRow).length;
+    const report = csvExport.exportResetRunAsCSV(runId, items);
+
+    await interaction.editReply({
+      content:
+        `**Subscription reset dry run #${runId}** (requested by <@${interaction.user.id}>)\n` +
+        `Nothing has been changed yet. Approving will:\n` +
+        `• Remove member roles from ${items.length} members\n` +
+        `• Cancel ${subscriptionCount} Stripe subscriptions immediately\n` +
+        `• Delete ${dbRowCount} database rows\n` +
+        `• DM every affected member\n\n` +
+        `A **different administrator** must approve <t:${Math.floor(
+          expiresAt.getTime() / 1000
+        )}:R>. See the attached report for the full list.`,
+      files: report.success ? [report.attachment] : [],
+      components: [createResetRunButtons(runId)],
+    });
+  } catch (error) {
+    logger.error(`Reset-all command error: ${error.message}`);
+    await interaction.editReply({
+      content: `Reset dry run failed: ${error.message}`,
+    });
+  }
+}
+
+module.exports = {
+  definition: {
+    name: "reset-all",
+    description: "Plan a reset of all subscriptions (dry run report, needs a second admin to approve)",
+    default_member_permissions: String(PermissionFlagsBits.Administrator),
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+  },
+  execute,
+};
@@ -0,0 +1,68 @@
+/**
+ * /revoke - end a member's manually granted access (staff only)
+ */
+
+const {
+  ApplicationCommandOptionType,
+  PermissionFlagsBits,
+} = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const manualAccessService = require("../services/manualAccessService");
+
+/**
+ * Handle revoke command - end a member's manual access (staff only)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function execute(interaction) {
+  const member = interaction.options.getUser("member", true);
+  const reason = interaction.options.getString("reason", true);
+
+  logger.info(
+    `Revoke command used by ${interaction.user.tag} for ${member.tag}: ${reason}`
+  );
+
+  await interaction.deferReply({ flags: 64 });
+
+  const result = await manualAccessService.revokeAccess(member.id, {
+    actorId: interaction.user.id,
+    reason,
+  });
+
+  if (!result.success) {
+    await interaction.editReply({ content: `❌ ${result.error}` });
+    return;
+  }
+
+  await interaction.editReply({
+    content: result.rolesRemoved
+      ? `✅ Revoked manual access of <@${member.id}> and removed their roles.`
+      : `✅ Revoked manual access of <@${member.id}>. Their roles were kept because a subscription still covers them.`,
+  });
+}
+
+module.exports = {
+  definition: {
+    name: "revoke",
+    description: "End a member's manually granted access (staff only)",
+    options: [
+      {
+        type: ApplicationCommandOptionType.User,
+        name: "member",
+        description: "Member whose access to revoke",
+        required: true,
+      },
+      {
+        type: ApplicationCommandOptionType.String,
+        name: "reason",
+        description: "Why access is revoked",
+        required: true,
+        max_length: 255,
+      },
+    ],
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+    roles: ["staff"],
+  },
+  execute,
+};
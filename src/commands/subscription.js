@@ -0,0 +1,229 @@
+/**
+ * /subscription - member self-service (status, cancel, resume, manage)
+ * Descriptions come from the catalogues (commands.subscription.*), so members
+ * see them in their Discord language where we have one.
+ */
+
+const { ApplicationCommandOptionType } = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const database = require("../services/database");
+const stripeService = require("../services/stripeService");
+const i18n = require("../services/i18n");
+const { createSubscriptionStatusEmbed } = require("../components/embeds");
+const {
+  createSubscriptionCancelConfirmButtons,
+  createBillingPortalButton,
+} = require("../components/buttons");
+
+// Subscription statuses that can still be cancelled or managed by the member
+const MANAGEABLE_STATUSES = ["active", "trialing", "past_due"];
+
+/**
+ * Wrap a subcommand handler: reply privately and look up the member first
+ * @param {Function} handler - (interaction, dbUser) handler
+ * @returns {Function} - (interaction) handler
+ */
+function withSubscriber(handler) {
+  return async (interaction) => {
+    logger.info(
+      `Subscription ${interaction.options.getSubcommand()} command used by ${interaction.user.tag}`
+    );
+
+    await interaction.deferReply({ flags: 64 });
+
+    const dbUser = await database.getUserByDiscordId(interaction.user.id);
+    await handler(interaction, dbUser);
+  };
+}
+
+/**
+ * /subscription status - render the subscription status embed (DB + live Stripe data)
+ * @param {Interaction} interaction - Discord interaction (deferred)
+ * @param {Object|null} dbUser - Database user record
+ */
+async function handleStatus(interaction, dbUser) {
+  const locale = i18n.getInteractionLocale(interaction);
+
+  if (!dbUser) {
+    await interaction.editReply({
+      content: i18n.t(locale, "subscription.none"),
+    });
+    return;
+  }
+
+  const statusData = {
+    discordUsername: dbUser.discord_username,
+    status: dbUser.subscription_status,
+    stripeCustomerId: dbUser.stripe_customer_id,
+    stripeSubscriptionId: dbUser.stripe_subscription_id,
+    subscriptionEndsAt: dbUser.subscription_ends_at,
+    isLegacy: dbUser.is_legacy_user,
+  };
+
+  // Prefer live Stripe data over the (up to an hour old) database copy
+  if (dbUser.stripe_subscription_id) {
+    const live = await stripeService.getSubscriptionStatus(
+      dbUser.stripe_subscription_id
+    );
+    if (live.success) {
+      statusData.status = live.status;
+      statusData.subscriptionEndsAt = live.currentPeriodEnd;
+      statusData.cancelAtPeriodEnd = live.cancelAtPeriodEnd;
+    }
+  }
+
+  await interaction.editReply({
+    embeds: [createSubscriptionStatusEmbed(statusData, locale)],
+  });
+}
+
+/**
+ * /subscription cancel - ask for confirmation before cancelling at period end
+ * @param {Interaction} interaction - Discord interaction (deferred)
+ * @param {Object|null} dbUser - Database user record
+ */
+async function handleCancel(interaction, dbUser) {
+  const locale = i18n.getInteractionLocale(interaction);
+
+  if (
+    !dbUser?.stripe_subscription_id ||
+    !MANAGEABLE_STATUSES.includes(dbUser.subscription_status)
+  ) {
+    await interaction.editReply({
+      content: i18n.t(locale, "subscription.notCancellable"),
+    });
+    return;
+  }
+
+  const live = await stripeService.getSubscriptionStatus(
+    dbUser.stripe_subscription_id
+  );
+
+  if (live.success && live.cancelAtPeriodEnd) {
+    await interaction.editReply({
+      content: i18n.t(locale, "subscription.alreadyCancelled", {
+        date: i18n.formatDate(locale, live.currentPeriodEnd),
+      }),
+    });
+    return;
+  }
+
+  await interaction.editReply({
+    content: i18n.t(locale, "subscription.confirmCancel"),
+    components: [createSubscriptionCancelConfirmButtons(locale)],
+  });
+}
+
+/**
+ * /subscription resume - undo a pending cancellation
+ * @param {Interaction} interaction - Discord interaction (deferred)
+ * @param {Object|null} dbUser - Database user record
+ */
+async function handleResume(interaction, dbUser) {
+  const locale = i18n.getInteractionLocale(interaction);
+
+  if (
+    !dbUser?.stripe_subscription_id ||
+    !MANAGEABLE_STATUSES.includes(dbUser.subscription_status)
+  ) {
+    await interaction.editReply({
+      content: i18n.t(locale, "subscription.notResumable"),
+    });
+    return;
+  }
+
+  const live = await stripeService.getSubscriptionStatus(
+    dbUser.stripe_subscription_id
+  );
+
+  if (live.success && !live.cancelAtPeriodEnd) {
+    await interaction.editReply({
+      content: i18n.t(locale, "subscription.notCancelled"),
+    });
+    return;
+  }
+
+  const result = await stripeService.resumeSubscription(
+    dbUser.stripe_subscription_id
+  );
+
+  if (!result.success) {
+    await interaction.editReply({
+      content: i18n.t(locale, "subscription.resumeFailed"),
+    });
+    return;
+  }
+
+  logger.info(`Subscription resumed by ${interaction.user.tag}`);
+  await interaction.editReply({
+    content: i18n.t(locale, "subscription.resumed", {
+      date: i18n.formatDate(locale, result.currentPeriodEnd),
+    }),
+  });
+}
+
+/**
+ * /subscription manage - send a Stripe Customer Portal link
+ * @param {Interaction} interaction - Discord interaction (deferred)
+ * @param {Object|null} dbUser - Database user record
+ */
+async function handleManage(interaction, dbUser) {
+  const locale = i18n.getInteractionLocale(interaction);
+
+  if (!dbUser?.stripe_customer_id) {
+    await interaction.editReply({
+      content: i18n.t(locale, "subscription.none"),
+    });
+    return;
+  }
+
+  const portal = await stripeService.createBillingPortalSession(
+    dbUser.stripe_customer_id
+  );
+
+  if (!portal.success) {
+    await interaction.editReply({
+      content: i18n.t(locale, "subscription.portalFailed"),
+    });
+    return;
+  }
+
+  await interaction.editReply({
+    content: i18n.t(locale, "subscription.portal"),
+    components: [createBillingPortalButton(portal.url, locale)],
+  });
+}
+
+/**
+ * Build a subcommand definition with its translated descriptions
+ * @param {string} name - Subcommand name (and catalogue key)
+ * @returns {Object} - Subcommand option
+ */
+function subcommand(name) {
+  const key = `commands.subscription.${name}`;
+  return {
+    type: ApplicationCommandOptionType.Subcommand,
+    name,
+    description: i18n.t("en", key),
+    description_localizations: i18n.getCommandLocalizations(key),
+  };
+}
+
+module.exports = {
+  definition: {
+    name: "subscription",
+    description: i18n.t("en", "commands.subscription.description"),
+    description_localizations: i18n.getCommandLocalizations(
+      "commands.subscription.description"
+    ),
+    options: ["status", "cancel", "resume", "manage"].map(subcommand),
+  },
+  // Open to everyone: members manage their own subscription
+  permissions: {},
+  subcommands: {
+    status: withSubscriber(handleStatus),
+    cancel: withSubscriber(handleCancel),
+    resume: withSubscriber(handleResume),
+    manage: withSubscriber(handleManage),
+  },
+};
@@ -0,0 +1,60 @@
+/**
+ * /test-mode - toggle Stripe between test and live mode (admin only)
+ */
+
+const { PermissionFlagsBits } = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const stripeService = require("../services/stripeService");
+const auditService = require("../services/auditService");
+
+/**
+ * Handle test-mode command - toggle Stripe between test and live mode (admin only)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function execute(interaction) {
+  logger.info(`Test-mode command used by ${interaction.user.tag}`);
+
+  const currentlyTest = stripeService.getIsTestMode();
+  const recordModeChange = async (success) => {
+    if (!success) return;
+    await auditService.record({
+      actorId: interaction.user.id,
+      action: auditService.ACTIONS.STRIPE_MODE_CHANGED,
+      before: { mode: currentlyTest ? "test" : "live" },
+      after: { mode: currentlyTest ? "live" : "test" },
+      reason: "/test-mode",
+    });
+  };
+
+  if (currentlyTest) {
+    const success = stripeService.switchToLiveMode();
+    await recordModeChange(success);
+    await interaction.reply({
+      content: success
+        ? "Switched to **LIVE** mode. Stripe is now using live keys."
+        : "Failed to switch to live mode. Check logs.",
+      flags: 64,
+    });
+  } else {
+    const success = stripeService.switchToTestMode();
+    await recordModeChange(success);
+    await interaction.reply({
+      content: success
+        ? "Switched to **TEST** mode. Stripe is now using test keys."
+        : "Failed to switch to test mode. Check that STRIPE_TEST_SECRET_KEY is set.",
+      flags: 64,
+    });
+  }
+}
+
+module.exports = {
+  definition: {
+    name: "test-mode",
+    description: "Toggle Stripe between test and live mode (admin only)",
+    default_member_permissions: String(PermissionFlagsBits.Administrator),
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+  },
+  execute,
+};
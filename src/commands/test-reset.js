@@ -0,0 +1,136 @@
+/**
+ * /test-reset - reset your own subscription for testing
+ * (staff, or anyone while Stripe is in test mode)
+ */
+
+const { PermissionFlagsBits } = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const database = require("../services/database");
+const stripeService = require("../services/stripeService");
+const subscriptionService = require("../services/subscriptionService");
+const auditService = require("../services/auditService");
+const enrollmentService = require("../services/enrollmentService");
+const i18n = require("../services/i18n");
+const { createSubscriptionResetEmbed } = require("../components/embeds");
+
+/**
+ * Handle test-reset command - performs subscription reset on the invoking user
+ * (staff only, or anyone while Stripe is in test mode)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function execute(interaction) {
+  const discordId = interaction.user.id;
+  logger.info(`Test-reset command used by ${interaction.user.tag} (${discordId})`);
+
+  await interaction.deferReply({ flags: 64 });
+
+  // Check if user exists in DB with an active subscription
+  const dbUser = await database.getUserByDiscordId(discordId);
+  if (!dbUser) {
+    await interaction.editReply({ content: "You are not in the database." });
+    return;
+  }
+
+  // Even if subscription data is already cleared, still delete the user
+  // so they can go through fresh registration
+
+  const results = [];
+
+  // 1. Cancel Stripe subscription
+  if (dbUser.stripe_subscription_id) {
+    try {
+      await stripeService.cancelSubscription(dbUser.stripe_subscription_id, true);
+      results.push("Stripe subscription cancelled");
+    } catch (err) {
+      results.push(`Stripe cancel failed: ${err.message}`);
+      logger.error(`Test-reset Stripe cancel failed for ${discordId}: ${err.message}`);
+    }
+  } else {
+    results.push("No Stripe subscription to cancel");
+  }
+
+  // 2. Remove Discord roles (adds UNVERIFIED back)
+  try {
+    await subscriptionService.removeSubscriptionRoles(discordId, {
+      actorId: discordId,
+      reason: "/test-reset",
+    });
+    results.push("Roles removed, UNVERIFIED added");
+  } catch (err) {
+    results.push(`Role removal failed: ${err.message}`);
+    logger.error(`Test-reset role removal failed for ${discordId}: ${err.message}`);
+  }
+
+  // 3. Delete user from DB entirely so they can re-register fresh. Only staff
+  // release the purchase on Seolaxy: in test mode anyone may run this, and
+  // the purchase is a real one, which could then be registered again under
+  // another account
+  const { checkCommandPermission } = require("../handlers/commands");
+  const isStaff = checkCommandPermission(interaction, "test-reset", {
+    ignoreTestMode: true,
+  }).allowed;
+  try {
+    const { deleted, release } = await enrollmentService.removeRegistration(
+      dbUser,
+      {
+        actorId: discordId,
+        reason: "/test-reset",
+        release: isStaff,
+        audit: {
+          action: auditService.ACTIONS.USER_DELETED,
+          before: {
+            stripeSubscriptionId: dbUser.stripe_subscription_id,
+            subscriptionStatus: dbUser.subscription_status,
+          },
+          after: null,
+        },
+      }
+    );
+    if (!deleted) {
+      throw new Error("could not delete the database row");
+    }
+    results.push("User deleted from database");
+    if (dbUser.invoice_number && !isStaff) {
+      results.push(
+        `Seolaxy enrollment of ${dbUser.invoice_number} kept, only staff release purchases`
+      );
+    } else if (release) {
+      results.push(
+        release.success
+          ? `Seolaxy enrollment of ${dbUser.invoice_number} released`
+          : `Seolaxy release of ${dbUser.invoice_number} failed (${release.error}), use /enrollment release`
+      );
+    }
+  } catch (err) {
+    results.push(`DB delete failed: ${err.message}`);
+    logger.error(`Test-reset DB delete failed for ${discordId}: ${err.message}`);
+  }
+
+  // 4. Send DM notification
+  try {
+    const user = await interaction.client.users.fetch(discordId);
+    const locale = await i18n.getUserLocale(interaction.client, discordId);
+    await user.send({ embeds: [createSubscriptionResetEmbed(locale)] });
+    results.push("DM sent");
+  } catch (err) {
+    results.push(`DM failed: ${err.message}`);
+    logger.error(`Test-reset DM failed for ${discordId}: ${err.message}`);
+  }
+
+  await interaction.editReply({
+    content: `**Test reset completed:**\n${results.map((r) => `• ${r}`).join("\n")}`,
+  });
+}
+
+module.exports = {
+  definition: {
+    name: "test-reset",
+    description: "Test subscription reset on yourself (staff, or anyone in test mode)",
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+    roles: ["staff"],
+    allowInTestMode: true,
+  },
+  execute,
+};
@@ -0,0 +1,58 @@
+/**
+ * /whois - one view of a member's database, Stripe and Discord state
+ * (staff only)
+ */
+
+const {
+  ApplicationCommandOptionType,
+  PermissionFlagsBits,
+} = require("discord.js");
+const logger = require("../utils/logger").child({ module: "commands" });
+const whoisService = require("../services/whoisService");
+const { createWhoisEmbed } = require("../components/embeds");
+const { createWhoisActionButtons } = require("../components/buttons");
+
+/**
+ * Handle whois command - one view of a member's DB, Stripe and Discord state (staff only)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function execute(interaction) {
+  const query = interaction.options.getString("query", true);
+  logger.info(`Whois command used by ${interaction.user.tag} for "${query}"`);
+
+  await interaction.deferReply({ flags: 64 });
+
+  const profile = await whoisService.lookupMember(interaction.client, query);
+
+  if (!profile) {
+    await interaction.editReply({
+      content: `❌ No member found for \`${query}\`. Try a mention, Discord ID, email, invoice number or Stripe customer ID.`,
+    });
+    return;
+  }
+
+  await interaction.editReply({
+    embeds: [createWhoisEmbed(profile)],
+    components: [createWhoisActionButtons(profile.discordId)],
+  });
+}
+
+module.exports = {
+  definition: {
+    name: "whois",
+    description: "Look up a member's database, Stripe and Discord state (staff only)",
+    options: [
+      {
+        type: ApplicationCommandOptionType.String,
+        name: "query",
+        description: "Mention, Discord ID, email, invoice number or Stripe customer ID",
+        required: true,
+      },
+    ],
+  },
+  permissions: {
+    permissions: [PermissionFlagsBits.Administrator],
+    roles: ["staff"],
+  },
+  execute,
+};
@@ -4,15 +4,17 @@
  */
 
 const { ButtonBuilder, ButtonStyle, ActionRowBuilder } = require("discord.js");
+const { t } = require("../services/i18n");
 
 /**
  * Create join button
+ * @param {string} locale - Locale code
  * @returns {ActionRowBuilder} - Join button row
  */
-function createJoinButton() {
+function createJoinButton(locale) {
   const joinButton = new ButtonBuilder()
     .setCustomId("join_button")
-    .setLabel("Join")
+    .setLabel(t(locale, "buttons.join"))
     .setEmoji("🔑")
     .setStyle(ButtonStyle.Primary);
 
@@ -85,13 +87,14 @@ function createUserInterfaceButtons(totalPages, page = 1) {
 
 /**
  * Create second server join button
+ * @param {string} locale - Locale code
  * @returns {ActionRowBuilder} - Button row
  */
-function createSecondServerJoinButton() {
+function createSecondServerJoinButton(locale) {
   const row = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setCustomId("second_server_join")
-      .setLabel("Join")
+      .setLabel(t(locale, "buttons.join"))
       .setStyle(ButtonStyle.Success)
       .setEmoji("🔑")
   );
@@ -101,12 +104,13 @@ function createSecondServerJoinButton() {
 
 /**
  * Create subscribe button (for main server)
+ * @param {string} locale - Locale code
  * @returns {ActionRowBuilder} - Subscribe button row
  */
-function createSubscribeButton() {
+function createSubscribeButton(locale) {
   const subscribeButton = new ButtonBuilder()
     .setCustomId("subscribe_button")
-    .setLabel("Subscribe")
+    .setLabel(t(locale, "buttons.subscribe"))
     .setEmoji("💳")
     .setStyle(ButtonStyle.Primary);
 
@@ -115,12 +119,13 @@ function createSubscribeButton() {
 
 /**
  * Create subscribe button for English server
+ * @param {string} locale - Locale code
  * @returns {ActionRowBuilder} - Subscribe button row
  */
-function createSecondServerSubscribeButton() {
+function createSecondServerSubscribeButton(locale) {
   const subscribeButton = new ButtonBuilder()
     .setCustomId("second_server_subscribe")
-    .setLabel("Subscribe")
+    .setLabel(t(locale, "buttons.subscribe"))
     .setEmoji("💳")
     .setStyle(ButtonStyle.Primary);
 
@@ -128,13 +133,112 @@ function createSecondServerSubscribeButton() {
 }
 
 /**
- * Create Mentorship #2 join button (Croatian)
+ * Create subscription cancel confirmation buttons
+ * @param {string} locale - Locale code
+ * @returns {ActionRowBuilder} - Confirm/abort button row
+ */
+function createSubscriptionCancelConfirmButtons(locale) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("subscription_cancel_confirm")
+      .setLabel(t(locale, "buttons.cancelConfirm"))
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId("subscription_cancel_abort")
+      .setLabel(t(locale, "buttons.cancelAbort"))
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/**
+ * Create Stripe billing portal link button
+ * @param {string} url - Billing portal session URL
+ * @param {string} locale - Locale code
+ * @returns {ActionRowBuilder} - Link button row
+ */
+function createBillingPortalButton(url, locale) {
+  const portalButton = new ButtonBuilder()
+    .setLabel(t(locale, "buttons.manageSubscription"))
+    .setEmoji("💳")
+    .setStyle(ButtonStyle.Link)
+    .setURL(url);
+
+  return new ActionRowBuilder().addComponents(portalButton);
+}
+
+/**
+ * Create reset run approval buttons (admin, English)
+ * @param {number} runId - Reset run ID
+ * @returns {ActionRowBuilder} - Approve/cancel button row
+ */
+function createResetRunButtons(runId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`reset_run_approve_${runId}`)
+      .setLabel("Approve reset")
+      .setEmoji("⚠️")
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`reset_run_cancel_${runId}`)
+      .setLabel("Cancel")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/**
+ * Create audit log pagination buttons (staff, English)
+ * @param {string} targetId - Discord ID of the user whose history is shown
+ * @param {number} page - Current page
+ * @param {number} totalPages - Total pages
+ * @returns {ActionRowBuilder} - Previous/next button row
+ */
+function createAuditPaginationButtons(targetId, page, totalPages) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`audit_page_${targetId}_${page - 1}`)
+      .setLabel("Previous")
+      .setEmoji("⬅️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 1),
+    new ButtonBuilder()
+      .setCustomId(`audit_page_${targetId}_${page + 1}`)
+      .setLabel("Next")
+      .setEmoji("➡️")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= totalPages)
+  );
+}
+
+/**
+ * Create /whois action buttons (staff, English)
+ * @param {string} discordId - Discord ID of the member shown
+ * @returns {ActionRowBuilder} - Resync/revoke button row
+ */
+function createWhoisActionButtons(discordId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`whois_resync_${discordId}`)
+      .setLabel("Resync from Stripe")
+      .setEmoji("🔄")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`whois_revoke_${discordId}`)
+      .setLabel("Revoke access")
+      .setEmoji("⛔")
+      .setStyle(ButtonStyle.Danger)
+  );
+}
+
+/**
+ * Create a cohort's join button
+ * @param {string} slug - Cohort slug
+ * @param {string} locale - Locale code
  * @returns {ActionRowBuilder} - Button row
  */
-function createMentorship2JoinButton() {
+function createCohortJoinButton(slug, locale) {
   const joinButton = new ButtonBuilder()
-    .setCustomId("mentorship2_join")
-    .setLabel("Pridruži se")
+    .setCustomId(`cohort_join_${slug}`)
+    .setLabel(t(locale, "buttons.join"))
     .setEmoji("🔑")
     .setStyle(ButtonStyle.Primary);
 
@@ -142,30 +246,31 @@ function createMentorship2JoinButton() {
 }
 
 /**
- * Create Mentorship #2 pagination buttons
+ * Create a cohort users list's pagination buttons
+ * @param {string} slug - Cohort slug
  * @param {number} page - Current page
  * @param {number} totalPages - Total pages
  * @returns {ActionRowBuilder} - Pagination button row
  */
-function createMentorship2PaginationButtons(page, totalPages) {
+function createCohortPaginationButtons(slug, page, totalPages) {
   return new ActionRowBuilder().addComponents(
     new ButtonBuilder()
-      .setCustomId("m2_users_first_page")
+      .setCustomId(`cohort_users_first_${slug}`)
       .setLabel("⏮️")
       .setStyle(ButtonStyle.Primary)
       .setDisabled(page === 1),
     new ButtonBuilder()
-      .setCustomId("m2_users_prev_page")
+      .setCustomId(`cohort_users_prev_${slug}`)
       .setLabel("⬅️")
       .setStyle(ButtonStyle.Primary)
       .setDisabled(page === 1),
     new ButtonBuilder()
-      .setCustomId("m2_users_next_page")
+      .setCustomId(`cohort_users_next_${slug}`)
       .setLabel("➡️")
       .setStyle(ButtonStyle.Primary)
       .setDisabled(page === totalPages),
     new ButtonBuilder()
-      .setCustomId("m2_users_last_page")
+      .setCustomId(`cohort_users_last_${slug}`)
       .setLabel("⏭️")
       .setStyle(ButtonStyle.Primary)
       .setDisabled(page === totalPages)
@@ -173,12 +278,13 @@ function createMentorship2PaginationButtons(page, totalPages) {
 }
 
 /**
- * Create Mentorship #2 export button
+ * Create a cohort users list's export button
+ * @param {string} slug - Cohort slug
  * @returns {ActionRowBuilder} - Export button row
  */
-function createMentorship2ExportButton() {
+function createCohortExportButton(slug) {
   const exportButton = new ButtonBuilder()
-    .setCustomId("m2_users_export_csv")
+    .setCustomId(`cohort_export_${slug}`)
     .setLabel("📊 Export CSV")
     .setStyle(ButtonStyle.Success);
 
@@ -186,40 +292,44 @@ function createMentorship2ExportButton() {
 }
 
 /**
- * Create Mentorship #2 Remove/Edit user buttons row
+ * Create a cohort users list's Remove/Edit user buttons row
+ * @param {string} slug - Cohort slug
+ * @param {string} locale - Locale code
  * @returns {ActionRowBuilder} - Button row
  */
-function createMentorship2ManageUserButtons() {
+function createCohortManageUserButtons(slug, locale) {
   return new ActionRowBuilder().addComponents(
     new ButtonBuilder()
-      .setCustomId("m2_remove_user")
-      .setLabel("Ukloni korisnika")
+      .setCustomId(`cohort_remove_user_${slug}`)
+      .setLabel(t(locale, "cohort.manage.removeUser"))
       .setStyle(ButtonStyle.Danger)
       .setEmoji("🗑️"),
     new ButtonBuilder()
-      .setCustomId("m2_edit_user")
-      .setLabel("Uredi korisnika")
+      .setCustomId(`cohort_edit_user_${slug}`)
+      .setLabel(t(locale, "cohort.manage.editUser"))
       .setStyle(ButtonStyle.Secondary)
       .setEmoji("✏️")
   );
 }
 
 /**
- * Create Mentorship #2 user interface buttons
+ * Create a cohort users list's buttons
+ * @param {string} slug - Cohort slug
  * @param {number} totalPages - Total pages
  * @param {number} page - Current page
+ * @param {string} locale - Locale code
  * @returns {Array} - Array of action rows
  */
-function createMentorship2UserInterfaceButtons(totalPages, page = 1) {
+function createCohortUserInterfaceButtons(slug, totalPages, page, locale) {
   const components = [];
 
   if (totalPages > 1) {
-    components.push(createMentorship2PaginationButtons(page, totalPages));
+    components.push(createCohortPaginationButtons(slug, page, totalPages));
   }
 
   if (totalPages > 0) {
-    components.push(createMentorship2ExportButton());
-    components.push(createMentorship2ManageUserButtons());
+    components.push(createCohortExportButton(slug));
+    components.push(createCohortManageUserButtons(slug, locale));
   }
 
   return components;
@@ -234,10 +344,16 @@ module.exports = {
   // Subscription buttons
   createSubscribeButton,
   createSecondServerSubscribeButton,
-  // Mentorship #2 buttons
-  createMentorship2JoinButton,
-  createMentorship2PaginationButtons,
-  createMentorship2ExportButton,
-  createMentorship2ManageUserButtons,
-  createMentorship2UserInterfaceButtons,
+  createSubscriptionCancelConfirmButtons,
+  createBillingPortalButton,
+  // Admin buttons
+  createResetRunButtons,
+  createAuditPaginationButtons,
+  createWhoisActionButtons,
+  // Cohort buttons
+  createCohortJoinButton,
+  createCohortPaginationButtons,
+  createCohortExportButton,
+  createCohortManageUserButtons,
+  createCohortUserInterfaceButtons,
 };
@@ -5,128 +5,66 @@
 
 const { EmbedBuilder } = require("discord.js");
 const database = require("../services/database");
+const cohortService = require("../services/cohortService");
+const { t, formatDate } = require("../services/i18n");
 
 const USERS_PER_PAGE = 10;
 
 /**
- * Create English join message embed
- * @returns {EmbedBuilder} - English join message embed
- */
-function createEnglishJoinEmbed() {
-  return new EmbedBuilder()
-    .setTitle("🚀 Hello! There is only one step left:")
-    .setDescription(
-      "• Please open the PDF invoice that arrived via email.\n" +
-        '• On it you\'ll find "Invoice. No." in the top right that starts with "pi_".\n' +
-        '• Copy the entire text, including "pi_" and all characters that follow.\n' +
-        '• Click the "JOIN" button below, enter all data and copy that number into the invoice field.'
-    )
-    .setColor(0x00ae86)
-    .setFooter({
-      text: "📌 Click the button below to join!",
-    })
-    .setTimestamp();
-}
-
-/**
- * Create Bosnian join message embed (without diacritics)
- * @returns {EmbedBuilder} - Bosnian join message embed
+ * Create join message embed
+ * @param {string} locale - Locale code
+ * @returns {EmbedBuilder} - Join message embed
  */
-function createBosnianJoinEmbed() {
+function createJoinEmbed(locale) {
   return new EmbedBuilder()
-    .setTitle("🚀 Zdravo! Preostao je samo jos jedan korak:")
-    .setDescription(
-      "• Molim te otvori PDF racun koji je stigao putem emaila.\n" +
-        '• Na njemu ces gore desno pronaci "Invoice. No." koji pocinje sa "pi_" ili "SM-".\n' +
-        '• Kopiraj cijeli tekst, ukljucujuci "pi_" ili "SM-" i sve znakove koje slijede.\n' +
-        '• Klikni ispod na dugme "JOIN", upisi sve podatke i kopiraj taj broj u polje za racun.'
-    )
+    .setTitle(t(locale, "join.title"))
+    .setDescription(t(locale, "join.description"))
     .setColor(0x00ae86)
     .setFooter({
-      text: "📌 Kliknite na dugme ispod da se pridruzite!",
+      text: t(locale, "join.footer"),
     })
     .setTimestamp();
 }
 
-/**
- * Create join message embed (main server - Bosnian)
- * @returns {EmbedBuilder} - Join message embed
- */
-function createJoinEmbed() {
-  return createBosnianJoinEmbed();
-}
-
 /**
  * Create registration success embed
  * @param {Object} data - Registration data
+ * @param {string} locale - Locale code
  * @returns {EmbedBuilder} - Success embed
  */
-function createRegistrationSuccessEmbed(data) {
+function createRegistrationSuccessEmbed(data, locale) {
   const { nickname, isValid, memberRoleName, userLanguage, inviteInfo } = data;
 
-  let memberStatusText = "❌ Invoice validation failed";
+  let memberStatusText = t(locale, "registration.success.validationFailed");
   if (isValid) {
     memberStatusText = memberRoleName
-      ? `✅ Verified - ${memberRoleName}`
-      : "✅ Verified";
-  }
-
-  // Determine language and create appropriate embed
-  if (userLanguage === "bosnian" && isValid) {
-    return createBosnianSuccessEmbed(nickname, memberStatusText);
-  } else {
-    return createEnglishSuccessEmbed(
-      nickname,
-      memberStatusText,
-      isValid,
-      userLanguage,
-      inviteInfo
-    );
+      ? t(locale, "registration.success.verifiedAs", { role: memberRoleName })
+      : t(locale, "registration.success.verified");
   }
-}
 
-/**
- * Create English registration success embed
- * @param {string} nickname - User nickname
- * @param {string} memberStatusText - Member status text
- * @param {boolean} isValid - Whether registration is valid
- * @param {string} userLanguage - User's language preference
- * @returns {EmbedBuilder} - English success embed
- */
-function createEnglishSuccessEmbed(
-  nickname,
-  memberStatusText,
-  isValid,
-  userLanguage,
-  inviteInfo
-) {
-  const channels = require("../constants/channels");
-
-  let description = "Congratulations, registration successful.";
+  let description = t(locale, "registration.success.description");
 
+  // English speakers registering on the main server are invited to the EN server
   if (isValid && userLanguage === "english") {
-    if (inviteInfo && inviteInfo.inviteSent) {
-      description +=
-        "\n\n🎉 **Welcome to the English community!**\n📨 **Check your DMs** - You've received a personal invite link to the SEOLAXY (EN) server!\n\n⚠️ The invite link is for one-time use only and expires in 24 hours.";
-    } else if (inviteInfo && inviteInfo.inviteUrl && !inviteInfo.inviteSent) {
-      description +=
-        "\n\n🎉 **Welcome to the English community!**\n⚠️ We couldn't send you a DM, but your invite link was created. Please contact an administrator.";
-    } else {
-      description += "\n\n🎉 **Welcome to the English community!**\n";
+    description += `\n\n${t(locale, "registration.success.englishWelcome")}`;
+    if (inviteInfo?.inviteSent) {
+      description += `\n${t(locale, "registration.success.inviteSent")}`;
+    } else if (inviteInfo?.inviteUrl) {
+      description += `\n${t(locale, "registration.success.inviteNotSent")}`;
     }
   }
 
   return new EmbedBuilder()
-    .setTitle("✅ Registration Successful!")
+    .setTitle(t(locale, "registration.success.title"))
     .setDescription(description)
     .addFields(
       {
-        name: "Nickname",
-        value: nickname || "Could not set nickname",
+        name: t(locale, "registration.success.nickname"),
+        value: nickname || t(locale, "registration.success.nicknameNotSet"),
         inline: true,
       },
       {
-        name: "Member Status",
+        name: t(locale, "registration.success.memberStatus"),
         value: memberStatusText,
         inline: true,
       }
@@ -136,133 +74,55 @@ function createEnglishSuccessEmbed(
 }
 
 /**
- * Create Bosnian registration success embed (without diacritics)
- * @param {string} nickname - User nickname
- * @param {string} memberStatusText - Member status text
- * @returns {EmbedBuilder} - Bosnian success embed
- */
-function createBosnianSuccessEmbed(nickname, memberStatusText) {
-  const channels = require("../constants/channels");
-
-  let description = "Cestitam, registracija je uspjesna.";
-
-  description +=
-    "\n\nMolim te klikni na next (dole desno, bijela strelica u ljubicastom krugu)";
-
-  return new EmbedBuilder()
-    .setTitle("✅ Registracija uspjesna!")
-    .setDescription(description)
-    .addFields(
-      {
-        name: "Nadimak",
-        value: nickname || "Nadimak nije mogao biti postavljen",
-        inline: true,
-      },
-      {
-        name: "Status clana",
-        value: memberStatusText,
-        inline: true,
-      }
-    )
-    .setColor(0x00ff00)
-    .setTimestamp();
-}
-
-/**
- * Create join embed for second server (English server)
- * Uses English-only content for English server
- * @returns {EmbedBuilder} - Second server join embed
- */
-function createSecondServerJoinEmbed() {
-  return createEnglishJoinEmbed();
-}
-
-/**
- * Create English subscription embed
- * @returns {EmbedBuilder} - English subscribe embed
+ * Create subscribe embed
+ * @param {string} locale - Locale code
+ * @returns {EmbedBuilder} - Subscribe embed
  */
-function createEnglishSubscribeEmbed() {
+function createSubscribeEmbed(locale) {
   return new EmbedBuilder()
-    .setTitle("🚀 Subscribe to Seolaxy")
-    .setDescription(
-      "**Get full access to all member channels and resources!**\n\n" +
-        "By subscribing, you'll unlock:\n" +
-        "• Access to all premium channels\n" +
-        "• Exclusive learning materials\n" +
-        "• Community support and networking\n" +
-        "• Regular updates and new content\n\n" +
-        "**How it works:**\n" +
-        "1. Click the **Subscribe** button below\n" +
-        "2. Complete the secure checkout on Stripe\n" +
-        "3. Your access will be activated automatically within minutes!\n\n" +
-        "💳 *Secure payment powered by Stripe*"
-    )
+    .setTitle(t(locale, "subscribe.title"))
+    .setDescription(t(locale, "subscribe.description"))
     .setColor(0x6772e5) // Stripe purple
     .setFooter({
-      text: "📌 Click the button below to subscribe!",
+      text: t(locale, "subscribe.footer"),
     })
     .setTimestamp();
 }
 
 /**
- * Create Bosnian subscription embed (without diacritics)
- * @returns {EmbedBuilder} - Bosnian subscribe embed
+ * Create subscription checkout embed
+ * @param {string} checkoutUrl - Stripe checkout URL
+ * @param {string} locale - Locale code
+ * @returns {EmbedBuilder} - Subscription checkout embed
  */
-function createBosnianSubscribeEmbed() {
+function createSubscriptionCheckoutEmbed(checkoutUrl, locale) {
   return new EmbedBuilder()
-    .setTitle("🚀 Pretplati se na SEOLAXY Mentorship Alumni Discord")
-    .setDescription(
-      "**Zadrzi pristup zajednici i mentorskoj podrsci!**\n\n" +
-        "Ova pretplata namijenjena je iskljucivo clanovima prvog SEO mentorstva koji zele ostati aktivni na Discordu.\n\n" +
-        "**Pretplata ukljucuje:**\n\n" +
-        "• Pristup svim kanalima\n" +
-        "• Mogucnost postavljanja neogranicenog broja pitanja (unutar razumnih okvira kompleksnosti)\n" +
-        "• Podrsku zajednice i umrezavanje\n\n" +
-        "**Kako funkcionise:**\n" +
-        "1. Klikni na dugme **Pretplati se** ispod\n" +
-        "2. Zavrsi sigurnu naplatu na Stripeu\n" +
-        "3. Tvoj pristup ce biti automatski aktiviran u roku od nekoliko minuta!\n\n" +
-        "💳 *Sigurno placanje putem Stripe-a*"
-    )
-    .setColor(0x6772e5) // Stripe purple
-    .setFooter({
-      text: "📌 Kliknite na dugme ispod da se pretplatite!",
-    })
+    .setTitle(t(locale, "checkout.title"))
+    .setDescription(t(locale, "checkout.description", { url: checkoutUrl }))
+    .setColor(0x6772e5)
     .setTimestamp();
 }
 
 /**
- * Create subscribe embed (main server - Bosnian)
- * @returns {EmbedBuilder} - Subscribe embed
+ * Create the DM embed sent when a member's subscription is reset
+ * @param {string} locale - Locale code
+ * @returns {EmbedBuilder} - Subscription reset embed
  */
-function createSubscribeEmbed() {
-  return createBosnianSubscribeEmbed();
-}
-
-/**
- * Create subscription checkout embed (Bosnian without diacritics)
- * @param {string} checkoutUrl - Stripe checkout URL
- * @returns {EmbedBuilder} - Subscription checkout embed
- */
-function createSubscriptionCheckoutEmbed(checkoutUrl) {
+function createSubscriptionResetEmbed(locale) {
   return new EmbedBuilder()
-    .setTitle("💳 Zavrsite vasu pretplatu")
-    .setDescription(
-      "Kliknite na link ispod da zavrsiste placanje pretplate.\n\n" +
-        `**[Kliknite ovdje za pretplatu](${checkoutUrl})**\n\n` +
-        "Nakon uspjesnog placanja, vas pristup ce biti automatski aktiviran u roku od nekoliko minuta.\n\n" +
-        "⏱️ *Ovaj link istice za 24 sata*"
-    )
-    .setColor(0x6772e5)
-    .setTimestamp();
+    .setTitle(t(locale, "dm.reset.title"))
+    .setDescription(t(locale, "dm.reset.description"))
+    .setColor(0x5865f2)
+    .setFooter({ text: t(locale, "dm.reset.footer") });
 }
 
 /**
- * Create subscription status embed for admin commands
+ * Create subscription status embed (/subscription status)
  * @param {Object} subscriptionData - Subscription data
+ * @param {string} locale - Locale code
  * @returns {EmbedBuilder} - Subscription status embed
  */
-function createSubscriptionStatusEmbed(subscriptionData) {
+function createSubscriptionStatusEmbed(subscriptionData, locale) {
   const {
     discordUsername,
     status,
@@ -270,6 +130,7 @@ function createSubscriptionStatusEmbed(subscriptionData) {
     stripeSubscriptionId,
     subscriptionEndsAt,
     isLegacy,
+    cancelAtPeriodEnd,
   } = subscriptionData;
 
   const statusEmoji = {
@@ -280,40 +141,45 @@ function createSubscriptionStatusEmbed(subscriptionData) {
     unpaid: "🚫",
     none: "❓",
   };
+  const notAvailable = t(locale, "subscription.status.notAvailable");
 
-  return new EmbedBuilder()
-    .setTitle("📊 Subscription Status")
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, "subscription.status.title"))
     .addFields(
       {
-        name: "User",
-        value: discordUsername || "Unknown",
+        name: t(locale, "subscription.status.user"),
+        value: discordUsername || t(locale, "subscription.status.unknown"),
         inline: true,
       },
       {
-        name: "Status",
+        name: t(locale, "subscription.status.status"),
         value: `${statusEmoji[status] || "❓"} ${status?.toUpperCase() || "NONE"}`,
         inline: true,
       },
       {
-        name: "Type",
-        value: isLegacy ? "Legacy (Grace Period)" : "Subscription",
+        name: t(locale, "subscription.status.type"),
+        value: isLegacy
+          ? t(locale, "subscription.status.legacy")
+          : t(locale, "subscription.status.subscription"),
         inline: true,
       },
       {
-        name: "Stripe Customer",
-        value: stripeCustomerId || "N/A",
+        name: t(locale, "subscription.status.customer"),
+        value: stripeCustomerId || notAvailable,
         inline: true,
       },
       {
-        name: "Subscription ID",
-        value: stripeSubscriptionId || "N/A",
+        name: t(locale, "subscription.status.subscriptionId"),
+        value: stripeSubscriptionId || notAvailable,
         inline: true,
       },
       {
-        name: "Expires/Renews",
+        name: cancelAtPeriodEnd
+          ? t(locale, "subscription.status.expires")
+          : t(locale, "subscription.status.expiresOrRenews"),
         value: subscriptionEndsAt
-          ? new Date(subscriptionEndsAt).toLocaleDateString()
-          : "N/A",
+          ? formatDate(locale, subscriptionEndsAt)
+          : notAvailable,
         inline: true,
       }
     )
@@ -321,6 +187,14 @@ function createSubscriptionStatusEmbed(subscriptionData) {
       status === "active" ? 0x00ff00 : status === "past_due" ? 0xff9900 : 0xff0000
     )
     .setTimestamp();
+
+  if (cancelAtPeriodEnd) {
+    embed.setFooter({
+      text: t(locale, "subscription.status.cancelsAtPeriodEnd"),
+    });
+  }
+
+  return embed;
 }
 
 /**
@@ -346,6 +220,170 @@ function getSubscriptionStatusDisplay(status, isLegacy) {
   return `${emoji} ${statusText}${typeText}`;
 }
 
+/**
+ * Format an audit before/after state for display
+ * @param {*} state - Parsed audit state
+ * @returns {string} - Short human readable text
+ */
+function formatAuditState(state) {
+  if (state === null || state === undefined) return "—";
+
+  if (Array.isArray(state.roles)) {
+    return state.roles.length > 0
+      ? state.roles.map((roleId) => `<@&${roleId}>`).join(" ")
+      : "no roles";
+  }
+
+  const text =
+    typeof state === "object"
+      ? Object.entries(state)
+          .map(([key, value]) => `${key}: ${value ?? "—"}`)
+          .join(", ")
+      : String(state);
+
+  return text.length > 150 ? `${text.slice(0, 147)}...` : text;
+}
+
+/**
+ * Create audit log embed for one page of a user's history (staff, English)
+ * @param {string} targetId - Discord ID of the user
+ * @param {Object} pageData - { events, page, totalPages, total } from auditService.getAuditPage
+ * @returns {EmbedBuilder} - Audit log embed
+ */
+function createAuditLogEmbed(targetId, pageData) {
+  const { events, page, totalPages, total } = pageData;
+
+  const lines = events.map((event) => {
+    const timestamp = Math.floor(new Date(event.created_at).getTime() / 1000);
+    const actor =
+      event.actor_id === "system" ? "system" : `<@${event.actor_id}>`;
+
+    return (
+      `<t:${timestamp}:f> **${event.action}** by ${actor}` +
+      (event.reason ? ` — ${event.reason}` : "") +
+      `\n${formatAuditState(event.before)} → ${formatAuditState(event.after)}`
+    );
+  });
+
+  return new EmbedBuilder()
+    .setTitle("📜 Audit Log")
+    .setDescription(
+      `History for <@${targetId}> (${targetId})\n\n` +
+        (lines.length > 0 ? lines.join("\n\n") : "No audit events recorded.")
+    )
+    .setColor(0x5865f2)
+    .setFooter({ text: `Page ${page}/${totalPages} • ${total} events` })
+    .setTimestamp();
+}
+
+/**
+ * Truncate text to fit an embed field
+ * @param {string} text - Field text
+ * @param {number} max - Maximum length (Discord allows 1024 per field)
+ * @returns {string} - Text that fits
+ */
+function truncateField(text, max = 1024) {
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+/**
+ * Create whois embed combining DB, Stripe and Discord state (staff, English)
+ * @param {Object} profile - Member profile from whoisService.lookupMember
+ * @returns {EmbedBuilder} - Whois embed
+ */
+function createWhoisEmbed(profile) {
+  const {
+    discordId,
+    discordUser,
+    dbUser,
+    stripe,
+    guilds,
+    pendingCheckout,
+    manualAccess,
+    audit,
+  } = profile;
+
+  const dbText = dbUser
+    ? [
+        `Name: ${[dbUser.first_name, dbUser.last_name].filter(Boolean).join(" ") || "N/A"}`,
+        `Email: ${dbUser.email || "N/A"}`,
+        `Invoice: ${dbUser.invoice_number || "N/A"}`,
+        `Status: ${getSubscriptionStatusDisplay(dbUser.subscription_status, dbUser.is_legacy_user)}`,
+        `Ends: ${dbUser.subscription_ends_at ? new Date(dbUser.subscription_ends_at).toLocaleDateString() : "N/A"}`,
+        `Registered: ${dbUser.created_at ? new Date(dbUser.created_at).toLocaleDateString() : "N/A"}`,
+      ].join("\n")
+    : "Not in database";
+
+  let stripeText;
+  if (!stripe.customerId) {
+    stripeText = "No Stripe customer";
+  } else {
+    const lines = [`Customer: ${stripe.customerId}`];
+    if (stripe.subscription) {
+      lines.push(
+        `Subscription: ${stripe.subscription.id}`,
+        `Live status: ${getSubscriptionStatusDisplay(stripe.subscription.status, false)}` +
+          (stripe.subscription.cancelAtPeriodEnd ? " (cancels at period end)" : ""),
+        `Period end: ${stripe.subscription.currentPeriodEnd.toLocaleDateString()}`
+      );
+    } else {
+      lines.push("Subscription: none");
+    }
+    for (const invoice of stripe.invoices) {
+      const amount = (invoice.amountDue / 100).toFixed(2);
+      lines.push(
+        `• ${invoice.number || invoice.id} ${amount} ${invoice.currency.toUpperCase()} ${invoice.status} (${invoice.created.toLocaleDateString()})`
+      );
+    }
+    if (stripe.error) {
+      lines.push(`⚠️ ${stripe.error}`);
+    }
+    stripeText = lines.join("\n");
+  }
+
+  const rolesText = guilds
+    .map(({ label, available, isMember, roles }) => {
+      if (!available) return `**${label}:** not configured`;
+      if (!isMember) return `**${label}:** not a member`;
+      return `**${label}:** ${roles.length > 0 ? roles.map((id) => `<@&${id}>`).join(" ") : "no roles"}`;
+    })
+    .join("\n");
+
+  const checkoutText = pendingCheckout
+    ? `Pending since <t:${Math.floor(new Date(pendingCheckout.created_at).getTime() / 1000)}:R>, expires <t:${Math.floor(new Date(pendingCheckout.expires_at).getTime() / 1000)}:R>`
+    : "None";
+
+  const manualAccessText = manualAccess
+    ? `Until <t:${Math.floor(new Date(manualAccess.expires_at).getTime() / 1000)}:D> by <@${manualAccess.granted_by}>` +
+      (manualAccess.reason ? ` — ${manualAccess.reason}` : "")
+    : "None";
+
+  const auditText =
+    audit.events.length > 0
+      ? audit.events
+          .slice(0, 5)
+          .map((event) => {
+            const timestamp = Math.floor(new Date(event.created_at).getTime() / 1000);
+            return `<t:${timestamp}:d> **${event.action}**` + (event.reason ? ` — ${event.reason}` : "");
+          })
+          .join("\n") + (audit.total > 5 ? `\n…use /audit for all ${audit.total} events` : "")
+      : "No audit events recorded.";
+
+  return new EmbedBuilder()
+    .setTitle(`🔎 ${discordUser?.tag || dbUser?.discord_username || discordId}`)
+    .setDescription(`<@${discordId}> (${discordId})`)
+    .addFields(
+      { name: "Database", value: truncateField(dbText) },
+      { name: "Stripe", value: truncateField(stripeText) },
+      { name: "Roles", value: truncateField(rolesText) },
+      { name: "Pending checkout", value: checkoutText, inline: true },
+      { name: "Manual access", value: truncateField(manualAccessText), inline: true },
+      { name: "Recent audit history", value: truncateField(auditText) }
+    )
+    .setColor(0x5865f2)
+    .setTimestamp();
+}
+
 /**
  * Generate users embed with pagination
  * @param {number} page - Current page number
@@ -456,54 +494,55 @@ async function generateUsersEmbed(page = 1) {
   return { embed, totalPages };
 }
 
-// ===== Mentorship #2 Embeds (Croatian) =====
+// ===== Cohort Embeds =====
 
 /**
- * Create Mentorship #2 join message embed (Croatian)
- * @returns {EmbedBuilder} - Croatian join message embed
+ * Create a cohort's join message embed
+ * @param {Object} cohort - Cohort row
+ * @param {string} locale - Locale code
+ * @returns {EmbedBuilder} - Join message embed
  */
-function createMentorship2JoinEmbed() {
+function createCohortJoinEmbed(cohort, locale) {
+  const { prefix } = cohortService.getInvoiceFormat(cohort);
+
   return new EmbedBuilder()
-    .setTitle("🚀 Zdravo! Preostao je samo još jedan korak:")
-    .setDescription(
-      "• Molim te otvori PDF račun koji je stigao putem emaila.\n" +
-        '• Na njemu ćeš gore desno pronaći "Invoice. No." koji počinje sa "SM-".\n' +
-        '• Kopiraj cijeli tekst, uključujući "SM-" i sve znakove koje slijede.\n' +
-        '• Klikni ispod na dugme "Pridruži se", upiši sve podatke i kopiraj taj broj u polje za fakturu.'
-    )
+    .setTitle(t(locale, "cohort.join.title"))
+    .setDescription(t(locale, "cohort.join.description", { prefix }))
     .setColor(0x00ae86)
     .setFooter({
-      text: "📌 Klikni na dugme ispod da se pridružiš!",
+      text: t(locale, "cohort.join.footer"),
     })
     .setTimestamp();
 }
 
 /**
- * Create Mentorship #2 registration success embed (Croatian)
- * @param {Object} data - Registration data
+ * Create a cohort registration success embed
+ * @param {Object} data - { nickname, roleAssigned, infoChannelId }
+ * @param {string} locale - Locale code
  * @returns {EmbedBuilder} - Success embed linking to Thinkific info channel
  */
-function createMentorship2SuccessEmbed(data) {
-  const { nickname, roleAssigned } = data;
+function createCohortSuccessEmbed(data, locale) {
+  const { nickname, roleAssigned, infoChannelId } = data;
 
   const memberStatusText = roleAssigned
-    ? "✅ Verificiran"
-    : "⚠️ Dodjela uloge nije uspjela";
+    ? t(locale, "cohort.success.verified")
+    : t(locale, "cohort.success.roleFailed");
 
   return new EmbedBuilder()
-    .setTitle("✅ Registracija uspješna!")
+    .setTitle(t(locale, "cohort.success.title"))
     .setDescription(
-      "Čestitam, registracija je uspješna.\n\n" +
-        "Pogledaj kanal <#1463968532445532424> za pristup SEOLAXY Masterclass videosima i daljnje upute."
+      t(locale, "cohort.success.description", {
+        channel: infoChannelId ? `<#${infoChannelId}>` : "info",
+      })
     )
     .addFields(
       {
-        name: "Nadimak",
-        value: nickname || "Nadimak nije mogao biti postavljen",
+        name: t(locale, "cohort.success.nickname"),
+        value: nickname || t(locale, "cohort.success.nicknameNotSet"),
         inline: true,
       },
       {
-        name: "Status člana",
+        name: t(locale, "cohort.success.memberStatus"),
         value: memberStatusText,
         inline: true,
       }
@@ -513,25 +552,27 @@ function createMentorship2SuccessEmbed(data) {
 }
 
 /**
- * Generate Mentorship #2 users embed with pagination
+ * Generate a cohort's users embed with pagination
+ * @param {Object} cohort - Cohort row
  * @param {number} page - Current page number
+ * @param {string} locale - Locale code
  * @returns {Object} - Embed and pagination info
  */
-async function generateMentorship2UsersEmbed(page = 1) {
-  const users = await database.fetchMentorship2Users();
+async function generateCohortUsersEmbed(cohort, page, locale) {
+  const users = await database.fetchCohortUsers(cohort.id);
   const totalUsers = users.length;
   const totalPages = Math.max(1, Math.ceil(totalUsers / USERS_PER_PAGE));
 
   page = Math.max(1, Math.min(page, totalPages));
 
   const embed = new EmbedBuilder()
-    .setTitle("📊 Mentorship #2 - Registrirani korisnici")
+    .setTitle(t(locale, "cohort.users.title", { cohort: cohort.name }))
     .setColor(0x00ae86)
     .setTimestamp();
 
   if (totalUsers === 0) {
-    embed.setDescription("Još nema registriranih korisnika.");
-    embed.setFooter({ text: "Ukupno korisnika: 0" });
+    embed.setDescription(t(locale, "cohort.users.empty"));
+    embed.setFooter({ text: t(locale, "cohort.users.emptyFooter") });
     return { embed, totalPages: 0 };
   }
 
@@ -540,7 +581,7 @@ async function generateMentorship2UsersEmbed(page = 1) {
   const displayUsers = users.slice(startIndex, endIndex);
 
   let description = "";
-  description += `**📈 Ukupno:** ${totalUsers} korisnika\n`;
+  description += `${t(locale, "cohort.users.total", { count: totalUsers })}\n`;
   description += "━".repeat(30) + "\n\n";
 
   for (let i = 0; i < displayUsers.length; i++) {
@@ -559,16 +600,24 @@ async function generateMentorship2UsersEmbed(page = 1) {
   }
 
   if (totalPages > 1) {
-    description += `\n➖\n📄 **Stranica ${page} od ${totalPages}** | Korisnici ${
-      startIndex + 1
-    }-${endIndex} od ${totalUsers}`;
+    description += `\n➖\n${t(locale, "cohort.users.page", {
+      page,
+      totalPages,
+      from: startIndex + 1,
+      to: endIndex,
+      total: totalUsers,
+    })}`;
   } else {
-    description += `\n➖\n📄 Svi korisnici: ${totalUsers}`;
+    description += `\n➖\n${t(locale, "cohort.users.all", { count: totalUsers })}`;
   }
 
   embed.setDescription(description);
   embed.setFooter({
-    text: `Ukupno: ${totalUsers} | Stranica ${page}/${totalPages}`,
+    text: t(locale, "cohort.users.footer", {
+      count: totalUsers,
+      page,
+      totalPages,
+    }),
   });
 
   return { embed, totalPages };
@@ -576,20 +625,19 @@ async function generateMentorship2UsersEmbed(page = 1) {
 
 module.exports = {
   createJoinEmbed,
-  createEnglishJoinEmbed,
-  createBosnianJoinEmbed,
   createRegistrationSuccessEmbed,
-  createSecondServerJoinEmbed,
   generateUsersEmbed,
   USERS_PER_PAGE,
   // Subscription embeds
   createSubscribeEmbed,
-  createEnglishSubscribeEmbed,
-  createBosnianSubscribeEmbed,
   createSubscriptionCheckoutEmbed,
+  createSubscriptionResetEmbed,
   createSubscriptionStatusEmbed,
-  // Mentorship #2 embeds
-  createMentorship2JoinEmbed,
-  createMentorship2SuccessEmbed,
-  generateMentorship2UsersEmbed,
+  // Staff embeds
+  createAuditLogEmbed,
+  createWhoisEmbed,
+  // Cohort embeds
+  createCohortJoinEmbed,
+  createCohortSuccessEmbed,
+  generateCohortUsersEmbed,
 };
@@ -9,187 +9,168 @@ const {
   TextInputStyle,
   ActionRowBuilder,
 } = require("discord.js");
+const { t } = require("../services/i18n");
+const cohortService = require("../services/cohortService");
 
 /**
- * Create registration modal
- * @returns {ModalBuilder} - Registration modal
+ * Create the registration form fields shared by both registration modals
+ * @param {string} locale - Locale code
+ * @param {string} invoicePlaceholder - Example invoice number
+ * @returns {Array<ActionRowBuilder>} - One row per field
  */
-function createRegistrationModal() {
-  const modal = new ModalBuilder()
-    .setCustomId("join_modal")
-    .setTitle("Member Registration Form");
-
-  // Create text input fields
+function createRegistrationFields(locale, invoicePlaceholder) {
   const firstNameInput = new TextInputBuilder()
     .setCustomId("first_name")
-    .setLabel("First Name")
+    .setLabel(t(locale, "registration.modal.firstName"))
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
     .setMaxLength(50);
 
   const lastNameInput = new TextInputBuilder()
     .setCustomId("last_name")
-    .setLabel("Last Name")
+    .setLabel(t(locale, "registration.modal.lastName"))
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
     .setMaxLength(50);
 
   const emailInput = new TextInputBuilder()
     .setCustomId("email")
-    .setLabel("Email Address")
+    .setLabel(t(locale, "registration.modal.email"))
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
     .setMaxLength(100)
-    .setPlaceholder("your.google.account@gmail.com");
+    .setPlaceholder(t(locale, "registration.modal.emailPlaceholder"));
 
   const projectNameInput = new TextInputBuilder()
     .setCustomId("project_name")
-    .setLabel("Project/Client URL (optional)")
+    .setLabel(t(locale, "registration.modal.project"))
     .setStyle(TextInputStyle.Short)
     .setRequired(false)
     .setMaxLength(100)
-    .setPlaceholder("Enter 'searching' if you don't have a client.");
+    .setPlaceholder(t(locale, "registration.modal.projectPlaceholder"));
 
   const invoiceInput = new TextInputBuilder()
     .setCustomId("invoice_number")
-    .setLabel("Invoice Number")
+    .setLabel(t(locale, "registration.modal.invoice"))
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
     .setMaxLength(100)
-    .setPlaceholder("pi_1A2B3C4D5E6F7G8H9I0J");
-
-  // Create action rows for each input
-  const firstRow = new ActionRowBuilder().addComponents(firstNameInput);
-  const secondRow = new ActionRowBuilder().addComponents(lastNameInput);
-  const thirdRow = new ActionRowBuilder().addComponents(emailInput);
-  const fourthRow = new ActionRowBuilder().addComponents(projectNameInput);
-  const fifthRow = new ActionRowBuilder().addComponents(invoiceInput);
-
-  modal.addComponents(firstRow, secondRow, thirdRow, fourthRow, fifthRow);
-
-  return modal;
+    .setPlaceholder(invoicePlaceholder);
+
+  return [
+    firstNameInput,
+    lastNameInput,
+    emailInput,
+    projectNameInput,
+    invoiceInput,
+  ].map((input) => new ActionRowBuilder().addComponents(input));
 }
 
 /**
- * Create Mentorship #2 registration modal (Croatian)
- * @returns {ModalBuilder} - Mentorship #2 registration modal
+ * Create registration modal
+ * @param {string} locale - Locale code
+ * @returns {ModalBuilder} - Registration modal
  */
-function createMentorship2Modal() {
-  const modal = new ModalBuilder()
-    .setCustomId("mentorship2_join_modal")
-    .setTitle("Registracijski obrazac");
-
-  const firstNameInput = new TextInputBuilder()
-    .setCustomId("first_name")
-    .setLabel("Ime")
-    .setStyle(TextInputStyle.Short)
-    .setRequired(true)
-    .setMaxLength(50);
-
-  const lastNameInput = new TextInputBuilder()
-    .setCustomId("last_name")
-    .setLabel("Prezime")
-    .setStyle(TextInputStyle.Short)
-    .setRequired(true)
-    .setMaxLength(50);
-
-  const emailInput = new TextInputBuilder()
-    .setCustomId("email")
-    .setLabel("Email adresa")
-    .setStyle(TextInputStyle.Short)
-    .setRequired(true)
-    .setMaxLength(100)
-    .setPlaceholder("tvoj.google.account@gmail.com");
-
-  const projectNameInput = new TextInputBuilder()
-    .setCustomId("project_name")
-    .setLabel("Projekat/Klijent URL (opcionalno)")
-    .setStyle(TextInputStyle.Short)
-    .setRequired(false)
-    .setMaxLength(100)
-    .setPlaceholder("Unesi 'searching' ako nemaš projekat/klijenta.");
-
-  const invoiceInput = new TextInputBuilder()
-    .setCustomId("invoice_number")
-    .setLabel("Broj fakture")
-    .setStyle(TextInputStyle.Short)
-    .setRequired(true)
-    .setMaxLength(100)
-    .setPlaceholder("SM-XXXX/2026");
-
-  const firstRow = new ActionRowBuilder().addComponents(firstNameInput);
-  const secondRow = new ActionRowBuilder().addComponents(lastNameInput);
-  const thirdRow = new ActionRowBuilder().addComponents(emailInput);
-  const fourthRow = new ActionRowBuilder().addComponents(projectNameInput);
-  const fifthRow = new ActionRowBuilder().addComponents(invoiceInput);
-
-  modal.addComponents(firstRow, secondRow, thirdRow, fourthRow, fifthRow);
+function createRegistrationModal(locale) {
+  return new ModalBuilder()
+    .setCustomId("join_modal")
+    .setTitle(t(locale, "registration.modal.title"))
+    .addComponents(
+      ...createRegistrationFields(
+        locale,
+        t(locale, "registration.modal.invoicePlaceholder")
+      )
+    );
+}
 
-  return modal;
+/**
+ * Create a cohort's registration modal
+ * @param {Object} cohort - Cohort row
+ * @param {string} locale - Locale code
+ * @returns {ModalBuilder} - Cohort registration modal
+ */
+function createCohortJoinModal(cohort, locale) {
+  return new ModalBuilder()
+    .setCustomId(`cohort_join_modal_${cohort.slug}`)
+    .setTitle(t(locale, "cohort.modal.title"))
+    .addComponents(
+      ...createRegistrationFields(
+        locale,
+        cohortService.getInvoiceFormat(cohort).example
+      )
+    );
 }
 
 /**
- * Create Mentorship #2 "Remove user" modal (Croatian)
+ * Create a cohort's "Remove user" modal
+ * @param {Object} cohort - Cohort row
+ * @param {string} locale - Locale code
  * @returns {ModalBuilder} - Modal with single field: identifier (invoice or Discord ID)
  */
-function createMentorship2RemoveUserModal() {
+function createCohortRemoveUserModal(cohort, locale) {
+  const { example } = cohortService.getInvoiceFormat(cohort);
   const modal = new ModalBuilder()
-    .setCustomId("m2_remove_user_modal")
-    .setTitle("Ukloni korisnika");
+    .setCustomId(`cohort_remove_user_modal_${cohort.slug}`)
+    .setTitle(t(locale, "cohort.manage.removeUser"));
 
   const identifierInput = new TextInputBuilder()
     .setCustomId("identifier")
-    .setLabel("Broj fakture ili Discord ID")
+    .setLabel(t(locale, "cohort.manage.identifier"))
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
     .setMaxLength(100)
-    .setPlaceholder("npr. SM-0005/2026 ili 123456789012345678");
+    .setPlaceholder(t(locale, "cohort.manage.identifierPlaceholder", { example }));
 
   modal.addComponents(new ActionRowBuilder().addComponents(identifierInput));
   return modal;
 }
 
 /**
- * Create Mentorship #2 "Edit user" modal (Croatian)
+ * Create a cohort's "Edit user" modal
+ * @param {Object} cohort - Cohort row
+ * @param {string} locale - Locale code
  * @returns {ModalBuilder} - Modal: identifier + optional first_name, last_name, email, project_name
  */
-function createMentorship2EditUserModal() {
+function createCohortEditUserModal(cohort, locale) {
+  const { example } = cohortService.getInvoiceFormat(cohort);
   const modal = new ModalBuilder()
-    .setCustomId("m2_edit_user_modal")
-    .setTitle("Uredi korisnika");
+    .setCustomId(`cohort_edit_user_modal_${cohort.slug}`)
+    .setTitle(t(locale, "cohort.manage.editUser"));
 
   const identifierInput = new TextInputBuilder()
     .setCustomId("identifier")
-    .setLabel("Broj fakture ili Discord ID")
+    .setLabel(t(locale, "cohort.manage.identifier"))
     .setStyle(TextInputStyle.Short)
     .setRequired(true)
     .setMaxLength(100)
-    .setPlaceholder("npr. SM-0005/2026");
+    .setPlaceholder(
+      t(locale, "cohort.manage.editIdentifierPlaceholder", { example })
+    );
 
   const firstNameInput = new TextInputBuilder()
     .setCustomId("first_name")
-    .setLabel("Ime (opcionalno)")
+    .setLabel(t(locale, "cohort.manage.firstName"))
     .setStyle(TextInputStyle.Short)
     .setRequired(false)
     .setMaxLength(50);
 
   const lastNameInput = new TextInputBuilder()
     .setCustomId("last_name")
-    .setLabel("Prezime (opcionalno)")
+    .setLabel(t(locale, "cohort.manage.lastName"))
     .setStyle(TextInputStyle.Short)
     .setRequired(false)
     .setMaxLength(50);
 
   const emailInput = new TextInputBuilder()
     .setCustomId("email")
-    .setLabel("Email (opcionalno)")
+    .setLabel(t(locale, "cohort.manage.email"))
     .setStyle(TextInputStyle.Short)
     .setRequired(false)
     .setMaxLength(100);
 
   const projectNameInput = new TextInputBuilder()
     .setCustomId("project_name")
-    .setLabel("Projekat (opcionalno)")
+    .setLabel(t(locale, "cohort.manage.project"))
     .setStyle(TextInputStyle.Short)
     .setRequired(false)
     .setMaxLength(100);
@@ -206,7 +187,7 @@ function createMentorship2EditUserModal() {
 
 module.exports = {
   createRegistrationModal,
-  createMentorship2Modal,
-  createMentorship2RemoveUserModal,
-  createMentorship2EditUserModal,
+  createCohortJoinModal,
+  createCohortRemoveUserModal,
+  createCohortEditUserModal,
 };
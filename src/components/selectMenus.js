@@ -0,0 +1,36 @@
+/**
+ * Select Menu Components
+ * Contains all Discord select menu templates
+ */
+
+const { StringSelectMenuBuilder, ActionRowBuilder } = require("discord.js");
+const { t } = require("../services/i18n");
+
+/**
+ * Create subscription plan select menu
+ * Plans missing from the catalogue show the name and description from
+ * config/plans.js.
+ * @param {Array} plans - Plans to offer (see config/plans.js)
+ * @param {string} locale - Locale code
+ * @returns {ActionRowBuilder} - Plan select menu row
+ */
+function createPlanSelectMenu(plans, locale) {
+  const selectMenu = new StringSelectMenuBuilder()
+    .setCustomId("subscription_plan_select")
+    .setPlaceholder(t(locale, "subscribe.planPlaceholder"))
+    .addOptions(
+      plans.map((plan) => ({
+        label: t(locale, `plans.${plan.id}.name`, { defaultValue: plan.name }),
+        description: t(locale, `plans.${plan.id}.description`, {
+          defaultValue: plan.description,
+        }),
+        value: plan.id,
+      }))
+    );
+
+  return new ActionRowBuilder().addComponents(selectMenu);
+}
+
+module.exports = {
+  createPlanSelectMenu,
+};
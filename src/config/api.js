@@ -8,10 +8,47 @@ module.exports = {
     process.env.SEOLAXY_API_BASE_URL ||
     "https://mentorship.seolaxy.com/api/open-api",
   bearerToken: process.env.SEOLAXY_API_BEARER_TOKEN,
-  mentorship2BearerToken: process.env.MENTORSHIP2_API_BEARER_TOKEN,
-  timeout: 10000, // 10 seconds timeout
+  // Each request is aborted after this long
+  timeout: parseInt(process.env.SEOLAXY_API_TIMEOUT_MS, 10) || 10000,
+
+  // Timeouts, network errors and 5xx responses are retried with exponential
+  // backoff and jitter; 404/409 and other answers are final
+  retry: {
+    attempts: 3,
+    baseDelayMs: parseInt(process.env.SEOLAXY_API_RETRY_DELAY_MS, 10) || 500,
+    maxDelayMs: 5000,
+  },
+
+  // After this many failed requests in a row, validations fail at once
+  // (and registrations are queued) until the cooldown has passed; then one
+  // request is let through to check whether the API is back
+  circuitBreaker: {
+    failureThreshold: 5,
+    cooldownMs: 60 * 1000,
+  },
+
+  // Registrations queued while the API is unavailable
+  // (see services/registrationQueue.js)
+  retryQueue: {
+    intervalMs: 60 * 1000,
+    maxDelayMs: 30 * 60 * 1000,
+    // Members are told to register again after this long
+    maxAgeMs: 48 * 60 * 60 * 1000,
+  },
+
+  // Purchase, refund and chargeback events pushed by the Seolaxy platform
+  // (POST /webhooks/seolaxy, see services/purchaseService.js). The route is
+  // only registered when the secret is set.
+  webhook: {
+    secret: process.env.SEOLAXY_WEBHOOK_SECRET,
+    // Signatures older than this are refused, so captured requests cannot
+    // be replayed later
+    toleranceMs: 5 * 60 * 1000,
+  },
 
   endpoints: {
     enrollDiscord: "/purchase/enroll-discord",
+    // Releases an enrollment when staff remove the member who used it
+    unenrollDiscord: "/purchase/unenroll-discord",
   },
 };
@@ -0,0 +1,40 @@
+/**
+ * Cohort Configuration
+ * A cohort is a paid programme (e.g. Mentorship #2) whose members join with
+ * an invoice number: it has its own join panel, users list, verified role and
+ * Seolaxy API token. Cohorts are stored in the cohorts table and added with
+ * /cohort create (see services/cohortService.js).
+ *
+ * The defaults here are created on startup when no cohort has their slug, so
+ * an existing deployment runs unchanged with an empty cohorts table.
+ */
+
+const ROLES = require("../constants/roles");
+const CHANNELS = require("../constants/channels");
+
+module.exports = {
+  // Slugs are part of button IDs: lowercase letters, digits and dashes
+  slugPattern: /^[a-z0-9-]{1,30}$/,
+
+  // Cohorts name the environment variable holding their API token. Its value
+  // is sent to the Seolaxy API, so only token variables are accepted (not
+  // DISCORD_TOKEN, STRIPE_SECRET_KEY, DB_PASSWORD, ...)
+  apiTokenEnvPattern: /^[A-Z0-9_]+_API_BEARER_TOKEN$/,
+
+  defaults: [
+    {
+      slug: "mentorship2",
+      name: "Mentorship #2",
+      // Without MENTORSHIP2_SERVER_ID the server is found through the join
+      // channel when the bot starts
+      guildId: CHANNELS.MENTORSHIP2_SERVER_ID || null,
+      joinChannelId: CHANNELS.MENTORSHIP2_JOIN_CHANNEL_ID,
+      usersChannelId: CHANNELS.MENTORSHIP2_USERS_CHANNEL_ID,
+      verifiedRoleId: ROLES.MENTORSHIP2_VERIFIED,
+      // Name of the environment variable holding the Seolaxy API token
+      apiTokenEnv: "MENTORSHIP2_API_BEARER_TOKEN",
+      // SQL LIKE pattern (% = any text) of the cohort's invoice numbers
+      invoicePattern: "SM-%/2026",
+    },
+  ],
+};
@@ -9,7 +9,6 @@ module.exports = {
     token: process.env.DISCORD_TOKEN,
     clientId: process.env.CLIENT_ID,
     guildId: process.env.GUILD_ID,
-    logLevel: process.env.LOG_LEVEL || "info",
   },
 
   // Discord intents
@@ -0,0 +1,126 @@
+/**
+ * Guild Configuration
+ * The settings each server can have and their defaults. Staff change them
+ * with /config, which stores them in the guild_config table; a stored value
+ * overrides the default here (see services/guildConfigService.js).
+ *
+ * The defaults describe the servers the bot was built for, so an existing
+ * deployment runs unchanged with an empty guild_config table.
+ */
+
+const ROLES = require("../constants/roles");
+const CHANNELS = require("../constants/channels");
+
+// What /config accepts for each setting:
+// - role / channel: an ID (or mention) that exists in the server
+// - locale: a catalogue in src/locales
+// - boolean: true/false, on/off, yes/no
+const settings = {
+  locale: {
+    type: "locale",
+    description: "Language members are answered in",
+  },
+  "flows.subscribe": {
+    type: "boolean",
+    description: "Post the Subscribe panel in the join channel",
+  },
+  "channels.join": {
+    type: "channel",
+    description: "Channel the join or Subscribe panel is posted in",
+  },
+  "channels.users": {
+    type: "channel",
+    description: "Channel with the staff users list",
+  },
+  "channels.staff": {
+    type: "channel",
+    description: "Channel staff alerts are sent to",
+  },
+  "channels.info": {
+    type: "channel",
+    description: "Channel new members are pointed to after joining",
+  },
+  "roles.unverified": {
+    type: "role",
+    description: "Role members have until they are verified or subscribed",
+  },
+  "roles.member": {
+    type: "role",
+    description: "Role granted on verification or subscription",
+  },
+  "roles.premium": {
+    type: "role",
+    description: "Extra role granted by the premium plan",
+  },
+  "roles.englishMember": {
+    type: "role",
+    description: "Old English member role, removed when access ends",
+  },
+  "roles.legacyMember": {
+    type: "role",
+    description: "Member role for members without a language role",
+  },
+  "roles.english": {
+    type: "role",
+    description: "English language role picked during onboarding",
+  },
+  "roles.bosnian": {
+    type: "role",
+    description: "Bosnian/Croatian/Serbian language role picked during onboarding",
+  },
+  "roles.staff": {
+    type: "role",
+    description: "Staff role, may use staff commands and is pinged on alerts",
+  },
+};
+
+// Defaults per server. Order matters: DMs are written in the language of the
+// first of these servers a user is a member of.
+const defaults = [
+  {
+    // Main server
+    guildId: process.env.GUILD_ID,
+    settings: {
+      locale: "bs",
+      "flows.subscribe": true,
+      "channels.join": CHANNELS.JOIN_CHANNEL_ID,
+      "channels.users": CHANNELS.USERS_CHANNEL_ID,
+      "channels.staff": CHANNELS.STAFF_CHANNEL_ID,
+      "roles.unverified": ROLES.UNVERIFIED,
+      "roles.member": ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+      "roles.premium": process.env.PREMIUM_MEMBER_ROLE_ID,
+      "roles.englishMember": ROLES.ENGLISH_MEMBER,
+      "roles.legacyMember": ROLES.MEMBER,
+      "roles.english": ROLES.ENGLISH,
+      "roles.bosnian": ROLES.BOSNIAN_CROATIAN_SERBIAN,
+      "roles.staff": ROLES.STAFF,
+    },
+  },
+  {
+    // SEOLAXY EN
+    guildId: CHANNELS.SECOND_SERVER_ID,
+    settings: {
+      locale: "en",
+      "flows.subscribe": true,
+      "channels.join": CHANNELS.SECOND_SERVER_JOIN_CHANNEL_ID,
+      "roles.unverified": ROLES.SECOND_SERVER_UNVERIFIED,
+      "roles.member": ROLES.SECOND_SERVER_VERIFIED,
+    },
+  },
+  {
+    // Mentorship #2. Without MENTORSHIP2_SERVER_ID the server is found
+    // through its join channel when the bot starts. Its join panel, users
+    // list and verified role belong to the cohort (see config/cohorts.js).
+    guildId: CHANNELS.MENTORSHIP2_SERVER_ID,
+    discoverFromChannel: CHANNELS.MENTORSHIP2_JOIN_CHANNEL_ID,
+    settings: {
+      locale: "hr",
+      "channels.info": CHANNELS.MENTORSHIP2_INFO_CHANNEL_ID,
+    },
+  },
+];
+
+module.exports = {
+  settings,
+  defaults,
+};
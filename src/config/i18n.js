@@ -0,0 +1,30 @@
+/**
+ * Internationalisation Configuration
+ * Decides which catalogue in src/locales a member is answered in
+ * (see services/i18n.js for the order these are applied in). Server
+ * languages are guild settings (config/guilds.js, /config).
+ */
+
+module.exports = {
+  // Used when nothing below applies (DMs to users in none of our servers)
+  defaultLocale: "en",
+
+  // Language role settings (roles.<name> in config/guilds.js) and the locale
+  // they select. Each server's own language is its "locale" setting.
+  languageRoles: {
+    english: "en",
+    bosnian: "bs",
+  },
+
+  // Discord client languages without a catalogue of their own
+  // (others match by language: en-US and en-GB use "en")
+  discordLocaleAliases: {
+    sr: "bs",
+  },
+
+  // Discord languages slash command descriptions are translated into, and
+  // the catalogue each uses (Discord has no Bosnian or Serbian)
+  commandLocales: {
+    hr: "hr",
+  },
+};
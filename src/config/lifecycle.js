@@ -0,0 +1,10 @@
+/**
+ * Lifecycle Configuration
+ * How long a shutdown waits for work in flight (see services/lifecycleService.js)
+ */
+
+module.exports = {
+  // Keep below PM2's kill_timeout (ecosystem.config.js), which kills the
+  // process once it is exceeded
+  shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 20000,
+};
@@ -0,0 +1,19 @@
+/**
+ * Logging Configuration
+ * Centralizes settings for the structured logger (utils/logger.js)
+ */
+
+module.exports = {
+  // Lowest level that is written: error, warn, info or debug
+  // (can be changed at runtime with /log-level)
+  level: process.env.LOG_LEVEL || "info",
+
+  // "json" writes one JSON object per line, "text" is easier to read locally
+  format: process.env.LOG_FORMAT || "json",
+
+  // Optional log file (always JSON lines), rotated by size
+  file: process.env.LOG_FILE || null,
+  maxFileBytes: parseInt(process.env.LOG_FILE_MAX_BYTES, 10) || 10 * 1024 * 1024,
+  // Rotated files to keep next to the active one (bot.log.1 ... bot.log.N)
+  maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES, 10) || 5,
+};
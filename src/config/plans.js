@@ -0,0 +1,61 @@
+/**
+ * Subscription Plan Catalogue
+ * Maps Stripe prices to what members see in the Subscribe flow and which
+ * roles a subscription on that price grants
+ *
+ * Plans without a price ID configured are left out of the Subscribe menu
+ * (testPriceId is used instead while /test-mode is on).
+ * Subscriptions on a price that is not in the catalogue are treated as the
+ * default plan, so members who subscribed before plans existed keep access.
+ *
+ * Grants name roles by their guild setting (roles.<name> in config/guilds.js),
+ * so the role IDs can be changed per server with /config.
+ */
+
+// Role grants shared by every plan on the main server
+const mainServerMemberGrant = {
+  guildId: process.env.GUILD_ID,
+  roles: ["member"],
+  // Removed while subscribed, added back when access ends
+  unverifiedRole: "unverified",
+};
+
+module.exports = {
+  // Plan used for unknown prices and when only one plan is configured
+  defaultPlanId: "monthly",
+
+  plans: [
+    {
+      id: "monthly",
+      name: "Mjesecna pretplata",
+      description: "Pristup svim clanskim kanalima, naplata svaki mjesec",
+      priceId: process.env.STRIPE_PRICE_ID,
+      testPriceId: process.env.STRIPE_TEST_PRICE_ID,
+      interval: "month",
+      grants: [mainServerMemberGrant],
+    },
+    {
+      id: "yearly",
+      name: "Godisnja pretplata",
+      description: "Pristup svim clanskim kanalima, naplata jednom godisnje",
+      priceId: process.env.STRIPE_YEARLY_PRICE_ID,
+      testPriceId: process.env.STRIPE_TEST_YEARLY_PRICE_ID,
+      interval: "year",
+      grants: [mainServerMemberGrant],
+    },
+    {
+      id: "premium",
+      name: "Premium pretplata",
+      description: "Sve iz mjesecne pretplate uz premium kanale",
+      priceId: process.env.STRIPE_PREMIUM_PRICE_ID,
+      testPriceId: process.env.STRIPE_TEST_PREMIUM_PRICE_ID,
+      interval: "month",
+      grants: [
+        {
+          ...mainServerMemberGrant,
+          roles: ["member", "premium"],
+        },
+      ],
+    },
+  ],
+};
@@ -0,0 +1,29 @@
+/**
+ * HTTP Server Configuration
+ * Centralizes settings for the embedded HTTP server (webhooks, health checks)
+ */
+
+module.exports = {
+  // Set HTTP_SERVER_ENABLED=false to run the bot without the HTTP server
+  enabled: process.env.HTTP_SERVER_ENABLED !== "false",
+  host: process.env.HTTP_HOST || "0.0.0.0",
+  port: parseInt(process.env.HTTP_PORT, 10) || 3000,
+
+  // Maximum accepted request body size (Stripe events are well below this)
+  maxBodyBytes: 1024 * 1024,
+
+  routes: {
+    stripeWebhook: "/webhooks/stripe",
+    seolaxyWebhook: "/webhooks/seolaxy",
+    healthz: "/healthz",
+    readyz: "/readyz",
+    metrics: "/metrics",
+  },
+
+  readiness: {
+    // /readyz fails once the last successful Stripe sync is older than this.
+    // Checks run hourly, so the default (3 hours) allows two missed runs.
+    maxSyncAgeMs:
+      (parseInt(process.env.READY_MAX_SYNC_AGE_MINUTES, 10) || 180) * 60 * 1000,
+  },
+};
@@ -10,6 +10,9 @@ module.exports = {
   // Subscription price ID (from Stripe Dashboard)
   priceId: process.env.STRIPE_PRICE_ID,
 
+  // Webhook signing secret (from Stripe Dashboard → Webhooks, starts with "whsec_")
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+
   // Checkout session settings
   checkout: {
     // URLs after checkout completion (Discord channel links work fine)
@@ -25,9 +28,19 @@ module.exports = {
 
     // Subscription mode
     mode: "subscription",
+
+    // DM users a fresh Subscribe button when their checkout session expires unpaid
+    notifyOnExpiry: process.env.STRIPE_NOTIFY_EXPIRED_CHECKOUT !== "false",
+  },
+
+  // Stripe Customer Portal (self-service billing via /subscription manage)
+  billingPortal: {
+    returnUrl:
+      process.env.STRIPE_PORTAL_RETURN_URL || "https://discord.com/channels/@me",
   },
 
   // Polling intervals (in milliseconds)
+  // When webhooks are configured, polling only acts as a safety net
   polling: {
     // Normal polling interval (60 minutes)
     normalInterval: 60 * 60 * 1000,
@@ -35,8 +48,22 @@ module.exports = {
     // Fast polling interval (15 seconds) after checkout URL generated
     fastInterval: 15 * 1000,
 
+    // Fast polling interval when webhooks are enabled (60 seconds)
+    webhookFastInterval: 60 * 1000,
+
     // Fast polling duration (30 minutes) - matches checkout link expiry
     fastDuration: 30 * 60 * 1000,
+
+    // Hourly checks only fetch subscriptions changed since the last run;
+    // a full listing still runs at least this often (24 hours)
+    incrementalSync: true,
+    fullSyncInterval: 24 * 60 * 60 * 1000,
+  },
+
+  // Backoff when Stripe rate limits list/retrieve calls (HTTP 429)
+  rateLimit: {
+    maxRetries: 5,
+    baseDelayMs: 1000,
   },
 
   // Checkout session expiry (Stripe requires at least 30 minutes)
@@ -1,6 +1,7 @@
 /**
  * Discord Channel Constants
- * Centralizes all channel IDs for easy management
+ * Default channel IDs of the servers the bot was built for. Servers can
+ * override them with /config (see config/guilds.js)
  */
 
 module.exports = {
@@ -15,6 +16,7 @@ module.exports = {
   SECOND_SERVER_JOIN_CHANNEL_ID: "1410998600678248569",
 
   // Mentorship #2 server
+  MENTORSHIP2_SERVER_ID: process.env.MENTORSHIP2_SERVER_ID,
   MENTORSHIP2_JOIN_CHANNEL_ID:
     process.env.MENTORSHIP2_JOIN_CHANNEL_ID || "1473359849323499550",
   MENTORSHIP2_USERS_CHANNEL_ID:
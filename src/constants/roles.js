@@ -1,6 +1,7 @@
 /**
  * Discord Role Constants
- * Centralizes all role IDs for easy management
+ * Default role IDs of the servers the bot was built for. Servers can
+ * override them with /config (see config/guilds.js)
  */
 
 module.exports = {
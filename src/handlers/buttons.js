@@ -4,36 +4,50 @@
  */
 
 const { EmbedBuilder, PermissionFlagsBits } = require("discord.js");
-const logger = require("../utils/logger");
+const logger = require("../utils/logger").child({ module: "buttons" });
 const {
   createRegistrationModal,
-  createMentorship2Modal,
-  createMentorship2RemoveUserModal,
-  createMentorship2EditUserModal,
+  createCohortJoinModal,
+  createCohortRemoveUserModal,
+  createCohortEditUserModal,
 } = require("../components/modals");
 const csvExport = require("../services/csvExport");
 const database = require("../services/database");
 const stripeService = require("../services/stripeService");
 const subscriptionService = require("../services/subscriptionService");
+const subscriptionReset = require("../services/subscriptionReset");
+const auditService = require("../services/auditService");
+const whoisService = require("../services/whoisService");
+const planService = require("../services/planService");
+const i18n = require("../services/i18n");
+const guildConfigService = require("../services/guildConfigService");
+const cohortService = require("../services/cohortService");
 const {
   generateUsersEmbed,
-  generateMentorship2UsersEmbed,
+  generateCohortUsersEmbed,
   USERS_PER_PAGE,
   createSubscriptionCheckoutEmbed,
+  createAuditLogEmbed,
+  createWhoisEmbed,
 } = require("../components/embeds");
 const {
   createUserInterfaceButtons,
-  createMentorship2UserInterfaceButtons,
+  createCohortUserInterfaceButtons,
+  createAuditPaginationButtons,
+  createWhoisActionButtons,
 } = require("../components/buttons");
-const channels = require("../constants/channels");
+const { createPlanSelectMenu } = require("../components/selectMenus");
 
 // Store pagination state (main server)
 let currentUsersPage = 1;
 let usersEmbedMessageId = null;
 
-// Store pagination state (Mentorship #2)
-let m2CurrentUsersPage = 1;
-let m2UsersEmbedMessageId = null;
+// Store pagination state (cohorts): slug → { page, messageId }
+const cohortUsersEmbeds = new Map();
+
+// Cohort button IDs: cohort_<action>_<slug>
+const COHORT_BUTTON_PATTERN =
+  /^cohort_(join|remove_user|edit_user|export|users_first|users_prev|users_next|users_last)_([a-z0-9-]+)$/;
 
 /**
  * Reset users embed state (called after cleanup)
@@ -44,11 +58,11 @@ function resetUsersEmbedState() {
 }
 
 /**
- * Reset Mentorship #2 users embed state (called after cleanup)
+ * Reset a cohort's users embed state (called after cleanup)
+ * @param {string} slug - Cohort slug
  */
-function resetMentorship2UsersEmbedState() {
-  m2UsersEmbedMessageId = null;
-  m2CurrentUsersPage = 1;
+function resetCohortUsersEmbedState(slug) {
+  cohortUsersEmbeds.delete(slug);
 }
 
 /**
@@ -58,7 +72,7 @@ function resetMentorship2UsersEmbedState() {
 async function handleJoinButton(interaction) {
   logger.info(`Join button clicked by ${interaction.user.tag}`);
 
-  const modal = createRegistrationModal();
+  const modal = createRegistrationModal(i18n.getInteractionLocale(interaction));
   await interaction.showModal(modal);
 }
 
@@ -69,6 +83,7 @@ async function handleJoinButton(interaction) {
 async function handleSubscribeButton(interaction) {
   const discordId = interaction.user.id;
   const discordUsername = interaction.user.tag;
+  const locale = i18n.getInteractionLocale(interaction);
 
   logger.info(`Subscribe button clicked by ${discordUsername} (${discordId})`);
 
@@ -96,30 +111,49 @@ async function handleSubscribeButton(interaction) {
         // Re-assign roles in case they left and rejoined (they lose roles when leaving)
         await subscriptionService.assignSubscriptionRoles(discordId);
         await interaction.editReply({
-          content:
-            "✅ Vec imate aktivnu pretplatu! Pristup vam je osiguran. Ako i dalje imate problema sa kanalima, molimo kontaktirajte osoblje.",
+          content: i18n.t(locale, "subscribe.alreadyActive"),
         });
         return;
       }
     }
 
+    // Comped members (/grant) must not be charged while their access lasts
+    const manualAccess = await database.getActiveManualAccess(discordId);
+    if (manualAccess) {
+      await subscriptionService.assignSubscriptionRoles(discordId);
+      await interaction.editReply({
+        content: i18n.t(locale, "subscribe.compedUntil", {
+          date: `<t:${Math.floor(
+            new Date(manualAccess.expires_at).getTime() / 1000
+          )}:D>`,
+        }),
+      });
+      return;
+    }
+
     // Check if user already has a pending checkout
-    if (subscriptionService.hasPendingCheckout(discordId)) {
+    if (await subscriptionService.hasPendingCheckout(discordId)) {
       await interaction.editReply({
-        content:
-          "⏳ Vec imate aktivnu sesiju za placanje. Molimo zavrsiste placanje ili sacekajte nekoliko minuta prije ponovnog pokusaja.",
+        content: i18n.t(locale, "subscribe.pendingCheckout"),
       });
       return;
     }
 
-    // Get user email if available
-    const userEmail = existingUser?.email || null;
+    // Let the user pick a plan when more than one is offered
+    const plans = planService.getAvailablePlans();
+    if (plans.length > 1) {
+      await interaction.editReply({
+        content: i18n.t(locale, "subscribe.choosePlan"),
+        components: [createPlanSelectMenu(plans, locale)],
+      });
+      return;
+    }
 
-    // Create Stripe checkout session
-    const checkoutResult = await stripeService.createCheckoutSession(
+    // Create Stripe checkout session (single plan: default price)
+    const checkoutResult = await subscriptionService.startCheckout(
       discordId,
       discordUsername,
-      userEmail
+      existingUser?.email || null
     );
 
     if (!checkoutResult.success) {
@@ -127,17 +161,16 @@ async function handleSubscribeButton(interaction) {
         `Failed to create checkout session for ${discordUsername}: ${checkoutResult.error}`
       );
       await interaction.editReply({
-        content:
-          "❌ Nije moguce kreirati sesiju za placanje. Molimo pokusajte ponovo kasnije ili kontaktirajte osoblje.",
+        content: i18n.t(locale, "subscribe.checkoutFailed"),
       });
       return;
     }
 
-    // Trigger fast polling for this user
-    subscriptionService.triggerFastPolling(discordId, checkoutResult.sessionId);
-
     // Create checkout embed with link
-    const checkoutEmbed = createSubscriptionCheckoutEmbed(checkoutResult.url);
+    const checkoutEmbed = createSubscriptionCheckoutEmbed(
+      checkoutResult.url,
+      locale
+    );
 
     await interaction.editReply({
       embeds: [checkoutEmbed],
@@ -151,8 +184,7 @@ async function handleSubscribeButton(interaction) {
 
     try {
       await interaction.editReply({
-        content:
-          "❌ Doslo je do greske prilikom obrade vaseg zahtjeva. Molimo pokusajte ponovo kasnije.",
+        content: i18n.t(locale, "common.error"),
       });
     } catch (editError) {
       logger.error(`Error sending error message: ${editError.message}`);
@@ -165,10 +197,273 @@ async function handleSubscribeButton(interaction) {
  * @param {Interaction} interaction - Discord interaction
  */
 async function handleSecondServerSubscribeButton(interaction) {
-  // Same logic as main server subscribe
+  // Same logic as main server subscribe, answered in the English server's locale
   await handleSubscribeButton(interaction);
 }
 
+/**
+ * Handle subscription cancel confirmation (from /subscription cancel)
+ * Cancels at period end so the member keeps access until the paid period runs out.
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleSubscriptionCancelConfirmButton(interaction) {
+  const discordId = interaction.user.id;
+  const locale = i18n.getInteractionLocale(interaction);
+
+  try {
+    await interaction.deferUpdate();
+
+    const dbUser = await database.getUserByDiscordId(discordId);
+    if (!dbUser?.stripe_subscription_id) {
+      await interaction.editReply({
+        content: i18n.t(locale, "subscription.notCancellable"),
+        components: [],
+      });
+      return;
+    }
+
+    const result = await stripeService.cancelSubscription(
+      dbUser.stripe_subscription_id,
+      false
+    );
+
+    if (!result.success) {
+      await interaction.editReply({
+        content: i18n.t(locale, "subscription.cancelFailed"),
+        components: [],
+      });
+      return;
+    }
+
+    logger.info(
+      `Subscription ${dbUser.stripe_subscription_id} set to cancel at period end by ${interaction.user.tag}`
+    );
+
+    await interaction.editReply({
+      content: i18n.t(locale, "subscription.cancelled", {
+        date: i18n.formatDate(locale, result.currentPeriodEnd),
+      }),
+      components: [],
+    });
+  } catch (error) {
+    logger.error(`Error handling subscription cancel: ${error.message}`);
+    try {
+      await interaction.editReply({
+        content: i18n.t(locale, "common.error"),
+        components: [],
+      });
+    } catch (editError) {
+      logger.error(`Error sending error message: ${editError.message}`);
+    }
+  }
+}
+
+/**
+ * Handle subscription cancel abort (from /subscription cancel)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleSubscriptionCancelAbortButton(interaction) {
+  await interaction.update({
+    content: i18n.t(
+      i18n.getInteractionLocale(interaction),
+      "subscription.cancelAborted"
+    ),
+    components: [],
+  });
+}
+
+/**
+ * Handle reset run approval (from /reset-all dry run)
+ * Must be clicked by an administrator other than the one who requested it.
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleResetRunApproveButton(interaction) {
+  const runId = parseInt(interaction.customId.replace("reset_run_approve_", ""), 10);
+
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+    logger.warn(
+      `Denied reset run #${runId} approval for ${interaction.user.tag} (${interaction.user.id}): not an administrator`
+    );
+    await interaction.reply({
+      content: "⛔ Only administrators can approve a reset.",
+      flags: 64,
+    });
+    return;
+  }
+
+  const result = await subscriptionReset.approveReset(
+    runId,
+    interaction.user.id
+  );
+
+  if (!result.success) {
+    await interaction.reply({ content: `❌ ${result.error}`, flags: 64 });
+    return;
+  }
+
+  await interaction.update({
+    content:
+      `${interaction.message.content}\n\n` +
+      `✅ **Approved by <@${interaction.user.id}>** - reset is running...`,
+    components: [],
+  });
+
+  // Runs longer than the interaction token lives, so report in the channel
+  let summary;
+  try {
+    const outcome = await subscriptionReset.executeRun(runId);
+    summary = outcome.interrupted
+      ? `⏸️ Reset run #${runId} paused for a bot restart. It continues with the remaining members when the bot is back.`
+      : `**Subscription reset #${runId} completed:**\n` +
+        `• Total users: ${outcome.totalCount}\n` +
+        `• Successful: ${outcome.successCount}\n` +
+        `• Errors: ${outcome.errorCount}`;
+  } catch (error) {
+    logger.error(`Reset run #${runId} failed: ${error.message}`);
+    summary = `❌ Reset run #${runId} stopped: ${error.message}. It resumes on the next bot restart.`;
+  }
+
+  try {
+    await interaction.channel.send({ content: summary });
+  } catch (sendError) {
+    logger.error(`Could not post reset run summary: ${sendError.message}`);
+  }
+}
+
+/**
+ * Handle reset run cancellation (from /reset-all dry run)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleResetRunCancelButton(interaction) {
+  const runId = parseInt(interaction.customId.replace("reset_run_cancel_", ""), 10);
+
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+    await interaction.reply({
+      content: "⛔ Only administrators can cancel a reset.",
+      flags: 64,
+    });
+    return;
+  }
+
+  const cancelled = await subscriptionReset.cancelReset(
+    runId,
+    interaction.user.id
+  );
+
+  if (!cancelled) {
+    await interaction.reply({
+      content: "❌ This reset can no longer be cancelled.",
+      flags: 64,
+    });
+    return;
+  }
+
+  await interaction.update({
+    content:
+      `${interaction.message.content}\n\n` +
+      `🚫 **Cancelled by <@${interaction.user.id}>** - nothing was changed.`,
+    components: [],
+  });
+}
+
+/**
+ * Handle audit log pagination (from /audit)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleAuditPageButton(interaction) {
+  // Lazy require: commands.js owns the permission map
+  const { checkCommandPermission } = require("./commands");
+
+  const { allowed, reason } = checkCommandPermission(interaction, "audit");
+  if (!allowed) {
+    logger.warn(
+      `Denied audit paging for ${interaction.user.tag} (${interaction.user.id}): ${reason}`
+    );
+    await interaction.reply({
+      content: "⛔ You don't have permission to view the audit log.",
+      flags: 64,
+    });
+    return;
+  }
+
+  const [targetId, page] = interaction.customId
+    .replace("audit_page_", "")
+    .split("_");
+
+  await interaction.deferUpdate();
+
+  const pageData = await auditService.getAuditPage(targetId, parseInt(page, 10));
+
+  await interaction.editReply({
+    embeds: [createAuditLogEmbed(targetId, pageData)],
+    components: [
+      createAuditPaginationButtons(targetId, pageData.page, pageData.totalPages),
+    ],
+  });
+}
+
+/**
+ * Handle /whois action buttons (resync from Stripe, revoke access)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleWhoisActionButton(interaction) {
+  // Lazy require: commands.js owns the permission map
+  const { checkCommandPermission } = require("./commands");
+
+  const { allowed, reason } = checkCommandPermission(interaction, "whois");
+  if (!allowed) {
+    logger.warn(
+      `Denied whois action for ${interaction.user.tag} (${interaction.user.id}): ${reason}`
+    );
+    await interaction.reply({
+      content: "⛔ You don't have permission to use this action.",
+      flags: 64,
+    });
+    return;
+  }
+
+  const [action, discordId] = interaction.customId
+    .replace("whois_", "")
+    .split("_");
+
+  await interaction.deferUpdate();
+
+  let content;
+  if (action === "resync") {
+    logger.info(`${interaction.user.tag} resyncing ${discordId} from whois`);
+    const result = await subscriptionService.resyncMember(discordId, {
+      actorId: interaction.user.id,
+      reason: "/whois resync",
+    });
+    content = result.success
+      ? `✅ Resynced <@${discordId}> from Stripe (status: ${result.status}).`
+      : `❌ Resync failed: ${result.error}`;
+  } else {
+    logger.info(`${interaction.user.tag} revoking access for ${discordId} from whois`);
+    if (await database.getActiveManualAccess(discordId)) {
+      content = `⚠️ <@${discordId}> has manual access - use /revoke to end it.`;
+    } else {
+      await subscriptionService.removeSubscriptionRoles(discordId, {
+        actorId: interaction.user.id,
+        reason: "/whois revoke",
+      });
+      content =
+        `✅ Removed subscription roles from <@${discordId}>. ` +
+        "An active Stripe subscription will grant them again on the next sync - cancel it in Stripe to end access for good.";
+    }
+  }
+
+  const profile = await whoisService.lookupMember(interaction.client, discordId);
+  if (profile) {
+    await interaction.editReply({
+      embeds: [createWhoisEmbed(profile)],
+      components: [createWhoisActionButtons(discordId)],
+    });
+  }
+
+  await interaction.followUp({ content, flags: 64 });
+}
+
 /**
  * Handle users pagination button clicks
  * @param {Interaction} interaction - Discord interaction
@@ -274,11 +569,18 @@ async function updateUsersEmbed(page = currentUsersPage) {
       logger.warn("Client not available for updating users embed");
       return;
     }
-    const usersChannel = await client.channels.fetch(channels.USERS_CHANNEL_ID);
+    const usersChannelId = guildConfigService.getChannel(
+      process.env.GUILD_ID,
+      "users"
+    );
+    if (!usersChannelId) {
+      logger.debug("No users channel configured for the main server");
+      return;
+    }
+
+    const usersChannel = await client.channels.fetch(usersChannelId);
     if (!usersChannel) {
-      logger.error(
-        `Could not find users channel with ID: ${channels.USERS_CHANNEL_ID}`
-      );
+      logger.error(`Could not find users channel with ID: ${usersChannelId}`);
       return;
     }
 
@@ -319,7 +621,6 @@ async function updateUsersEmbed(page = currentUsersPage) {
 async function handleSecondServerJoinButton(interaction) {
   const { EmbedBuilder } = require("discord.js");
   const database = require("../services/database");
-  const ROLES = require("../constants/roles");
   const discordConfig = require("../config/discord");
   const { client } = require("../index");
 
@@ -327,6 +628,7 @@ async function handleSecondServerJoinButton(interaction) {
     const discordId = interaction.user.id;
     const member = interaction.member;
     const guild = interaction.guild;
+    const locale = i18n.getInteractionLocale(interaction);
 
     logger.info(`Second server join button clicked by ${interaction.user.tag}`);
 
@@ -340,7 +642,7 @@ async function handleSecondServerJoinButton(interaction) {
       );
 
       // Show the same registration modal as the main server
-      const modal = createRegistrationModal();
+      const modal = createRegistrationModal(locale);
       await interaction.showModal(modal);
       return;
     }
@@ -374,18 +676,17 @@ async function handleSecondServerJoinButton(interaction) {
 
     // Handle role assignment
     const unverifiedRole = guild.roles.cache.get(
-      ROLES.SECOND_SERVER_UNVERIFIED
+      guildConfigService.getRole(guild.id, "unverified")
+    );
+    const verifiedRole = guild.roles.cache.get(
+      guildConfigService.getRole(guild.id, "member")
     );
-    const verifiedRole = guild.roles.cache.get(ROLES.SECOND_SERVER_VERIFIED);
 
     let roleResult = { success: false, message: "" };
 
     try {
       // Remove unverified role if user has it
-      if (
-        unverifiedRole &&
-        member.roles.cache.has(ROLES.SECOND_SERVER_UNVERIFIED)
-      ) {
+      if (unverifiedRole && member.roles.cache.has(unverifiedRole.id)) {
         await member.roles.remove(unverifiedRole);
         logger.info(
           `Removed unverified role from ${userData.discord_username}`
@@ -397,41 +698,44 @@ async function handleSecondServerJoinButton(interaction) {
         await member.roles.add(verifiedRole);
         logger.info(`Added verified role to ${userData.discord_username}`);
         roleResult.success = true;
-        roleResult.message = "✅ Verified Member";
+        roleResult.message = i18n.t(locale, "secondServer.verified");
       } else {
         logger.error("Verified role not found in second server");
-        roleResult.message = "⚠️ Role assignment failed";
+        roleResult.message = i18n.t(locale, "secondServer.roleFailed");
       }
     } catch (roleError) {
       logger.error(
         `Error managing roles for ${userData.discord_username}: ${roleError.message}`
       );
-      roleResult.message = "⚠️ Role assignment failed";
+      roleResult.message = i18n.t(locale, "secondServer.roleFailed");
     }
 
     // Send success message
     const embed = new EmbedBuilder()
-      .setTitle("🎉 Welcome to SEOLAXY (EN)!")
+      .setTitle(i18n.t(locale, "secondServer.welcomeTitle"))
       .setDescription(
-        `Welcome **${userData.first_name} ${userData.last_name}**! Your English server setup is complete.`
+        i18n.t(locale, "secondServer.welcomeDescription", {
+          name: `${userData.first_name} ${userData.last_name}`,
+        })
       )
       .addFields(
         {
-          name: "Nickname",
+          name: i18n.t(locale, "secondServer.nickname"),
           value:
             newNickname.length <= 32
               ? newNickname
-              : "Could not set nickname (too long)",
+              : i18n.t(locale, "secondServer.nicknameTooLong"),
           inline: true,
         },
         {
-          name: "Status",
+          name: i18n.t(locale, "secondServer.status"),
           value: roleResult.message,
           inline: true,
         },
         {
-          name: "Project",
-          value: userData.project_name || "Not specified",
+          name: i18n.t(locale, "secondServer.project"),
+          value:
+            userData.project_name || i18n.t(locale, "secondServer.projectNotSet"),
           inline: true,
         }
       )
@@ -448,33 +752,43 @@ async function handleSecondServerJoinButton(interaction) {
   } catch (error) {
     logger.error(`Error in second server join: ${error.message}`);
     await interaction.editReply({
-      content:
-        "❌ There was an error setting up your account. Please contact an administrator.",
+      content: i18n.t(
+        i18n.getInteractionLocale(interaction),
+        "secondServer.error"
+      ),
     });
   }
 }
 
-// ===== Mentorship #2 Handlers =====
+// ===== Cohort Handlers =====
 
 /**
- * Handle Mentorship #2 join button click
+ * Handle a cohort's join button click
  * @param {Interaction} interaction - Discord interaction
+ * @param {Object} cohort - Cohort row
  */
-async function handleMentorship2JoinButton(interaction) {
-  logger.info(
-    `Mentorship #2 join button clicked by ${interaction.user.tag}`
-  );
+async function handleCohortJoinButton(interaction, cohort) {
+  const locale = i18n.getInteractionLocale(interaction);
+  logger.info(`${cohort.name} join button clicked by ${interaction.user.tag}`);
 
-  const modal = createMentorship2Modal();
+  if (!cohortService.isOpen(cohort)) {
+    await interaction.reply({
+      content: i18n.t(locale, "cohort.errors.closed", { cohort: cohort.name }),
+      flags: 64,
+    });
+    return;
+  }
+
+  const modal = createCohortJoinModal(cohort, locale);
   await interaction.showModal(modal);
 }
 
 /**
- * Check if member can manage M2 users (Administrator or Manage Guild)
+ * Check if member can manage cohort users (Administrator or Manage Guild)
  * @param {GuildMember} member - Discord guild member
  * @returns {boolean}
  */
-function canManageM2Users(member) {
+function canManageCohortUsers(member) {
   return (
     member.permissions.has(PermissionFlagsBits.Administrator) ||
     member.permissions.has(PermissionFlagsBits.ManageGuild)
@@ -482,104 +796,112 @@ function canManageM2Users(member) {
 }
 
 /**
- * Handle Mentorship #2 "Remove user" button click
+ * Handle a cohort's "Remove user" button click
  * @param {Interaction} interaction - Discord interaction
+ * @param {Object} cohort - Cohort row
  */
-async function handleMentorship2RemoveUserButton(interaction) {
-  if (!canManageM2Users(interaction.member)) {
+async function handleCohortRemoveUserButton(interaction, cohort) {
+  const locale = i18n.getInteractionLocale(interaction);
+
+  if (!canManageCohortUsers(interaction.member)) {
     await interaction.reply({
-      content: "❌ Nemaš ovlasti za uklanjanje korisnika.",
+      content: i18n.t(locale, "cohort.manage.noPermissionRemove"),
       flags: 64,
     });
     return;
   }
-  const modal = createMentorship2RemoveUserModal();
+  const modal = createCohortRemoveUserModal(cohort, locale);
   await interaction.showModal(modal);
 }
 
 /**
- * Handle Mentorship #2 "Edit user" button click
+ * Handle a cohort's "Edit user" button click
  * @param {Interaction} interaction - Discord interaction
+ * @param {Object} cohort - Cohort row
  */
-async function handleMentorship2EditUserButton(interaction) {
-  if (!canManageM2Users(interaction.member)) {
+async function handleCohortEditUserButton(interaction, cohort) {
+  const locale = i18n.getInteractionLocale(interaction);
+
+  if (!canManageCohortUsers(interaction.member)) {
     await interaction.reply({
-      content: "❌ Nemaš ovlasti za uređivanje korisnika.",
+      content: i18n.t(locale, "cohort.manage.noPermissionEdit"),
       flags: 64,
     });
     return;
   }
-  const modal = createMentorship2EditUserModal();
+  const modal = createCohortEditUserModal(cohort, locale);
   await interaction.showModal(modal);
 }
 
 /**
- * Handle Mentorship #2 users pagination button clicks
+ * Handle a cohort's users pagination button clicks
  * @param {Interaction} interaction - Discord interaction
+ * @param {Object} cohort - Cohort row
+ * @param {string} action - users_first, users_prev, users_next or users_last
  */
-async function handleMentorship2UsersPaginationButton(interaction) {
+async function handleCohortUsersPaginationButton(interaction, cohort, action) {
   try {
     await interaction.deferUpdate();
 
-    const users = await database.fetchMentorship2Users();
+    const users = await database.fetchCohortUsers(cohort.id);
     const totalPages = Math.max(1, Math.ceil(users.length / USERS_PER_PAGE));
-    let newPage = m2CurrentUsersPage;
+    const currentPage = cohortUsersEmbeds.get(cohort.slug)?.page || 1;
+    let newPage = currentPage;
 
-    switch (interaction.customId) {
-      case "m2_users_first_page":
+    switch (action) {
+      case "users_first":
         newPage = 1;
         break;
-      case "m2_users_prev_page":
-        newPage = Math.max(1, m2CurrentUsersPage - 1);
+      case "users_prev":
+        newPage = Math.max(1, currentPage - 1);
         break;
-      case "m2_users_next_page":
-        newPage = Math.min(totalPages, m2CurrentUsersPage + 1);
+      case "users_next":
+        newPage = Math.min(totalPages, currentPage + 1);
         break;
-      case "m2_users_last_page":
+      case "users_last":
         newPage = totalPages;
         break;
-      default:
-        logger.warn(
-          `Unknown M2 pagination button: ${interaction.customId}`
-        );
-        return;
     }
 
-    await updateMentorship2UsersEmbed(newPage);
+    await updateCohortUsersEmbed(cohort, newPage);
 
     logger.info(
-      `M2 users pagination: moved to page ${newPage} by ${interaction.user.tag}`
+      `${cohort.name} users pagination: moved to page ${newPage} by ${interaction.user.tag}`
     );
   } catch (error) {
-    logger.error(`Error handling M2 users pagination: ${error.message}`);
+    logger.error(`Error handling cohort users pagination: ${error.message}`);
     try {
       await interaction.followUp({
-        content:
-          "❌ Greška pri ažuriranju liste korisnika. Pokušajte ponovo.",
+        content: i18n.t(
+          i18n.getInteractionLocale(interaction),
+          "cohort.manage.paginationError"
+        ),
         flags: 64,
       });
     } catch (followUpError) {
       logger.error(
-        `Error sending M2 pagination error message: ${followUpError.message}`
+        `Error sending cohort pagination error message: ${followUpError.message}`
       );
     }
   }
 }
 
 /**
- * Handle Mentorship #2 users export button click
+ * Handle a cohort's users export button click
  * @param {Interaction} interaction - Discord interaction
+ * @param {Object} cohort - Cohort row
  */
-async function handleMentorship2UsersExportButton(interaction) {
+async function handleCohortUsersExportButton(interaction, cohort) {
+  const locale = i18n.getInteractionLocale(interaction);
+
   try {
     await interaction.deferReply({ flags: 64 });
 
     logger.info(
-      `M2 Users CSV export requested by ${interaction.user.tag}`
+      `${cohort.name} users CSV export requested by ${interaction.user.tag}`
     );
 
-    const csvExportM2 = require("../services/csvExport");
-    const exportResult = await csvExportM2.exportMentorship2UsersAsCSV();
+    const exportResult = await csvExport.exportCohortUsersAsCSV(cohort);
 
     if (!exportResult.success) {
       await interaction.editReply({
@@ -589,70 +911,93 @@ async function handleMentorship2UsersExportButton(interaction) {
     }
 
     await interaction.editReply({
-      content: `✅ **Mentorship #2 korisnici eksportirani!**\n\n📊 **${
-        exportResult.userCount
-      } korisnika** eksportirano u CSV\n📅 Generirano: ${exportResult.timestamp.toLocaleString()}`,
+      content: i18n.t(locale, "cohort.manage.exported", {
+        cohort: cohort.name,
+        count: exportResult.userCount,
+        date: exportResult.timestamp.toLocaleString(),
+      }),
       files: [exportResult.attachment],
     });
 
     logger.info(
-      `M2 CSV export completed for ${interaction.user.tag} - ${exportResult.userCount} users exported`
+      `${cohort.name} CSV export completed for ${interaction.user.tag} - ${exportResult.userCount} users exported`
     );
   } catch (error) {
-    logger.error(`Error handling M2 users export: ${error.message}`);
+    logger.error(`Error handling cohort users export: ${error.message}`);
     try {
       await interaction.editReply({
-        content:
-          "❌ Greška pri generiranju CSV eksporta. Pokušajte ponovo.",
+        content: i18n.t(locale, "cohort.manage.exportFailed"),
       });
     } catch (editError) {
       logger.error(
-        `Error sending M2 export error message: ${editError.message}`
+        `Error sending cohort export error message: ${editError.message}`
       );
     }
   }
 }
 
 /**
- * Send or update Mentorship #2 users embed
- * @param {number} page - Page number to display
+ * Send or update a cohort's users embed
+ * @param {Object} cohort - Cohort row
+ * @param {number} page - Page number to display (defaults to the current one)
  */
-async function updateMentorship2UsersEmbed(page = m2CurrentUsersPage) {
+async function updateCohortUsersEmbed(cohort, page = null) {
+  const state = cohortUsersEmbeds.get(cohort.slug) || {
+    page: 1,
+    messageId: null,
+  };
+  page = page || state.page;
+
   try {
     const { client } = require("../index");
     if (!client || !client.channels) {
-      logger.warn("Client not available for updating M2 users embed");
+      logger.warn("Client not available for updating cohort users embed");
       return;
     }
 
-    const usersChannel = await client.channels.fetch(
-      channels.MENTORSHIP2_USERS_CHANNEL_ID
-    );
+    if (!cohort.users_channel_id) {
+      logger.debug(`No users channel configured for ${cohort.name}`);
+      return;
+    }
+
+    const usersChannel = await client.channels.fetch(cohort.users_channel_id);
     if (!usersChannel) {
       logger.error(
-        `Could not find M2 users channel with ID: ${channels.MENTORSHIP2_USERS_CHANNEL_ID}`
+        `Could not find ${cohort.name} users channel with ID: ${cohort.users_channel_id}`
       );
       return;
     }
 
-    const { embed, totalPages } = await generateMentorship2UsersEmbed(page);
-    m2CurrentUsersPage = page;
-
-    const components = createMentorship2UserInterfaceButtons(totalPages, page);
+    // Posted to the server's channel, so it uses the server's language
+    const locale = i18n.resolveLocale({ guildId: usersChannel.guild?.id });
+    const { embed, totalPages } = await generateCohortUsersEmbed(
+      cohort,
+      page,
+      locale
+    );
+    state.page = page;
+    cohortUsersEmbeds.set(cohort.slug, state);
+
+    const components = createCohortUserInterfaceButtons(
+      cohort.slug,
+      totalPages,
+      page,
+      locale
+    );
 
-    if (m2UsersEmbedMessageId) {
+    if (state.messageId) {
       try {
         const existingMessage = await usersChannel.messages.fetch(
-          m2UsersEmbedMessageId
+          state.messageId
         );
         await existingMessage.edit({ embeds: [embed], components });
-        logger.info(`M2 users embed updated successfully (page ${page})`);
+        logger.info(`${cohort.name} users embed updated (page ${page})`);
         return;
       } catch (error) {
         logger.warn(
-          `Could not edit existing M2 users embed: ${error.message}`
+          `Could not edit existing ${cohort.name} users embed: ${error.message}`
         );
-        m2UsersEmbedMessageId = null;
+        state.messageId = null;
       }
     }
 
@@ -660,10 +1005,42 @@ async function updateMentorship2UsersEmbed(page = m2CurrentUsersPage) {
       embeds: [embed],
       components,
     });
-    m2UsersEmbedMessageId = message.id;
-    logger.info(`New M2 users embed sent successfully (page ${page})`);
+    state.messageId = message.id;
+    logger.info(`New ${cohort.name} users embed sent (page ${page})`);
   } catch (error) {
-    logger.error(`Error updating M2 users embed: ${error.message}`);
+    logger.error(`Error updating ${cohort.name} users embed: ${error.message}`);
+  }
+}
+
+/**
+ * Route a cohort button (cohort_<action>_<slug>) to its handler
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleCohortButton(interaction) {
+  const [, action, slug] =
+    interaction.customId.match(COHORT_BUTTON_PATTERN) || [];
+  const cohort = slug ? cohortService.getCohort(slug) : null;
+
+  if (!cohort) {
+    logger.warn(`Button for unknown cohort: ${interaction.customId}`);
+    return;
+  }
+
+  switch (action) {
+    case "join":
+      await handleCohortJoinButton(interaction, cohort);
+      break;
+    case "remove_user":
+      await handleCohortRemoveUserButton(interaction, cohort);
+      break;
+    case "edit_user":
+      await handleCohortEditUserButton(interaction, cohort);
+      break;
+    case "export":
+      await handleCohortUsersExportButton(interaction, cohort);
+      break;
+    default:
+      await handleCohortUsersPaginationButton(interaction, cohort, action);
   }
 }
 
@@ -681,20 +1058,24 @@ async function handleButton(interaction) {
       await handleSecondServerJoinButton(interaction);
     } else if (interaction.customId === "second_server_subscribe") {
       await handleSecondServerSubscribeButton(interaction);
+    } else if (interaction.customId === "subscription_cancel_confirm") {
+      await handleSubscriptionCancelConfirmButton(interaction);
+    } else if (interaction.customId === "subscription_cancel_abort") {
+      await handleSubscriptionCancelAbortButton(interaction);
+    } else if (interaction.customId.startsWith("reset_run_approve_")) {
+      await handleResetRunApproveButton(interaction);
+    } else if (interaction.customId.startsWith("reset_run_cancel_")) {
+      await handleResetRunCancelButton(interaction);
+    } else if (interaction.customId.startsWith("audit_page_")) {
+      await handleAuditPageButton(interaction);
+    } else if (interaction.customId.startsWith("whois_")) {
+      await handleWhoisActionButton(interaction);
     } else if (interaction.customId === "users_export_csv") {
       await handleUsersExportButton(interaction);
     } else if (interaction.customId.startsWith("users_")) {
       await handleUsersPaginationButton(interaction);
-    } else if (interaction.customId === "mentorship2_join") {
-      await handleMentorship2JoinButton(interaction);
-    } else if (interaction.customId === "m2_remove_user") {
-      await handleMentorship2RemoveUserButton(interaction);
-    } else if (interaction.customId === "m2_edit_user") {
-      await handleMentorship2EditUserButton(interaction);
-    } else if (interaction.customId === "m2_users_export_csv") {
-      await handleMentorship2UsersExportButton(interaction);
-    } else if (interaction.customId.startsWith("m2_users_")) {
-      await handleMentorship2UsersPaginationButton(interaction);
+    } else if (interaction.customId.startsWith("cohort_")) {
+      await handleCohortButton(interaction);
     } else {
       logger.warn(`Unknown button interaction: ${interaction.customId}`);
     }
@@ -706,12 +1087,18 @@ async function handleButton(interaction) {
 module.exports = {
   handleButton,
   updateUsersEmbed,
-  updateMentorship2UsersEmbed,
+  updateCohortUsersEmbed,
   handleJoinButton,
   handleSubscribeButton,
   handleSecondServerSubscribeButton,
+  handleSubscriptionCancelConfirmButton,
+  handleSubscriptionCancelAbortButton,
+  handleResetRunApproveButton,
+  handleResetRunCancelButton,
+  handleAuditPageButton,
+  handleWhoisActionButton,
   handleUsersPaginationButton,
   handleUsersExportButton,
   resetUsersEmbedState,
-  resetMentorship2UsersEmbedState,
+  resetCohortUsersEmbedState,
 };
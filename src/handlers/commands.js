@@ -1,169 +1,101 @@
 /**
  * Command Handlers
- * Handles Discord slash command interactions
+ * Routes slash command and autocomplete interactions to the command modules
+ * in src/commands (see commands/index.js) after checking permissions
  */
 
-const logger = require("../utils/logger");
-const database = require("../services/database");
+const logger = require("../utils/logger").child({ module: "commands" });
 const stripeService = require("../services/stripeService");
-const subscriptionService = require("../services/subscriptionService");
-const subscriptionReset = require("../services/subscriptionReset");
+const guildConfigService = require("../services/guildConfigService");
+const commandRegistry = require("../commands");
+
+// Who may run a command is its module's permissions rule. Checked in
+// handleCommand before dispatching; default_member_permissions only hides
+// commands in the client and can be overridden per server, so it is not
+// relied on.
+// - permissions: Discord permissions, any one of them grants access
+// - roles: role settings (roles.<name> in /config), any one of them grants
+//   access in the server the command is used in
+// - allowInTestMode: everyone may run it while Stripe is in test mode
+// A command with no requirements is open to everyone. Unknown commands are
+// denied.
 
 /**
- * Handle hello command
+ * Check whether the invoking member may run a command
+ * Also used by buttons that belong to a command (e.g. /audit paging).
  * @param {Interaction} interaction - Discord interaction
+ * @param {string} commandName - Command to check (defaults to the invoked command)
+ * @param {Object} options - { ignoreTestMode } ignoreTestMode: only grant
+ *   access through permissions and roles, even in test mode
+ * @returns {Object} - { allowed, reason }
  */
-async function handleHelloCommand(interaction) {
-  const user = interaction.user;
-  logger.info(`Hello command used by ${user.tag}`);
-
-  await interaction.reply({
-    content: `👋 Hello world! Nice to meet you, ${user.displayName}!`,
-    ephemeral: false, // Set to true if you want only the user to see the response
-  });
-}
-
-/**
- * Handle test-reset command - performs subscription reset on the invoking user
- * @param {Interaction} interaction - Discord interaction
- */
-async function handleTestResetCommand(interaction) {
-  const discordId = interaction.user.id;
-  logger.info(`Test-reset command used by ${interaction.user.tag} (${discordId})`);
-
-  await interaction.deferReply({ flags: 64 });
-
-  // Check if user exists in DB with an active subscription
-  const dbUser = await database.getUserByDiscordId(discordId);
-  if (!dbUser) {
-    await interaction.editReply({ content: "You are not in the database." });
-    return;
+function checkCommandPermission(
+  interaction,
+  commandName = interaction.commandName,
+  { ignoreTestMode = false } = {}
+) {
+  const rule = commandRegistry.getCommand(commandName)?.permissions;
+
+  if (!rule) {
+    return { allowed: false, reason: "no permission rule defined" };
   }
 
-  // Even if subscription data is already cleared, still delete the user
-  // so they can go through fresh registration
-
-  const results = [];
+  const permissions = rule.permissions || [];
+  const roles = rule.roles || [];
 
-  // 1. Cancel Stripe subscription
-  if (dbUser.stripe_subscription_id) {
-    try {
-      await stripeService.cancelSubscription(dbUser.stripe_subscription_id, true);
-      results.push("Stripe subscription cancelled");
-    } catch (err) {
-      results.push(`Stripe cancel failed: ${err.message}`);
-      logger.error(`Test-reset Stripe cancel failed for ${discordId}: ${err.message}`);
-    }
-  } else {
-    results.push("No Stripe subscription to cancel");
+  if (permissions.length === 0 && roles.length === 0) {
+    return { allowed: true };
   }
 
-  // 2. Remove Discord roles (adds UNVERIFIED back)
-  try {
-    await subscriptionService.removeSubscriptionRoles(discordId);
-    results.push("Roles removed, UNVERIFIED added");
-  } catch (err) {
-    results.push(`Role removal failed: ${err.message}`);
-    logger.error(`Test-reset role removal failed for ${discordId}: ${err.message}`);
+  if (
+    rule.allowInTestMode &&
+    !ignoreTestMode &&
+    stripeService.getIsTestMode()
+  ) {
+    return { allowed: true };
   }
 
-  // 3. Delete user from DB entirely so they can re-register fresh
-  try {
-    await database.deleteUser(discordId);
-    results.push("User deleted from database");
-  } catch (err) {
-    results.push(`DB delete failed: ${err.message}`);
-    logger.error(`Test-reset DB delete failed for ${discordId}: ${err.message}`);
+  const member = interaction.member;
+  if (!member) {
+    return { allowed: false, reason: "not used in a server" };
   }
 
-  // 4. Send DM notification
-  try {
-    const user = await interaction.client.users.fetch(discordId);
-    await user.send({
-      embeds: [
-        {
-          title: "Pretplata resetovana",
-          description:
-            "Tvoja pretplata na Seolaxy mentorship je zavrsena.\n\n" +
-            "Zbog prelaska na novi sistem pretplata, potrebno je da se ponovo pretplatis.\n\n" +
-            "Idi na kanal za prijavu na serveru i klikni na **Subscribe** dugme kako bi nastavio/la sa pristupom.\n\n" +
-            "Hvala na razumijevanju! 💙",
-          color: 0x5865f2,
-          footer: { text: "Seolaxy Mentorship" },
-        },
-      ],
-    });
-    results.push("DM sent");
-  } catch (err) {
-    results.push(`DM failed: ${err.message}`);
-    logger.error(`Test-reset DM failed for ${discordId}: ${err.message}`);
-  }
+  // interaction.memberPermissions is resolved by Discord for the channel
+  const hasPermission = permissions.some((permission) =>
+    interaction.memberPermissions?.has(permission)
+  );
 
-  await interaction.editReply({
-    content: `**Test reset completed:**\n${results.map((r) => `• ${r}`).join("\n")}`,
+  // member.roles is a manager for cached members, a plain ID array otherwise
+  const memberRoleIds = Array.isArray(member.roles)
+    ? member.roles
+    : [...member.roles.cache.keys()];
+  const guildId = interaction.guildId ?? interaction.guild?.id;
+  const hasRole = roles.some((name) => {
+    const roleId = guildConfigService.getRole(guildId, name);
+    return roleId && memberRoleIds.includes(roleId);
   });
-}
 
-/**
- * Handle test-mode command - toggle Stripe between test and live mode (admin only)
- * @param {Interaction} interaction - Discord interaction
- */
-async function handleTestModeCommand(interaction) {
-  logger.info(`Test-mode command used by ${interaction.user.tag}`);
-
-  const currentlyTest = stripeService.getIsTestMode();
-
-  if (currentlyTest) {
-    const success = stripeService.switchToLiveMode();
-    await interaction.reply({
-      content: success
-        ? "Switched to **LIVE** mode. Stripe is now using live keys."
-        : "Failed to switch to live mode. Check logs.",
-      flags: 64,
-    });
-  } else {
-    const success = stripeService.switchToTestMode();
-    await interaction.reply({
-      content: success
-        ? "Switched to **TEST** mode. Stripe is now using test keys."
-        : "Failed to switch to test mode. Check that STRIPE_TEST_SECRET_KEY is set.",
-      flags: 64,
-    });
+  if (hasPermission || hasRole) {
+    return { allowed: true };
   }
+
+  return { allowed: false, reason: "missing required permission or role" };
 }
 
 /**
- * Handle reset-all command - resets all active subscriptions (admin only)
- * Cancels Stripe subs, removes roles, deletes from DB, and DMs all verified users
+ * Find the handler for an interaction's command and subcommand
+ * @param {Object} command - Command module
  * @param {Interaction} interaction - Discord interaction
+ * @returns {Function|null} - Handler or null if nothing handles it
  */
-async function handleResetAllCommand(interaction) {
-  logger.info(`Reset-all command used by ${interaction.user.tag}`);
-
-  await interaction.deferReply({ flags: 64 });
-
-  try {
-    const result = await subscriptionReset.executeReset();
-
-    if (result.totalCount === 0) {
-      await interaction.editReply({
-        content: "No active subscribers found to reset.",
-      });
-    } else {
-      await interaction.editReply({
-        content:
-          `**Subscription reset completed:**\n` +
-          `• Total users: ${result.totalCount}\n` +
-          `• Successful: ${result.successCount}\n` +
-          `• Errors: ${result.errorCount}`,
-      });
+function getCommandHandler(command, interaction) {
+  if (command.subcommands) {
+    const subcommand = interaction.options.getSubcommand(false);
+    if (subcommand && command.subcommands[subcommand]) {
+      return command.subcommands[subcommand];
     }
-  } catch (error) {
-    logger.error(`Reset-all command error: ${error.message}`);
-    await interaction.editReply({
-      content: `Reset failed: ${error.message}`,
-    });
   }
+  return command.execute || null;
 }
 
 /**
@@ -187,21 +119,25 @@ async function handleUnknownCommand(interaction) {
  */
 async function handleCommand(interaction) {
   try {
-    switch (interaction.commandName) {
-      case "hello":
-        await handleHelloCommand(interaction);
-        break;
-      case "test-reset":
-        await handleTestResetCommand(interaction);
-        break;
-      case "test-mode":
-        await handleTestModeCommand(interaction);
-        break;
-      case "reset-all":
-        await handleResetAllCommand(interaction);
-        break;
-      default:
-        await handleUnknownCommand(interaction);
+    const { allowed, reason } = checkCommandPermission(interaction);
+    if (!allowed) {
+      logger.warn(
+        `Denied /${interaction.commandName} for ${interaction.user.tag} (${interaction.user.id}): ${reason}`
+      );
+      await interaction.reply({
+        content: "⛔ You don't have permission to use this command.",
+        flags: 64,
+      });
+      return;
+    }
+
+    const command = commandRegistry.getCommand(interaction.commandName);
+    const handler = command && getCommandHandler(command, interaction);
+
+    if (handler) {
+      await handler(interaction);
+    } else {
+      await handleUnknownCommand(interaction);
     }
   } catch (error) {
     logger.error(`Error handling command: ${error.message}`);
@@ -219,11 +155,34 @@ async function handleCommand(interaction) {
   }
 }
 
+/**
+ * Autocomplete router: asks the command module for suggestions
+ * Members who may not run the command get no suggestions.
+ * @param {Interaction} interaction - Autocomplete interaction
+ */
+async function handleAutocomplete(interaction) {
+  try {
+    const command = commandRegistry.getCommand(interaction.commandName);
+    if (
+      !command?.autocomplete ||
+      !checkCommandPermission(interaction).allowed
+    ) {
+      await interaction.respond([]);
+      return;
+    }
+
+    await command.autocomplete(interaction);
+  } catch (error) {
+    logger.error(
+      `Error handling autocomplete for /${interaction.commandName}: ${error.message}`
+    );
+    // The suggestions expire after 3 seconds; nothing useful to answer
+    await interaction.respond([]).catch(() => {});
+  }
+}
+
 module.exports = {
   handleCommand,
-  handleHelloCommand,
-  handleTestResetCommand,
-  handleTestModeCommand,
-  handleResetAllCommand,
-  handleUnknownCommand,
+  handleAutocomplete,
+  checkCommandPermission,
 };
@@ -0,0 +1,48 @@
+/**
+ * Health Handlers
+ * Handles the health check and metrics HTTP endpoints
+ */
+
+const healthService = require("../services/healthService");
+const metrics = require("../utils/metrics");
+
+/**
+ * Handle liveness probe - the process is up and serving requests
+ * @returns {Object} - HTTP result { status, body }
+ */
+async function handleHealthz() {
+  return { status: 200, body: healthService.getLiveness() };
+}
+
+/**
+ * Handle readiness probe - 503 until Discord, the database and Stripe are
+ * available and a Stripe sync has completed recently
+ * @returns {Object} - HTTP result { status, body }
+ */
+async function handleReadyz() {
+  const { client } = require("../index");
+  const readiness = await healthService.getReadiness(client);
+
+  return { status: readiness.ready ? 200 : 503, body: readiness };
+}
+
+/**
+ * Handle Prometheus scrape
+ * @returns {Object} - HTTP result { status, body, headers }
+ */
+async function handleMetrics() {
+  const { client } = require("../index");
+  metrics.setGauge("discord_ready", client?.isReady() ? 1 : 0);
+
+  return {
+    status: 200,
+    body: metrics.render(),
+    headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" },
+  };
+}
+
+module.exports = {
+  handleHealthz,
+  handleReadyz,
+  handleMetrics,
+};
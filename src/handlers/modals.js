@@ -3,16 +3,26 @@
  * Handles Discord modal submission events
  */
 
-const logger = require("../utils/logger");
+const logger = require("../utils/logger").child({ module: "modals" });
 const seolaxyApi = require("../services/seolaxyApi");
 const userService = require("../services/userService");
 const database = require("../services/database");
-const ROLES = require("../constants/roles");
+const auditService = require("../services/auditService");
+const i18n = require("../services/i18n");
+const guildConfigService = require("../services/guildConfigService");
+const cohortService = require("../services/cohortService");
+const registrationQueue = require("../services/registrationQueue");
+const enrollmentService = require("../services/enrollmentService");
+const purchaseService = require("../services/purchaseService");
 const {
   createRegistrationSuccessEmbed,
-  createMentorship2SuccessEmbed,
+  createCohortSuccessEmbed,
 } = require("../components/embeds");
-const { updateUsersEmbed, updateMentorship2UsersEmbed } = require("./buttons");
+const { updateUsersEmbed, updateCohortUsersEmbed } = require("./buttons");
+
+// Cohort modal IDs: cohort_<action>_modal_<slug>
+const COHORT_MODAL_PATTERN =
+  /^cohort_(join|remove_user|edit_user)_modal_([a-z0-9-]+)$/;
 
 /**
  * Handle join modal submission
@@ -20,6 +30,7 @@ const { updateUsersEmbed, updateMentorship2UsersEmbed } = require("./buttons");
  */
 async function handleJoinModal(interaction) {
   await interaction.deferReply({ flags: 64 }); // 64 = EPHEMERAL flag
+  const locale = i18n.getInteractionLocale(interaction);
 
   // Extract form data
   const firstName = interaction.fields.getTextInputValue("first_name");
@@ -33,121 +44,263 @@ async function handleJoinModal(interaction) {
     `Processing registration for ${interaction.user.tag}: ${firstName} ${lastName}`
   );
 
-  try {
-    const guild = interaction.guild;
-    const member = interaction.member;
+  const userData = {
+    discordId: interaction.user.id,
+    discordUsername: interaction.user.tag,
+    firstName,
+    lastName,
+    email,
+    projectName,
+    invoiceNumber,
+  };
 
+  try {
     // 1. Validate payment intent with Seolaxy API
     const validationResult = await seolaxyApi.validatePaymentIntent(
       invoiceNumber
     );
 
+    // Queue the registration if the API is unavailable
+    if (validationResult.retryable) {
+      await replyQueued(
+        interaction,
+        "registration",
+        userData,
+        validationResult,
+        locale
+      );
+      return;
+    }
+
     // Handle validation errors with specific user feedback
     if (!validationResult.success) {
-      let errorMessage;
-
-      switch (validationResult.error) {
-        case "already_enrolled":
-          errorMessage =
-            "❌ **Already Enrolled:** This purchase has already been used for Discord enrollment.";
-          break;
-        case "purchase_not_found":
-          errorMessage =
-            "❌ **Purchase Not Found:** No valid purchase found for the provided payment intent ID or invoice number. Please check your input and try again.";
-          break;
-        case "invalid_format":
-          errorMessage =
-            "❌ **Invalid Format:** Payment intent must start with 'pi' or invoice number must start with 'SM'. Please check your input.";
-          break;
-        case "configuration_error":
-        case "api_error":
-        case "network_error":
-        case "unexpected_response":
-        default:
-          errorMessage = `❌ **Service Error:** ${validationResult.message} Please try again later or contact an administrator.`;
-          break;
-      }
-
       await interaction.editReply({
-        content: errorMessage,
+        content: getValidationErrorMessage(
+          locale,
+          "registration",
+          validationResult
+        ),
       });
       return;
     }
 
-    // 2. Check if payment intent is already used (security check) - only for successful validations
-    const paymentIntentExists = await database.checkPaymentIntentExists(
-      invoiceNumber
+    // 2. Save the member, assign roles and confirm
+    const result = await completeRegistration(
+      userData,
+      interaction.member,
+      interaction.guild,
+      locale
     );
-
-    if (paymentIntentExists) {
-      logger.warn(
-        `Duplicate payment intent attempted by ${interaction.user.tag}: ${invoiceNumber}`
-      );
-
-      await interaction.editReply({
-        content:
-          "❌ **Security Alert:** This payment intent has already been used for registration. Each payment intent can only be used once. If you believe this is an error, please contact an administrator.",
-      });
-      return;
+    if (result.success) {
+      await recordAssumedEnrollment(userData, validationResult);
     }
+    await interaction.editReply(result.reply);
+  } catch (error) {
+    logger.error(`Error processing registration: ${error.message}`);
+    await interaction.editReply({
+      content: i18n.t(locale, "registration.errors.failed"),
+    });
+  }
+}
 
-    // 3. Process user registration
-    const userData = {
-      discordId: interaction.user.id,
-      discordUsername: interaction.user.tag,
-      firstName,
-      lastName,
-      email,
-      projectName,
-      invoiceNumber,
-    };
+/**
+ * Complete a registration whose invoice the Seolaxy API accepted: refuse
+ * invoices already used here, save the member, assign roles and update the
+ * users list. Also completes registrations from the registration queue.
+ * @param {Object} userData - Registration data (see database.saveUser)
+ * @param {GuildMember} member - Registering member
+ * @param {Guild} guild - Server the member registered in
+ * @param {string} locale - Locale code
+ * @returns {Object} - { success, reply } reply: message payload for the member
+ */
+async function completeRegistration(userData, member, guild, locale) {
+  // 1. Check if payment intent is already used (security check)
+  const paymentIntentExists = await database.checkPaymentIntentExists(
+    userData.invoiceNumber
+  );
 
-    const registrationResult = await userService.processUserRegistration(
-      userData,
-      member,
-      guild
+  if (paymentIntentExists) {
+    logger.warn(
+      `Duplicate payment intent attempted by ${userData.discordUsername}: ${userData.invoiceNumber}`
     );
+    return {
+      success: false,
+      reply: { content: i18n.t(locale, "registration.errors.duplicate") },
+    };
+  }
 
-    // 4. Update users embed if user was saved successfully (only for main server)
-    const CHANNELS = require("../constants/channels");
-    const isEnglishServer = guild.id === CHANNELS.SECOND_SERVER_ID;
-
-    if (
-      registrationResult.saved &&
-      validationResult.success &&
-      !isEnglishServer
-    ) {
-      try {
-        await updateUsersEmbed();
-      } catch (embedError) {
-        logger.error(
-          `Error updating users embed after registration: ${embedError.message}`
-        );
-      }
-    } else if (isEnglishServer) {
-      logger.info(
-        `User registered on English server - skipping main server users embed update`
+  // 2. Process user registration
+  const registrationResult = await userService.processUserRegistration(
+    userData,
+    member,
+    guild
+  );
+
+  // Link a purchase the Seolaxy platform announced for this invoice
+  if (registrationResult.saved) {
+    await purchaseService.linkRegistration(userData);
+  }
+
+  // 3. Update users embed if user was saved successfully (only for main server)
+  const CHANNELS = require("../constants/channels");
+  const isEnglishServer = guild.id === CHANNELS.SECOND_SERVER_ID;
+
+  if (registrationResult.saved && !isEnglishServer) {
+    try {
+      await updateUsersEmbed();
+    } catch (embedError) {
+      logger.error(
+        `Error updating users embed after registration: ${embedError.message}`
       );
     }
+  } else if (isEnglishServer) {
+    logger.info(
+      `User registered on English server - skipping main server users embed update`
+    );
+  }
 
-    // 5. Send confirmation message
-    const embed = createRegistrationSuccessEmbed({
+  // 4. Confirmation message
+  const embed = createRegistrationSuccessEmbed(
+    {
       nickname: registrationResult.nickname,
-      isValid: validationResult.success,
+      isValid: true,
       memberRoleName: registrationResult.memberRoleName,
       userLanguage: registrationResult.userLanguage,
       inviteInfo: registrationResult.inviteInfo,
-    });
+    },
+    locale
+  );
 
-    await interaction.editReply({
-      embeds: [embed],
-    });
-  } catch (error) {
-    logger.error(`Error processing registration: ${error.message}`);
-    await interaction.editReply({
-      content:
-        "❌ There was an error processing your registration. Please try again or contact an administrator.",
-    });
+  return { success: true, reply: { embeds: [embed] } };
+}
+
+/**
+ * Queue a registration the Seolaxy API could not validate right now and
+ * tell the member; it is completed when the API answers again
+ * @param {Interaction} interaction - Discord interaction
+ * @param {string} flow - Catalogue section: "registration" or "cohort"
+ * @param {Object} userData - Registration data (see database.saveUser)
+ * @param {Object} validationResult - Retryable result from seolaxyApi
+ * @param {string} locale - Locale code
+ */
+async function replyQueued(
+  interaction,
+  flow,
+  userData,
+  validationResult,
+  locale
+) {
+  const queued = await registrationQueue.enqueue({
+    ...userData,
+    guildId: interaction.guild.id,
+    locale,
+    maybeEnrolled: validationResult.maybeEnrolled,
+    lastError: validationResult.error,
+  });
+
+  await interaction.editReply({
+    content: queued
+      ? i18n.t(locale, `${flow}.errors.queued`)
+      : getValidationErrorMessage(locale, flow, validationResult),
+  });
+}
+
+/**
+ * Finish a queued registration once the Seolaxy API has answered
+ * @param {Object} registration - pending_registrations row
+ * @param {Object} validationResult - Final (not retryable) result from seolaxyApi
+ * @param {GuildMember} member - Registering member
+ * @param {Object|null} cohort - Cohort row, or null for the main registration
+ * @returns {Object} - { success, reply } reply: message payload for the member
+ */
+async function completeQueuedRegistration(
+  registration,
+  validationResult,
+  member,
+  cohort
+) {
+  const { locale } = registration;
+  const flow = cohort ? "cohort" : "registration";
+
+  if (!validationResult.success) {
+    return {
+      success: false,
+      reply: {
+        content: getValidationErrorMessage(locale, flow, validationResult),
+      },
+    };
+  }
+
+  const userData = {
+    discordId: registration.discord_id,
+    discordUsername: registration.discord_username,
+    firstName: registration.first_name,
+    lastName: registration.last_name,
+    email: registration.email,
+    projectName: registration.project_name,
+    invoiceNumber: registration.invoice_number,
+    cohortId: registration.cohort_id,
+  };
+
+  const result = cohort
+    ? await completeCohortRegistration(
+        userData,
+        member,
+        member.guild,
+        cohort,
+        locale
+      )
+    : await completeRegistration(userData, member, member.guild, locale);
+  if (result.success) {
+    await recordAssumedEnrollment(userData, validationResult);
+  }
+  return result;
+}
+
+/**
+ * Audit a registration completed on an "already enrolled" answer that was
+ * taken to mean an earlier, unanswered attempt enrolled the purchase
+ * @param {Object} userData - Registration data
+ * @param {Object} validationResult - Result from seolaxyApi
+ */
+async function recordAssumedEnrollment(userData, validationResult) {
+  if (!validationResult.enrolledByEarlierAttempt) return;
+
+  logger.warn(
+    `Registered ${userData.discordUsername} with ${userData.invoiceNumber}, which the Seolaxy API reported as already enrolled after an unanswered attempt`
+  );
+  await auditService.record({
+    targetId: userData.discordId,
+    action: auditService.ACTIONS.ENROLLMENT_ASSUMED,
+    before: { invoiceNumber: userData.invoiceNumber, enrolled: true },
+    after: { invoiceNumber: userData.invoiceNumber, discordId: userData.discordId },
+    reason: "already enrolled after a timed out or failed request",
+  });
+}
+
+/**
+ * Get the reply for a failed Seolaxy API invoice validation
+ * @param {string} locale - Locale code
+ * @param {string} flow - Catalogue section: "registration" or "cohort"
+ * @param {Object} validationResult - Result from seolaxyApi
+ * @returns {string} - Error message
+ */
+function getValidationErrorMessage(locale, flow, validationResult) {
+  switch (validationResult.error) {
+    case "already_enrolled":
+      return i18n.t(locale, `${flow}.errors.alreadyEnrolled`);
+    case "purchase_not_found":
+      return i18n.t(locale, `${flow}.errors.purchaseNotFound`);
+    case "invalid_format":
+      return i18n.t(locale, `${flow}.errors.invalidFormat`);
+    case "configuration_error":
+    case "api_error":
+    case "network_error":
+    case "unexpected_response":
+    default:
+      return i18n.t(locale, `${flow}.errors.service`, {
+        message: validationResult.message,
+      });
   }
 }
 
@@ -184,11 +337,113 @@ function buildNickname(firstName, lastName, projectName) {
 }
 
 /**
- * Handle Mentorship #2 join modal submission
+ * Complete a cohort registration whose invoice the Seolaxy API accepted:
+ * refuse invoices already used, save the member, set the nickname and the
+ * cohort's role and update its users list. Also completes registrations
+ * from the registration queue.
+ * @param {Object} userData - Registration data (see database.saveUser)
+ * @param {GuildMember} member - Registering member
+ * @param {Guild} guild - Server the member registered in
+ * @param {Object} cohort - Cohort row
+ * @param {string} locale - Locale code
+ * @returns {Object} - { success, reply } reply: message payload for the member
+ */
+async function completeCohortRegistration(
+  userData,
+  member,
+  guild,
+  cohort,
+  locale
+) {
+  const { discordUsername, firstName, lastName, projectName, invoiceNumber } =
+    userData;
+
+  // 1. Check duplicate invoice
+  const paymentIntentExists =
+    await database.checkPaymentIntentExists(invoiceNumber);
+
+  if (paymentIntentExists) {
+    logger.warn(
+      `Duplicate invoice attempted by ${discordUsername}: ${invoiceNumber}`
+    );
+    return {
+      success: false,
+      reply: { content: i18n.t(locale, "cohort.errors.duplicate") },
+    };
+  }
+
+  // 2. Save user to database
+  const savedToDb = await database.saveUser(userData);
+  if (savedToDb) {
+    await purchaseService.linkRegistration(userData);
+  }
+
+  // 3. Set nickname with auto-truncation
+  const nickname = buildNickname(firstName, lastName, projectName);
+  let nicknameSet = false;
+  try {
+    await member.setNickname(nickname);
+    nicknameSet = true;
+    logger.info(
+      `Set ${cohort.name} nickname for ${discordUsername} to: ${nickname}`
+    );
+  } catch (error) {
+    logger.warn(
+      `Could not set ${cohort.name} nickname for ${discordUsername}: ${error.message}`
+    );
+  }
+
+  // 4. Assign the cohort's verified role
+  let roleAssigned = false;
+  const verifiedRoleId = cohort.verified_role_id;
+  try {
+    const verifiedRole = guild.roles.cache.get(verifiedRoleId);
+    if (verifiedRole) {
+      await member.roles.add(verifiedRole);
+      roleAssigned = true;
+      logger.info(`Assigned ${cohort.name} verified role to ${discordUsername}`);
+    } else {
+      logger.error(`${cohort.name} verified role not found: ${verifiedRoleId}`);
+    }
+  } catch (roleError) {
+    logger.error(
+      `Error assigning ${cohort.name} role to ${discordUsername}: ${roleError.message}`
+    );
+  }
+
+  // 5. Update the cohort's users embed
+  if (savedToDb) {
+    try {
+      await updateCohortUsersEmbed(cohort);
+    } catch (embedError) {
+      logger.error(
+        `Error updating ${cohort.name} users embed after registration: ${embedError.message}`
+      );
+    }
+  }
+
+  // 6. Success embed with Thinkific instructions
+  const successEmbed = createCohortSuccessEmbed(
+    {
+      nickname: nicknameSet ? nickname : null,
+      roleAssigned,
+      infoChannelId: guildConfigService.getChannel(guild.id, "info"),
+    },
+    locale
+  );
+
+  logger.info(`${cohort.name} registration completed for ${discordUsername}`);
+  return { success: true, reply: { embeds: [successEmbed] } };
+}
+
+/**
+ * Handle a cohort's join modal submission
  * @param {Interaction} interaction - Discord interaction
+ * @param {Object} cohort - Cohort row
  */
-async function handleMentorship2JoinModal(interaction) {
+async function handleCohortJoinModal(interaction, cohort) {
   await interaction.deferReply({ flags: 64 });
+  const locale = i18n.getInteractionLocale(interaction);
 
   const firstName = interaction.fields.getTextInputValue("first_name");
   const lastName = interaction.fields.getTextInputValue("last_name");
@@ -199,154 +454,91 @@ async function handleMentorship2JoinModal(interaction) {
     interaction.fields.getTextInputValue("invoice_number");
 
   logger.info(
-    `Processing Mentorship #2 registration for ${interaction.user.tag}: ${firstName} ${lastName}`
+    `Processing ${cohort.name} registration for ${interaction.user.tag}: ${firstName} ${lastName}`
   );
 
-  try {
-    const guild = interaction.guild;
-    const member = interaction.member;
-
-    // 1. Validate invoice with Seolaxy API using Mentorship #2 JWT
-    const validationResult =
-      await seolaxyApi.validateMentorship2Payment(invoiceNumber);
-
-    if (!validationResult.success) {
-      let errorMessage;
-
-      switch (validationResult.error) {
-        case "already_enrolled":
-          errorMessage =
-            "❌ **Već registrirano:** Ova kupovina je već korištena za Discord registraciju.";
-          break;
-        case "purchase_not_found":
-          errorMessage =
-            "❌ **Kupovina nije pronađena:** Nije pronađena valjana kupovina za navedeni broj fakture. Molimo provjerite unos i pokušajte ponovo.";
-          break;
-        case "invalid_format":
-          errorMessage =
-            "❌ **Neispravan format:** Broj fakture mora počinjati sa 'SM' ili 'pi'. Molimo provjerite unos.";
-          break;
-        case "configuration_error":
-        case "api_error":
-        case "network_error":
-        case "unexpected_response":
-        default:
-          errorMessage = `❌ **Greška servisa:** ${validationResult.message} Pokušajte ponovo kasnije ili kontaktirajte administratora.`;
-          break;
-      }
+  const userData = {
+    discordId: interaction.user.id,
+    discordUsername: interaction.user.tag,
+    firstName,
+    lastName,
+    email,
+    projectName,
+    invoiceNumber,
+    cohortId: cohort.id,
+  };
 
-      await interaction.editReply({ content: errorMessage });
+  try {
+    // 1. The cohort must be open and the invoice one of its invoices
+    if (!cohortService.isOpen(cohort)) {
+      await interaction.editReply({
+        content: i18n.t(locale, "cohort.errors.closed", { cohort: cohort.name }),
+      });
       return;
     }
-
-    // 2. Check duplicate invoice
-    const paymentIntentExists =
-      await database.checkPaymentIntentExists(invoiceNumber);
-
-    if (paymentIntentExists) {
-      logger.warn(
-        `Duplicate invoice attempted by ${interaction.user.tag}: ${invoiceNumber}`
-      );
+    if (!cohortService.matchesInvoice(cohort, invoiceNumber)) {
       await interaction.editReply({
-        content:
-          "❌ **Sigurnosno upozorenje:** Ovaj broj fakture je već korišten za registraciju. Svaki broj fakture može se koristiti samo jednom. Ako mislite da je ovo greška, kontaktirajte administratora.",
+        content: i18n.t(locale, "cohort.errors.wrongInvoice", {
+          cohort: cohort.name,
+          example: cohortService.getInvoiceFormat(cohort).example,
+        }),
       });
       return;
     }
 
-    // 3. Save user to database
-    const userData = {
-      discordId: interaction.user.id,
-      discordUsername: interaction.user.tag,
-      firstName,
-      lastName,
-      email,
-      projectName,
+    // 2. Validate invoice with Seolaxy API using the cohort's token
+    const validationResult = await seolaxyApi.validatePaymentIntent(
       invoiceNumber,
-    };
-
-    const savedToDb = await database.saveUser(userData);
-
-    // 4. Set nickname with auto-truncation
-    const nickname = buildNickname(firstName, lastName, projectName);
-    let nicknameSet = false;
-    try {
-      await member.setNickname(nickname);
-      nicknameSet = true;
-      logger.info(
-        `Set M2 nickname for ${interaction.user.tag} to: ${nickname}`
-      );
-    } catch (error) {
-      logger.warn(
-        `Could not set M2 nickname for ${interaction.user.tag}: ${error.message}`
-      );
-    }
+      cohortService.getApiToken(cohort)
+    );
 
-    // 5. Assign Mentorship #2 verified role
-    let roleAssigned = false;
-    try {
-      const verifiedRole = guild.roles.cache.get(ROLES.MENTORSHIP2_VERIFIED);
-      if (verifiedRole) {
-        await member.roles.add(verifiedRole);
-        roleAssigned = true;
-        logger.info(
-          `Assigned Mentorship #2 verified role to ${interaction.user.tag}`
-        );
-      } else {
-        logger.error(
-          `Mentorship #2 verified role not found: ${ROLES.MENTORSHIP2_VERIFIED}`
-        );
-      }
-    } catch (roleError) {
-      logger.error(
-        `Error assigning M2 role to ${interaction.user.tag}: ${roleError.message}`
-      );
+    if (validationResult.retryable) {
+      await replyQueued(interaction, "cohort", userData, validationResult, locale);
+      return;
     }
 
-    // 6. Update Mentorship #2 users embed
-    if (savedToDb) {
-      try {
-        await updateMentorship2UsersEmbed();
-      } catch (embedError) {
-        logger.error(
-          `Error updating M2 users embed after registration: ${embedError.message}`
-        );
-      }
+    if (!validationResult.success) {
+      await interaction.editReply({
+        content: getValidationErrorMessage(locale, "cohort", validationResult),
+      });
+      return;
     }
 
-    // 7. Send success embed with Thinkific instructions
-    const successEmbed = createMentorship2SuccessEmbed({
-      nickname: nicknameSet ? nickname : null,
-      roleAssigned,
-    });
-
-    await interaction.editReply({ embeds: [successEmbed] });
-
-    logger.info(
-      `Mentorship #2 registration completed for ${interaction.user.tag}`
+    // 3. Save the member, assign the cohort's role and confirm
+    const result = await completeCohortRegistration(
+      userData,
+      interaction.member,
+      interaction.guild,
+      cohort,
+      locale
     );
+    if (result.success) {
+      await recordAssumedEnrollment(userData, validationResult);
+    }
+    await interaction.editReply(result.reply);
   } catch (error) {
     logger.error(
-      `Error processing M2 registration: ${error.message}`
+      `Error processing ${cohort.name} registration: ${error.message}`
     );
     await interaction.editReply({
-      content:
-        "❌ Došlo je do greške pri obradi registracije. Pokušajte ponovo ili kontaktirajte administratora.",
+      content: i18n.t(locale, "cohort.errors.failed"),
     });
   }
 }
 
 /**
- * Handle Mentorship #2 "Remove user" modal submission
+ * Handle a cohort's "Remove user" modal submission
  * @param {Interaction} interaction - Discord interaction
+ * @param {Object} cohort - Cohort row
  */
-async function handleMentorship2RemoveUserModal(interaction) {
+async function handleCohortRemoveUserModal(interaction, cohort) {
   await interaction.deferReply({ flags: 64 });
+  const locale = i18n.getInteractionLocale(interaction);
 
   const identifier = interaction.fields.getTextInputValue("identifier").trim();
   if (!identifier) {
     await interaction.editReply({
-      content: "❌ Unesi broj fakture ili Discord ID.",
+      content: i18n.t(locale, "cohort.manage.identifierRequired"),
     });
     return;
   }
@@ -354,23 +546,44 @@ async function handleMentorship2RemoveUserModal(interaction) {
   const user = await database.findUserByIdentifier(identifier);
   if (!user) {
     await interaction.editReply({
-      content: "❌ Korisnik nije pronađen u bazi.",
+      content: i18n.t(locale, "cohort.manage.notFound"),
     });
     return;
   }
 
-  if (!user.invoice_number || !user.invoice_number.match(/^SM-.+\/2026$/)) {
+  if (user.cohort_id !== cohort.id) {
     await interaction.editReply({
-      content:
-        "❌ Korisnik nije iz Mentorship #2 (broj fakture mora biti SM-.../2026).",
+      content: i18n.t(locale, "cohort.manage.notInCohort", {
+        cohort: cohort.name,
+      }),
     });
     return;
   }
 
-  const deleted = await database.deleteUser(user.discord_id);
+  // Also releases the purchase on Seolaxy so it can be used to register again
+  const verifiedRoleId = cohort.verified_role_id;
+  const { deleted, release } = await enrollmentService.removeRegistration(
+    user,
+    {
+      actorId: interaction.user.id,
+      reason: `${cohort.name} remove user`,
+      audit: {
+        action: auditService.ACTIONS.COHORT_USER_REMOVED,
+        before: {
+          firstName: user.first_name,
+          lastName: user.last_name,
+          email: user.email,
+          projectName: user.project_name,
+          invoiceNumber: user.invoice_number,
+          roles: verifiedRoleId ? [verifiedRoleId] : [],
+        },
+        after: null,
+      },
+    }
+  );
   if (!deleted) {
     await interaction.editReply({
-      content: "❌ Greška pri brisanju korisnika iz baze.",
+      content: i18n.t(locale, "cohort.manage.deleteFailed"),
     });
     return;
   }
@@ -378,34 +591,51 @@ async function handleMentorship2RemoveUserModal(interaction) {
   try {
     const member = await interaction.guild.members.fetch(user.discord_id).catch(() => null);
     if (member) {
-      const role = interaction.guild.roles.cache.get(ROLES.MENTORSHIP2_VERIFIED);
-      if (role && member.roles.cache.has(ROLES.MENTORSHIP2_VERIFIED)) {
+      const role = interaction.guild.roles.cache.get(verifiedRoleId);
+      if (role && member.roles.cache.has(role.id)) {
         await member.roles.remove(role);
-        logger.info(`Removed M2 verified role from ${user.discord_username}`);
+        logger.info(
+          `Removed ${cohort.name} verified role from ${user.discord_username}`
+        );
       }
     }
   } catch (err) {
     logger.warn(`Could not remove role from member: ${err.message}`);
   }
 
-  await updateMentorship2UsersEmbed();
-  await interaction.editReply({
-    content: `✅ Korisnik **${user.first_name} ${user.last_name}** (${user.invoice_number}) je uklonjen.`,
-  });
-  logger.info(`M2 user removed by ${interaction.user.tag}: ${user.discord_id}`);
+  await updateCohortUsersEmbed(cohort);
+  const lines = [
+    i18n.t(locale, "cohort.manage.removed", {
+      name: `${user.first_name} ${user.last_name}`,
+      invoice: user.invoice_number,
+    }),
+  ];
+  if (release && !release.success) {
+    lines.push(
+      i18n.t(locale, "cohort.manage.releaseFailed", {
+        invoice: user.invoice_number,
+      })
+    );
+  }
+  await interaction.editReply({ content: lines.join("\n") });
+  logger.info(
+    `${cohort.name} user removed by ${interaction.user.tag}: ${user.discord_id}`
+  );
 }
 
 /**
- * Handle Mentorship #2 "Edit user" modal submission
+ * Handle a cohort's "Edit user" modal submission
  * @param {Interaction} interaction - Discord interaction
+ * @param {Object} cohort - Cohort row
  */
-async function handleMentorship2EditUserModal(interaction) {
+async function handleCohortEditUserModal(interaction, cohort) {
   await interaction.deferReply({ flags: 64 });
+  const locale = i18n.getInteractionLocale(interaction);
 
   const identifier = interaction.fields.getTextInputValue("identifier").trim();
   if (!identifier) {
     await interaction.editReply({
-      content: "❌ Unesi broj fakture ili Discord ID.",
+      content: i18n.t(locale, "cohort.manage.identifierRequired"),
     });
     return;
   }
@@ -413,15 +643,16 @@ async function handleMentorship2EditUserModal(interaction) {
   const user = await database.findUserByIdentifier(identifier);
   if (!user) {
     await interaction.editReply({
-      content: "❌ Korisnik nije pronađen u bazi.",
+      content: i18n.t(locale, "cohort.manage.notFound"),
     });
     return;
   }
 
-  if (!user.invoice_number || !user.invoice_number.match(/^SM-.+\/2026$/)) {
+  if (user.cohort_id !== cohort.id) {
     await interaction.editReply({
-      content:
-        "❌ Korisnik nije iz Mentorship #2 (broj fakture mora biti SM-.../2026).",
+      content: i18n.t(locale, "cohort.manage.notInCohort", {
+        cohort: cohort.name,
+      }),
     });
     return;
   }
@@ -439,7 +670,7 @@ async function handleMentorship2EditUserModal(interaction) {
 
   if (Object.keys(updates).length === 0) {
     await interaction.editReply({
-      content: "❌ Nisi unio nijedno polje za ažuriranje.",
+      content: i18n.t(locale, "cohort.manage.nothingToUpdate"),
     });
     return;
   }
@@ -447,11 +678,22 @@ async function handleMentorship2EditUserModal(interaction) {
   const updated = await database.updateUser(user.discord_id, updates);
   if (!updated) {
     await interaction.editReply({
-      content: "❌ Greška pri ažuriranju korisnika.",
+      content: i18n.t(locale, "cohort.manage.updateFailed"),
     });
     return;
   }
 
+  await auditService.record({
+    actorId: interaction.user.id,
+    targetId: user.discord_id,
+    action: auditService.ACTIONS.COHORT_USER_EDITED,
+    before: Object.fromEntries(
+      Object.keys(updates).map((field) => [field, user[field] ?? null])
+    ),
+    after: updates,
+    reason: `${cohort.name} edit user`,
+  });
+
   const newFirstName = updates.first_name ?? user.first_name;
   const newLastName = updates.last_name ?? user.last_name;
   const newProjectName = updates.project_name ?? user.project_name ?? "searching";
@@ -461,17 +703,50 @@ async function handleMentorship2EditUserModal(interaction) {
     if (member) {
       const nickname = buildNickname(newFirstName, newLastName, newProjectName);
       await member.setNickname(nickname);
-      logger.info(`Updated M2 nickname for ${user.discord_username} to ${nickname}`);
+      logger.info(
+        `Updated ${cohort.name} nickname for ${user.discord_username} to ${nickname}`
+      );
     }
   } catch (err) {
     logger.warn(`Could not set nickname: ${err.message}`);
   }
 
-  await updateMentorship2UsersEmbed();
+  await updateCohortUsersEmbed(cohort);
   await interaction.editReply({
-    content: `✅ Korisnik **${user.first_name} ${user.last_name}** je ažuriran.`,
+    content: i18n.t(locale, "cohort.manage.updated", {
+      name: `${user.first_name} ${user.last_name}`,
+    }),
   });
-  logger.info(`M2 user edited by ${interaction.user.tag}: ${user.discord_id}`);
+  logger.info(
+    `${cohort.name} user edited by ${interaction.user.tag}: ${user.discord_id}`
+  );
+}
+
+/**
+ * Route a cohort modal (cohort_<action>_modal_<slug>) to its handler
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleCohortModal(interaction) {
+  const [, action, slug] =
+    interaction.customId.match(COHORT_MODAL_PATTERN) || [];
+  const cohort = slug ? cohortService.getCohort(slug) : null;
+
+  if (!cohort) {
+    logger.warn(`Modal for unknown cohort: ${interaction.customId}`);
+    return;
+  }
+
+  switch (action) {
+    case "join":
+      await handleCohortJoinModal(interaction, cohort);
+      break;
+    case "remove_user":
+      await handleCohortRemoveUserModal(interaction, cohort);
+      break;
+    case "edit_user":
+      await handleCohortEditUserModal(interaction, cohort);
+      break;
+  }
 }
 
 /**
@@ -480,21 +755,12 @@ async function handleMentorship2EditUserModal(interaction) {
  */
 async function handleModal(interaction) {
   try {
-    switch (interaction.customId) {
-      case "join_modal":
-        await handleJoinModal(interaction);
-        break;
-      case "mentorship2_join_modal":
-        await handleMentorship2JoinModal(interaction);
-        break;
-      case "m2_remove_user_modal":
-        await handleMentorship2RemoveUserModal(interaction);
-        break;
-      case "m2_edit_user_modal":
-        await handleMentorship2EditUserModal(interaction);
-        break;
-      default:
-        logger.warn(`Unknown modal interaction: ${interaction.customId}`);
+    if (interaction.customId === "join_modal") {
+      await handleJoinModal(interaction);
+    } else if (interaction.customId.startsWith("cohort_")) {
+      await handleCohortModal(interaction);
+    } else {
+      logger.warn(`Unknown modal interaction: ${interaction.customId}`);
     }
   } catch (error) {
     logger.error(`Error handling modal interaction: ${error.message}`);
@@ -504,7 +770,8 @@ async function handleModal(interaction) {
 module.exports = {
   handleModal,
   handleJoinModal,
-  handleMentorship2JoinModal,
-  handleMentorship2RemoveUserModal,
-  handleMentorship2EditUserModal,
+  handleCohortJoinModal,
+  handleCohortRemoveUserModal,
+  handleCohortEditUserModal,
+  completeQueuedRegistration,
 };
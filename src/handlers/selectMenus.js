@@ -0,0 +1,121 @@
+/**
+ * Select Menu Handlers
+ * Handles Discord select menu interaction events
+ */
+
+const logger = require("../utils/logger").child({ module: "selectMenus" });
+const database = require("../services/database");
+const subscriptionService = require("../services/subscriptionService");
+const planService = require("../services/planService");
+const i18n = require("../services/i18n");
+const { createSubscriptionCheckoutEmbed } = require("../components/embeds");
+
+/**
+ * Handle subscription plan selection (from the Subscribe button)
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handlePlanSelect(interaction) {
+  const discordId = interaction.user.id;
+  const discordUsername = interaction.user.tag;
+  const planId = interaction.values[0];
+  const locale = i18n.getInteractionLocale(interaction);
+
+  logger.info(`Plan ${planId} selected by ${discordUsername} (${discordId})`);
+
+  try {
+    await interaction.deferUpdate();
+
+    const plan = planService.getPlanById(planId);
+    const priceId = plan ? planService.getCheckoutPriceId(plan) : null;
+
+    if (!priceId) {
+      await interaction.editReply({
+        content: i18n.t(locale, "subscribe.planUnavailable"),
+        components: [],
+      });
+      return;
+    }
+
+    // Comped members (/grant) must not be charged while their access lasts
+    if (await database.getActiveManualAccess(discordId)) {
+      await interaction.editReply({
+        content: i18n.t(locale, "subscribe.comped"),
+        components: [],
+      });
+      return;
+    }
+
+    // The menu may have been open for a while - re-check pending checkouts
+    if (await subscriptionService.hasPendingCheckout(discordId)) {
+      await interaction.editReply({
+        content: i18n.t(locale, "subscribe.pendingCheckout"),
+        components: [],
+      });
+      return;
+    }
+
+    const existingUser = await database.getUserByDiscordId(discordId);
+
+    const checkoutResult = await subscriptionService.startCheckout(
+      discordId,
+      discordUsername,
+      existingUser?.email || null,
+      priceId
+    );
+
+    if (!checkoutResult.success) {
+      logger.error(
+        `Failed to create checkout session for ${discordUsername}: ${checkoutResult.error}`
+      );
+      await interaction.editReply({
+        content: i18n.t(locale, "subscribe.checkoutFailed"),
+        components: [],
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: "",
+      embeds: [createSubscriptionCheckoutEmbed(checkoutResult.url, locale)],
+      components: [],
+    });
+
+    logger.info(
+      `Checkout session created for ${discordUsername} (${plan.id} plan): ${checkoutResult.sessionId}`
+    );
+  } catch (error) {
+    logger.error(`Error handling plan selection: ${error.message}`);
+
+    try {
+      await interaction.editReply({
+        content: i18n.t(locale, "common.error"),
+        components: [],
+      });
+    } catch (editError) {
+      logger.error(`Error sending error message: ${editError.message}`);
+    }
+  }
+}
+
+/**
+ * Main select menu handler router
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleSelectMenu(interaction) {
+  try {
+    switch (interaction.customId) {
+      case "subscription_plan_select":
+        await handlePlanSelect(interaction);
+        break;
+      default:
+        logger.warn(`Unknown select menu interaction: ${interaction.customId}`);
+    }
+  } catch (error) {
+    logger.error(`Error handling select menu interaction: ${error.message}`);
+  }
+}
+
+module.exports = {
+  handleSelectMenu,
+  handlePlanSelect,
+};
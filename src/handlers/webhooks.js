@@ -0,0 +1,100 @@
+/**
+ * Webhook Handlers
+ * Handles inbound HTTP webhook requests
+ */
+
+const logger = require("../utils/logger").child({ module: "webhooks" });
+const stripeService = require("../services/stripeService");
+const seolaxyApi = require("../services/seolaxyApi");
+const purchaseService = require("../services/purchaseService");
+const subscriptionService = require("../services/subscriptionService");
+const lifecycleService = require("../services/lifecycleService");
+
+/**
+ * Handle Stripe webhook request
+ * Verifies the Stripe-Signature header against the raw body before processing.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {Buffer} rawBody - Raw request body
+ * @returns {Object} - HTTP result { status, body }
+ */
+async function handleStripeWebhook(req, rawBody) {
+  // Stripe retries the event, so leave it to the next process
+  if (lifecycleService.isShuttingDown()) {
+    return { status: 503, body: { error: "shutting_down" } };
+  }
+
+  const signature = req.headers["stripe-signature"];
+
+  if (!signature) {
+    logger.warn("Stripe webhook request without signature header");
+    return { status: 400, body: { error: "missing_signature" } };
+  }
+
+  let event;
+  try {
+    event = stripeService.constructWebhookEvent(rawBody, signature);
+  } catch (error) {
+    logger.warn(`Stripe webhook signature verification failed: ${error.message}`);
+    return { status: 400, body: { error: "invalid_signature" } };
+  }
+
+  try {
+    const handled = await lifecycleService.trackJob("stripe_webhook", () =>
+      logger.runWithContext({ stripeEventId: event.id }, () =>
+        subscriptionService.handleStripeEvent(event)
+      )
+    );
+    return { status: 200, body: { received: true, handled } };
+  } catch (error) {
+    // Non-2xx makes Stripe retry the event later
+    logger.error(`Error processing Stripe event ${event.id}: ${error.message}`);
+    return { status: 500, body: { error: "processing_failed" } };
+  }
+}
+
+/**
+ * Handle Seolaxy platform webhook request (purchases, refunds, chargebacks)
+ * Verifies the Seolaxy-Signature header against the raw body before processing.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {Buffer} rawBody - Raw request body
+ * @returns {Object} - HTTP result { status, body }
+ */
+async function handleSeolaxyWebhook(req, rawBody) {
+  // The platform retries the event, so leave it to the next process
+  if (lifecycleService.isShuttingDown()) {
+    return { status: 503, body: { error: "shutting_down" } };
+  }
+
+  const signature = req.headers["seolaxy-signature"];
+
+  if (!signature) {
+    logger.warn("Seolaxy webhook request without signature header");
+    return { status: 400, body: { error: "missing_signature" } };
+  }
+
+  let event;
+  try {
+    event = seolaxyApi.constructWebhookEvent(rawBody, signature);
+  } catch (error) {
+    logger.warn(`Seolaxy webhook signature verification failed: ${error.message}`);
+    return { status: 400, body: { error: "invalid_signature" } };
+  }
+
+  try {
+    const handled = await lifecycleService.trackJob("seolaxy_webhook", () =>
+      logger.runWithContext({ seolaxyEventId: event.id }, () =>
+        purchaseService.handleSeolaxyEvent(event)
+      )
+    );
+    return { status: 200, body: { received: true, handled } };
+  } catch (error) {
+    // Non-2xx makes the platform retry the event later
+    logger.error(`Error processing Seolaxy event ${event.id}: ${error.message}`);
+    return { status: 500, body: { error: "processing_failed" } };
+  }
+}
+
+module.exports = {
+  handleStripeWebhook,
+  handleSeolaxyWebhook,
+};
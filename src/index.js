@@ -11,42 +11,60 @@ require("dotenv").config();
 
 // Configuration and Constants
 const discordConfig = require("./config/discord");
-const channels = require("./constants/channels");
+const serverConfig = require("./config/server");
+const apiConfig = require("./config/api");
+const lifecycleConfig = require("./config/lifecycle");
 
 // Services
 const database = require("./services/database");
 const subscriptionService = require("./services/subscriptionService");
 const subscriptionReset = require("./services/subscriptionReset");
+const dunningService = require("./services/dunningService");
+const manualAccessService = require("./services/manualAccessService");
+const registrationQueue = require("./services/registrationQueue");
+const httpServer = require("./services/httpServer");
+const i18n = require("./services/i18n");
+const guildConfigService = require("./services/guildConfigService");
+const cohortService = require("./services/cohortService");
+const lifecycleService = require("./services/lifecycleService");
 
 // Handlers
-const { handleCommand } = require("./handlers/commands");
+const { handleCommand, handleAutocomplete } = require("./handlers/commands");
 const {
   handleButton,
   updateUsersEmbed,
-  updateMentorship2UsersEmbed,
+  updateCohortUsersEmbed,
   resetUsersEmbedState,
-  resetMentorship2UsersEmbedState,
+  resetCohortUsersEmbedState,
 } = require("./handlers/buttons");
 const { handleModal } = require("./handlers/modals");
+const { handleSelectMenu } = require("./handlers/selectMenus");
+const {
+  handleStripeWebhook,
+  handleSeolaxyWebhook,
+} = require("./handlers/webhooks");
+const {
+  handleHealthz,
+  handleReadyz,
+  handleMetrics,
+} = require("./handlers/health");
 
 // Components
 const {
   createJoinEmbed,
-  createSecondServerJoinEmbed,
   createSubscribeEmbed,
-  createEnglishSubscribeEmbed,
-  createMentorship2JoinEmbed,
+  createCohortJoinEmbed,
 } = require("./components/embeds");
 const {
   createJoinButton,
   createSecondServerJoinButton,
   createSubscribeButton,
   createSecondServerSubscribeButton,
-  createMentorship2JoinButton,
+  createCohortJoinButton,
 } = require("./components/buttons");
 
 // Utilities
-const logger = require("./utils/logger");
+const logger = require("./utils/logger").child({ module: "main" });
 const { validateConfig } = require("./utils/validation");
 
 // Import command deployment function
@@ -108,13 +126,23 @@ async function cleanupPreviousMessages(channelIds) {
   }
 }
 
+/**
+ * Get the locale for a message posted to a channel (its server's default)
+ * @param {TextChannel} channel - Discord channel
+ * @returns {string} - Locale code
+ */
+function getChannelLocale(channel) {
+  return i18n.resolveLocale({ guildId: channel.guild?.id ?? channel.guildId });
+}
+
 /**
  * Send subscribe message to specified channel (main server)
  * @param {TextChannel} channel - Discord channel to send message to
  */
 async function sendSubscribeMessage(channel) {
-  const embed = createSubscribeEmbed();
-  const row = createSubscribeButton();
+  const locale = getChannelLocale(channel);
+  const embed = createSubscribeEmbed(locale);
+  const row = createSubscribeButton(locale);
 
   await channel.send({
     embeds: [embed],
@@ -127,8 +155,9 @@ async function sendSubscribeMessage(channel) {
  * @param {TextChannel} channel - Discord channel to send message to
  */
 async function sendSecondServerSubscribeMessage(channel) {
-  const embed = createEnglishSubscribeEmbed();
-  const row = createSecondServerSubscribeButton();
+  const locale = getChannelLocale(channel);
+  const embed = createSubscribeEmbed(locale);
+  const row = createSecondServerSubscribeButton(locale);
 
   await channel.send({
     embeds: [embed],
@@ -154,12 +183,14 @@ async function sendSecondServerJoinMessage(channel) {
 }
 
 /**
- * Send Mentorship #2 join message to specified channel (Croatian)
+ * Send a cohort's join message to specified channel
  * @param {TextChannel} channel - Discord channel to send message to
+ * @param {Object} cohort - Cohort row
  */
-async function sendMentorship2JoinMessage(channel) {
-  const embed = createMentorship2JoinEmbed();
-  const row = createMentorship2JoinButton();
+async function sendCohortJoinMessage(channel, cohort) {
+  const locale = getChannelLocale(channel);
+  const embed = createCohortJoinEmbed(cohort, locale);
+  const row = createCohortJoinButton(cohort.slug, locale);
 
   await channel.send({
     embeds: [embed],
@@ -167,19 +198,150 @@ async function sendMentorship2JoinMessage(channel) {
   });
 }
 
+/**
+ * Post a join panel in a channel
+ * @param {string} channelId - Join channel ID
+ * @param {Function} send - Sends the panel to the fetched channel
+ */
+async function postJoinPanel(channelId, send) {
+  const joinChannel = channelId
+    ? await client.channels.fetch(channelId).catch(() => null)
+    : null;
+  if (!joinChannel) {
+    logger.error(`❌ Could not find join channel ${channelId}`);
+    return;
+  }
+
+  await send(joinChannel);
+  logger.info(`✅ Join message sent to channel #${joinChannel.name}`);
+}
+
+/**
+ * Post a server's join panels and users lists for the subscribe flow and
+ * its cohorts, replacing the ones left over from the previous run
+ * Closed cohorts keep their users list but get no join panel.
+ * @param {string} guildId - Guild ID
+ */
+async function initGuildPanels(guildId) {
+  const subscribe = guildConfigService.isFlowEnabled(guildId, "subscribe");
+  const isMainGuild = guildId === process.env.GUILD_ID;
+  const cohorts = cohortService.getCohortsForGuild(guildId);
+
+  if (!subscribe && cohorts.length === 0) {
+    logger.info(`📝 No flows enabled for server ${guildId}, skipping`);
+    return;
+  }
+
+  try {
+    logger.info(`🧹 Cleaning up previous bot messages in server ${guildId}...`);
+    const channelIds = cohorts.flatMap((cohort) => [
+      cohort.join_channel_id,
+      cohort.users_channel_id,
+    ]);
+    if (subscribe) {
+      channelIds.push(
+        guildConfigService.getChannel(guildId, "join"),
+        guildConfigService.getChannel(guildId, "users")
+      );
+    }
+    await cleanupPreviousMessages([...new Set(channelIds.filter(Boolean))]);
+
+    // Reset users embed state after cleanup
+    if (subscribe && isMainGuild) {
+      resetUsersEmbedState();
+    }
+    for (const cohort of cohorts) {
+      resetCohortUsersEmbedState(cohort.slug);
+    }
+
+    if (subscribe) {
+      await postJoinPanel(
+        guildConfigService.getChannel(guildId, "join"),
+        isMainGuild ? sendSubscribeMessage : sendSecondServerSubscribeMessage
+      );
+    }
+    for (const cohort of cohorts.filter((c) => cohortService.isOpen(c))) {
+      await postJoinPanel(cohort.join_channel_id, (channel) =>
+        sendCohortJoinMessage(channel, cohort)
+      );
+    }
+
+    // Initialize users embeds in the users channels
+    if (subscribe && isMainGuild) {
+      await updateUsersEmbed();
+    }
+    for (const cohort of cohorts) {
+      await updateCohortUsersEmbed(cohort);
+    }
+  } catch (error) {
+    logger.error(`❌ Error initializing server ${guildId}: ${error.message}`);
+  }
+}
+
 // Event: Bot is ready
 client.once(Events.ClientReady, async (readyClient) => {
   logger.info(`🎉 Bot is ready! Logged in as ${readyClient.user.tag}`);
   logger.info(`🌐 Connected to ${readyClient.guilds.cache.size} guild(s)`);
 
-  // Initialize database connection
-  await database.initDatabase();
+  // Initialize database connection (refuses to run against an unmigrated schema)
+  try {
+    await database.initDatabase();
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    await logger.close();
+    process.exit(1);
+  }
+
+  // Load per-server settings (roles, channels, language, flows) and cohorts
+  try {
+    await guildConfigService.init(client);
+    await cohortService.init(client);
+  } catch (error) {
+    logger.error(`❌ Could not load guild settings: ${error.message}`);
+    await logger.close();
+    process.exit(1);
+  }
+
+  // Report work the last shutdown interrupted (it resumes below)
+  await lifecycleService.loadInterruptedJobs();
 
   // Initialize subscription service
-  subscriptionService.init(client);
+  await subscriptionService.init(client);
+
+  // Initialize past_due grace period enforcement
+  dunningService.init(client);
+
+  // Initialize staff-granted access (/grant, /revoke)
+  manualAccessService.init(client);
+
+  // Retry registrations queued while the Seolaxy API was unavailable
+  await registrationQueue.init(client);
+  registrationQueue.startPolling();
+
+  // Start receiving Stripe webhooks (needs the subscription service ready)
+  httpServer.registerRoute(
+    "POST",
+    serverConfig.routes.stripeWebhook,
+    handleStripeWebhook
+  );
+
+  // Purchase, refund and chargeback events from the Seolaxy platform
+  if (apiConfig.webhook.secret) {
+    httpServer.registerRoute(
+      "POST",
+      serverConfig.routes.seolaxyWebhook,
+      handleSeolaxyWebhook
+    );
+  } else {
+    logger.info(
+      "SEOLAXY_WEBHOOK_SECRET not set, Seolaxy purchase webhook disabled"
+    );
+  }
 
   // Full Stripe → database sync on startup (ensures DB is accurate)
-  await subscriptionService.syncAllFromStripe();
+  await lifecycleService.trackJob("stripe_sync", () =>
+    subscriptionService.syncAllFromStripe()
+  );
   logger.info("💳 Stripe sync complete — database is up to date");
 
   // Start regular polling after sync
@@ -194,151 +356,122 @@ client.once(Events.ClientReady, async (readyClient) => {
     type: discordConfig.activity.type,
   });
 
-  // Clean up previous bot messages in key channels
-  logger.info("🧹 Cleaning up previous bot messages...");
-  await cleanupPreviousMessages([
-    channels.JOIN_CHANNEL_ID,
-    channels.USERS_CHANNEL_ID,
+  // Post the join panels and users lists of every configured server
+  const guildIds = new Set([
+    ...guildConfigService.getGuildIds(),
+    ...cohortService.getGuildIds(),
   ]);
+  for (const guildId of guildIds) {
+    await initGuildPanels(guildId);
+  }
+});
+
+// Event: Handle interactions (commands, buttons, modals)
+// Everything logged while handling one is tagged with the interaction and user
+client.on(Events.InteractionCreate, (interaction) =>
+  logger.runWithContext(
+    { interactionId: interaction.id, discordId: interaction.user.id },
+    async () => {
+      if (lifecycleService.isShuttingDown()) {
+        await replyRestarting(interaction);
+        return;
+      }
 
-  // Reset users embed state after cleanup
-  resetUsersEmbedState();
+      await lifecycleService.trackJob("interaction", () =>
+        handleInteraction(interaction)
+      );
+    }
+  )
+);
 
-  // Send subscribe message to the specified channel
+/**
+ * Route an interaction to its handler
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleInteraction(interaction) {
   try {
-    const joinChannel = await client.channels.fetch(channels.JOIN_CHANNEL_ID);
-    if (joinChannel) {
-      await sendSubscribeMessage(joinChannel);
-      logger.info(`✅ Subscribe message sent to channel #${joinChannel.name}`);
-    } else {
-      logger.error(
-        `❌ Could not find channel with ID: ${channels.JOIN_CHANNEL_ID}`
-      );
+    if (interaction.isChatInputCommand()) {
+      await handleCommand(interaction);
+    } else if (interaction.isAutocomplete()) {
+      await handleAutocomplete(interaction);
+    } else if (interaction.isButton()) {
+      await handleButton(interaction);
+    } else if (interaction.isModalSubmit()) {
+      await handleModal(interaction);
+    } else if (interaction.isStringSelectMenu()) {
+      await handleSelectMenu(interaction);
     }
   } catch (error) {
-    logger.error(`❌ Error sending subscribe message: ${error.message}`);
+    logger.error("Error handling interaction:", error);
   }
+}
 
-  // Initialize users embed in users channel
-  await updateUsersEmbed();
-
-  // Initialize second server if configured
-  if (channels.SECOND_SERVER_ID && channels.SECOND_SERVER_JOIN_CHANNEL_ID) {
-    try {
-      const secondServer = await client.guilds.fetch(channels.SECOND_SERVER_ID);
-      if (secondServer) {
-        logger.info(`📡 Found second server: ${secondServer.name}`);
-
-        const secondServerJoinChannel = await secondServer.channels.fetch(
-          channels.SECOND_SERVER_JOIN_CHANNEL_ID
-        );
-        if (secondServerJoinChannel) {
-          // Clean up previous bot messages
-          try {
-            const messages = await secondServerJoinChannel.messages.fetch({
-              limit: 10,
-            });
-            const botMessages = messages.filter(
-              (msg) => msg.author.id === client.user.id
-            );
-
-            for (const message of botMessages.values()) {
-              try {
-                await message.delete();
-                logger.info(`🗑️ Deleted previous bot message in second server`);
-              } catch (deleteError) {
-                logger.warn(
-                  `Could not delete message in second server: ${deleteError.message}`
-                );
-              }
-            }
-          } catch (fetchError) {
-            logger.warn(
-              `Could not fetch messages for cleanup in second server: ${fetchError.message}`
-            );
-          }
-
-          // Send subscribe message to second server
-          await sendSecondServerSubscribeMessage(secondServerJoinChannel);
-          logger.info(
-            `✅ Subscribe message sent to second server channel #${secondServerJoinChannel.name}`
-          );
-        } else {
-          logger.error(
-            `❌ Could not find join channel in second server with ID: ${channels.SECOND_SERVER_JOIN_CHANNEL_ID}`
-          );
-        }
-      } else {
-        logger.error(
-          `❌ Could not find second server with ID: ${channels.SECOND_SERVER_ID}`
-        );
-      }
-    } catch (error) {
-      logger.error(`❌ Error initializing second server: ${error.message}`);
+/**
+ * Tell a member the bot is restarting instead of handling their interaction
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function replyRestarting(interaction) {
+  try {
+    if (interaction.isAutocomplete()) {
+      await interaction.respond([]);
+    } else if (interaction.isRepliable()) {
+      await interaction.reply({
+        content: i18n.t(
+          i18n.getInteractionLocale(interaction),
+          "common.restarting"
+        ),
+        flags: 64,
+      });
     }
-  } else {
-    logger.info("📝 Second server not configured, skipping initialization");
+  } catch (error) {
+    logger.debug(
+      `Could not answer interaction during shutdown: ${error.message}`
+    );
   }
+}
 
-  // Initialize Mentorship #2 server
-  if (channels.MENTORSHIP2_JOIN_CHANNEL_ID) {
-    try {
-      logger.info("📡 Initializing Mentorship #2 server...");
-
-      // Clean up previous bot messages in Mentorship #2 channels
-      await cleanupPreviousMessages([
-        channels.MENTORSHIP2_JOIN_CHANNEL_ID,
-        channels.MENTORSHIP2_USERS_CHANNEL_ID,
-      ]);
+let shutdownStarted = false;
 
-      // Reset Mentorship #2 users embed state after cleanup
-      resetMentorship2UsersEmbedState();
+/**
+ * Shut down in order: stop taking new work, let the jobs in flight finish
+ * (recording the ones that don't), then close the HTTP server, database
+ * and Discord connection
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (shutdownStarted) return;
+  shutdownStarted = true;
 
-      // Send join message to Mentorship #2 join channel
-      const m2JoinChannel = await client.channels.fetch(
-        channels.MENTORSHIP2_JOIN_CHANNEL_ID
-      );
-      if (m2JoinChannel) {
-        await sendMentorship2JoinMessage(m2JoinChannel);
-        logger.info(
-          `✅ Mentorship #2 join message sent to channel #${m2JoinChannel.name}`
-        );
-      } else {
-        logger.error(
-          `❌ Could not find Mentorship #2 join channel with ID: ${channels.MENTORSHIP2_JOIN_CHANNEL_ID}`
-        );
-      }
+  logger.info(`🛑 Received ${signal}, shutting down...`);
+  lifecycleService.beginShutdown();
+  subscriptionService.stopPolling();
+  registrationQueue.stopPolling();
 
-      // Initialize Mentorship #2 users embed
-      await updateMentorship2UsersEmbed();
-      logger.info("✅ Mentorship #2 server initialized successfully");
-    } catch (error) {
-      logger.error(
-        `❌ Error initializing Mentorship #2 server: ${error.message}`
+  try {
+    const unfinished = await lifecycleService.drain(
+      lifecycleConfig.shutdownTimeoutMs
+    );
+    if (unfinished.length > 0) {
+      logger.warn(
+        `${unfinished.length} job(s) still running after ${lifecycleConfig.shutdownTimeoutMs}ms, they resume on the next start`
       );
     }
-  } else {
-    logger.info(
-      "📝 Mentorship #2 server not configured, skipping initialization"
-    );
-  }
-});
+    await lifecycleService.saveInterruptedJobs();
 
-// Event: Handle interactions (commands, buttons, modals)
-client.on(Events.InteractionCreate, async (interaction) => {
-  try {
-    if (interaction.isChatInputCommand()) {
-      await handleCommand(interaction);
-    } else if (interaction.isButton()) {
-      await handleButton(interaction);
-    } else if (interaction.isModalSubmit()) {
-      await handleModal(interaction);
-    }
+    await httpServer.stop();
+    await database.closeDatabase();
+    await client.destroy();
+    logger.info("👋 Shutdown complete");
   } catch (error) {
-    logger.error(`Error handling interaction: ${error.message}`);
-    logger.error("Stack:", error.stack);
+    logger.error(`Error during shutdown: ${error.message}`);
   }
-});
+
+  await logger.close();
+  process.exit(0);
+}
+
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
 
 // Global error handlers
 process.on("unhandledRejection", (reason, promise) => {
@@ -346,9 +479,8 @@ process.on("unhandledRejection", (reason, promise) => {
 });
 
 process.on("uncaughtException", (error) => {
-  logger.error("Uncaught Exception:", error.message);
-  logger.error("Stack:", error.stack);
-  process.exit(1);
+  logger.error("Uncaught Exception:", error);
+  logger.close().finally(() => process.exit(1));
 });
 
 /**
@@ -361,6 +493,12 @@ async function startBot() {
     // Validate configuration
     validateConfig();
 
+    // Health checks answer before login, so /readyz can report startup progress
+    httpServer.registerRoute("GET", serverConfig.routes.healthz, handleHealthz);
+    httpServer.registerRoute("GET", serverConfig.routes.readyz, handleReadyz);
+    httpServer.registerRoute("GET", serverConfig.routes.metrics, handleMetrics);
+    await httpServer.start();
+
     // Auto-deploy commands on startup
     logger.info("📋 Auto-deploying slash commands...");
     await deployCommands();
@@ -370,6 +508,7 @@ async function startBot() {
     await client.login(discordConfig.bot.token);
   } catch (error) {
     logger.error(`Failed to start bot: ${error.message}`);
+    await logger.close();
     process.exit(1);
   }
 }
@@ -385,6 +524,6 @@ module.exports = {
   sendJoinMessage,
   sendSubscribeMessage,
   sendSecondServerSubscribeMessage,
-  sendMentorship2JoinMessage,
+  sendCohortJoinMessage,
   cleanupPreviousMessages,
 };
@@ -0,0 +1,370 @@
+/**
+ * Bosnian catalogue (without diacritics)
+ * Main server language for members with the Bosnian/Croatian/Serbian role.
+ */
+
+module.exports = {
+  name: "Bosanski",
+  intlLocale: "bs-Latn-BA",
+
+  messages: {
+    common: {
+      error:
+        "❌ Doslo je do greske prilikom obrade vaseg zahtjeva. Molimo pokusajte ponovo kasnije.",
+      restarting: "🔄 Bot se ponovo pokrece. Molimo pokusajte ponovo za minut.",
+    },
+
+    units: {
+      days: { one: "{count} dan", few: "{count} dana", other: "{count} dana" },
+    },
+
+    buttons: {
+      join: "Pridruzi se",
+      subscribe: "Pretplati se",
+      cancelConfirm: "Da, otkazi pretplatu",
+      cancelAbort: "Ne, zadrzi pretplatu",
+      manageSubscription: "Upravljaj pretplatom",
+    },
+
+    join: {
+      title: "🚀 Zdravo! Preostao je samo jos jedan korak:",
+      description:
+        "• Molim te otvori PDF racun koji je stigao putem emaila.\n" +
+        '• Na njemu ces gore desno pronaci "Invoice. No." koji pocinje sa "pi_" ili "SM-".\n' +
+        '• Kopiraj cijeli tekst, ukljucujuci "pi_" ili "SM-" i sve znakove koje slijede.\n' +
+        '• Klikni ispod na dugme "Pridruzi se", upisi sve podatke i kopiraj taj broj u polje za racun.',
+      footer: "📌 Kliknite na dugme ispod da se pridruzite!",
+    },
+
+    registration: {
+      modal: {
+        title: "Registracijski obrazac",
+        firstName: "Ime",
+        lastName: "Prezime",
+        email: "Email adresa",
+        emailPlaceholder: "tvoj.google.account@gmail.com",
+        project: "Projekat/Klijent URL (opcionalno)",
+        projectPlaceholder: "Unesi 'searching' ako nemas projekat/klijenta.",
+        invoice: "Broj racuna",
+        invoicePlaceholder: "pi_1A2B3C4D5E6F7G8H9I0J",
+      },
+      errors: {
+        alreadyEnrolled:
+          "❌ **Vec registrovano:** Ova kupovina je vec iskoristena za Discord registraciju.",
+        purchaseNotFound:
+          "❌ **Kupovina nije pronadjena:** Nije pronadjena vazeca kupovina za uneseni broj racuna. Molimo provjerite unos i pokusajte ponovo.",
+        invalidFormat:
+          "❌ **Neispravan format:** Broj racuna mora pocinjati sa 'pi' ili 'SM'. Molimo provjerite unos.",
+        service:
+          "❌ **Greska servisa:** {message} Pokusajte ponovo kasnije ili kontaktirajte administratora.",
+        duplicate:
+          "❌ **Sigurnosno upozorenje:** Ovaj broj racuna je vec iskoristen za registraciju. Svaki broj racuna moze se iskoristiti samo jednom. Ako mislite da je ovo greska, kontaktirajte administratora.",
+        failed:
+          "❌ Doslo je do greske prilikom obrade registracije. Pokusajte ponovo ili kontaktirajte administratora.",
+        queued:
+          "⏳ **Provjera privremeno nedostupna:** Servis za provjeru racuna trenutno ne odgovara, pa je vasa registracija stavljena u red cekanja. Zavrsit ce se automatski cim servis ponovo proradi, a dobit cete DM.",
+      },
+      success: {
+        title: "✅ Registracija uspjesna!",
+        description:
+          "Cestitam, registracija je uspjesna.\n\n" +
+          "Molim te klikni na next (dole desno, bijela strelica u ljubicastom krugu)",
+        englishWelcome: "🎉 **Dobrodosli u englesku zajednicu!**",
+        inviteSent:
+          "📨 **Provjerite privatne poruke** - Dobili ste licni link za pozivnicu na SEOLAXY (EN) server!\n\n⚠️ Link se moze iskoristiti samo jednom i istice za 24 sata.",
+        inviteNotSent:
+          "⚠️ Nismo vam mogli poslati privatnu poruku, ali link za pozivnicu je kreiran. Molimo kontaktirajte administratora.",
+        nickname: "Nadimak",
+        nicknameNotSet: "Nadimak nije mogao biti postavljen",
+        memberStatus: "Status clana",
+        verified: "✅ Verifikovan",
+        verifiedAs: "✅ Verifikovan - {role}",
+        validationFailed: "❌ Provjera racuna nije uspjela",
+      },
+    },
+
+    secondServer: {
+      welcomeTitle: "🎉 Dobrodosli na SEOLAXY (EN)!",
+      welcomeDescription:
+        "Dobrodosli **{name}**! Postavljanje engleskog servera je zavrseno.",
+      nickname: "Nadimak",
+      nicknameTooLong: "Nadimak nije mogao biti postavljen (predug)",
+      status: "Status",
+      verified: "✅ Verifikovan clan",
+      roleFailed: "⚠️ Dodjela uloge nije uspjela",
+      project: "Projekat",
+      projectNotSet: "Nije navedeno",
+      error:
+        "❌ Doslo je do greske prilikom postavljanja vaseg naloga. Molimo kontaktirajte administratora.",
+    },
+
+    subscribe: {
+      title: "🚀 Pretplati se na SEOLAXY Mentorship Alumni Discord",
+      description:
+        "**Zadrzi pristup zajednici i mentorskoj podrsci!**\n\n" +
+        "Ova pretplata namijenjena je iskljucivo clanovima prvog SEO mentorstva koji zele ostati aktivni na Discordu.\n\n" +
+        "**Pretplata ukljucuje:**\n\n" +
+        "• Pristup svim kanalima\n" +
+        "• Mogucnost postavljanja neogranicenog broja pitanja (unutar razumnih okvira kompleksnosti)\n" +
+        "• Podrsku zajednice i umrezavanje\n\n" +
+        "**Kako funkcionise:**\n" +
+        "1. Klikni na dugme **Pretplati se** ispod\n" +
+        "2. Zavrsi sigurnu naplatu na Stripeu\n" +
+        "3. Tvoj pristup ce biti automatski aktiviran u roku od nekoliko minuta!\n\n" +
+        "💳 *Sigurno placanje putem Stripe-a*",
+      footer: "📌 Kliknite na dugme ispod da se pretplatite!",
+      alreadyActive:
+        "✅ Vec imate aktivnu pretplatu! Pristup vam je osiguran. Ako i dalje imate problema sa kanalima, molimo kontaktirajte osoblje.",
+      comped:
+        "✅ Imate besplatan pristup, pretplata vam nije potrebna. Ako i dalje imate problema sa kanalima, molimo kontaktirajte osoblje.",
+      compedUntil:
+        "✅ Imate besplatan pristup do {date}, pretplata vam nije potrebna. Ako i dalje imate problema sa kanalima, molimo kontaktirajte osoblje.",
+      pendingCheckout:
+        "⏳ Vec imate aktivnu sesiju za placanje. Molimo zavrsiste placanje ili sacekajte nekoliko minuta prije ponovnog pokusaja.",
+      choosePlan: "💳 Odaberite plan pretplate:",
+      planPlaceholder: "Odaberite plan",
+      planUnavailable:
+        "❌ Odabrani plan trenutno nije dostupan. Molimo kliknite dugme za pretplatu ponovo.",
+      checkoutFailed:
+        "❌ Nije moguce kreirati sesiju za placanje. Molimo pokusajte ponovo kasnije ili kontaktirajte osoblje.",
+    },
+
+    plans: {
+      monthly: {
+        name: "Mjesecna pretplata",
+        description: "Pristup svim clanskim kanalima, naplata svaki mjesec",
+      },
+      yearly: {
+        name: "Godisnja pretplata",
+        description: "Pristup svim clanskim kanalima, naplata jednom godisnje",
+      },
+      premium: {
+        name: "Premium pretplata",
+        description: "Sve iz mjesecne pretplate uz premium kanale",
+      },
+    },
+
+    checkout: {
+      title: "💳 Zavrsite vasu pretplatu",
+      description:
+        "Kliknite na link ispod da zavrsiste placanje pretplate.\n\n" +
+        "**[Kliknite ovdje za pretplatu]({url})**\n\n" +
+        "Nakon uspjesnog placanja, vas pristup ce biti automatski aktiviran u roku od nekoliko minuta.\n\n" +
+        "⏱️ *Ovaj link istice za 24 sata*",
+    },
+
+    subscription: {
+      none: "❓ Nemate pretplatu. Pretplatite se koristeci **Pretplati se** dugme na serveru.",
+      notCancellable: "❓ Nemate aktivnu pretplatu koju je moguce otkazati.",
+      alreadyCancelled:
+        "ℹ️ Vasa pretplata je vec otkazana i istice **{date}**. Koristite `/subscription resume` ako se predomislite.",
+      confirmCancel:
+        "⚠️ **Da li ste sigurni da zelite otkazati pretplatu?**\n\n" +
+        "Pristup zadrzavate do kraja trenutnog obracunskog perioda, nakon cega ce vase uloge biti uklonjene.",
+      cancelled:
+        "✅ Vasa pretplata je otkazana. Pristup zadrzavate do **{date}**.\n\n" +
+        "Ako se predomislite, koristite `/subscription resume` prije tog datuma.",
+      cancelFailed:
+        "❌ Nije moguce otkazati pretplatu. Molimo pokusajte ponovo kasnije ili kontaktirajte osoblje.",
+      cancelAborted: "👍 Otkazivanje prekinuto. Vasa pretplata ostaje aktivna.",
+      notResumable:
+        "❓ Nemate pretplatu koju je moguce nastaviti. Pretplatite se koristeci **Pretplati se** dugme na serveru.",
+      notCancelled: "✅ Vasa pretplata je aktivna i nije otkazana.",
+      resumeFailed:
+        "❌ Nije moguce nastaviti pretplatu. Molimo pokusajte ponovo kasnije ili kontaktirajte osoblje.",
+      resumed: "✅ Vasa pretplata je ponovo aktivna i obnovit ce se **{date}**.",
+      portalFailed:
+        "❌ Nije moguce otvoriti portal za placanje. Molimo pokusajte ponovo kasnije ili kontaktirajte osoblje.",
+      portal:
+        "💳 Kliknite na dugme ispod da azurirate nacin placanja, preuzmete racune ili upravljate pretplatom.\n\n⏱️ *Link je privremen i vazi samo za vas.*",
+      status: {
+        title: "📊 Status pretplate",
+        user: "Korisnik",
+        status: "Status",
+        type: "Vrsta",
+        legacy: "Stari clan (prelazni period)",
+        subscription: "Pretplata",
+        customer: "Stripe kupac",
+        subscriptionId: "ID pretplate",
+        expires: "Istice",
+        expiresOrRenews: "Istice/Obnavlja se",
+        cancelsAtPeriodEnd: "Pretplata se otkazuje na kraju trenutnog obracunskog perioda",
+        unknown: "Nepoznato",
+        notAvailable: "N/A",
+      },
+    },
+
+    commands: {
+      subscription: {
+        description: "Pregledajte i upravljajte svojom Seolaxy pretplatom",
+        status: "Prikazi status pretplate i datum obnove",
+        cancel: "Otkazi pretplatu na kraju obracunskog perioda",
+        resume: "Nastavi pretplatu koja je postavljena za otkazivanje",
+        manage: "Link za promjenu nacina placanja i racune",
+      },
+    },
+
+    dm: {
+      welcome:
+        "🎉 **Dobrodosli u Seolaxy!**\n\n" +
+        "Vasa pretplata je sada aktivna i dobili ste pristup svim clanskim kanalima.\n\n" +
+        "Hvala vam na podrsci! Ako imate bilo kakvih pitanja, slobodno se obratite nasem osoblju.\n\n" +
+        "Uzivajte u clanstvu! 🚀",
+      reactivated:
+        "✅ **Pretplata ponovo aktivirana!**\n\n" +
+        "Vasa pretplata je ponovo aktivna i vas pristup je vracen.\n\n" +
+        "Hvala vam sto nastavljate clanstvo! 🎉",
+      ended:
+        "😔 **Pretplata zavrsena**\n\n" +
+        "{reason}\n\n" +
+        "Vase uloge pristupa su uklonjene. Da biste ponovo dobili pristup, molimo pretplatite se koristeci dugme za pretplatu na serveru.\n\n" +
+        "Nadamo se da cemo vas uskoro ponovo vidjeti! 💙",
+      endedCanceled: "Vasa pretplata je otkazana.",
+      endedPaymentFailed: "Vasa pretplata je zavrsena zbog problema sa placanjem.",
+      legacyExpired:
+        "⏰ **Period besplatnog pristupa je zavrsen**\n\n" +
+        "Vas jednomjesecni besplatni pristup je zavrsen. Presli smo na model pretplate.\n\n" +
+        "Da biste nastavili uzivati pristup svim clanskim kanalima, molimo pretplatite se koristeci dugme na serveru.\n\n" +
+        "Hvala vam sto ste dio nase zajednice! 💙",
+      checkoutExpired:
+        "⌛ **Link za placanje je istekao**\n\n" +
+        "Vasa sesija za placanje je istekla prije nego sto je placanje zavrseno.\n\n" +
+        "Ako i dalje zelite pristup, kliknite dugme ispod da dobijete novi link za placanje.",
+      manualAccessEnded:
+        "⏰ **Pristup istekao**\n\n" +
+        "Vas besplatni pristup je istekao i vase uloge pristupa su uklonjene.\n\n" +
+        "Da biste zadrzali pristup, molimo pretplatite se koristeci dugme za pretplatu na serveru.\n\n" +
+        "Hvala sto ste bili dio zajednice! 💙",
+      expiring:
+        "⏰ **Podsjetnik za pretplatu**\n\n" +
+        "Vasa Seolaxy pretplata istice za **{days}**.\n\n" +
+        "Da biste zadrzali pristup svim clanskim kanalima, provjerite da je vas nacin placanja azuran.\n\n" +
+        "Ako imate bilo kakvih pitanja, molimo kontaktirajte nase osoblje.",
+      englishInvite:
+        "🎉 **Dobrodosli u Seolaxy!**\n\n" +
+        "Vasa registracija je uspjesna! Pozvani ste na nas server na engleskom jeziku.\n\n" +
+        "**🔗 Vas licni link za pozivnicu:**\n" +
+        "{url}\n\n" +
+        "⚠️ **Vazno:** Link se moze iskoristiti samo jednom i istice za 24 sata. Kliknite na njega da se pridruzite SEOLAXY (EN) serveru.\n\n" +
+        "Dobrodosli! 🚀",
+      reset: {
+        title: "Pretplata resetovana",
+        description:
+          "Tvoja pretplata na Seolaxy mentorship je zavrsena.\n\n" +
+          "Zbog prelaska na novi sistem pretplata, potrebno je da se ponovo pretplatis.\n\n" +
+          "Idi na kanal za prijavu na serveru i klikni na **Pretplati se** dugme kako bi nastavio/la sa pristupom.\n\n" +
+          "Hvala na razumijevanju! 💙",
+        footer: "Seolaxy Mentorship",
+      },
+      dunning: {
+        initial:
+          "⚠️ **Problem sa placanjem**\n\n" +
+          "Nismo mogli obraditi vase placanje pretplate. Molimo azurirajte nacin placanja kako biste izbjegli gubitak pristupa.\n\n" +
+          "Imate {days} da rijesite ovaj problem.\n\n" +
+          "Ako vam treba pomoc, molimo kontaktirajte nase osoblje.",
+        reminder:
+          "⏰ **Podsjetnik: problem sa placanjem**\n\n" +
+          "Vase placanje pretplate jos uvijek nije uspjelo. Ako ne azurirate nacin placanja, vas pristup ce biti uklonjen za 1 dan.\n\n" +
+          "Ako vam treba pomoc, molimo kontaktirajte nase osoblje.",
+        final:
+          "🔒 **Pristup privremeno uklonjen**\n\n" +
+          "Period od {days} za rjesavanje problema sa placanjem je istekao, pa su vase uloge pristupa uklonjene.\n\n" +
+          "Cim placanje bude uspjesno, pristup ce vam biti automatski vracen.\n\n" +
+          "Ako vam treba pomoc, molimo kontaktirajte nase osoblje.",
+      },
+      registrationQueue: {
+        completed:
+          "✅ **Registracija zavrsena**\n\n" +
+          "Servis za provjeru racuna ponovo radi i vasa registracija iz reda cekanja je zavrsena.",
+        refused:
+          "❌ **Registracija iz reda cekanja nije zavrsena**\n\n" +
+          "Servis za provjeru racuna ponovo radi, ali vasu registraciju nije bilo moguce zavrsiti:",
+        expired:
+          "⌛ **Registracija iz reda cekanja je istekla**\n\n" +
+          "Servis za provjeru racuna predugo je bio nedostupan, pa vasu registraciju nije bilo moguce zavrsiti.\n\n" +
+          'Molimo registrujte se ponovo pomocu dugmeta "Pridruzi se" na serveru.',
+      },
+    },
+
+    cohort: {
+      join: {
+        title: "🚀 Zdravo! Preostao je samo jos jedan korak:",
+        description:
+          "• Molim te otvori PDF racun koji je stigao putem emaila.\n" +
+          '• Na njemu ces gore desno pronaci "Invoice. No." koji pocinje sa "{prefix}".\n' +
+          '• Kopiraj cijeli tekst, ukljucujuci "{prefix}" i sve znakove koje slijede.\n' +
+          '• Klikni ispod na dugme "Pridruzi se", upisi sve podatke i kopiraj taj broj u polje za racun.',
+        footer: "📌 Klikni na dugme ispod da se pridruzis!",
+      },
+      modal: {
+        title: "Registracijski obrazac",
+      },
+      success: {
+        title: "✅ Registracija uspjesna!",
+        description:
+          "Cestitam, registracija je uspjesna.\n\n" +
+          "Pogledaj kanal {channel} za pristup SEOLAXY Masterclass videima i daljnje upute.",
+        nickname: "Nadimak",
+        nicknameNotSet: "Nadimak nije mogao biti postavljen",
+        memberStatus: "Status clana",
+        verified: "✅ Verifikovan",
+        roleFailed: "⚠️ Dodjela uloge nije uspjela",
+      },
+      errors: {
+        alreadyEnrolled:
+          "❌ **Vec registrovano:** Ova kupovina je vec iskoristena za Discord registraciju.",
+        purchaseNotFound:
+          "❌ **Kupovina nije pronadjena:** Nije pronadjena vazeca kupovina za uneseni broj racuna. Molimo provjerite unos i pokusajte ponovo.",
+        invalidFormat:
+          "❌ **Neispravan format:** Broj racuna mora pocinjati sa 'SM' ili 'pi'. Molimo provjerite unos.",
+        closed: "❌ Registracija za {cohort} je zatvorena.",
+        wrongInvoice:
+          "❌ **Neispravan format:** Brojevi racuna za {cohort} izgledaju ovako: {example}. Molimo provjerite unos.",
+        service:
+          "❌ **Greska servisa:** {message} Pokusajte ponovo kasnije ili kontaktirajte administratora.",
+        duplicate:
+          "❌ **Sigurnosno upozorenje:** Ovaj broj racuna je vec iskoristen za registraciju. Svaki broj racuna moze se iskoristiti samo jednom. Ako mislite da je ovo greska, kontaktirajte administratora.",
+        failed:
+          "❌ Doslo je do greske prilikom obrade registracije. Pokusajte ponovo ili kontaktirajte administratora.",
+        queued:
+          "⏳ **Provjera privremeno nedostupna:** Servis za provjeru racuna trenutno ne odgovara, pa je vasa registracija stavljena u red cekanja. Zavrsit ce se automatski cim servis ponovo proradi, a dobit cete DM.",
+      },
+      manage: {
+        removeUser: "Ukloni korisnika",
+        editUser: "Uredi korisnika",
+        noPermissionRemove: "❌ Nemas ovlasti za uklanjanje korisnika.",
+        noPermissionEdit: "❌ Nemas ovlasti za uredjivanje korisnika.",
+        identifier: "Broj racuna ili Discord ID",
+        identifierPlaceholder: "npr. {example} ili 123456789012345678",
+        editIdentifierPlaceholder: "npr. {example}",
+        firstName: "Ime (opcionalno)",
+        lastName: "Prezime (opcionalno)",
+        email: "Email (opcionalno)",
+        project: "Projekat (opcionalno)",
+        identifierRequired: "❌ Unesi broj racuna ili Discord ID.",
+        notFound: "❌ Korisnik nije pronadjen u bazi.",
+        notInCohort: "❌ Korisnik nije iz {cohort}.",
+        deleteFailed: "❌ Greska pri brisanju korisnika iz baze.",
+        removed: "✅ Korisnik **{name}** ({invoice}) je uklonjen.",
+        releaseFailed:
+          "⚠️ Kupovina nije oslobodjena na Seolaxyju, pa se {invoice} jos ne moze ponovo koristiti za registraciju. Pokusajte kasnije s `/enrollment release invoice:{invoice}`.",
+        nothingToUpdate: "❌ Nisi unio nijedno polje za azuriranje.",
+        updateFailed: "❌ Greska pri azuriranju korisnika.",
+        updated: "✅ Korisnik **{name}** je azuriran.",
+        paginationError: "❌ Greska pri azuriranju liste korisnika. Pokusajte ponovo.",
+        exported:
+          "✅ **{cohort} korisnici eksportovani!**\n\n📊 **{count} korisnika** eksportovano u CSV\n📅 Generisano: {date}",
+        exportFailed: "❌ Greska pri generisanju CSV eksporta. Pokusajte ponovo.",
+      },
+      users: {
+        title: "📊 {cohort} - Registrovani korisnici",
+        empty: "Jos nema registrovanih korisnika.",
+        emptyFooter: "Ukupno korisnika: 0",
+        total: "**📈 Ukupno:** {count} korisnika",
+        page: "📄 **Stranica {page} od {totalPages}** | Korisnici {from}-{to} od {total}",
+        all: "📄 Svi korisnici: {count}",
+        footer: "Ukupno: {count} | Stranica {page}/{totalPages}",
+      },
+    },
+  },
+};
@@ -0,0 +1,374 @@
+/**
+ * English catalogue
+ * Reference catalogue: every key used by the bot must exist here, other
+ * catalogues fall back to it for keys they are missing.
+ *
+ * {name} placeholders are filled by i18n.t(); objects with one/few/other are
+ * plural forms picked by the "count" parameter.
+ */
+
+module.exports = {
+  name: "English",
+  // Used for dates and plural rules
+  intlLocale: "en-GB",
+
+  messages: {
+    common: {
+      error:
+        "❌ An error occurred while processing your request. Please try again later.",
+      restarting: "🔄 The bot is restarting. Please try again in a minute.",
+    },
+
+    units: {
+      days: { one: "{count} day", other: "{count} days" },
+    },
+
+    buttons: {
+      join: "Join",
+      subscribe: "Subscribe",
+      cancelConfirm: "Yes, cancel my subscription",
+      cancelAbort: "No, keep my subscription",
+      manageSubscription: "Manage subscription",
+    },
+
+    join: {
+      title: "🚀 Hello! There is only one step left:",
+      description:
+        "• Please open the PDF invoice that arrived via email.\n" +
+        '• On it you\'ll find "Invoice. No." in the top right that starts with "pi_".\n' +
+        '• Copy the entire text, including "pi_" and all characters that follow.\n' +
+        '• Click the "Join" button below, enter all data and copy that number into the invoice field.',
+      footer: "📌 Click the button below to join!",
+    },
+
+    registration: {
+      modal: {
+        title: "Member Registration Form",
+        firstName: "First Name",
+        lastName: "Last Name",
+        email: "Email Address",
+        emailPlaceholder: "your.google.account@gmail.com",
+        project: "Project/Client URL (optional)",
+        projectPlaceholder: "Enter 'searching' if you don't have a client.",
+        invoice: "Invoice Number",
+        invoicePlaceholder: "pi_1A2B3C4D5E6F7G8H9I0J",
+      },
+      errors: {
+        alreadyEnrolled:
+          "❌ **Already Enrolled:** This purchase has already been used for Discord enrollment.",
+        purchaseNotFound:
+          "❌ **Purchase Not Found:** No valid purchase found for the provided payment intent ID or invoice number. Please check your input and try again.",
+        invalidFormat:
+          "❌ **Invalid Format:** Payment intent must start with 'pi' or invoice number must start with 'SM'. Please check your input.",
+        service:
+          "❌ **Service Error:** {message} Please try again later or contact an administrator.",
+        duplicate:
+          "❌ **Security Alert:** This payment intent has already been used for registration. Each payment intent can only be used once. If you believe this is an error, please contact an administrator.",
+        failed:
+          "❌ There was an error processing your registration. Please try again or contact an administrator.",
+        queued:
+          "⏳ **Validation temporarily unavailable:** The invoice validation service is not responding right now, so your registration has been queued. It completes automatically as soon as the service is back, and you will get a DM.",
+      },
+      success: {
+        title: "✅ Registration Successful!",
+        description: "Congratulations, registration successful.",
+        englishWelcome: "🎉 **Welcome to the English community!**",
+        inviteSent:
+          "📨 **Check your DMs** - You've received a personal invite link to the SEOLAXY (EN) server!\n\n⚠️ The invite link is for one-time use only and expires in 24 hours.",
+        inviteNotSent:
+          "⚠️ We couldn't send you a DM, but your invite link was created. Please contact an administrator.",
+        nickname: "Nickname",
+        nicknameNotSet: "Could not set nickname",
+        memberStatus: "Member Status",
+        verified: "✅ Verified",
+        verifiedAs: "✅ Verified - {role}",
+        validationFailed: "❌ Invoice validation failed",
+      },
+    },
+
+    secondServer: {
+      welcomeTitle: "🎉 Welcome to SEOLAXY (EN)!",
+      welcomeDescription:
+        "Welcome **{name}**! Your English server setup is complete.",
+      nickname: "Nickname",
+      nicknameTooLong: "Could not set nickname (too long)",
+      status: "Status",
+      verified: "✅ Verified Member",
+      roleFailed: "⚠️ Role assignment failed",
+      project: "Project",
+      projectNotSet: "Not specified",
+      error:
+        "❌ There was an error setting up your account. Please contact an administrator.",
+    },
+
+    subscribe: {
+      title: "🚀 Subscribe to Seolaxy",
+      description:
+        "**Get full access to all member channels and resources!**\n\n" +
+        "By subscribing, you'll unlock:\n" +
+        "• Access to all premium channels\n" +
+        "• Exclusive learning materials\n" +
+        "• Community support and networking\n" +
+        "• Regular updates and new content\n\n" +
+        "**How it works:**\n" +
+        "1. Click the **Subscribe** button below\n" +
+        "2. Complete the secure checkout on Stripe\n" +
+        "3. Your access will be activated automatically within minutes!\n\n" +
+        "💳 *Secure payment powered by Stripe*",
+      footer: "📌 Click the button below to subscribe!",
+      alreadyActive:
+        "✅ You already have an active subscription! Your access is secured. If you still have trouble with the channels, please contact staff.",
+      comped:
+        "✅ You have free access, you don't need a subscription. If you still have trouble with the channels, please contact staff.",
+      compedUntil:
+        "✅ You have free access until {date}, you don't need a subscription. If you still have trouble with the channels, please contact staff.",
+      pendingCheckout:
+        "⏳ You already have an active checkout session. Please complete the payment or wait a few minutes before trying again.",
+      choosePlan: "💳 Choose a subscription plan:",
+      planPlaceholder: "Choose a plan",
+      planUnavailable:
+        "❌ The selected plan is currently unavailable. Please click the subscribe button again.",
+      checkoutFailed:
+        "❌ Could not create a checkout session. Please try again later or contact staff.",
+    },
+
+    plans: {
+      monthly: {
+        name: "Monthly subscription",
+        description: "Access to all member channels, billed every month",
+      },
+      yearly: {
+        name: "Yearly subscription",
+        description: "Access to all member channels, billed once a year",
+      },
+      premium: {
+        name: "Premium subscription",
+        description: "Everything in the monthly subscription plus premium channels",
+      },
+    },
+
+    checkout: {
+      title: "💳 Complete your subscription",
+      description:
+        "Click the link below to complete your subscription payment.\n\n" +
+        "**[Click here to subscribe]({url})**\n\n" +
+        "After a successful payment, your access will be activated automatically within a few minutes.\n\n" +
+        "⏱️ *This link expires in 24 hours*",
+    },
+
+    subscription: {
+      none: "❓ You don't have a subscription. Subscribe using the **Subscribe** button on the server.",
+      notCancellable: "❓ You don't have an active subscription that can be cancelled.",
+      alreadyCancelled:
+        "ℹ️ Your subscription is already cancelled and ends on **{date}**. Use `/subscription resume` if you change your mind.",
+      confirmCancel:
+        "⚠️ **Are you sure you want to cancel your subscription?**\n\n" +
+        "You keep access until the end of the current billing period, after which your roles will be removed.",
+      cancelled:
+        "✅ Your subscription has been cancelled. You keep access until **{date}**.\n\n" +
+        "If you change your mind, use `/subscription resume` before that date.",
+      cancelFailed:
+        "❌ Could not cancel the subscription. Please try again later or contact staff.",
+      cancelAborted: "👍 Cancellation aborted. Your subscription stays active.",
+      notResumable:
+        "❓ You don't have a subscription that can be resumed. Subscribe using the **Subscribe** button on the server.",
+      notCancelled: "✅ Your subscription is active and not cancelled.",
+      resumeFailed:
+        "❌ Could not resume the subscription. Please try again later or contact staff.",
+      resumed: "✅ Your subscription is active again and renews on **{date}**.",
+      portalFailed:
+        "❌ Could not open the billing portal. Please try again later or contact staff.",
+      portal:
+        "💳 Click the button below to update your payment method, download invoices or manage your subscription.\n\n⏱️ *The link is temporary and only valid for you.*",
+      status: {
+        title: "📊 Subscription Status",
+        user: "User",
+        status: "Status",
+        type: "Type",
+        legacy: "Legacy (Grace Period)",
+        subscription: "Subscription",
+        customer: "Stripe Customer",
+        subscriptionId: "Subscription ID",
+        expires: "Expires",
+        expiresOrRenews: "Expires/Renews",
+        cancelsAtPeriodEnd: "Set to cancel at the end of the current billing period",
+        unknown: "Unknown",
+        notAvailable: "N/A",
+      },
+    },
+
+    // Slash command descriptions (Discord allows 100 characters)
+    commands: {
+      subscription: {
+        description: "View and manage your Seolaxy subscription",
+        status: "Show your subscription status and renewal date",
+        cancel: "Cancel your subscription at the end of the billing period",
+        resume: "Resume a subscription that is set to cancel",
+        manage: "Get a link to update your payment method and invoices",
+      },
+    },
+
+    dm: {
+      welcome:
+        "🎉 **Welcome to Seolaxy!**\n\n" +
+        "Your subscription is now active and you have access to all member channels.\n\n" +
+        "Thank you for your support! If you have any questions, feel free to reach out to our staff.\n\n" +
+        "Enjoy your membership! 🚀",
+      reactivated:
+        "✅ **Subscription reactivated!**\n\n" +
+        "Your subscription is active again and your access has been restored.\n\n" +
+        "Thank you for continuing your membership! 🎉",
+      ended:
+        "😔 **Subscription ended**\n\n" +
+        "{reason}\n\n" +
+        "Your access roles have been removed. To get access again, please subscribe using the subscribe button on the server.\n\n" +
+        "We hope to see you again soon! 💙",
+      endedCanceled: "Your subscription has been cancelled.",
+      endedPaymentFailed: "Your subscription ended because of a payment problem.",
+      legacyExpired:
+        "⏰ **Your free access period has ended**\n\n" +
+        "Your one-month free access has ended. We have moved to a subscription model.\n\n" +
+        "To keep enjoying access to all member channels, please subscribe using the button on the server.\n\n" +
+        "Thank you for being part of our community! 💙",
+      checkoutExpired:
+        "⌛ **Your payment link has expired**\n\n" +
+        "Your checkout session expired before the payment was completed.\n\n" +
+        "If you still want access, click the button below to get a new payment link.",
+      manualAccessEnded:
+        "⏰ **Access expired**\n\n" +
+        "Your free access has expired and your access roles have been removed.\n\n" +
+        "To keep your access, please subscribe using the subscribe button on the server.\n\n" +
+        "Thank you for being part of the community! 💙",
+      expiring:
+        "⏰ **Subscription Reminder**\n\n" +
+        "Your Seolaxy subscription will expire in **{days}**.\n\n" +
+        "To continue enjoying access to all member channels, please ensure your payment method is up to date.\n\n" +
+        "If you have any questions, please contact our staff.",
+      englishInvite:
+        "🎉 **Welcome to Seolaxy!**\n\n" +
+        "Your registration has been successful! As an English speaker, you've been invited to our dedicated English server.\n\n" +
+        "**🔗 Your Personal Invite Link:**\n" +
+        "{url}\n\n" +
+        "⚠️ **Important:** This link is for one-time use only and expires in 24 hours. Click it to join the SEOLAXY (EN) server where you'll find all English-speaking members and content.\n\n" +
+        "Welcome aboard! 🚀",
+      reset: {
+        title: "Subscription reset",
+        description:
+          "Your Seolaxy mentorship subscription has ended.\n\n" +
+          "Because we are moving to a new subscription system, you need to subscribe again.\n\n" +
+          "Go to the join channel on the server and click the **Subscribe** button to keep your access.\n\n" +
+          "Thank you for your understanding! 💙",
+        footer: "Seolaxy Mentorship",
+      },
+      dunning: {
+        initial:
+          "⚠️ **Payment problem**\n\n" +
+          "We could not process your subscription payment. Please update your payment method to avoid losing access.\n\n" +
+          "You have {days} to resolve this.\n\n" +
+          "If you need help, please contact our staff.",
+        reminder:
+          "⏰ **Reminder: payment problem**\n\n" +
+          "Your subscription payment still hasn't gone through. If you don't update your payment method, your access will be removed in 1 day.\n\n" +
+          "If you need help, please contact our staff.",
+        final:
+          "🔒 **Access temporarily removed**\n\n" +
+          "The {days} period to resolve the payment problem has passed, so your access roles have been removed.\n\n" +
+          "As soon as a payment succeeds, your access will be restored automatically.\n\n" +
+          "If you need help, please contact our staff.",
+      },
+      registrationQueue: {
+        completed:
+          "✅ **Registration completed**\n\n" +
+          "The invoice validation service is back and your queued registration has been completed.",
+        refused:
+          "❌ **Queued registration not completed**\n\n" +
+          "The invoice validation service is back, but your registration could not be completed:",
+        expired:
+          "⌛ **Queued registration expired**\n\n" +
+          "The invoice validation service was unavailable for too long, so your registration could not be completed.\n\n" +
+          'Please register again with the "Join" button on the server.',
+      },
+    },
+
+    cohort: {
+      join: {
+        title: "🚀 Hello! There is only one step left:",
+        description:
+          "• Please open the PDF invoice that arrived via email.\n" +
+          '• On it you\'ll find "Invoice. No." in the top right that starts with "{prefix}".\n' +
+          '• Copy the entire text, including "{prefix}" and all characters that follow.\n' +
+          '• Click the "Join" button below, enter all data and copy that number into the invoice field.',
+        footer: "📌 Click the button below to join!",
+      },
+      modal: {
+        title: "Registration Form",
+      },
+      success: {
+        title: "✅ Registration Successful!",
+        description:
+          "Congratulations, registration successful.\n\n" +
+          "Check the {channel} channel for access to the SEOLAXY Masterclass videos and further instructions.",
+        nickname: "Nickname",
+        nicknameNotSet: "Could not set nickname",
+        memberStatus: "Member Status",
+        verified: "✅ Verified",
+        roleFailed: "⚠️ Role assignment failed",
+      },
+      errors: {
+        alreadyEnrolled:
+          "❌ **Already Enrolled:** This purchase has already been used for Discord registration.",
+        purchaseNotFound:
+          "❌ **Purchase Not Found:** No valid purchase was found for the given invoice number. Please check your input and try again.",
+        invalidFormat:
+          "❌ **Invalid Format:** The invoice number must start with 'SM' or 'pi'. Please check your input.",
+        closed: "❌ Registration for {cohort} is closed.",
+        wrongInvoice:
+          "❌ **Invalid Format:** Invoice numbers for {cohort} look like {example}. Please check your input.",
+        service:
+          "❌ **Service Error:** {message} Please try again later or contact an administrator.",
+        duplicate:
+          "❌ **Security Alert:** This invoice number has already been used for registration. Each invoice number can only be used once. If you believe this is an error, please contact an administrator.",
+        failed:
+          "❌ There was an error processing your registration. Please try again or contact an administrator.",
+        queued:
+          "⏳ **Validation temporarily unavailable:** The invoice validation service is not responding right now, so your registration has been queued. It completes automatically as soon as the service is back, and you will get a DM.",
+      },
+      manage: {
+        removeUser: "Remove user",
+        editUser: "Edit user",
+        noPermissionRemove: "❌ You don't have permission to remove users.",
+        noPermissionEdit: "❌ You don't have permission to edit users.",
+        identifier: "Invoice number or Discord ID",
+        identifierPlaceholder: "e.g. {example} or 123456789012345678",
+        editIdentifierPlaceholder: "e.g. {example}",
+        firstName: "First name (optional)",
+        lastName: "Last name (optional)",
+        email: "Email (optional)",
+        project: "Project (optional)",
+        identifierRequired: "❌ Enter an invoice number or Discord ID.",
+        notFound: "❌ User not found in the database.",
+        notInCohort: "❌ This user is not registered in {cohort}.",
+        deleteFailed: "❌ Error deleting the user from the database.",
+        removed: "✅ User **{name}** ({invoice}) has been removed.",
+        releaseFailed:
+          "⚠️ The purchase could not be released on Seolaxy, so {invoice} cannot be used to register again yet. Try `/enrollment release invoice:{invoice}` later.",
+        nothingToUpdate: "❌ You didn't fill in any field to update.",
+        updateFailed: "❌ Error updating the user.",
+        updated: "✅ User **{name}** has been updated.",
+        paginationError: "❌ Error updating the users list. Please try again.",
+        exported:
+          "✅ **{cohort} users exported!**\n\n📊 **{count} users** exported to CSV\n📅 Generated: {date}",
+        exportFailed: "❌ Error generating the CSV export. Please try again.",
+      },
+      users: {
+        title: "📊 {cohort} - Registered users",
+        empty: "No users registered yet.",
+        emptyFooter: "Total users: 0",
+        total: "**📈 Total:** {count} users",
+        page: "📄 **Page {page} of {totalPages}** | Users {from}-{to} of {total}",
+        all: "📄 All users: {count}",
+        footer: "Total: {count} | Page {page}/{totalPages}",
+      },
+    },
+  },
+};
@@ -0,0 +1,370 @@
+/**
+ * Croatian catalogue
+ * Default language of the Mentorship #2 server.
+ */
+
+module.exports = {
+  name: "Hrvatski",
+  intlLocale: "hr-HR",
+
+  messages: {
+    common: {
+      error:
+        "❌ Došlo je do greške prilikom obrade vašeg zahtjeva. Pokušajte ponovo kasnije.",
+      restarting: "🔄 Bot se ponovno pokreće. Pokušajte ponovo za minutu.",
+    },
+
+    units: {
+      days: { one: "{count} dan", few: "{count} dana", other: "{count} dana" },
+    },
+
+    buttons: {
+      join: "Pridruži se",
+      subscribe: "Pretplati se",
+      cancelConfirm: "Da, otkaži pretplatu",
+      cancelAbort: "Ne, zadrži pretplatu",
+      manageSubscription: "Upravljaj pretplatom",
+    },
+
+    join: {
+      title: "🚀 Zdravo! Preostao je samo još jedan korak:",
+      description:
+        "• Molim te otvori PDF račun koji je stigao putem emaila.\n" +
+        '• Na njemu ćeš gore desno pronaći "Invoice. No." koji počinje sa "pi_" ili "SM-".\n' +
+        '• Kopiraj cijeli tekst, uključujući "pi_" ili "SM-" i sve znakove koje slijede.\n' +
+        '• Klikni ispod na dugme "Pridruži se", upiši sve podatke i kopiraj taj broj u polje za fakturu.',
+      footer: "📌 Klikni na dugme ispod da se pridružiš!",
+    },
+
+    registration: {
+      modal: {
+        title: "Registracijski obrazac",
+        firstName: "Ime",
+        lastName: "Prezime",
+        email: "Email adresa",
+        emailPlaceholder: "tvoj.google.account@gmail.com",
+        project: "Projekat/Klijent URL (opcionalno)",
+        projectPlaceholder: "Unesi 'searching' ako nemaš projekat/klijenta.",
+        invoice: "Broj fakture",
+        invoicePlaceholder: "pi_1A2B3C4D5E6F7G8H9I0J",
+      },
+      errors: {
+        alreadyEnrolled:
+          "❌ **Već registrirano:** Ova kupovina je već korištena za Discord registraciju.",
+        purchaseNotFound:
+          "❌ **Kupovina nije pronađena:** Nije pronađena valjana kupovina za navedeni broj fakture. Molimo provjerite unos i pokušajte ponovo.",
+        invalidFormat:
+          "❌ **Neispravan format:** Broj fakture mora počinjati sa 'pi' ili 'SM'. Molimo provjerite unos.",
+        service:
+          "❌ **Greška servisa:** {message} Pokušajte ponovo kasnije ili kontaktirajte administratora.",
+        duplicate:
+          "❌ **Sigurnosno upozorenje:** Ovaj broj fakture je već korišten za registraciju. Svaki broj fakture može se koristiti samo jednom. Ako mislite da je ovo greška, kontaktirajte administratora.",
+        failed:
+          "❌ Došlo je do greške pri obradi registracije. Pokušajte ponovo ili kontaktirajte administratora.",
+        queued:
+          "⏳ **Provjera privremeno nedostupna:** Servis za provjeru faktura trenutno ne odgovara, pa je vaša registracija stavljena u red čekanja. Dovršit će se automatski čim servis ponovo proradi, a dobit ćete DM.",
+      },
+      success: {
+        title: "✅ Registracija uspješna!",
+        description:
+          "Čestitam, registracija je uspješna.\n\n" +
+          "Molim te klikni na next (dolje desno, bijela strelica u ljubičastom krugu)",
+        englishWelcome: "🎉 **Dobrodošli u englesku zajednicu!**",
+        inviteSent:
+          "📨 **Provjerite privatne poruke** - Dobili ste osobni link za pozivnicu na SEOLAXY (EN) server!\n\n⚠️ Link se može iskoristiti samo jednom i istječe za 24 sata.",
+        inviteNotSent:
+          "⚠️ Nismo vam mogli poslati privatnu poruku, ali link za pozivnicu je kreiran. Molimo kontaktirajte administratora.",
+        nickname: "Nadimak",
+        nicknameNotSet: "Nadimak nije mogao biti postavljen",
+        memberStatus: "Status člana",
+        verified: "✅ Verificiran",
+        verifiedAs: "✅ Verificiran - {role}",
+        validationFailed: "❌ Provjera fakture nije uspjela",
+      },
+    },
+
+    secondServer: {
+      welcomeTitle: "🎉 Dobrodošli na SEOLAXY (EN)!",
+      welcomeDescription:
+        "Dobrodošli **{name}**! Postavljanje engleskog servera je završeno.",
+      nickname: "Nadimak",
+      nicknameTooLong: "Nadimak nije mogao biti postavljen (predug)",
+      status: "Status",
+      verified: "✅ Verificirani član",
+      roleFailed: "⚠️ Dodjela uloge nije uspjela",
+      project: "Projekat",
+      projectNotSet: "Nije navedeno",
+      error:
+        "❌ Došlo je do greške pri postavljanju vašeg računa. Molimo kontaktirajte administratora.",
+    },
+
+    subscribe: {
+      title: "🚀 Pretplati se na SEOLAXY Mentorship Alumni Discord",
+      description:
+        "**Zadrži pristup zajednici i mentorskoj podršci!**\n\n" +
+        "Ova pretplata namijenjena je isključivo članovima prvog SEO mentorstva koji žele ostati aktivni na Discordu.\n\n" +
+        "**Pretplata uključuje:**\n\n" +
+        "• Pristup svim kanalima\n" +
+        "• Mogućnost postavljanja neograničenog broja pitanja (unutar razumnih okvira složenosti)\n" +
+        "• Podršku zajednice i umrežavanje\n\n" +
+        "**Kako funkcionira:**\n" +
+        "1. Klikni na dugme **Pretplati se** ispod\n" +
+        "2. Završi sigurnu naplatu na Stripeu\n" +
+        "3. Tvoj pristup bit će automatski aktiviran u roku od nekoliko minuta!\n\n" +
+        "💳 *Sigurno plaćanje putem Stripea*",
+      footer: "📌 Klikni na dugme ispod da se pretplatiš!",
+      alreadyActive:
+        "✅ Već imate aktivnu pretplatu! Pristup vam je osiguran. Ako i dalje imate problema s kanalima, molimo kontaktirajte osoblje.",
+      comped:
+        "✅ Imate besplatan pristup, pretplata vam nije potrebna. Ako i dalje imate problema s kanalima, molimo kontaktirajte osoblje.",
+      compedUntil:
+        "✅ Imate besplatan pristup do {date}, pretplata vam nije potrebna. Ako i dalje imate problema s kanalima, molimo kontaktirajte osoblje.",
+      pendingCheckout:
+        "⏳ Već imate aktivnu sesiju za plaćanje. Molimo završite plaćanje ili pričekajte nekoliko minuta prije ponovnog pokušaja.",
+      choosePlan: "💳 Odaberite plan pretplate:",
+      planPlaceholder: "Odaberite plan",
+      planUnavailable:
+        "❌ Odabrani plan trenutno nije dostupan. Molimo kliknite dugme za pretplatu ponovo.",
+      checkoutFailed:
+        "❌ Nije moguće kreirati sesiju za plaćanje. Molimo pokušajte ponovo kasnije ili kontaktirajte osoblje.",
+    },
+
+    plans: {
+      monthly: {
+        name: "Mjesečna pretplata",
+        description: "Pristup svim članskim kanalima, naplata svaki mjesec",
+      },
+      yearly: {
+        name: "Godišnja pretplata",
+        description: "Pristup svim članskim kanalima, naplata jednom godišnje",
+      },
+      premium: {
+        name: "Premium pretplata",
+        description: "Sve iz mjesečne pretplate uz premium kanale",
+      },
+    },
+
+    checkout: {
+      title: "💳 Završite svoju pretplatu",
+      description:
+        "Kliknite na link ispod da završite plaćanje pretplate.\n\n" +
+        "**[Kliknite ovdje za pretplatu]({url})**\n\n" +
+        "Nakon uspješnog plaćanja, vaš pristup bit će automatski aktiviran u roku od nekoliko minuta.\n\n" +
+        "⏱️ *Ovaj link istječe za 24 sata*",
+    },
+
+    subscription: {
+      none: "❓ Nemate pretplatu. Pretplatite se koristeći **Pretplati se** dugme na serveru.",
+      notCancellable: "❓ Nemate aktivnu pretplatu koju je moguće otkazati.",
+      alreadyCancelled:
+        "ℹ️ Vaša pretplata je već otkazana i istječe **{date}**. Koristite `/subscription resume` ako se predomislite.",
+      confirmCancel:
+        "⚠️ **Jeste li sigurni da želite otkazati pretplatu?**\n\n" +
+        "Pristup zadržavate do kraja trenutnog obračunskog razdoblja, nakon čega će vaše uloge biti uklonjene.",
+      cancelled:
+        "✅ Vaša pretplata je otkazana. Pristup zadržavate do **{date}**.\n\n" +
+        "Ako se predomislite, koristite `/subscription resume` prije tog datuma.",
+      cancelFailed:
+        "❌ Nije moguće otkazati pretplatu. Molimo pokušajte ponovo kasnije ili kontaktirajte osoblje.",
+      cancelAborted: "👍 Otkazivanje prekinuto. Vaša pretplata ostaje aktivna.",
+      notResumable:
+        "❓ Nemate pretplatu koju je moguće nastaviti. Pretplatite se koristeći **Pretplati se** dugme na serveru.",
+      notCancelled: "✅ Vaša pretplata je aktivna i nije otkazana.",
+      resumeFailed:
+        "❌ Nije moguće nastaviti pretplatu. Molimo pokušajte ponovo kasnije ili kontaktirajte osoblje.",
+      resumed: "✅ Vaša pretplata je ponovo aktivna i obnovit će se **{date}**.",
+      portalFailed:
+        "❌ Nije moguće otvoriti portal za plaćanje. Molimo pokušajte ponovo kasnije ili kontaktirajte osoblje.",
+      portal:
+        "💳 Kliknite na dugme ispod da ažurirate način plaćanja, preuzmete račune ili upravljate pretplatom.\n\n⏱️ *Link je privremen i vrijedi samo za vas.*",
+      status: {
+        title: "📊 Status pretplate",
+        user: "Korisnik",
+        status: "Status",
+        type: "Vrsta",
+        legacy: "Stari član (prijelazno razdoblje)",
+        subscription: "Pretplata",
+        customer: "Stripe kupac",
+        subscriptionId: "ID pretplate",
+        expires: "Istječe",
+        expiresOrRenews: "Istječe/Obnavlja se",
+        cancelsAtPeriodEnd: "Pretplata se otkazuje na kraju trenutnog obračunskog razdoblja",
+        unknown: "Nepoznato",
+        notAvailable: "N/A",
+      },
+    },
+
+    commands: {
+      subscription: {
+        description: "Pregledajte i upravljajte svojom Seolaxy pretplatom",
+        status: "Prikaži status pretplate i datum obnove",
+        cancel: "Otkaži pretplatu na kraju obračunskog razdoblja",
+        resume: "Nastavi pretplatu koja je postavljena za otkazivanje",
+        manage: "Poveznica za promjenu načina plaćanja i račune",
+      },
+    },
+
+    dm: {
+      welcome:
+        "🎉 **Dobrodošli u Seolaxy!**\n\n" +
+        "Vaša pretplata je sada aktivna i dobili ste pristup svim članskim kanalima.\n\n" +
+        "Hvala vam na podršci! Ako imate bilo kakvih pitanja, slobodno se obratite našem osoblju.\n\n" +
+        "Uživajte u članstvu! 🚀",
+      reactivated:
+        "✅ **Pretplata ponovo aktivirana!**\n\n" +
+        "Vaša pretplata je ponovo aktivna i vaš pristup je vraćen.\n\n" +
+        "Hvala vam što nastavljate članstvo! 🎉",
+      ended:
+        "😔 **Pretplata završena**\n\n" +
+        "{reason}\n\n" +
+        "Vaše uloge pristupa su uklonjene. Da biste ponovo dobili pristup, molimo pretplatite se koristeći dugme za pretplatu na serveru.\n\n" +
+        "Nadamo se da ćemo vas uskoro ponovo vidjeti! 💙",
+      endedCanceled: "Vaša pretplata je otkazana.",
+      endedPaymentFailed: "Vaša pretplata je završena zbog problema s plaćanjem.",
+      legacyExpired:
+        "⏰ **Razdoblje besplatnog pristupa je završeno**\n\n" +
+        "Vaš jednomjesečni besplatni pristup je završen. Prešli smo na model pretplate.\n\n" +
+        "Da biste nastavili uživati pristup svim članskim kanalima, molimo pretplatite se koristeći dugme na serveru.\n\n" +
+        "Hvala vam što ste dio naše zajednice! 💙",
+      checkoutExpired:
+        "⌛ **Link za plaćanje je istekao**\n\n" +
+        "Vaša sesija za plaćanje je istekla prije nego što je plaćanje završeno.\n\n" +
+        "Ako i dalje želite pristup, kliknite dugme ispod da dobijete novi link za plaćanje.",
+      manualAccessEnded:
+        "⏰ **Pristup istekao**\n\n" +
+        "Vaš besplatni pristup je istekao i vaše uloge pristupa su uklonjene.\n\n" +
+        "Da biste zadržali pristup, molimo pretplatite se koristeći dugme za pretplatu na serveru.\n\n" +
+        "Hvala što ste bili dio zajednice! 💙",
+      expiring:
+        "⏰ **Podsjetnik za pretplatu**\n\n" +
+        "Vaša Seolaxy pretplata istječe za **{days}**.\n\n" +
+        "Da biste zadržali pristup svim članskim kanalima, provjerite je li vaš način plaćanja ažuran.\n\n" +
+        "Ako imate bilo kakvih pitanja, molimo kontaktirajte naše osoblje.",
+      englishInvite:
+        "🎉 **Dobrodošli u Seolaxy!**\n\n" +
+        "Vaša registracija je uspješna! Pozvani ste na naš server na engleskom jeziku.\n\n" +
+        "**🔗 Vaš osobni link za pozivnicu:**\n" +
+        "{url}\n\n" +
+        "⚠️ **Važno:** Link se može iskoristiti samo jednom i istječe za 24 sata. Kliknite na njega da se pridružite SEOLAXY (EN) serveru.\n\n" +
+        "Dobrodošli! 🚀",
+      reset: {
+        title: "Pretplata resetirana",
+        description:
+          "Tvoja pretplata na Seolaxy mentorship je završena.\n\n" +
+          "Zbog prelaska na novi sustav pretplata, potrebno je da se ponovo pretplatiš.\n\n" +
+          "Idi na kanal za prijavu na serveru i klikni na **Pretplati se** dugme kako bi nastavio/la s pristupom.\n\n" +
+          "Hvala na razumijevanju! 💙",
+        footer: "Seolaxy Mentorship",
+      },
+      dunning: {
+        initial:
+          "⚠️ **Problem s plaćanjem**\n\n" +
+          "Nismo mogli obraditi vaše plaćanje pretplate. Molimo ažurirajte način plaćanja kako biste izbjegli gubitak pristupa.\n\n" +
+          "Imate {days} da riješite ovaj problem.\n\n" +
+          "Ako vam treba pomoć, molimo kontaktirajte naše osoblje.",
+        reminder:
+          "⏰ **Podsjetnik: problem s plaćanjem**\n\n" +
+          "Vaše plaćanje pretplate još uvijek nije uspjelo. Ako ne ažurirate način plaćanja, vaš pristup bit će uklonjen za 1 dan.\n\n" +
+          "Ako vam treba pomoć, molimo kontaktirajte naše osoblje.",
+        final:
+          "🔒 **Pristup privremeno uklonjen**\n\n" +
+          "Razdoblje od {days} za rješavanje problema s plaćanjem je isteklo, pa su vaše uloge pristupa uklonjene.\n\n" +
+          "Čim plaćanje bude uspješno, pristup će vam biti automatski vraćen.\n\n" +
+          "Ako vam treba pomoć, molimo kontaktirajte naše osoblje.",
+      },
+      registrationQueue: {
+        completed:
+          "✅ **Registracija dovršena**\n\n" +
+          "Servis za provjeru faktura ponovo radi i vaša registracija iz reda čekanja je dovršena.",
+        refused:
+          "❌ **Registracija iz reda čekanja nije dovršena**\n\n" +
+          "Servis za provjeru faktura ponovo radi, ali vašu registraciju nije bilo moguće dovršiti:",
+        expired:
+          "⌛ **Registracija iz reda čekanja je istekla**\n\n" +
+          "Servis za provjeru faktura predugo je bio nedostupan, pa vašu registraciju nije bilo moguće dovršiti.\n\n" +
+          'Molimo registrirajte se ponovo pomoću dugmeta "Pridruži se" na serveru.',
+      },
+    },
+
+    cohort: {
+      join: {
+        title: "🚀 Zdravo! Preostao je samo još jedan korak:",
+        description:
+          "• Molim te otvori PDF račun koji je stigao putem emaila.\n" +
+          '• Na njemu ćeš gore desno pronaći "Invoice. No." koji počinje sa "{prefix}".\n' +
+          '• Kopiraj cijeli tekst, uključujući "{prefix}" i sve znakove koje slijede.\n' +
+          '• Klikni ispod na dugme "Pridruži se", upiši sve podatke i kopiraj taj broj u polje za fakturu.',
+        footer: "📌 Klikni na dugme ispod da se pridružiš!",
+      },
+      modal: {
+        title: "Registracijski obrazac",
+      },
+      success: {
+        title: "✅ Registracija uspješna!",
+        description:
+          "Čestitam, registracija je uspješna.\n\n" +
+          "Pogledaj kanal {channel} za pristup SEOLAXY Masterclass videosima i daljnje upute.",
+        nickname: "Nadimak",
+        nicknameNotSet: "Nadimak nije mogao biti postavljen",
+        memberStatus: "Status člana",
+        verified: "✅ Verificiran",
+        roleFailed: "⚠️ Dodjela uloge nije uspjela",
+      },
+      errors: {
+        alreadyEnrolled:
+          "❌ **Već registrirano:** Ova kupovina je već korištena za Discord registraciju.",
+        purchaseNotFound:
+          "❌ **Kupovina nije pronađena:** Nije pronađena valjana kupovina za navedeni broj fakture. Molimo provjerite unos i pokušajte ponovo.",
+        invalidFormat:
+          "❌ **Neispravan format:** Broj fakture mora počinjati sa 'SM' ili 'pi'. Molimo provjerite unos.",
+        closed: "❌ Registracija za {cohort} je zatvorena.",
+        wrongInvoice:
+          "❌ **Neispravan format:** Brojevi faktura za {cohort} izgledaju ovako: {example}. Molimo provjerite unos.",
+        service:
+          "❌ **Greška servisa:** {message} Pokušajte ponovo kasnije ili kontaktirajte administratora.",
+        duplicate:
+          "❌ **Sigurnosno upozorenje:** Ovaj broj fakture je već korišten za registraciju. Svaki broj fakture može se koristiti samo jednom. Ako mislite da je ovo greška, kontaktirajte administratora.",
+        failed:
+          "❌ Došlo je do greške pri obradi registracije. Pokušajte ponovo ili kontaktirajte administratora.",
+        queued:
+          "⏳ **Provjera privremeno nedostupna:** Servis za provjeru faktura trenutno ne odgovara, pa je vaša registracija stavljena u red čekanja. Dovršit će se automatski čim servis ponovo proradi, a dobit ćete DM.",
+      },
+      manage: {
+        removeUser: "Ukloni korisnika",
+        editUser: "Uredi korisnika",
+        noPermissionRemove: "❌ Nemaš ovlasti za uklanjanje korisnika.",
+        noPermissionEdit: "❌ Nemaš ovlasti za uređivanje korisnika.",
+        identifier: "Broj fakture ili Discord ID",
+        identifierPlaceholder: "npr. {example} ili 123456789012345678",
+        editIdentifierPlaceholder: "npr. {example}",
+        firstName: "Ime (opcionalno)",
+        lastName: "Prezime (opcionalno)",
+        email: "Email (opcionalno)",
+        project: "Projekat (opcionalno)",
+        identifierRequired: "❌ Unesi broj fakture ili Discord ID.",
+        notFound: "❌ Korisnik nije pronađen u bazi.",
+        notInCohort: "❌ Korisnik nije iz {cohort}.",
+        deleteFailed: "❌ Greška pri brisanju korisnika iz baze.",
+        removed: "✅ Korisnik **{name}** ({invoice}) je uklonjen.",
+        releaseFailed:
+          "⚠️ Kupnja nije oslobođena na Seolaxyju, pa se {invoice} još ne može ponovno koristiti za registraciju. Pokušajte kasnije s `/enrollment release invoice:{invoice}`.",
+        nothingToUpdate: "❌ Nisi unio nijedno polje za ažuriranje.",
+        updateFailed: "❌ Greška pri ažuriranju korisnika.",
+        updated: "✅ Korisnik **{name}** je ažuriran.",
+        paginationError: "❌ Greška pri ažuriranju liste korisnika. Pokušajte ponovo.",
+        exported:
+          "✅ **{cohort} korisnici eksportirani!**\n\n📊 **{count} korisnika** eksportirano u CSV\n📅 Generirano: {date}",
+        exportFailed: "❌ Greška pri generiranju CSV eksporta. Pokušajte ponovo.",
+      },
+      users: {
+        title: "📊 {cohort} - Registrirani korisnici",
+        empty: "Još nema registriranih korisnika.",
+        emptyFooter: "Ukupno korisnika: 0",
+        total: "**📈 Ukupno:** {count} korisnika",
+        page: "📄 **Stranica {page} od {totalPages}** | Korisnici {from}-{to} od {total}",
+        all: "📄 Svi korisnici: {count}",
+        footer: "Ukupno: {count} | Stranica {page}/{totalPages}",
+      },
+    },
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Migration 001: users table
+ * Registered members and their subscription state
+ */
+
+module.exports = {
+  description: "Create users table",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        discord_id VARCHAR(20) UNIQUE NOT NULL,
+        discord_username VARCHAR(100) NOT NULL,
+        first_name VARCHAR(50) NOT NULL,
+        last_name VARCHAR(50) NOT NULL,
+        email VARCHAR(100) NOT NULL,
+        project_name VARCHAR(100),
+        invoice_number VARCHAR(50),
+        stripe_customer_id VARCHAR(50),
+        stripe_subscription_id VARCHAR(50),
+        stripe_price_id VARCHAR(100),
+        subscription_status ENUM('active', 'past_due', 'canceled', 'unpaid', 'trialing', 'incomplete', 'incomplete_expired', 'paused', 'none') DEFAULT 'none',
+        subscription_ends_at TIMESTAMP NULL,
+        is_legacy_user BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS users");
+  },
+};
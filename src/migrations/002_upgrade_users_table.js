@@ -0,0 +1,49 @@
+/**
+ * Migration 002: upgrade users tables created by older versions
+ * Adds the subscription columns, makes invoice_number nullable for
+ * subscription users and converts the table to utf8mb4. A users table
+ * created by migration 001 already matches, so this changes nothing there.
+ * SQLite databases never had the old table, so they skip it entirely.
+ */
+
+const { columnExists } = require("./helpers");
+
+const SUBSCRIPTION_COLUMNS = [
+  { name: "stripe_customer_id", definition: "VARCHAR(50)" },
+  { name: "stripe_subscription_id", definition: "VARCHAR(50)" },
+  { name: "stripe_price_id", definition: "VARCHAR(100)" },
+  {
+    name: "subscription_status",
+    definition:
+      "ENUM('active', 'past_due', 'canceled', 'unpaid', 'trialing', 'incomplete', 'incomplete_expired', 'paused', 'none') DEFAULT 'none'",
+  },
+  { name: "subscription_ends_at", definition: "TIMESTAMP NULL" },
+  { name: "is_legacy_user", definition: "BOOLEAN DEFAULT FALSE" },
+];
+
+module.exports = {
+  description: "Add subscription columns and utf8mb4 to existing users tables",
+
+  async up(db) {
+    if (db.dialect === "sqlite") {
+      return;
+    }
+
+    for (const column of SUBSCRIPTION_COLUMNS) {
+      if (!(await columnExists(db, "users", column.name))) {
+        await db.execute(
+          `ALTER TABLE users ADD COLUMN ${column.name} ${column.definition}`
+        );
+      }
+    }
+
+    await db.execute("ALTER TABLE users MODIFY COLUMN invoice_number VARCHAR(50)");
+    await db.execute(
+      "ALTER TABLE users CONVERT TO CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci"
+    );
+  },
+
+  // The columns belong to the users table from migration 001, so there is
+  // nothing to take back here
+  async down() {},
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 003: subscription_dunning table
+ * Tracks users in the past_due grace period so it survives restarts
+ */
+
+module.exports = {
+  description: "Create subscription_dunning table",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS subscription_dunning (
+        discord_id VARCHAR(20) PRIMARY KEY,
+        past_due_since TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_stage ENUM('initial', 'reminder', 'final') NOT NULL DEFAULT 'initial',
+        access_revoked BOOLEAN DEFAULT FALSE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS subscription_dunning");
+  },
+};
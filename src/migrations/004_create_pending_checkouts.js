@@ -0,0 +1,28 @@
+/**
+ * Migration 004: pending_checkouts table
+ * Tracks checkout sessions that are being fast polled for payment
+ */
+
+module.exports = {
+  description: "Create pending_checkouts table",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS pending_checkouts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        discord_id VARCHAR(20) NOT NULL,
+        session_id VARCHAR(255) UNIQUE NOT NULL,
+        status ENUM('pending', 'completed', 'expired') NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_pending_checkouts_status (status),
+        INDEX idx_pending_checkouts_discord_id (discord_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS pending_checkouts");
+  },
+};
@@ -0,0 +1,48 @@
+/**
+ * Migration 005: reset_runs and reset_run_items tables
+ * Record /reset-all dry runs, their approval and per-user progress
+ */
+
+module.exports = {
+  description: "Create reset_runs and reset_run_items tables",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS reset_runs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        status ENUM('planned', 'approved', 'running', 'completed', 'cancelled', 'expired') NOT NULL DEFAULT 'planned',
+        requested_by VARCHAR(20) NOT NULL,
+        approved_by VARCHAR(20) NULL,
+        total_count INT NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP NULL,
+        completed_at TIMESTAMP NULL,
+        INDEX idx_reset_runs_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS reset_run_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        run_id INT NOT NULL,
+        discord_id VARCHAR(20) NOT NULL,
+        discord_username VARCHAR(100) NOT NULL,
+        member_roles VARCHAR(255),
+        stripe_subscription_id VARCHAR(50),
+        subscription_status VARCHAR(30),
+        has_db_row BOOLEAN DEFAULT FALSE,
+        status ENUM('pending', 'done', 'failed') NOT NULL DEFAULT 'pending',
+        error VARCHAR(255),
+        processed_at TIMESTAMP NULL,
+        UNIQUE KEY uniq_reset_run_member (run_id, discord_id),
+        INDEX idx_reset_run_items_run (run_id, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS reset_run_items");
+    await db.execute("DROP TABLE IF EXISTS reset_runs");
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration 006: audit_events table
+ * History of access changes (roles, deletions, resets, admin edits)
+ */
+
+module.exports = {
+  description: "Create audit_events table",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        actor_id VARCHAR(20) NOT NULL,
+        target_id VARCHAR(20) NULL,
+        action VARCHAR(50) NOT NULL,
+        before_state TEXT NULL,
+        after_state TEXT NULL,
+        reason VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_audit_events_target (target_id, created_at),
+        INDEX idx_audit_events_action (action)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS audit_events");
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration 007: manual_access table
+ * Access granted by staff without a Stripe subscription (/grant, /revoke)
+ */
+
+module.exports = {
+  description: "Create manual_access table",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS manual_access (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        discord_id VARCHAR(20) NOT NULL,
+        granted_by VARCHAR(20) NOT NULL,
+        reason VARCHAR(255) NULL,
+        expires_at DATETIME NOT NULL,
+        status ENUM('active', 'expired', 'revoked') DEFAULT 'active',
+        closed_by VARCHAR(20) NULL,
+        close_reason VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_manual_access_user (discord_id, status),
+        INDEX idx_manual_access_expiry (status, expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS manual_access");
+  },
+};
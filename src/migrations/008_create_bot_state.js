@@ -0,0 +1,22 @@
+/**
+ * Migration 008: bot_state table
+ * Key/value flags (test mode, Stripe sync cursor, ...)
+ */
+
+module.exports = {
+  description: "Create bot_state table",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS bot_state (
+        key_name VARCHAR(100) PRIMARY KEY,
+        value VARCHAR(255),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS bot_state");
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * Migration 009: legacy users grace period marker
+ * Replaces the bookkeeping of scripts/migrate-legacy-users.js. Databases
+ * where that script already ran have a marker in its migration_history
+ * table; it is copied to bot_state so `npm run migrate legacy-grace-period`
+ * refuses to run again, and the old table is dropped so schema_migrations is
+ * the only record of what ran.
+ *
+ * Giving members the grace period changes their access, so it is not done
+ * here: operators run `npm run migrate -- legacy-grace-period --confirm` once.
+ */
+
+const { tableExists } = require("./helpers");
+
+const LEGACY_MARKER = "legacy_users_grace_period";
+
+module.exports = {
+  description: "Carry over the legacy grace period marker",
+
+  async up(db) {
+    if (!(await tableExists(db, "migration_history"))) {
+      return;
+    }
+
+    const [rows] = await db.execute(
+      "SELECT executed_at, users_affected FROM migration_history WHERE migration_name = ?",
+      [LEGACY_MARKER]
+    );
+    if (rows.length > 0) {
+      await db.execute(
+        `${db.insertIgnore} INTO bot_state (key_name, value) VALUES (?, ?)`,
+        [
+          LEGACY_MARKER,
+          `${new Date(rows[0].executed_at).toISOString()} (${rows[0].users_affected} users)`,
+        ]
+      );
+    }
+
+    await db.execute("DROP TABLE migration_history");
+  },
+
+  async down() {
+    throw new Error(
+      "The migration_history table was dropped and cannot be restored"
+    );
+  },
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration 010: guild_config table
+ * Per-server settings edited with /config (roles, channels, language, flows).
+ * Settings without a row use the defaults in config/guilds.js.
+ */
+
+module.exports = {
+  description: "Create guild_config table",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS guild_config (
+        guild_id VARCHAR(20) NOT NULL,
+        setting_key VARCHAR(50) NOT NULL,
+        value VARCHAR(255) NOT NULL,
+        updated_by VARCHAR(20) NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, setting_key)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS guild_config");
+  },
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration 011: longer bot_state values
+ * bot_state.value holds the JSON list of jobs interrupted by a shutdown
+ * (see services/lifecycleService.js), which can exceed 255 characters.
+ * SQLite does not enforce VARCHAR lengths, so it has nothing to change.
+ */
+
+module.exports = {
+  description: "Allow bot_state values longer than 255 characters",
+
+  async up(db) {
+    if (db.dialect === "sqlite") {
+      return;
+    }
+
+    await db.execute("ALTER TABLE bot_state MODIFY COLUMN value TEXT");
+  },
+
+  async down(db) {
+    if (db.dialect === "sqlite") {
+      return;
+    }
+
+    await db.execute("ALTER TABLE bot_state MODIFY COLUMN value VARCHAR(255)");
+  },
+};
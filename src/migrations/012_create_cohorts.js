@@ -0,0 +1,69 @@
+/**
+ * Migration 012: cohorts
+ * Cohorts replace the hardcoded Mentorship #2 flow (invoice pattern
+ * SM-%/2026, one verified role, one API token). users.cohort_id records the
+ * cohort a member registered through; existing Mentorship #2 members are
+ * assigned when the bot creates the default cohort (config/cohorts.js).
+ * The join panel no longer depends on the flows.mentorship2 guild setting,
+ * so stored values of it are removed, and the m2_user_* audit actions are
+ * renamed to the cohort_user_* actions that replace them.
+ */
+
+const { columnExists } = require("./helpers");
+
+module.exports = {
+  description: "Create cohorts table and users.cohort_id",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS cohorts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        slug VARCHAR(30) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        guild_id VARCHAR(20) NULL,
+        join_channel_id VARCHAR(20) NULL,
+        users_channel_id VARCHAR(20) NULL,
+        verified_role_id VARCHAR(20) NULL,
+        api_token_env VARCHAR(100) NULL,
+        invoice_pattern VARCHAR(100) NOT NULL,
+        starts_at TIMESTAMP NULL,
+        ends_at TIMESTAMP NULL,
+        created_by VARCHAR(20) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    if (!(await columnExists(db, "users", "cohort_id"))) {
+      await db.execute("ALTER TABLE users ADD COLUMN cohort_id INT NULL");
+      await db.execute("CREATE INDEX idx_users_cohort_id ON users (cohort_id)");
+    }
+
+    await db.execute(
+      "DELETE FROM guild_config WHERE setting_key = 'flows.mentorship2'"
+    );
+
+    for (const change of ["edited", "removed"]) {
+      await db.execute("UPDATE audit_events SET action = ? WHERE action = ?", [
+        `cohort_user_${change}`,
+        `m2_user_${change}`,
+      ]);
+    }
+  },
+
+  async down(db) {
+    for (const change of ["edited", "removed"]) {
+      await db.execute("UPDATE audit_events SET action = ? WHERE action = ?", [
+        `m2_user_${change}`,
+        `cohort_user_${change}`,
+      ]);
+    }
+
+    if (db.dialect === "sqlite") {
+      await db.execute("DROP INDEX IF EXISTS idx_users_cohort_id");
+    } else {
+      await db.execute("DROP INDEX idx_users_cohort_id ON users");
+    }
+    await db.execute("ALTER TABLE users DROP COLUMN cohort_id");
+    await db.execute("DROP TABLE IF EXISTS cohorts");
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * Migration 013: pending_registrations table
+ * Registrations submitted while the Seolaxy API was unavailable, completed
+ * by services/registrationQueue.js once it answers again. One row per
+ * member; a new submission replaces the queued one.
+ */
+
+module.exports = {
+  description: "Create pending_registrations table",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS pending_registrations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        discord_id VARCHAR(20) NOT NULL UNIQUE,
+        discord_username VARCHAR(100) NOT NULL,
+        guild_id VARCHAR(20) NOT NULL,
+        cohort_id INT NULL,
+        first_name VARCHAR(50) NOT NULL,
+        last_name VARCHAR(50) NOT NULL,
+        email VARCHAR(100) NOT NULL,
+        project_name VARCHAR(100),
+        invoice_number VARCHAR(50) NOT NULL,
+        locale VARCHAR(10) NOT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        maybe_enrolled BOOLEAN NOT NULL DEFAULT FALSE,
+        last_error VARCHAR(50) NULL,
+        next_attempt_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_pending_registrations_next_attempt_at (next_attempt_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS pending_registrations");
+  },
+};
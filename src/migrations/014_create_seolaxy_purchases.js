@@ -0,0 +1,36 @@
+/**
+ * Migration 014: seolaxy_purchases table
+ * Purchases announced by the Seolaxy platform webhook (see
+ * services/purchaseService.js), one row per purchase, keyed by its payment
+ * intent ID or invoice number. A row is "pending" until a member registers
+ * with that invoice or payment intent, then "linked" to their Discord
+ * account; refunds and chargebacks mark it and revoke the member's roles.
+ */
+
+module.exports = {
+  description: "Create seolaxy_purchases table",
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS seolaxy_purchases (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(100) NULL,
+        first_name VARCHAR(50) NULL,
+        last_name VARCHAR(50) NULL,
+        payment_intent_id VARCHAR(100) NULL UNIQUE,
+        invoice_number VARCHAR(50) NULL UNIQUE,
+        status ENUM('pending', 'linked', 'refunded', 'chargeback') DEFAULT 'pending',
+        discord_id VARCHAR(20) NULL,
+        last_event_id VARCHAR(100) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_seolaxy_purchases_email (email),
+        INDEX idx_seolaxy_purchases_discord_id (discord_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(db) {
+    await db.execute("DROP TABLE IF EXISTS seolaxy_purchases");
+  },
+};
@@ -0,0 +1,57 @@
+/**
+ * Migration Helpers
+ * Schema inspection shared by migrations that upgrade tables created before
+ * the migration runner existed. Works on both storage drivers.
+ */
+
+/**
+ * Check whether a table exists in the current database
+ * @param {Object} db - Storage driver
+ * @param {string} table - Table name
+ * @returns {boolean}
+ */
+async function tableExists(db, table) {
+  if (db.dialect === "sqlite") {
+    const [rows] = await db.execute(
+      "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [table]
+    );
+    return rows[0].count > 0;
+  }
+
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) AS count FROM INFORMATION_SCHEMA.TABLES
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+  return rows[0].count > 0;
+}
+
+/**
+ * Check whether a column exists in a table of the current database
+ * @param {Object} db - Storage driver
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {boolean}
+ */
+async function columnExists(db, table, column) {
+  if (db.dialect === "sqlite") {
+    const [rows] = await db.execute(
+      "SELECT COUNT(*) AS count FROM pragma_table_info(?) WHERE name = ?",
+      [table, column]
+    );
+    return rows[0].count > 0;
+  }
+
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) AS count FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows[0].count > 0;
+}
+
+module.exports = {
+  tableExists,
+  columnExists,
+};
@@ -0,0 +1,109 @@
+/**
+ * Audit Service
+ * Records access changes (role grants/removals, deletions, resets, admin
+ * edits) in the audit_events table so staff can answer "why did I lose
+ * access?" with /audit instead of searching logs
+ */
+
+const database = require("./database");
+const logger = require("../utils/logger").child({ module: "auditService" });
+
+// Actor used for changes made by the bot itself (polling, webhooks, dunning)
+const SYSTEM_ACTOR = "system";
+
+const AUDIT_EVENTS_PER_PAGE = 10;
+
+const ACTIONS = {
+  ROLES_GRANTED: "roles_granted",
+  ROLES_REMOVED: "roles_removed",
+  USER_DELETED: "user_deleted",
+  MEMBER_RESET: "member_reset",
+  COHORT_USER_EDITED: "cohort_user_edited",
+  COHORT_USER_REMOVED: "cohort_user_removed",
+  STRIPE_MODE_CHANGED: "stripe_mode_changed",
+  MANUAL_ACCESS_GRANTED: "manual_access_granted",
+  MANUAL_ACCESS_REVOKED: "manual_access_revoked",
+  MANUAL_ACCESS_EXPIRED: "manual_access_expired",
+  GUILD_CONFIG_CHANGED: "guild_config_changed",
+  COHORT_CREATED: "cohort_created",
+  ENROLLMENT_RELEASED: "enrollment_released",
+  ENROLLMENT_TRANSFERRED: "enrollment_transferred",
+  ENROLLMENT_ASSUMED: "enrollment_assumed",
+};
+
+/**
+ * Record an audit event
+ * Never throws: a failed audit write must not break the change itself.
+ * @param {Object} event - Event data
+ * @param {string} event.actorId - Discord ID of who made the change (defaults to SYSTEM_ACTOR)
+ * @param {string} event.targetId - Discord ID of the affected user or server (optional)
+ * @param {string} event.action - One of ACTIONS
+ * @param {*} event.before - State before the change (stored as JSON)
+ * @param {*} event.after - State after the change (stored as JSON)
+ * @param {string} event.reason - Why the change was made
+ */
+async function record(event) {
+  try {
+    const saved = await database.saveAuditEvent({
+      ...event,
+      actorId: event.actorId || SYSTEM_ACTOR,
+    });
+
+    if (!saved) {
+      logger.warn(
+        `Audit event ${event.action} for ${event.targetId || "-"} was not saved`
+      );
+    }
+  } catch (error) {
+    logger.error(`Error recording audit event: ${error.message}`);
+  }
+}
+
+/**
+ * Get one page of a user's audit history, newest first
+ * @param {string} targetId - Discord ID of the affected user
+ * @param {number} page - Page number (1-based, clamped to the available pages)
+ * @returns {Object} - { events, page, totalPages, total }
+ */
+async function getAuditPage(targetId, page = 1) {
+  const total = await database.countAuditEvents(targetId);
+  const totalPages = Math.max(1, Math.ceil(total / AUDIT_EVENTS_PER_PAGE));
+  const currentPage = Math.min(Math.max(1, page), totalPages);
+
+  const rows = await database.getAuditEvents(
+    targetId,
+    AUDIT_EVENTS_PER_PAGE,
+    (currentPage - 1) * AUDIT_EVENTS_PER_PAGE
+  );
+
+  const events = rows.map((row) => ({
+    ...row,
+    before: parseState(row.before_state),
+    after: parseState(row.after_state),
+  }));
+
+  return { events, page: currentPage, totalPages, total };
+}
+
+/**
+ * Parse a stored before/after state
+ * @param {string|null} value - JSON string
+ * @returns {*} - Parsed value, or the raw string if it isn't valid JSON
+ */
+function parseState(value) {
+  if (value === null || value === undefined) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  ACTIONS,
+  AUDIT_EVENTS_PER_PAGE,
+  record,
+  getAuditPage,
+};
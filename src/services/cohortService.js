@@ -0,0 +1,258 @@
+/**
+ * Cohort Service
+ * Cohorts (Mentorship #2, #3, ...) are paid programmes members join with an
+ * invoice number. Each cohort row holds its server, join and users channels,
+ * verified role, Seolaxy API token reference, invoice pattern and
+ * registration window; users.cohort_id records who joined which cohort.
+ *
+ * Cohorts are cached, so reads are synchronous; init() loads them, creates
+ * the defaults from config/cohorts.js and finds servers configured by
+ * channel only.
+ */
+
+const database = require("./database");
+const auditService = require("./auditService");
+const cohortConfig = require("../config/cohorts");
+const logger = require("../utils/logger").child({ module: "cohortService" });
+
+let cohorts = [];
+
+/**
+ * Load cohorts, create missing defaults and find their servers
+ * @param {Client} client - Discord client
+ */
+async function init(client) {
+  await reload();
+
+  for (const entry of cohortConfig.defaults) {
+    if (!getCohort(entry.slug)) {
+      await create(entry, null);
+    }
+  }
+
+  for (const cohort of cohorts) {
+    if (cohort.guild_id || !cohort.join_channel_id) continue;
+
+    const channel = await client.channels
+      .fetch(cohort.join_channel_id)
+      .catch(() => null);
+    if (channel?.guildId) {
+      logger.info(
+        `Found server ${channel.guildId} of ${cohort.name} through channel ${cohort.join_channel_id}`
+      );
+      await database.updateCohortGuild(cohort.id, channel.guildId);
+      cohort.guild_id = channel.guildId;
+    }
+  }
+}
+
+/**
+ * Reload cohorts from the database
+ */
+async function reload() {
+  cohorts = await database.getCohorts();
+  logger.info(`Loaded ${cohorts.length} cohort(s)`);
+}
+
+/**
+ * Get every cohort
+ * @returns {Array} - cohorts rows, oldest first
+ */
+function getCohorts() {
+  return [...cohorts];
+}
+
+/**
+ * Get a cohort by slug
+ * @param {string} slug - Cohort slug, e.g. "mentorship2"
+ * @returns {Object|null}
+ */
+function getCohort(slug) {
+  return cohorts.find((cohort) => cohort.slug === slug) || null;
+}
+
+/**
+ * Get a cohort by ID
+ * @param {number} id - Cohort ID
+ * @returns {Object|null}
+ */
+function getCohortById(id) {
+  return cohorts.find((cohort) => cohort.id === id) || null;
+}
+
+/**
+ * Get the cohorts of a server
+ * @param {string} guildId - Guild ID
+ * @returns {Array}
+ */
+function getCohortsForGuild(guildId) {
+  return cohorts.filter((cohort) => cohort.guild_id === guildId);
+}
+
+/**
+ * Get the IDs of the servers that have a cohort
+ * @returns {Array<string>}
+ */
+function getGuildIds() {
+  return [
+    ...new Set(cohorts.map((cohort) => cohort.guild_id).filter(Boolean)),
+  ];
+}
+
+/**
+ * Check whether a cohort accepts registrations
+ * @param {Object} cohort - Cohort row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isOpen(cohort, now = new Date()) {
+  if (cohort.starts_at && new Date(cohort.starts_at) > now) return false;
+  if (cohort.ends_at && new Date(cohort.ends_at) <= now) return false;
+  return true;
+}
+
+/**
+ * Check whether an invoice number belongs to a cohort
+ * The pattern is a SQL LIKE pattern: % is any text, _ any one character.
+ * @param {Object} cohort - Cohort row
+ * @param {string} invoiceNumber - Invoice number as typed by the member
+ * @returns {boolean}
+ */
+function matchesInvoice(cohort, invoiceNumber) {
+  const pattern = cohort.invoice_pattern
+    .split("")
+    .map((char) => {
+      if (char === "%") return ".*";
+      if (char === "_") return ".";
+      return char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+
+  return new RegExp(`^${pattern}$`, "i").test(String(invoiceNumber).trim());
+}
+
+/**
+ * Describe a cohort's invoice numbers for members
+ * @param {Object} cohort - Cohort row
+ * @returns {Object} - { example: "SM-XXXX/2026", prefix: "SM-" }
+ */
+function getInvoiceFormat(cohort) {
+  return {
+    example: cohort.invoice_pattern.replace(/%/g, "XXXX").replace(/_/g, "X"),
+    prefix: cohort.invoice_pattern.split(/[%_]/)[0],
+  };
+}
+
+/**
+ * Get the Seolaxy API token of a cohort
+ * The cohort stores the name of the environment variable, not the token.
+ * Names outside cohortConfig.apiTokenEnvPattern are never read.
+ * @param {Object} cohort - Cohort row
+ * @returns {string|null}
+ */
+function getApiToken(cohort) {
+  if (!cohortConfig.apiTokenEnvPattern.test(cohort.api_token_env || "")) {
+    if (cohort.api_token_env) {
+      logger.error(
+        `${cohort.name} names ${cohort.api_token_env} as its API token variable, which is not a *_API_BEARER_TOKEN variable`
+      );
+    }
+    return null;
+  }
+  return process.env[cohort.api_token_env] || null;
+}
+
+/**
+ * Parse a YYYY-MM-DD date typed by staff
+ * @param {string} value - Date text
+ * @returns {Date|null} - Midnight UTC of that day, or null if invalid
+ */
+function parseDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) return null;
+
+  const date = new Date(`${String(value).trim()}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Create a cohort and assign the existing members whose invoice matches it
+ * @param {Object} data - { slug, name, guildId, joinChannelId, usersChannelId,
+ *   verifiedRoleId, apiTokenEnv, invoicePattern, startsAt, endsAt }
+ * @param {string|null} createdBy - Discord ID of who created it (null = bot)
+ * @returns {Object} - { success, cohort, assigned, error }
+ */
+async function create(data, createdBy) {
+  if (!cohortConfig.slugPattern.test(data.slug || "")) {
+    return {
+      success: false,
+      error: "Slugs use lowercase letters, digits and dashes (max 30)",
+    };
+  }
+  if (getCohort(data.slug)) {
+    return { success: false, error: `Cohort \`${data.slug}\` already exists` };
+  }
+  if (!data.name || !data.invoicePattern) {
+    return { success: false, error: "A cohort needs a name and an invoice pattern" };
+  }
+  if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+    return { success: false, error: "The end date must be after the start date" };
+  }
+  if (!cohortConfig.apiTokenEnvPattern.test(data.apiTokenEnv || "")) {
+    return {
+      success: false,
+      error: "The API token variable must be named like MENTORSHIP3_API_BEARER_TOKEN",
+    };
+  }
+  // Defaults are created on startup even if their token is not set yet
+  if (createdBy && !process.env[data.apiTokenEnv]) {
+    return {
+      success: false,
+      error: `\`${data.apiTokenEnv}\` is not set on the server, add it to the environment and restart first`,
+    };
+  }
+
+  const cohortId = await database.createCohort({ ...data, createdBy });
+  if (!cohortId) {
+    return { success: false, error: "Could not save the cohort" };
+  }
+
+  const assigned = await database.assignUsersToCohort(
+    cohortId,
+    data.invoicePattern
+  );
+
+  // Defaults created on startup are configuration, not a staff action
+  if (createdBy) {
+    await auditService.record({
+      actorId: createdBy,
+      targetId: data.guildId || null,
+      action: auditService.ACTIONS.COHORT_CREATED,
+      before: null,
+      after: { ...data, assigned },
+      reason: "/cohort create",
+    });
+  }
+
+  await reload();
+  logger.info(
+    `Created cohort ${data.slug} (${data.name}), assigned ${assigned} existing member(s)`
+  );
+
+  return { success: true, cohort: getCohort(data.slug), assigned };
+}
+
+module.exports = {
+  init,
+  reload,
+  getCohorts,
+  getCohort,
+  getCohortById,
+  getCohortsForGuild,
+  getGuildIds,
+  isOpen,
+  matchesInvoice,
+  getInvoiceFormat,
+  getApiToken,
+  parseDate,
+  create,
+};
@@ -5,7 +5,7 @@
 
 const { AttachmentBuilder } = require("discord.js");
 const database = require("./database");
-const logger = require("../utils/logger");
+const logger = require("../utils/logger").child({ module: "csvExport" });
 
 /**
  * Generate CSV data from users table
@@ -119,12 +119,13 @@ async function exportUsersAsCSV() {
 }
 
 /**
- * Generate CSV data from Mentorship #2 users
+ * Generate CSV data from a cohort's users
+ * @param {Object} cohort - Cohort row
  * @returns {string|null} - CSV content or null if no users
  */
-async function generateMentorship2UsersCSV() {
+async function generateCohortUsersCSV(cohort) {
   try {
-    const users = await database.fetchMentorship2Users();
+    const users = await database.fetchCohortUsers(cohort.id);
 
     if (users.length === 0) {
       return null;
@@ -177,18 +178,19 @@ async function generateMentorship2UsersCSV() {
 
     return csvContent;
   } catch (error) {
-    logger.error(`Error generating Mentorship #2 CSV: ${error.message}`);
+    logger.error(`Error generating ${cohort.name} CSV: ${error.message}`);
     return null;
   }
 }
 
 /**
- * Export Mentorship #2 users as CSV
+ * Export a cohort's users as CSV
+ * @param {Object} cohort - Cohort row
  * @returns {Object} - Export result with attachment and user count
  */
-async function exportMentorship2UsersAsCSV() {
+async function exportCohortUsersAsCSV(cohort) {
   try {
-    const csvContent = await generateMentorship2UsersCSV();
+    const csvContent = await generateCohortUsersCSV(cohort);
 
     if (!csvContent) {
       return {
@@ -198,12 +200,12 @@ async function exportMentorship2UsersAsCSV() {
     }
 
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const filename = `mentorship2-users-export-${timestamp}.csv`;
+    const filename = `${cohort.slug}-users-export-${timestamp}.csv`;
     const attachment = new AttachmentBuilder(
       Buffer.from(csvContent, "utf-8"),
       { name: filename }
     );
-    const users = await database.fetchMentorship2Users();
+    const users = await database.fetchCohortUsers(cohort.id);
 
     return {
       success: true,
@@ -213,16 +215,74 @@ async function exportMentorship2UsersAsCSV() {
     };
   } catch (error) {
     logger.error(
-      `Error exporting Mentorship #2 users as CSV: ${error.message}`
+      `Error exporting ${cohort.name} users as CSV: ${error.message}`
     );
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Export the members of a reset run (dry run report) as CSV
+ * @param {number} runId - Reset run ID
+ * @param {Array} items - Planned members (see subscriptionReset.planReset)
+ * @returns {Object} - Export result with attachment
+ */
+function exportResetRunAsCSV(runId, items) {
+  try {
+    const headers = [
+      "Discord ID",
+      "Discord Username",
+      "Member Roles Removed",
+      "Stripe Subscription Cancelled",
+      "Subscription Status",
+      "Database Row Deleted",
+    ];
+
+    const rows = items.map((item) => [
+      item.discordId,
+      item.discordUsername,
+      item.memberRoles.join(" "),
+      item.stripeSubscriptionId || "",
+      item.subscriptionStatus || "",
+      item.hasDbRow ? "yes" : "no",
+    ]);
+
+    const escapeCSVField = (field) => {
+      if (field === null || field === undefined) return "";
+      const stringField = String(field);
+      if (
+        stringField.includes(",") ||
+        stringField.includes('"') ||
+        stringField.includes("\n")
+      ) {
+        return '"' + stringField.replace(/"/g, '""') + '"';
+      }
+      return stringField;
+    };
+
+    let csvContent = headers.map(escapeCSVField).join(",") + "\n";
+
+    for (const row of rows) {
+      csvContent += row.map(escapeCSVField).join(",") + "\n";
+    }
+
+    const attachment = new AttachmentBuilder(
+      Buffer.from(csvContent, "utf-8"),
+      { name: `reset-run-${runId}-dry-run.csv` }
+    );
+
+    return { success: true, attachment };
+  } catch (error) {
+    logger.error(`Error exporting reset run as CSV: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   generateUsersCSV,
   createCSVAttachment,
   exportUsersAsCSV,
-  generateMentorship2UsersCSV,
-  exportMentorship2UsersAsCSV,
+  generateCohortUsersCSV,
+  exportCohortUsersAsCSV,
+  exportResetRunAsCSV,
 };
@@ -3,135 +3,45 @@
  * Handles all database operations and connection management
  */
 
-const mysql = require("mysql2/promise");
 const dbConfig = require("../config/database");
-const logger = require("../utils/logger");
+const { createStorage } = require("../storage");
+const logger = require("../utils/logger").child({ module: "database" });
+const migrationRunner = require("./migrationRunner");
 
-let dbPool;
+let db;
 
 /**
- * Initialize database connection pool
+ * Initialize the database connection (MySQL or SQLite, see config/database.js)
+ * The bot keeps running without a database connection, but refuses to start
+ * against a schema with pending migrations (see scripts/migrate.js).
+ * @throws {Error} - If the schema has pending migrations
  */
 async function initDatabase() {
   try {
-    dbPool = mysql.createPool(dbConfig);
-    logger.info("Database connection pool created successfully");
-
-    // Test the connection
-    const connection = await dbPool.getConnection();
-    await connection.ping();
-    connection.release();
-    logger.info("Database connection test successful");
-
-    // Create users table if it doesn't exist
-    await createUsersTable();
+    const storage = createStorage(dbConfig);
+    await storage.connect();
+    db = storage;
+    logger.info(`Database connection test successful (${dbConfig.client})`);
   } catch (error) {
     logger.error(`Database connection failed: ${error.message}`);
     // Don't exit the process, just log the error
     // The bot can still function without database features
+    return;
   }
+
+  await migrationRunner.assertSchemaCurrent(db);
+  logger.info("Database schema is up to date");
 }
 
 /**
- * Create users table if it doesn't exist
+ * Get the date a number of days from now
+ * Computed here rather than with SQL date functions, which differ between
+ * MySQL and SQLite.
+ * @param {number} days - Number of days
+ * @returns {Date}
  */
-async function createUsersTable() {
-  try {
-    const createTableQuery = `
-      CREATE TABLE IF NOT EXISTS users (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        discord_id VARCHAR(20) UNIQUE NOT NULL,
-        discord_username VARCHAR(100) NOT NULL,
-        first_name VARCHAR(50) NOT NULL,
-        last_name VARCHAR(50) NOT NULL,
-        email VARCHAR(100) NOT NULL,
-        project_name VARCHAR(100),
-        invoice_number VARCHAR(50),
-        stripe_customer_id VARCHAR(50),
-        stripe_subscription_id VARCHAR(50),
-        subscription_status ENUM('active', 'past_due', 'canceled', 'unpaid', 'trialing', 'incomplete', 'incomplete_expired', 'paused', 'none') DEFAULT 'none',
-        subscription_ends_at TIMESTAMP NULL,
-        is_legacy_user BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `;
-
-    await dbPool.execute(createTableQuery);
-    logger.info("Users table created or verified successfully");
-
-    // Add subscription columns if they don't exist (for existing tables)
-    await addSubscriptionColumns();
-
-    // Fix existing table character set if it exists
-    try {
-      const alterTableQuery = `
-        ALTER TABLE users 
-        CONVERT TO CHARACTER SET utf8mb4 
-        COLLATE utf8mb4_unicode_ci
-      `;
-      await dbPool.execute(alterTableQuery);
-      logger.info("Users table character set updated to utf8mb4");
-    } catch (alterError) {
-      // This might fail if table doesn't exist yet, which is fine
-      logger.debug(`Table alter query info: ${alterError.message}`);
-    }
-  } catch (error) {
-    logger.error(`Error creating users table: ${error.message}`);
-  }
-}
-
-/**
- * Add subscription columns to existing users table
- */
-async function addSubscriptionColumns() {
-  const columnsToAdd = [
-    {
-      name: "stripe_customer_id",
-      definition: "VARCHAR(50)",
-    },
-    {
-      name: "stripe_subscription_id",
-      definition: "VARCHAR(50)",
-    },
-    {
-      name: "subscription_status",
-      definition:
-        "ENUM('active', 'past_due', 'canceled', 'unpaid', 'trialing', 'incomplete', 'incomplete_expired', 'paused', 'none') DEFAULT 'none'",
-    },
-    {
-      name: "subscription_ends_at",
-      definition: "TIMESTAMP NULL",
-    },
-    {
-      name: "is_legacy_user",
-      definition: "BOOLEAN DEFAULT FALSE",
-    },
-  ];
-
-  for (const column of columnsToAdd) {
-    try {
-      await dbPool.execute(
-        `ALTER TABLE users ADD COLUMN ${column.name} ${column.definition}`
-      );
-      logger.info(`Added column ${column.name} to users table`);
-    } catch (error) {
-      // Column might already exist, which is fine
-      if (!error.message.includes("Duplicate column")) {
-        logger.debug(`Column ${column.name} info: ${error.message}`);
-      }
-    }
-  }
-
-  // Make invoice_number nullable for subscription users
-  try {
-    await dbPool.execute(
-      "ALTER TABLE users MODIFY COLUMN invoice_number VARCHAR(50)"
-    );
-    logger.debug("Made invoice_number column nullable");
-  } catch (error) {
-    logger.debug(`invoice_number modify info: ${error.message}`);
-  }
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
 }
 
 /**
@@ -141,25 +51,30 @@ async function addSubscriptionColumns() {
  */
 async function saveUser(userData) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, skipping user save");
       return false;
     }
 
     const insertQuery = `
-      INSERT INTO users (discord_id, discord_username, first_name, last_name, email, project_name, invoice_number)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        discord_username = VALUES(discord_username),
-        first_name = VALUES(first_name),
-        last_name = VALUES(last_name),
-        email = VALUES(email),
-        project_name = VALUES(project_name),
-        invoice_number = VALUES(invoice_number),
-        updated_at = CURRENT_TIMESTAMP
+      INSERT INTO users (discord_id, discord_username, first_name, last_name, email, project_name, invoice_number, cohort_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ${db.onConflictUpdate(
+        ["discord_id"],
+        [
+          "discord_username",
+          "first_name",
+          "last_name",
+          "email",
+          "project_name",
+          "invoice_number",
+          "cohort_id",
+        ],
+        ["updated_at = CURRENT_TIMESTAMP"]
+      )}
     `;
 
-    const [result] = await dbPool.execute(insertQuery, [
+    const [result] = await db.execute(insertQuery, [
       userData.discordId,
       userData.discordUsername,
       userData.firstName,
@@ -167,6 +82,7 @@ async function saveUser(userData) {
       userData.email,
       userData.projectName,
       userData.invoiceNumber,
+      userData.cohortId || null,
     ]);
 
     logger.info(
@@ -185,12 +101,12 @@ async function saveUser(userData) {
  */
 async function fetchAllUsers() {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot fetch users");
       return [];
     }
 
-    const [rows] = await dbPool.execute(
+    const [rows] = await db.execute(
       "SELECT * FROM users ORDER BY created_at DESC"
     );
     return rows;
@@ -207,12 +123,12 @@ async function fetchAllUsers() {
  */
 async function checkPaymentIntentExists(invoiceNumber) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot check payment intent");
       return false;
     }
 
-    const [rows] = await dbPool.execute(
+    const [rows] = await db.execute(
       "SELECT id FROM users WHERE invoice_number = ? LIMIT 1",
       [invoiceNumber]
     );
@@ -236,12 +152,12 @@ async function checkPaymentIntentExists(invoiceNumber) {
  */
 async function getUserByDiscordId(discordId) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot lookup user");
       return null;
     }
 
-    const [rows] = await dbPool.execute(
+    const [rows] = await db.execute(
       "SELECT * FROM users WHERE discord_id = ? LIMIT 1",
       [discordId]
     );
@@ -261,11 +177,48 @@ async function getUserByDiscordId(discordId) {
 }
 
 /**
- * Get database pool instance
- * @returns {mysql.Pool|null} - Database pool or null
+ * Close the database connection (on shutdown)
+ * Later calls behave as if the database is not available.
+ */
+async function closeDatabase() {
+  if (!db) {
+    return;
+  }
+
+  try {
+    await db.close();
+    logger.info("Database connection closed");
+  } catch (error) {
+    logger.error(`Error closing database connection: ${error.message}`);
+  } finally {
+    db = null;
+  }
+}
+
+/**
+ * Get the storage driver (see src/storage)
+ * @returns {Object|null} - Storage driver or null
  */
 function getPool() {
-  return dbPool;
+  return db;
+}
+
+/**
+ * Check that the database answers queries (used by /readyz)
+ * @returns {boolean} - True if a trivial query succeeds
+ */
+async function checkConnection() {
+  if (!db) {
+    return false;
+  }
+
+  try {
+    await db.execute("SELECT 1");
+    return true;
+  } catch (error) {
+    logger.warn(`Database connection check failed: ${error.message}`);
+    return false;
+  }
 }
 
 /**
@@ -275,7 +228,7 @@ function getPool() {
  */
 async function saveSubscriptionUser(userData) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, skipping subscription user save");
       return false;
     }
@@ -283,23 +236,29 @@ async function saveSubscriptionUser(userData) {
     const insertQuery = `
       INSERT INTO users (
         discord_id, discord_username, first_name, last_name, email, project_name,
-        stripe_customer_id, stripe_subscription_id, subscription_status, subscription_ends_at
+        stripe_customer_id, stripe_subscription_id, stripe_price_id,
+        subscription_status, subscription_ends_at
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        discord_username = VALUES(discord_username),
-        first_name = VALUES(first_name),
-        last_name = VALUES(last_name),
-        email = VALUES(email),
-        project_name = VALUES(project_name),
-        stripe_customer_id = VALUES(stripe_customer_id),
-        stripe_subscription_id = VALUES(stripe_subscription_id),
-        subscription_status = VALUES(subscription_status),
-        subscription_ends_at = VALUES(subscription_ends_at),
-        updated_at = CURRENT_TIMESTAMP
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ${db.onConflictUpdate(
+        ["discord_id"],
+        [
+          "discord_username",
+          "first_name",
+          "last_name",
+          "email",
+          "project_name",
+          "stripe_customer_id",
+          "stripe_subscription_id",
+          "stripe_price_id",
+          "subscription_status",
+          "subscription_ends_at",
+        ],
+        ["updated_at = CURRENT_TIMESTAMP"]
+      )}
     `;
 
-    await dbPool.execute(insertQuery, [
+    await db.execute(insertQuery, [
       userData.discordId,
       userData.discordUsername,
       userData.firstName || "",
@@ -308,6 +267,7 @@ async function saveSubscriptionUser(userData) {
       userData.projectName || null,
       userData.stripeCustomerId,
       userData.stripeSubscriptionId,
+      userData.stripePriceId || null,
       userData.subscriptionStatus || "active",
       userData.subscriptionEndsAt || null,
     ]);
@@ -330,7 +290,7 @@ async function saveSubscriptionUser(userData) {
  */
 async function updateUserSubscription(discordId, subscriptionData) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, skipping subscription update");
       return false;
     }
@@ -339,15 +299,17 @@ async function updateUserSubscription(discordId, subscriptionData) {
       UPDATE users SET
         stripe_customer_id = COALESCE(?, stripe_customer_id),
         stripe_subscription_id = COALESCE(?, stripe_subscription_id),
+        stripe_price_id = COALESCE(?, stripe_price_id),
         subscription_status = ?,
         subscription_ends_at = ?,
         updated_at = CURRENT_TIMESTAMP
       WHERE discord_id = ?
     `;
 
-    const [result] = await dbPool.execute(updateQuery, [
+    const [result] = await db.execute(updateQuery, [
       subscriptionData.stripeCustomerId || null,
       subscriptionData.stripeSubscriptionId || null,
+      subscriptionData.stripePriceId || null,
       subscriptionData.subscriptionStatus,
       subscriptionData.subscriptionEndsAt || null,
       discordId,
@@ -374,12 +336,12 @@ async function updateUserSubscription(discordId, subscriptionData) {
  */
 async function getUsersWithActiveSubscriptions() {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot fetch active subscribers");
       return [];
     }
 
-    const [rows] = await dbPool.execute(
+    const [rows] = await db.execute(
       `SELECT * FROM users 
        WHERE subscription_status IN ('active', 'trialing', 'past_due') 
        AND stripe_subscription_id IS NOT NULL
@@ -398,12 +360,12 @@ async function getUsersWithActiveSubscriptions() {
  */
 async function getLegacyUsers() {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot fetch legacy users");
       return [];
     }
 
-    const [rows] = await dbPool.execute(
+    const [rows] = await db.execute(
       `SELECT * FROM users 
        WHERE is_legacy_user = TRUE 
        AND (subscription_status = 'trialing' OR subscription_status = 'none')
@@ -423,18 +385,18 @@ async function getLegacyUsers() {
  */
 async function getUsersWithExpiringSubscriptions(daysUntilExpiry = 3) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot fetch expiring subscriptions");
       return [];
     }
 
-    const [rows] = await dbPool.execute(
+    const [rows] = await db.execute(
       `SELECT * FROM users 
        WHERE subscription_status = 'past_due'
        AND subscription_ends_at IS NOT NULL
-       AND subscription_ends_at <= DATE_ADD(NOW(), INTERVAL ? DAY)
+       AND subscription_ends_at <= ?
        ORDER BY subscription_ends_at ASC`,
-      [daysUntilExpiry]
+      [daysFromNow(daysUntilExpiry)]
     );
     return rows;
   } catch (error) {
@@ -450,12 +412,12 @@ async function getUsersWithExpiringSubscriptions(daysUntilExpiry = 3) {
  */
 async function getUserByStripeCustomerId(stripeCustomerId) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot lookup user by Stripe ID");
       return null;
     }
 
-    const [rows] = await dbPool.execute(
+    const [rows] = await db.execute(
       "SELECT * FROM users WHERE stripe_customer_id = ? LIMIT 1",
       [stripeCustomerId]
     );
@@ -474,19 +436,19 @@ async function getUserByStripeCustomerId(stripeCustomerId) {
  */
 async function markExistingUsersAsLegacy(gracePeriodDays = 30) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot mark legacy users");
       return 0;
     }
 
-    const [result] = await dbPool.execute(
+    const [result] = await db.execute(
       `UPDATE users SET 
         is_legacy_user = TRUE,
         subscription_status = 'trialing',
-        subscription_ends_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+        subscription_ends_at = ?
        WHERE stripe_subscription_id IS NULL 
        AND is_legacy_user = FALSE`,
-      [gracePeriodDays]
+      [daysFromNow(gracePeriodDays)]
     );
 
     logger.info(`Marked ${result.affectedRows} users as legacy with ${gracePeriodDays} day grace period`);
@@ -498,24 +460,24 @@ async function markExistingUsersAsLegacy(gracePeriodDays = 30) {
 }
 
 /**
- * Fetch Mentorship #2 users (identified by invoice_number pattern SM-%/2026)
- * @returns {Array} - Array of Mentorship #2 user objects
+ * Fetch the members of a cohort
+ * @param {number} cohortId - Cohort ID
+ * @returns {Array} - Array of user objects, newest first
  */
-async function fetchMentorship2Users() {
+async function fetchCohortUsers(cohortId) {
   try {
-    if (!dbPool) {
-      logger.warn("Database not available, cannot fetch Mentorship #2 users");
+    if (!db) {
+      logger.warn("Database not available, cannot fetch cohort users");
       return [];
     }
 
-    const [rows] = await dbPool.execute(
-      "SELECT * FROM users WHERE invoice_number LIKE 'SM-%/2026' ORDER BY created_at DESC"
+    const [rows] = await db.execute(
+      "SELECT * FROM users WHERE cohort_id = ? ORDER BY created_at DESC",
+      [cohortId]
     );
     return rows;
   } catch (error) {
-    logger.error(
-      `Error fetching Mentorship #2 users from database: ${error.message}`
-    );
+    logger.error(`Error fetching cohort users from database: ${error.message}`);
     return [];
   }
 }
@@ -527,12 +489,12 @@ async function fetchMentorship2Users() {
  */
 async function getUserByInvoiceNumber(invoiceNumber) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot lookup user by invoice");
       return null;
     }
 
-    const [rows] = await dbPool.execute(
+    const [rows] = await db.execute(
       "SELECT * FROM users WHERE invoice_number = ? LIMIT 1",
       [invoiceNumber]
     );
@@ -547,16 +509,51 @@ async function getUserByInvoiceNumber(invoiceNumber) {
 }
 
 /**
- * Find user by Discord ID or invoice number
- * @param {string} identifier - Discord ID (snowflake) or invoice number
+ * Get user by email address (case-insensitive, most recent registration first)
+ * @param {string} email - Email address
+ * @returns {Object|null} - User object or null if not found
+ */
+async function getUserByEmail(email) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot lookup user by email");
+      return null;
+    }
+
+    const [rows] = await db.execute(
+      "SELECT * FROM users WHERE LOWER(email) = LOWER(?) ORDER BY created_at DESC LIMIT 1",
+      [email]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error(`Error looking up user by email: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find user by member mention, Discord ID, email, Stripe customer ID or invoice number
+ * @param {string} identifier - <@mention>, Discord ID (snowflake), email, cus_... or invoice number
  * @returns {Object|null} - User object or null if not found
  */
 async function findUserByIdentifier(identifier) {
   const trimmed = String(identifier).trim();
   if (!trimmed) return null;
+
+  const mention = trimmed.match(/^<@!?(\d{17,19})>$/);
+  if (mention) {
+    return getUserByDiscordId(mention[1]);
+  }
   if (/^\d{17,19}$/.test(trimmed)) {
     return getUserByDiscordId(trimmed);
   }
+  if (trimmed.startsWith("cus_")) {
+    return getUserByStripeCustomerId(trimmed);
+  }
+  if (trimmed.includes("@")) {
+    return getUserByEmail(trimmed);
+  }
   return getUserByInvoiceNumber(trimmed);
 }
 
@@ -567,12 +564,12 @@ async function findUserByIdentifier(identifier) {
  */
 async function deleteUser(discordId) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot delete user");
       return false;
     }
 
-    const [result] = await dbPool.execute(
+    const [result] = await db.execute(
       "DELETE FROM users WHERE discord_id = ?",
       [discordId]
     );
@@ -596,7 +593,7 @@ async function deleteUser(discordId) {
  */
 async function updateUser(discordId, updates) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot update user");
       return false;
     }
@@ -616,7 +613,7 @@ async function updateUser(discordId, updates) {
 
     values.push(discordId);
     const query = `UPDATE users SET ${setClauses.join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE discord_id = ?`;
-    const [result] = await dbPool.execute(query, values);
+    const [result] = await db.execute(query, values);
 
     if (result.affectedRows > 0) {
       logger.info(`Updated user ${discordId}`);
@@ -629,6 +626,36 @@ async function updateUser(discordId, updates) {
   }
 }
 
+/**
+ * Move a registration to another Discord account (/enrollment transfer)
+ * @param {string} fromDiscordId - Discord user ID the registration belongs to
+ * @param {string} toDiscordId - Discord user ID it moves to (must not be registered)
+ * @param {string} toUsername - Discord username of the new account
+ * @returns {boolean} - Success status
+ */
+async function transferUser(fromDiscordId, toDiscordId, toUsername) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot transfer user");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      "UPDATE users SET discord_id = ?, discord_username = ?, updated_at = CURRENT_TIMESTAMP WHERE discord_id = ?",
+      [toDiscordId, toUsername, fromDiscordId]
+    );
+
+    if (result.affectedRows > 0) {
+      logger.info(`Transferred user ${fromDiscordId} to ${toDiscordId}`);
+      return true;
+    }
+    return false;
+  } catch (error) {
+    logger.error(`Error transferring user: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Reset user subscription data (set stripe fields to NULL, status to 'none')
  * Used during subscription reset to clear all subscription data
@@ -637,15 +664,16 @@ async function updateUser(discordId, updates) {
  */
 async function resetUserSubscriptionData(discordId) {
   try {
-    if (!dbPool) {
+    if (!db) {
       logger.warn("Database not available, cannot reset subscription data");
       return false;
     }
 
-    const [result] = await dbPool.execute(
+    const [result] = await db.execute(
       `UPDATE users SET
         stripe_customer_id = NULL,
         stripe_subscription_id = NULL,
+        stripe_price_id = NULL,
         subscription_status = 'none',
         subscription_ends_at = NULL,
         updated_at = CURRENT_TIMESTAMP
@@ -665,24 +693,1081 @@ async function resetUserSubscriptionData(discordId) {
 }
 
 /**
- * Ensure bot_state table exists for storing flags
+ * Get dunning record for a user
+ * @param {string} discordId - Discord user ID
+ * @returns {Object|null} - Dunning record or null if not in grace period
+ */
+async function getDunningRecord(discordId) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot lookup dunning record");
+      return null;
+    }
+
+    const [rows] = await db.execute(
+      "SELECT * FROM subscription_dunning WHERE discord_id = ? LIMIT 1",
+      [discordId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error(`Error looking up dunning record: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get all users currently in the past_due grace period
+ * @returns {Array} - Array of dunning records (oldest first)
+ */
+async function getDunningRecords() {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch dunning records");
+      return [];
+    }
+
+    const [rows] = await db.execute(
+      "SELECT * FROM subscription_dunning ORDER BY past_due_since ASC"
+    );
+    return rows;
+  } catch (error) {
+    logger.error(`Error fetching dunning records: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Record that a user entered past_due (no-op if already recorded)
+ * @param {string} discordId - Discord user ID
+ * @param {Date} pastDueSince - When the user entered past_due
+ * @returns {boolean} - True if a new record was created
+ */
+async function createDunningRecord(discordId, pastDueSince = new Date()) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot create dunning record");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      `${db.insertIgnore} INTO subscription_dunning (discord_id, past_due_since, last_stage)
+       VALUES (?, ?, 'initial')`,
+      [discordId, pastDueSince]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error creating dunning record: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Update the last dunning stage reached by a user
+ * @param {string} discordId - Discord user ID
+ * @param {string} stage - Stage reached ('initial', 'reminder', 'final')
+ * @param {boolean} accessRevoked - Whether access roles were removed
+ * @returns {boolean} - Success status
+ */
+async function updateDunningStage(discordId, stage, accessRevoked = false) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot update dunning stage");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      `UPDATE subscription_dunning SET last_stage = ?, access_revoked = ?
+       WHERE discord_id = ?`,
+      [stage, accessRevoked, discordId]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error updating dunning stage: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Delete dunning record (payment recovered or subscription ended)
+ * @param {string} discordId - Discord user ID
+ * @returns {boolean} - True if a record was deleted
+ */
+async function deleteDunningRecord(discordId) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot delete dunning record");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      "DELETE FROM subscription_dunning WHERE discord_id = ?",
+      [discordId]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error deleting dunning record: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Save a pending checkout session so fast polling survives restarts
+ * @param {string} discordId - Discord user ID
+ * @param {string} sessionId - Stripe checkout session ID
+ * @param {Date} expiresAt - When the checkout session expires
+ * @returns {boolean} - Success status
+ */
+async function savePendingCheckout(discordId, sessionId, expiresAt) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot save pending checkout");
+      return false;
+    }
+
+    await db.execute(
+      `INSERT INTO pending_checkouts (discord_id, session_id, status, expires_at)
+       VALUES (?, ?, 'pending', ?)
+       ${db.onConflictUpdate(["session_id"], ["expires_at"], ["status = 'pending'"])}`,
+      [discordId, sessionId, expiresAt]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`Error saving pending checkout: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get all checkout sessions that are still pending
+ * @returns {Array} - Pending checkout rows, oldest first
+ */
+async function getPendingCheckouts() {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch pending checkouts");
+      return [];
+    }
+
+    const [rows] = await db.execute(
+      "SELECT * FROM pending_checkouts WHERE status = 'pending' ORDER BY created_at ASC"
+    );
+
+    return rows;
+  } catch (error) {
+    logger.error(`Error fetching pending checkouts: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the latest pending checkout session for a user
+ * @param {string} discordId - Discord user ID
+ * @returns {Object|null} - Pending checkout row or null
+ */
+async function getPendingCheckoutByDiscordId(discordId) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch pending checkout");
+      return null;
+    }
+
+    const [rows] = await db.execute(
+      `SELECT * FROM pending_checkouts
+       WHERE discord_id = ? AND status = 'pending'
+       ORDER BY created_at DESC LIMIT 1`,
+      [discordId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error(`Error fetching pending checkout: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Close all pending checkout sessions of a user
+ * @param {string} discordId - Discord user ID
+ * @param {string} status - New status ('completed' or 'expired')
+ * @returns {number} - Number of sessions updated
+ */
+async function closePendingCheckouts(discordId, status) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot update pending checkouts");
+      return 0;
+    }
+
+    const [result] = await db.execute(
+      `UPDATE pending_checkouts SET status = ?
+       WHERE discord_id = ? AND status = 'pending'`,
+      [status, discordId]
+    );
+
+    return result.affectedRows;
+  } catch (error) {
+    logger.error(`Error updating pending checkouts: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Create a reset run (dry run) with the members it would affect
+ * @param {Object} runData - { requestedBy, expiresAt, items }
+ *   items: [{ discordId, discordUsername, memberRoles, stripeSubscriptionId, subscriptionStatus, hasDbRow }]
+ * @returns {number|null} - Run ID or null on failure
+ */
+async function createResetRun(runData) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot create reset run");
+      return null;
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO reset_runs (requested_by, total_count, expires_at)
+       VALUES (?, ?, ?)`,
+      [runData.requestedBy, runData.items.length, runData.expiresAt]
+    );
+    const runId = result.insertId;
+
+    for (const item of runData.items) {
+      await db.execute(
+        `INSERT INTO reset_run_items (
+          run_id, discord_id, discord_username, member_roles,
+          stripe_subscription_id, subscription_status, has_db_row
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          runId,
+          item.discordId,
+          item.discordUsername,
+          item.memberRoles.join(","),
+          item.stripeSubscriptionId || null,
+          item.subscriptionStatus || null,
+          item.hasDbRow,
+        ]
+      );
+    }
+
+    return runId;
+  } catch (error) {
+    logger.error(`Error creating reset run: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get a reset run by ID
+ * @param {number} runId - Reset run ID
+ * @returns {Object|null} - Reset run or null
+ */
+async function getResetRun(runId) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch reset run");
+      return null;
+    }
+
+    const [rows] = await db.execute(
+      "SELECT * FROM reset_runs WHERE id = ? LIMIT 1",
+      [runId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error(`Error fetching reset run: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get reset runs that were approved but not finished (interrupted by a restart)
+ * @returns {Array} - Reset runs, oldest first
  */
-async function ensureBotStateTable() {
+async function getUnfinishedResetRuns() {
   try {
-    if (!dbPool) {
-      logger.warn("Database not available, cannot ensure bot_state table");
-      return;
+    if (!db) {
+      logger.warn("Database not available, cannot fetch reset runs");
+      return [];
     }
 
-    await dbPool.execute(`
-      CREATE TABLE IF NOT EXISTS bot_state (
-        key_name VARCHAR(100) PRIMARY KEY,
-        value VARCHAR(255),
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `);
+    const [rows] = await db.execute(
+      "SELECT * FROM reset_runs WHERE status IN ('approved', 'running') ORDER BY id ASC"
+    );
+
+    return rows;
   } catch (error) {
-    logger.error(`Error creating bot_state table: ${error.message}`);
+    logger.error(`Error fetching unfinished reset runs: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the members of a reset run
+ * @param {number} runId - Reset run ID
+ * @param {string|null} status - Only items with this status ('pending', 'done', 'failed')
+ * @returns {Array} - Reset run items
+ */
+async function getResetRunItems(runId, status = null) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch reset run items");
+      return [];
+    }
+
+    const [rows] = status
+      ? await db.execute(
+          "SELECT * FROM reset_run_items WHERE run_id = ? AND status = ? ORDER BY id ASC",
+          [runId, status]
+        )
+      : await db.execute(
+          "SELECT * FROM reset_run_items WHERE run_id = ? ORDER BY id ASC",
+          [runId]
+        );
+
+    return rows;
+  } catch (error) {
+    logger.error(`Error fetching reset run items: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Approve a planned reset run
+ * Only succeeds while the run is still planned and its approval window is open.
+ * @param {number} runId - Reset run ID
+ * @param {string} approvedBy - Discord ID of the approving admin
+ * @returns {boolean} - True if the run was approved
+ */
+async function approveResetRun(runId, approvedBy) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot approve reset run");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      `UPDATE reset_runs SET status = 'approved', approved_by = ?
+       WHERE id = ? AND status = 'planned' AND expires_at > CURRENT_TIMESTAMP`,
+      [approvedBy, runId]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error approving reset run: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Update the status of a reset run
+ * @param {number} runId - Reset run ID
+ * @param {string} status - New status
+ * @param {string|null} fromStatus - Only update if the run currently has this status
+ * @returns {boolean} - True if the run was updated
+ */
+async function updateResetRunStatus(runId, status, fromStatus = null) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot update reset run");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      `UPDATE reset_runs SET
+        status = ?,
+        started_at = CASE WHEN ? = 'running' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+        completed_at = CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END
+      WHERE id = ? AND status = COALESCE(?, status)`,
+      [status, status, status, runId, fromStatus]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error updating reset run status: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Record the outcome of resetting one member
+ * @param {number} itemId - Reset run item ID
+ * @param {string} status - 'done' or 'failed'
+ * @param {string|null} errorMessage - Failure reason
+ * @returns {boolean} - Success status
+ */
+async function updateResetRunItem(itemId, status, errorMessage = null) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot update reset run item");
+      return false;
+    }
+
+    await db.execute(
+      `UPDATE reset_run_items SET status = ?, error = ?, processed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, errorMessage ? errorMessage.slice(0, 255) : null, itemId]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`Error updating reset run item: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Save an audit event
+ * @param {Object} event - { actorId, targetId, action, before, after, reason }
+ *   before/after are stored as JSON
+ * @returns {boolean} - Success status
+ */
+async function saveAuditEvent(event) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot save audit event");
+      return false;
+    }
+
+    await db.execute(
+      `INSERT INTO audit_events (actor_id, target_id, action, before_state, after_state, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        event.actorId,
+        event.targetId || null,
+        event.action,
+        event.before === undefined ? null : JSON.stringify(event.before),
+        event.after === undefined ? null : JSON.stringify(event.after),
+        event.reason ? event.reason.slice(0, 255) : null,
+      ]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`Error saving audit event: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get audit events for a user, newest first
+ * @param {string} targetId - Discord ID of the affected user
+ * @param {number} limit - Page size
+ * @param {number} offset - Number of events to skip
+ * @returns {Array} - Audit events (before_state/after_state are JSON strings)
+ */
+async function getAuditEvents(targetId, limit, offset) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch audit events");
+      return [];
+    }
+
+    // LIMIT/OFFSET are inlined: mysql2 prepared statements reject them as params
+    const [rows] = await db.execute(
+      `SELECT * FROM audit_events WHERE target_id = ?
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      [targetId]
+    );
+
+    return rows;
+  } catch (error) {
+    logger.error(`Error fetching audit events: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Count audit events for a user
+ * @param {string} targetId - Discord ID of the affected user
+ * @returns {number} - Number of events
+ */
+async function countAuditEvents(targetId) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot count audit events");
+      return 0;
+    }
+
+    const [rows] = await db.execute(
+      "SELECT COUNT(*) AS count FROM audit_events WHERE target_id = ?",
+      [targetId]
+    );
+
+    return rows[0].count;
+  } catch (error) {
+    logger.error(`Error counting audit events: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Create a manual access grant
+ * @param {Object} grant - { discordId, grantedBy, reason, expiresAt }
+ * @returns {number|null} - Grant ID or null on failure
+ */
+async function createManualAccess(grant) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot create manual access");
+      return null;
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO manual_access (discord_id, granted_by, reason, expires_at)
+       VALUES (?, ?, ?, ?)`,
+      [
+        grant.discordId,
+        grant.grantedBy,
+        grant.reason ? grant.reason.slice(0, 255) : null,
+        grant.expiresAt,
+      ]
+    );
+
+    return result.insertId;
+  } catch (error) {
+    logger.error(`Error creating manual access: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get a user's current (active, not yet expired) manual access grant
+ * @param {string} discordId - Discord user ID
+ * @returns {Object|null} - Grant row or null
+ */
+async function getActiveManualAccess(discordId) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch manual access");
+      return null;
+    }
+
+    const [rows] = await db.execute(
+      `SELECT * FROM manual_access
+       WHERE discord_id = ? AND status = 'active' AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY expires_at DESC LIMIT 1`,
+      [discordId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error(`Error fetching manual access: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get active manual access grants whose expiry has passed
+ * @returns {Array} - Grant rows
+ */
+async function getExpiredManualAccess() {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch expired manual access");
+      return [];
+    }
+
+    const [rows] = await db.execute(
+      `SELECT * FROM manual_access
+       WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+       ORDER BY expires_at ASC`
+    );
+
+    return rows;
+  } catch (error) {
+    logger.error(`Error fetching expired manual access: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Close all active manual access grants of a user
+ * @param {string} discordId - Discord user ID
+ * @param {string} status - 'expired' or 'revoked'
+ * @param {string} closedBy - Discord ID of who closed it (or "system")
+ * @param {string} reason - Why the grant was closed
+ * @returns {number} - Number of grants closed
+ */
+async function closeManualAccess(discordId, status, closedBy, reason = null) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot close manual access");
+      return 0;
+    }
+
+    const [result] = await db.execute(
+      `UPDATE manual_access SET status = ?, closed_by = ?, close_reason = ?
+       WHERE discord_id = ? AND status = 'active'`,
+      [status, closedBy, reason ? reason.slice(0, 255) : null, discordId]
+    );
+
+    return result.affectedRows;
+  } catch (error) {
+    logger.error(`Error closing manual access: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Get every stored guild setting
+ * @returns {Array} - guild_config rows
+ */
+async function getGuildConfig() {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch guild config");
+      return [];
+    }
+
+    const [rows] = await db.execute(
+      "SELECT * FROM guild_config ORDER BY guild_id, setting_key"
+    );
+
+    return rows;
+  } catch (error) {
+    logger.error(`Error fetching guild config: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Store a guild setting (upsert)
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Setting key (see config/guilds.js)
+ * @param {string} value - Setting value ("" for explicitly unset)
+ * @param {string} updatedBy - Discord ID of who changed it
+ * @returns {boolean} - Success status
+ */
+async function setGuildConfigValue(guildId, key, value, updatedBy) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot save guild config");
+      return false;
+    }
+
+    await db.execute(
+      `INSERT INTO guild_config (guild_id, setting_key, value, updated_by)
+       VALUES (?, ?, ?, ?)
+       ${db.onConflictUpdate(["guild_id", "setting_key"], ["value", "updated_by"], ["updated_at = CURRENT_TIMESTAMP"])}`,
+      [guildId, key, value, updatedBy]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`Error saving guild config: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Remove a stored guild setting, so its default applies again
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Setting key
+ * @returns {boolean} - True if a stored value was removed
+ */
+async function deleteGuildConfigValue(guildId, key) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot delete guild config");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      "DELETE FROM guild_config WHERE guild_id = ? AND setting_key = ?",
+      [guildId, key]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error deleting guild config: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get every cohort
+ * @returns {Array} - cohorts rows, oldest first
+ */
+async function getCohorts() {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch cohorts");
+      return [];
+    }
+
+    const [rows] = await db.execute("SELECT * FROM cohorts ORDER BY id");
+    return rows;
+  } catch (error) {
+    logger.error(`Error fetching cohorts: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Create a cohort
+ * @param {Object} cohort - { slug, name, guildId, joinChannelId,
+ *   usersChannelId, verifiedRoleId, apiTokenEnv, invoicePattern, startsAt,
+ *   endsAt, createdBy }
+ * @returns {number|null} - Cohort ID or null on failure (e.g. slug taken)
+ */
+async function createCohort(cohort) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot create cohort");
+      return null;
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO cohorts (
+        slug, name, guild_id, join_channel_id, users_channel_id,
+        verified_role_id, api_token_env, invoice_pattern, starts_at, ends_at,
+        created_by
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        cohort.slug,
+        cohort.name,
+        cohort.guildId || null,
+        cohort.joinChannelId || null,
+        cohort.usersChannelId || null,
+        cohort.verifiedRoleId || null,
+        cohort.apiTokenEnv || null,
+        cohort.invoicePattern,
+        cohort.startsAt || null,
+        cohort.endsAt || null,
+        cohort.createdBy || null,
+      ]
+    );
+
+    return result.insertId;
+  } catch (error) {
+    logger.error(`Error creating cohort ${cohort.slug}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Record the server a cohort belongs to
+ * @param {number} cohortId - Cohort ID
+ * @param {string} guildId - Guild ID
+ * @returns {boolean} - Success status
+ */
+async function updateCohortGuild(cohortId, guildId) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot update cohort");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      "UPDATE cohorts SET guild_id = ? WHERE id = ?",
+      [guildId, cohortId]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error updating cohort ${cohortId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assign members without a cohort whose invoice number matches a pattern
+ * @param {number} cohortId - Cohort ID
+ * @param {string} invoicePattern - SQL LIKE pattern, e.g. SM-%/2026
+ * @returns {number} - Number of members assigned
+ */
+async function assignUsersToCohort(cohortId, invoicePattern) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot assign cohort users");
+      return 0;
+    }
+
+    const [result] = await db.execute(
+      "UPDATE users SET cohort_id = ? WHERE cohort_id IS NULL AND invoice_number LIKE ?",
+      [cohortId, invoicePattern]
+    );
+
+    return result.affectedRows;
+  } catch (error) {
+    logger.error(`Error assigning users to cohort ${cohortId}: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Queue a registration until the Seolaxy API answers again
+ * Replaces a registration the member already has queued.
+ * @param {Object} registration - { discordId, discordUsername, guildId,
+ *   cohortId, firstName, lastName, email, projectName, invoiceNumber,
+ *   locale, maybeEnrolled, lastError, nextAttemptAt }
+ * @returns {boolean} - Success status
+ */
+async function savePendingRegistration(registration) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot queue registration");
+      return false;
+    }
+
+    await db.execute(
+      `INSERT INTO pending_registrations (
+        discord_id, discord_username, guild_id, cohort_id, first_name,
+        last_name, email, project_name, invoice_number, locale, attempts,
+        maybe_enrolled, last_error, next_attempt_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?)
+      ${db.onConflictUpdate(
+        ["discord_id"],
+        [
+          "discord_username",
+          "guild_id",
+          "cohort_id",
+          "first_name",
+          "last_name",
+          "email",
+          "project_name",
+          "invoice_number",
+          "locale",
+          "attempts",
+          "maybe_enrolled",
+          "last_error",
+          "next_attempt_at",
+        ],
+        ["created_at = CURRENT_TIMESTAMP"]
+      )}`,
+      [
+        registration.discordId,
+        registration.discordUsername,
+        registration.guildId,
+        registration.cohortId || null,
+        registration.firstName,
+        registration.lastName,
+        registration.email,
+        registration.projectName,
+        registration.invoiceNumber,
+        registration.locale,
+        registration.maybeEnrolled ? 1 : 0,
+        registration.lastError || null,
+        registration.nextAttemptAt,
+      ]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(
+      `Error queueing registration of ${registration.discordId}: ${error.message}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Get the queued registrations that are due for another attempt
+ * @param {Date} now - Current time
+ * @returns {Array} - pending_registrations rows, oldest first
+ */
+async function getDuePendingRegistrations(now) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot fetch queued registrations");
+      return [];
+    }
+
+    const [rows] = await db.execute(
+      `SELECT * FROM pending_registrations
+       WHERE next_attempt_at <= ? ORDER BY created_at ASC`,
+      [now]
+    );
+
+    return rows;
+  } catch (error) {
+    logger.error(`Error fetching queued registrations: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Count queued registrations
+ * @returns {number}
+ */
+async function countPendingRegistrations() {
+  try {
+    if (!db) {
+      return 0;
+    }
+
+    const [rows] = await db.execute(
+      "SELECT COUNT(*) AS count FROM pending_registrations"
+    );
+
+    return Number(rows[0].count);
+  } catch (error) {
+    logger.error(`Error counting queued registrations: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Schedule the next attempt of a queued registration
+ * @param {number} id - pending_registrations ID
+ * @param {Object} update - { attempts, maybeEnrolled, lastError, nextAttemptAt }
+ * @returns {boolean} - Success status
+ */
+async function reschedulePendingRegistration(id, update) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot reschedule registration");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      `UPDATE pending_registrations
+       SET attempts = ?, maybe_enrolled = ?, last_error = ?, next_attempt_at = ?
+       WHERE id = ?`,
+      [
+        update.attempts,
+        update.maybeEnrolled ? 1 : 0,
+        update.lastError,
+        update.nextAttemptAt,
+        id,
+      ]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error rescheduling registration ${id}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Remove a queued registration (completed, refused or expired)
+ * @param {number} id - pending_registrations ID
+ * @returns {boolean} - True if it was removed
+ */
+async function deletePendingRegistration(id) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot remove queued registration");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      "DELETE FROM pending_registrations WHERE id = ?",
+      [id]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error removing queued registration ${id}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Save a new purchase announced by the Seolaxy platform webhook
+ * @param {Object} purchase - { email, firstName, lastName, paymentIntentId,
+ *   invoiceNumber, status, discordId, eventId }
+ * @returns {boolean} - Success status
+ */
+async function saveSeolaxyPurchase(purchase) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot save Seolaxy purchase");
+      return false;
+    }
+
+    await db.execute(
+      `INSERT INTO seolaxy_purchases (
+        email, first_name, last_name, payment_intent_id, invoice_number,
+        status, discord_id, last_event_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        purchase.email ? purchase.email.toLowerCase() : null,
+        purchase.firstName || null,
+        purchase.lastName || null,
+        purchase.paymentIntentId || null,
+        purchase.invoiceNumber || null,
+        purchase.status,
+        purchase.discordId || null,
+        purchase.eventId || null,
+      ]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(
+      `Error saving Seolaxy purchase of ${purchase.email}: ${error.message}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Get a Seolaxy purchase by its payment intent ID or invoice number
+ * @param {string|null} paymentIntentId - Stripe payment intent ID
+ * @param {string|null} invoiceNumber - Invoice number
+ * @returns {Object|null} - seolaxy_purchases row or null if not found
+ */
+async function getSeolaxyPurchase(paymentIntentId, invoiceNumber) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot look up Seolaxy purchase");
+      return null;
+    }
+    if (!paymentIntentId && !invoiceNumber) {
+      return null;
+    }
+
+    const [rows] = await db.execute(
+      `SELECT * FROM seolaxy_purchases
+       WHERE payment_intent_id = ? OR invoice_number = ?
+       LIMIT 1`,
+      [paymentIntentId || null, invoiceNumber || null]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logger.error(`Error looking up Seolaxy purchase: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Update the status of a Seolaxy purchase
+ * @param {number} id - seolaxy_purchases row ID
+ * @param {Object} update - { status, discordId, eventId }
+ * @returns {boolean} - True if the purchase was updated
+ */
+async function updateSeolaxyPurchase(id, update) {
+  try {
+    if (!db) {
+      logger.warn("Database not available, cannot update Seolaxy purchase");
+      return false;
+    }
+
+    const [result] = await db.execute(
+      `UPDATE seolaxy_purchases
+       SET status = ?, discord_id = ?, last_event_id = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [update.status, update.discordId || null, update.eventId || null, id]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`Error updating Seolaxy purchase ${id}: ${error.message}`);
+    return false;
   }
 }
 
@@ -693,9 +1778,9 @@ async function ensureBotStateTable() {
  */
 async function getResetFlag(flagName) {
   try {
-    if (!dbPool) return null;
+    if (!db) return null;
 
-    const [rows] = await dbPool.execute(
+    const [rows] = await db.execute(
       "SELECT value FROM bot_state WHERE key_name = ? LIMIT 1",
       [flagName]
     );
@@ -714,12 +1799,12 @@ async function getResetFlag(flagName) {
  */
 async function setResetFlag(flagName, value) {
   try {
-    if (!dbPool) return;
+    if (!db) return;
 
-    await dbPool.execute(
+    await db.execute(
       `INSERT INTO bot_state (key_name, value) VALUES (?, ?)
-       ON DUPLICATE KEY UPDATE value = ?, updated_at = CURRENT_TIMESTAMP`,
-      [flagName, value, value]
+       ${db.onConflictUpdate(["key_name"], ["value"], ["updated_at = CURRENT_TIMESTAMP"])}`,
+      [flagName, value]
     );
 
     logger.info(`Set bot state flag '${flagName}' = '${value}'`);
@@ -732,14 +1817,18 @@ module.exports = {
   initDatabase,
   saveUser,
   fetchAllUsers,
-  fetchMentorship2Users,
+  fetchCohortUsers,
   checkPaymentIntentExists,
   getUserByDiscordId,
   getUserByInvoiceNumber,
+  getUserByEmail,
   findUserByIdentifier,
   deleteUser,
   updateUser,
+  transferUser,
   getPool,
+  closeDatabase,
+  checkConnection,
   // Subscription-related exports
   saveSubscriptionUser,
   updateUserSubscription,
@@ -748,9 +1837,55 @@ module.exports = {
   getUsersWithExpiringSubscriptions,
   getUserByStripeCustomerId,
   markExistingUsersAsLegacy,
+  // Dunning (past_due grace period) exports
+  getDunningRecord,
+  getDunningRecords,
+  createDunningRecord,
+  updateDunningStage,
+  deleteDunningRecord,
+  // Pending checkout exports
+  savePendingCheckout,
+  getPendingCheckouts,
+  getPendingCheckoutByDiscordId,
+  closePendingCheckouts,
   // Subscription reset exports
   resetUserSubscriptionData,
-  ensureBotStateTable,
+  createResetRun,
+  getResetRun,
+  getUnfinishedResetRuns,
+  getResetRunItems,
+  approveResetRun,
+  updateResetRunStatus,
+  updateResetRunItem,
+  // Audit log exports
+  saveAuditEvent,
+  getAuditEvents,
+  countAuditEvents,
+  // Manual access exports
+  createManualAccess,
+  getActiveManualAccess,
+  getExpiredManualAccess,
+  closeManualAccess,
+  // Guild config exports
+  getGuildConfig,
+  setGuildConfigValue,
+  deleteGuildConfigValue,
+  // Cohort exports
+  getCohorts,
+  createCohort,
+  updateCohortGuild,
+  assignUsersToCohort,
+  // Registration queue exports
+  savePendingRegistration,
+  getDuePendingRegistrations,
+  countPendingRegistrations,
+  reschedulePendingRegistration,
+  deletePendingRegistration,
+  // Seolaxy purchase exports
+  saveSeolaxyPurchase,
+  getSeolaxyPurchase,
+  updateSeolaxyPurchase,
+  // Bot state exports
   getResetFlag,
   setResetFlag,
 };
@@ -0,0 +1,193 @@
+/**
+ * Dunning Service
+ * Enforces the past_due grace period (stripeConfig.gracePeriodDays)
+ *
+ * Escalation while a subscription stays past_due (N = grace period days):
+ * - Day 0:   payment failed DM                       (stage "initial")
+ * - Day N-1: last reminder DM                        (stage "reminder")
+ * - Day N:   access roles removed + notification DM  (stage "final")
+ *
+ * State lives in the subscription_dunning table so it survives restarts.
+ * Access is restored by subscriptionService when the subscription becomes
+ * active again, which also resolves the dunning record.
+ */
+
+const database = require("./database");
+const logger = require("../utils/logger").child({ module: "dunningService" });
+const metrics = require("../utils/metrics");
+const stripeConfig = require("../config/stripe");
+const i18n = require("./i18n");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reference to Discord client (set during initialization)
+let discordClient = null;
+
+/**
+ * Initialize the dunning service
+ * @param {Object} client - Discord client instance
+ */
+function init(client) {
+  discordClient = client;
+  logger.info(
+    `Dunning service initialized (${stripeConfig.gracePeriodDays} day grace period)`
+  );
+}
+
+/**
+ * Start the grace period for a user whose subscription became past_due
+ * Does nothing if the user is already in the grace period.
+ * @param {string} discordId - Discord user ID
+ * @returns {boolean} - True if a new grace period was started
+ */
+async function startDunning(discordId) {
+  const created = await database.createDunningRecord(discordId, new Date());
+
+  if (!created) {
+    logger.debug(`User ${discordId} is already in the past_due grace period`);
+    return false;
+  }
+
+  logger.info(
+    `Started ${stripeConfig.gracePeriodDays} day grace period for ${discordId}`
+  );
+  await sendDunningDM(discordId, "initial");
+  return true;
+}
+
+/**
+ * End the grace period for a user (payment recovered or subscription ended)
+ * @param {string} discordId - Discord user ID
+ * @returns {Object|null} - The resolved dunning record, or null if there was none
+ */
+async function resolveDunning(discordId) {
+  const record = await database.getDunningRecord(discordId);
+  if (!record) {
+    return null;
+  }
+
+  await database.deleteDunningRecord(discordId);
+  logger.info(
+    `Resolved grace period for ${discordId} (last stage: ${record.last_stage})`
+  );
+  return record;
+}
+
+/**
+ * Process all users in the grace period: send reminders and revoke access
+ * once the grace period has expired. Run after subscription statuses are
+ * synced so the database reflects the latest Stripe state.
+ */
+async function processDunning() {
+  const records = await database.getDunningRecords();
+  if (records.length === 0) {
+    return;
+  }
+
+  logger.debug(`Processing ${records.length} users in past_due grace period`);
+
+  const graceDays = stripeConfig.gracePeriodDays;
+  const now = Date.now();
+
+  for (const record of records) {
+    const discordId = record.discord_id;
+
+    try {
+      if (record.last_stage === "final") {
+        continue;
+      }
+
+      // Payment may have recovered without us seeing the transition
+      const dbUser = await database.getUserByDiscordId(discordId);
+      if (!dbUser || dbUser.subscription_status !== "past_due") {
+        await resolveDunning(discordId);
+        continue;
+      }
+
+      const elapsedDays =
+        (now - new Date(record.past_due_since).getTime()) / DAY_MS;
+
+      if (elapsedDays >= graceDays) {
+        logger.info(
+          `Grace period expired for ${discordId} - removing access roles`
+        );
+
+        // Lazy require: subscriptionService depends on this module
+        const subscriptionService = require("./subscriptionService");
+        const rolesRemoved = await subscriptionService.removeSubscriptionRoles(
+          discordId,
+          { reason: "past_due grace period expired" }
+        );
+
+        await database.updateDunningStage(discordId, "final", rolesRemoved);
+        if (rolesRemoved) {
+          await sendDunningDM(discordId, "final");
+        }
+      } else if (
+        graceDays > 1 &&
+        elapsedDays >= graceDays - 1 &&
+        record.last_stage === "initial"
+      ) {
+        await database.updateDunningStage(discordId, "reminder");
+        await sendDunningDM(discordId, "reminder");
+      }
+    } catch (error) {
+      logger.error(
+        `Error processing grace period for ${discordId}: ${error.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Build the DM text for a dunning stage
+ * @param {string} stage - Dunning stage
+ * @param {string} locale - Locale code
+ * @returns {string|null} - Message content or null for an unknown stage
+ */
+function getDunningMessage(stage, locale) {
+  if (!["initial", "reminder", "final"].includes(stage)) {
+    return null;
+  }
+
+  return i18n.t(locale, `dm.dunning.${stage}`, {
+    days: i18n.t(locale, "units.days", {
+      count: stripeConfig.gracePeriodDays,
+    }),
+  });
+}
+
+/**
+ * Send the DM for a dunning stage
+ * @param {string} discordId - Discord user ID
+ * @param {string} stage - Dunning stage
+ */
+async function sendDunningDM(discordId, stage) {
+  try {
+    if (!discordClient) {
+      logger.warn("Discord client not available for dunning DM");
+      return;
+    }
+
+    const locale = await i18n.getUserLocale(discordClient, discordId);
+    const message = getDunningMessage(stage, locale);
+    if (!message) return;
+
+    const user = await discordClient.users.fetch(discordId);
+    await user.send(message);
+
+    logger.info(`Sent ${stage} dunning DM to ${user.tag}`);
+  } catch (error) {
+    logger.warn(
+      `Could not send ${stage} dunning DM to ${discordId}: ${error.message}`
+    );
+    metrics.increment("dms_failed_total", { type: "dunning" });
+  }
+}
+
+module.exports = {
+  init,
+  startDunning,
+  resolveDunning,
+  processDunning,
+};
@@ -0,0 +1,279 @@
+/**
+ * Enrollment Service
+ * Keeps the Seolaxy side of a registration in step with ours when staff
+ * remove or move a member
+ *
+ * The Seolaxy API only records whether a purchase has been used to join
+ * Discord, not by whom. Removing a member (removeRegistration, used by staff
+ * removals and /test-reset) releases the purchase (see
+ * seolaxyApi.releaseEnrollment) so it can be used to register again; if the
+ * API is unavailable, staff release it later with /enrollment release.
+ * /enrollment transfer moves a registration to another Discord account; the
+ * purchase stays enrolled, so only our database and roles change.
+ */
+
+const database = require("./database");
+const seolaxyApi = require("./seolaxyApi");
+const cohortService = require("./cohortService");
+const auditService = require("./auditService");
+const userService = require("./userService");
+const logger = require("../utils/logger").child({ module: "enrollmentService" });
+
+/**
+ * Find the cohort a purchase belongs to
+ * @param {string} invoiceNumber - Invoice number or payment intent ID
+ * @param {number|null} cohortId - Cohort of the registration, if known
+ * @returns {Object|null} - Cohort row, or null for the main registration
+ */
+function findCohort(invoiceNumber, cohortId) {
+  if (cohortId) {
+    return cohortService.getCohortById(cohortId);
+  }
+  return (
+    cohortService
+      .getCohorts()
+      .find((cohort) => cohortService.matchesInvoice(cohort, invoiceNumber)) ||
+    null
+  );
+}
+
+/**
+ * Release a purchase on the Seolaxy side and audit it
+ * Call after the registration that used it has been deleted.
+ * @param {string} invoiceNumber - Invoice number or payment intent ID
+ * @param {Object} context - { cohortId, actorId, targetId, reason }
+ * @returns {Object} - Result from seolaxyApi.releaseEnrollment
+ */
+async function releaseEnrollment(
+  invoiceNumber,
+  { cohortId = null, actorId, targetId = null, reason }
+) {
+  const cohort = findCohort(invoiceNumber, cohortId);
+  const result = await seolaxyApi.releaseEnrollment(
+    invoiceNumber,
+    cohort ? cohortService.getApiToken(cohort) : undefined
+  );
+
+  if (!result.success) {
+    logger.warn(
+      `Could not release ${invoiceNumber} on Seolaxy (${result.error}), release it with /enrollment release`
+    );
+    return result;
+  }
+
+  await auditService.record({
+    actorId,
+    targetId,
+    action: auditService.ACTIONS.ENROLLMENT_RELEASED,
+    before: { invoiceNumber, enrolled: true },
+    after: { invoiceNumber, enrolled: false },
+    reason,
+  });
+
+  return result;
+}
+
+/**
+ * Delete a member's registration and release the purchase it used
+ * @param {Object} user - users row
+ * @param {Object} context - { actorId, reason, audit, release } audit:
+ *   optional { action, before, after } recorded for the deletion, ahead of
+ *   the release; release: false to keep the purchase enrolled on Seolaxy
+ * @returns {Object} - { deleted, release } release: result of
+ *   releaseEnrollment, or null if nothing was released (no invoice, release
+ *   turned off, or the row could not be deleted)
+ */
+async function removeRegistration(
+  user,
+  { actorId, reason, audit = null, release = true }
+) {
+  const deleted = await database.deleteUser(user.discord_id);
+  if (deleted && audit) {
+    await auditService.record({
+      ...audit,
+      actorId,
+      targetId: user.discord_id,
+      reason,
+    });
+  }
+  if (!deleted || !user.invoice_number || !release) {
+    return { deleted, release: null };
+  }
+
+  const result = await releaseEnrollment(user.invoice_number, {
+    cohortId: user.cohort_id || null,
+    actorId,
+    targetId: user.discord_id,
+    reason,
+  });
+  return { deleted, release: result };
+}
+
+/**
+ * Release a purchase no registration uses any more (/enrollment release)
+ * @param {string} invoiceNumber - Invoice number or payment intent ID
+ * @param {Object} context - { actorId, reason }
+ * @returns {Object} - { success, error, message }
+ */
+async function releaseUnusedEnrollment(invoiceNumber, { actorId, reason }) {
+  const user = await database.getUserByInvoiceNumber(invoiceNumber);
+  if (user) {
+    return {
+      success: false,
+      error: "registered",
+      message: `\`${invoiceNumber}\` is still registered to <@${user.discord_id}>. Remove them first, or move it with /enrollment transfer.`,
+    };
+  }
+
+  return releaseEnrollment(invoiceNumber, { actorId, reason });
+}
+
+/**
+ * Move a registration to another Discord account (/enrollment transfer)
+ * The old account loses the registration roles, the new one gets them.
+ * @param {string} invoiceNumber - Invoice number or payment intent ID
+ * @param {Object} newUser - Discord user the registration moves to
+ * @param {Object} context - { actorId, reason }
+ * @returns {Object} - { success, previousDiscordId, rolesMoved } or
+ *   { success: false, error, message }
+ */
+async function transferEnrollment(invoiceNumber, newUser, { actorId, reason }) {
+  const user = await database.getUserByInvoiceNumber(invoiceNumber);
+  if (!user) {
+    return {
+      success: false,
+      error: "not_registered",
+      message: `No member is registered with \`${invoiceNumber}\`. If Seolaxy still reports it as enrolled, use /enrollment release.`,
+    };
+  }
+  if (user.discord_id === newUser.id) {
+    return {
+      success: false,
+      error: "same_member",
+      message: `\`${invoiceNumber}\` is already registered to <@${newUser.id}>.`,
+    };
+  }
+  // The row carries the member's Stripe customer and subscription too, which
+  // must not start entitling another account
+  if (user.stripe_customer_id || user.stripe_subscription_id) {
+    return {
+      success: false,
+      error: "has_subscription",
+      message: `<@${user.discord_id}> also has a Stripe subscription on this registration, so it cannot be moved. Remove it and have <@${newUser.id}> register instead.`,
+    };
+  }
+
+  const existing = await database.getUserByDiscordId(newUser.id);
+  if (existing) {
+    return {
+      success: false,
+      error: "already_registered",
+      message: `<@${newUser.id}> is already registered with \`${existing.invoice_number}\`.`,
+    };
+  }
+
+  const cohort = user.cohort_id
+    ? cohortService.getCohortById(user.cohort_id)
+    : null;
+  const guildId = cohort ? cohort.guild_id : process.env.GUILD_ID;
+  const { client } = require("../index");
+  const guild = await client.guilds.fetch(guildId).catch(() => null);
+  const newMember = await guild?.members.fetch(newUser.id).catch(() => null);
+  if (!newMember) {
+    return {
+      success: false,
+      error: "not_a_member",
+      message: `<@${newUser.id}> is not a member of ${guild?.name || "the server"} the registration belongs to.`,
+    };
+  }
+
+  const transferred = await database.transferUser(
+    user.discord_id,
+    newUser.id,
+    newUser.username
+  );
+  if (!transferred) {
+    return {
+      success: false,
+      error: "database_error",
+      message: "Could not update the registration in the database.",
+    };
+  }
+
+  const oldMember = await guild.members
+    .fetch(user.discord_id)
+    .catch(() => null);
+  const rolesMoved = await moveRoles(guild, cohort, oldMember, newMember);
+
+  const before = { discordId: user.discord_id, invoiceNumber };
+  const after = { discordId: newUser.id, invoiceNumber };
+  for (const targetId of [user.discord_id, newUser.id]) {
+    await auditService.record({
+      actorId,
+      targetId,
+      action: auditService.ACTIONS.ENROLLMENT_TRANSFERRED,
+      before,
+      after,
+      reason,
+    });
+  }
+
+  try {
+    // Lazy require: the modal handlers load this module
+    const { updateUsersEmbed, updateCohortUsersEmbed } =
+      require("../handlers/buttons");
+    await (cohort ? updateCohortUsersEmbed(cohort) : updateUsersEmbed());
+  } catch (error) {
+    logger.error(
+      `Error updating users embed after transfer: ${error.message}`
+    );
+  }
+
+  logger.info(
+    `Registration ${invoiceNumber} transferred from ${user.discord_id} to ${newUser.id} by ${actorId}`
+  );
+  return { success: true, previousDiscordId: user.discord_id, rolesMoved };
+}
+
+/**
+ * Move the registration roles from the old account to the new one
+ * @param {Guild} guild - Server the registration belongs to
+ * @param {Object|null} cohort - Cohort row, or null for the main registration
+ * @param {GuildMember|null} oldMember - Old account (null if it left)
+ * @param {GuildMember} newMember - New account
+ * @returns {boolean} - True if the new account got its roles
+ */
+async function moveRoles(guild, cohort, oldMember, newMember) {
+  try {
+    if (!cohort) {
+      if (oldMember) {
+        await userService.removeAccessRoles(oldMember, guild);
+      }
+      return (await userService.assignMemberRole(newMember, guild)).success;
+    }
+
+    const role = guild.roles.cache.get(cohort.verified_role_id);
+    if (!role) {
+      logger.error(
+        `${cohort.name} verified role not found: ${cohort.verified_role_id}`
+      );
+      return false;
+    }
+
+    if (oldMember?.roles.cache.has(role.id)) {
+      await oldMember.roles.remove(role);
+    }
+    await newMember.roles.add(role);
+    return true;
+  } catch (error) {
+    logger.error(`Error moving registration roles: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  removeRegistration,
+  releaseEnrollment,
+  releaseUnusedEnrollment,
+  transferEnrollment,
+};
@@ -0,0 +1,361 @@
+/**
+ * Guild Config Service
+ * Per-server settings (role mappings, channels, language, enabled flows).
+ * Values stored with /config (guild_config table) override the defaults in
+ * config/guilds.js. Stored values are cached, so reads are synchronous;
+ * init() loads them and set/reset keep the cache in step.
+ */
+
+const database = require("./database");
+const auditService = require("./auditService");
+const guildConfig = require("../config/guilds");
+const logger = require("../utils/logger").child({
+  module: "guildConfigService",
+});
+
+const BOOLEAN_VALUES = {
+  true: true,
+  on: true,
+  yes: true,
+  false: false,
+  off: false,
+  no: false,
+};
+
+// Value that stores a setting as explicitly empty, overriding its default
+const UNSET_VALUE = "none";
+
+// guildId → { key: value } for defaults (resolved by init) and stored values
+let defaultSettings = buildDefaults(guildConfig.defaults);
+let storedSettings = new Map();
+
+/**
+ * Index the configured defaults by guild ID
+ * @param {Array} defaults - config/guilds.js defaults
+ * @returns {Map<string, Object>}
+ */
+function buildDefaults(defaults) {
+  return new Map(
+    defaults
+      .filter((entry) => entry.guildId)
+      .map((entry) => [entry.guildId, entry.settings])
+  );
+}
+
+/**
+ * Load stored settings and find servers configured by channel only
+ * @param {Client} client - Discord client
+ */
+async function init(client) {
+  const defaults = [];
+
+  for (const entry of guildConfig.defaults) {
+    if (entry.guildId || !entry.discoverFromChannel) {
+      defaults.push(entry);
+      continue;
+    }
+
+    const channel = await client.channels
+      .fetch(entry.discoverFromChannel)
+      .catch(() => null);
+    if (channel?.guildId) {
+      logger.info(
+        `Found server ${channel.guildId} through channel ${entry.discoverFromChannel}`
+      );
+      defaults.push({ ...entry, guildId: channel.guildId });
+    }
+  }
+
+  defaultSettings = buildDefaults(defaults);
+  await reload();
+}
+
+/**
+ * Reload stored settings from the database
+ */
+async function reload() {
+  const rows = await database.getGuildConfig();
+  storedSettings = new Map();
+
+  for (const row of rows) {
+    if (!guildConfig.settings[row.setting_key]) {
+      logger.warn(
+        `Ignoring unknown setting "${row.setting_key}" for guild ${row.guild_id}`
+      );
+      continue;
+    }
+    if (!storedSettings.has(row.guild_id)) {
+      storedSettings.set(row.guild_id, {});
+    }
+    storedSettings.get(row.guild_id)[row.setting_key] = row.value;
+  }
+
+  logger.info(`Loaded ${rows.length} stored guild setting(s)`);
+}
+
+/**
+ * Get the IDs of every configured server, defaults first (in their order)
+ * @returns {Array<string>}
+ */
+function getGuildIds() {
+  return [...new Set([...defaultSettings.keys(), ...storedSettings.keys()])];
+}
+
+/**
+ * Convert a setting value to its type
+ * @param {string} key - Setting key
+ * @param {*} value - Stored or default value
+ * @returns {string|boolean|null}
+ */
+function parseValue(key, value) {
+  if (value === undefined || value === null || value === "") {
+    return guildConfig.settings[key].type === "boolean" ? false : null;
+  }
+  if (guildConfig.settings[key].type === "boolean") {
+    return value === true || BOOLEAN_VALUES[String(value)] === true;
+  }
+  return String(value);
+}
+
+/**
+ * Get a server's setting
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Setting key (see config/guilds.js)
+ * @returns {string|boolean|null} - Value, null (false for flows) if unset
+ * @throws {Error} - If the key is not a known setting
+ */
+function get(guildId, key) {
+  if (!guildConfig.settings[key]) {
+    throw new Error(`Unknown guild setting "${key}"`);
+  }
+
+  const stored = storedSettings.get(guildId)?.[key];
+  return parseValue(
+    key,
+    stored !== undefined ? stored : defaultSettings.get(guildId)?.[key]
+  );
+}
+
+/**
+ * Get a server's role ID for a role setting
+ * @param {string} guildId - Guild ID
+ * @param {string} name - Role name, e.g. "member" for roles.member
+ * @returns {string|null}
+ */
+function getRole(guildId, name) {
+  return get(guildId, `roles.${name}`);
+}
+
+/**
+ * Get a server's channel ID for a channel setting
+ * @param {string} guildId - Guild ID
+ * @param {string} name - Channel name, e.g. "join" for channels.join
+ * @returns {string|null}
+ */
+function getChannel(guildId, name) {
+  return get(guildId, `channels.${name}`);
+}
+
+/**
+ * Check whether a flow is enabled on a server
+ * @param {string} guildId - Guild ID
+ * @param {string} flow - Flow name, e.g. "subscribe" for flows.subscribe
+ * @returns {boolean}
+ */
+function isFlowEnabled(guildId, flow) {
+  return get(guildId, `flows.${flow}`);
+}
+
+/**
+ * Get the servers a flow is enabled on
+ * @param {string} flow - Flow name
+ * @returns {Array<string>} - Guild IDs
+ */
+function getGuildsWithFlow(flow) {
+  return getGuildIds().filter((guildId) => isFlowEnabled(guildId, flow));
+}
+
+/**
+ * List every setting of a server and where its value comes from
+ * @param {string} guildId - Guild ID
+ * @returns {Array} - { key, type, value, source: "stored" | "default" | null }
+ */
+function describe(guildId) {
+  return Object.entries(guildConfig.settings).map(([key, { type }]) => {
+    const stored = storedSettings.get(guildId)?.[key];
+    const fallback = defaultSettings.get(guildId)?.[key];
+    let source = null;
+    if (stored !== undefined) {
+      source = "stored";
+    } else if (fallback !== undefined && fallback !== null) {
+      source = "default";
+    }
+
+    return { key, type, value: get(guildId, key), source };
+  });
+}
+
+/**
+ * Check a /config value and normalize it for storage
+ * Roles and channels must exist in the server.
+ * @param {Guild} guild - Discord guild the setting belongs to
+ * @param {string} key - Setting key
+ * @param {string} rawValue - Value as typed by staff
+ * @returns {Object} - { success, value, error }
+ */
+async function validateValue(guild, key, rawValue) {
+  const value = String(rawValue).trim();
+
+  if (value.toLowerCase() === UNSET_VALUE) {
+    return { success: true, value: "" };
+  }
+
+  switch (guildConfig.settings[key].type) {
+    case "role": {
+      const roleId = value.replace(/^<@&(\d+)>$/, "$1");
+      const role =
+        guild.roles.cache.get(roleId) ||
+        (/^\d+$/.test(roleId)
+          ? await guild.roles.fetch(roleId).catch(() => null)
+          : null);
+      return role
+        ? { success: true, value: role.id }
+        : { success: false, error: `No role \`${value}\` in ${guild.name}` };
+    }
+
+    case "channel": {
+      const channelId = value.replace(/^<#(\d+)>$/, "$1");
+      const channel =
+        guild.channels.cache.get(channelId) ||
+        (/^\d+$/.test(channelId)
+          ? await guild.channels.fetch(channelId).catch(() => null)
+          : null);
+      return channel
+        ? { success: true, value: channel.id }
+        : { success: false, error: `No channel \`${value}\` in ${guild.name}` };
+    }
+
+    case "locale": {
+      // Lazy-loaded: i18n reads server languages from this service
+      const i18n = require("./i18n");
+      const locale = value.toLowerCase();
+      return i18n.isSupported(locale)
+        ? { success: true, value: locale }
+        : {
+            success: false,
+            error: `No catalogue for \`${value}\` (available: ${i18n.getLocales().join(", ")})`,
+          };
+    }
+
+    case "boolean": {
+      const flag = BOOLEAN_VALUES[value.toLowerCase()];
+      return flag === undefined
+        ? { success: false, error: "Use `true` or `false`" }
+        : { success: true, value: String(flag) };
+    }
+
+    default:
+      return { success: false, error: `Unknown setting type for ${key}` };
+  }
+}
+
+/**
+ * Store a server's setting after validating it
+ * @param {Guild} guild - Discord guild the setting belongs to
+ * @param {string} key - Setting key
+ * @param {string} rawValue - Value as typed by staff ("none" to clear it)
+ * @param {string} actorId - Discord ID of who changed it
+ * @returns {Object} - { success, value, previous, error }
+ */
+async function set(guild, key, rawValue, actorId) {
+  if (!guildConfig.settings[key]) {
+    return { success: false, error: `Unknown setting \`${key}\`` };
+  }
+
+  const validation = await validateValue(guild, key, rawValue);
+  if (!validation.success) {
+    return validation;
+  }
+
+  const previous = get(guild.id, key);
+  const saved = await database.setGuildConfigValue(
+    guild.id,
+    key,
+    validation.value,
+    actorId
+  );
+  if (!saved) {
+    return { success: false, error: "Could not save the setting" };
+  }
+
+  if (!storedSettings.has(guild.id)) {
+    storedSettings.set(guild.id, {});
+  }
+  storedSettings.get(guild.id)[key] = validation.value;
+
+  const value = get(guild.id, key);
+  await auditService.record({
+    actorId,
+    targetId: guild.id,
+    action: auditService.ACTIONS.GUILD_CONFIG_CHANGED,
+    before: { [key]: previous },
+    after: { [key]: value },
+    reason: "/config set",
+  });
+  logger.info(`Guild ${guild.id} setting ${key} changed to ${value}`);
+
+  return { success: true, value, previous };
+}
+
+/**
+ * Remove a server's stored setting, so its default applies again
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Setting key
+ * @param {string} actorId - Discord ID of who changed it
+ * @returns {Object} - { success, value, previous, error }
+ */
+async function reset(guildId, key, actorId) {
+  if (!guildConfig.settings[key]) {
+    return { success: false, error: `Unknown setting \`${key}\`` };
+  }
+
+  if (storedSettings.get(guildId)?.[key] === undefined) {
+    return { success: false, error: `\`${key}\` is not overridden` };
+  }
+
+  const previous = get(guildId, key);
+  const removed = await database.deleteGuildConfigValue(guildId, key);
+  if (!removed) {
+    return { success: false, error: "Could not remove the setting" };
+  }
+
+  delete storedSettings.get(guildId)[key];
+
+  const value = get(guildId, key);
+  await auditService.record({
+    actorId,
+    targetId: guildId,
+    action: auditService.ACTIONS.GUILD_CONFIG_CHANGED,
+    before: { [key]: previous },
+    after: { [key]: value },
+    reason: "/config reset",
+  });
+  logger.info(`Guild ${guildId} setting ${key} reset to ${value}`);
+
+  return { success: true, value, previous };
+}
+
+module.exports = {
+  UNSET_VALUE,
+  init,
+  reload,
+  getGuildIds,
+  get,
+  getRole,
+  getChannel,
+  isFlowEnabled,
+  getGuildsWithFlow,
+  describe,
+  set,
+  reset,
+};
@@ -0,0 +1,69 @@
+/**
+ * Health Service
+ * Liveness and readiness checks for the /healthz and /readyz endpoints
+ *
+ * Liveness only says the process is running. Readiness checks the
+ * dependencies the bot needs to do its job: the Discord gateway, the
+ * database, the Stripe client and a recent successful Stripe sync. It also
+ * fails once a shutdown has begun, so traffic moves away before the drain.
+ */
+
+const database = require("./database");
+const stripeService = require("./stripeService");
+const subscriptionService = require("./subscriptionService");
+const lifecycleService = require("./lifecycleService");
+const serverConfig = require("../config/server");
+
+/**
+ * Get liveness status
+ * @returns {Object} - { status, uptimeSeconds }
+ */
+function getLiveness() {
+  return {
+    status: "ok",
+    uptimeSeconds: Math.floor(process.uptime()),
+  };
+}
+
+/**
+ * Check whether the last successful Stripe sync is recent enough
+ * @returns {Object} - { ok, lastSuccessAt, ageSeconds }
+ */
+function checkLastSync() {
+  const lastSuccessAt = subscriptionService.getLastSuccessfulSync();
+  if (!lastSuccessAt) {
+    return { ok: false, lastSuccessAt: null, ageSeconds: null };
+  }
+
+  const ageMs = Date.now() - lastSuccessAt.getTime();
+  return {
+    ok: ageMs <= serverConfig.readiness.maxSyncAgeMs,
+    lastSuccessAt: lastSuccessAt.toISOString(),
+    ageSeconds: Math.floor(ageMs / 1000),
+  };
+}
+
+/**
+ * Get readiness status
+ * @param {Object} client - Discord client instance
+ * @returns {Object} - { ready, checks: { discord, database, stripe, lastSync, shutdown } }
+ */
+async function getReadiness(client) {
+  const checks = {
+    discord: { ok: Boolean(client?.isReady()) },
+    database: { ok: await database.checkConnection() },
+    stripe: { ok: stripeService.isInitialized() },
+    lastSync: checkLastSync(),
+    shutdown: { ok: !lifecycleService.isShuttingDown() },
+  };
+
+  return {
+    ready: Object.values(checks).every((check) => check.ok),
+    checks,
+  };
+}
+
+module.exports = {
+  getLiveness,
+  getReadiness,
+};
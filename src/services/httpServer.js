@@ -0,0 +1,151 @@
+/**
+ * HTTP Server Service
+ * Minimal embedded HTTP server used for inbound webhooks
+ *
+ * Routes receive the raw request body as a Buffer so handlers that need
+ * signature verification (Stripe) can check the exact bytes that were sent.
+ */
+
+const http = require("http");
+const serverConfig = require("../config/server");
+const logger = require("../utils/logger").child({ module: "httpServer" });
+
+// Registered routes: Map<"METHOD path", handler>
+const routes = new Map();
+
+let server = null;
+
+/**
+ * Register a route handler
+ * @param {string} method - HTTP method (GET, POST, ...)
+ * @param {string} path - Exact request path (query string is ignored)
+ * @param {Function} handler - async (req, rawBody) => { status, body, headers }
+ */
+function registerRoute(method, path, handler) {
+  routes.set(`${method.toUpperCase()} ${path}`, handler);
+}
+
+/**
+ * Read the full request body into a Buffer
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Buffer>} - Raw request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > serverConfig.maxBodyBytes) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Write a route result to the response
+ * @param {http.ServerResponse} res - Server response
+ * @param {Object} result - { status, body, headers }
+ */
+function sendResult(res, result) {
+  const status = result?.status || 200;
+  const body = result?.body ?? "";
+  const isText = typeof body === "string";
+
+  res.writeHead(status, {
+    "Content-Type": isText ? "text/plain; charset=utf-8" : "application/json",
+    ...(result?.headers || {}),
+  });
+  res.end(isText ? body : JSON.stringify(body));
+}
+
+/**
+ * Dispatch an incoming request to its registered route
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Server response
+ */
+async function handleRequest(req, res) {
+  const path = (req.url || "/").split("?")[0];
+  const handler = routes.get(`${req.method} ${path}`);
+
+  if (!handler) {
+    sendResult(res, { status: 404, body: { error: "not_found" } });
+    return;
+  }
+
+  try {
+    const rawBody = await readBody(req);
+    const result = await handler(req, rawBody);
+    sendResult(res, result);
+  } catch (error) {
+    logger.error(`HTTP ${req.method} ${path} failed: ${error.message}`);
+    if (!res.headersSent) {
+      sendResult(res, { status: 500, body: { error: "internal_error" } });
+    }
+  }
+}
+
+/**
+ * Start the HTTP server
+ * @returns {Promise<boolean>} - True if the server is listening
+ */
+function start() {
+  if (!serverConfig.enabled) {
+    logger.info("HTTP server disabled, skipping start");
+    return Promise.resolve(false);
+  }
+
+  if (server) {
+    logger.warn("HTTP server already running");
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    server = http.createServer(handleRequest);
+
+    server.once("error", (error) => {
+      logger.error(`HTTP server error: ${error.message}`);
+      server = null;
+      resolve(false);
+    });
+
+    server.listen(serverConfig.port, serverConfig.host, () => {
+      logger.info(
+        `HTTP server listening on ${serverConfig.host}:${serverConfig.port}`
+      );
+      resolve(true);
+    });
+  });
+}
+
+/**
+ * Stop the HTTP server
+ * @returns {Promise<void>}
+ */
+function stop() {
+  if (!server) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    server.close(() => {
+      logger.info("HTTP server stopped");
+      resolve();
+    });
+    server = null;
+  });
+}
+
+module.exports = {
+  registerRoute,
+  handleRequest,
+  start,
+  stop,
+};
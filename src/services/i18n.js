@@ -0,0 +1,279 @@
+/**
+ * Internationalisation Service
+ * Looks up user-facing text in the locale catalogues (src/locales/<locale>.js)
+ * and decides which locale a member is answered in.
+ *
+ * Locale resolution, first match wins (see config/i18n.js and config/guilds.js):
+ * 1. The member's language role (English / Bosnian-Croatian-Serbian)
+ * 2. The language of the server the interaction comes from (locale setting)
+ * 3. The member's Discord client language, if we have a catalogue for it
+ * 4. defaultLocale
+ *
+ * Catalogues are discovered from the locales directory, so adding a language
+ * only needs a new catalogue file. Keys a catalogue is missing fall back to
+ * English, the reference catalogue.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const i18nConfig = require("../config/i18n");
+const guildConfigService = require("./guildConfigService");
+const logger = require("../utils/logger").child({ module: "i18n" });
+
+const LOCALES_DIR = path.join(__dirname, "..", "locales");
+const FALLBACK_LOCALE = "en";
+
+const catalogues = loadCatalogues();
+
+// Missing keys already reported, so a hot path doesn't flood the log
+const reportedMissing = new Set();
+
+/**
+ * Load every catalogue in the locales directory
+ * @returns {Object} - Catalogues by locale code (file name)
+ */
+function loadCatalogues() {
+  const loaded = {};
+
+  for (const file of fs.readdirSync(LOCALES_DIR).sort()) {
+    if (file.endsWith(".js")) {
+      loaded[path.basename(file, ".js")] = require(path.join(LOCALES_DIR, file));
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Get the locale codes that have a catalogue
+ * @returns {Array<string>}
+ */
+function getLocales() {
+  return Object.keys(catalogues);
+}
+
+/**
+ * Check if a locale has a catalogue
+ * @param {string} locale - Locale code
+ * @returns {boolean}
+ */
+function isSupported(locale) {
+  return Boolean(locale && catalogues[locale]);
+}
+
+/**
+ * Find a message in one catalogue
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted key, e.g. "subscribe.pendingCheckout"
+ * @returns {string|Object|undefined} - Message, plural forms or undefined
+ */
+function lookup(locale, key) {
+  return key
+    .split(".")
+    .reduce(
+      (node, part) => (node && typeof node === "object" ? node[part] : undefined),
+      catalogues[locale]?.messages
+    );
+}
+
+/**
+ * Log a missing translation once per locale and key
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key
+ * @param {string} message - Log message
+ */
+function reportMissing(locale, key, message) {
+  const id = `${locale}:${key}`;
+  if (!reportedMissing.has(id)) {
+    reportedMissing.add(id);
+    logger.warn(message);
+  }
+}
+
+/**
+ * Translate a message key
+ * {name} placeholders are replaced with params.name. Plural messages
+ * ({ one, few, other }) pick their form from params.count.
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values; defaultValue is returned when
+ *   no catalogue has the key
+ * @returns {string} - Translated text (the key itself if nothing matches)
+ */
+function t(locale, key, params = {}) {
+  const targetLocale = isSupported(locale) ? locale : FALLBACK_LOCALE;
+  let message = lookup(targetLocale, key);
+  let messageLocale = targetLocale;
+
+  if (message === undefined && targetLocale !== FALLBACK_LOCALE) {
+    message = lookup(FALLBACK_LOCALE, key);
+    messageLocale = FALLBACK_LOCALE;
+    if (message !== undefined) {
+      reportMissing(
+        targetLocale,
+        key,
+        `Missing "${key}" in ${targetLocale} catalogue, using ${FALLBACK_LOCALE}`
+      );
+    }
+  }
+
+  if (message === undefined) {
+    if (params.defaultValue !== undefined) {
+      return params.defaultValue;
+    }
+    reportMissing(targetLocale, key, `Missing translation key "${key}"`);
+    return key;
+  }
+
+  if (message && typeof message === "object" && "other" in message) {
+    const rules = new Intl.PluralRules(catalogues[messageLocale].intlLocale);
+    message = message[rules.select(Number(params.count))] ?? message.other;
+  }
+
+  if (typeof message !== "string") {
+    reportMissing(targetLocale, key, `Translation key "${key}" is not a message`);
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Format a date the way the locale writes it
+ * @param {string} locale - Locale code
+ * @param {Date|string|number} date - Date
+ * @returns {string} - Formatted date
+ */
+function formatDate(locale, date) {
+  const catalogue = catalogues[locale] || catalogues[FALLBACK_LOCALE];
+  return new Date(date).toLocaleDateString(catalogue.intlLocale);
+}
+
+/**
+ * Translate a slash command description for Discord (description_localizations)
+ * @param {string} key - Message key, e.g. "commands.subscription.description"
+ * @returns {Object} - { discordLocale: text } for each of commandLocales
+ */
+function getCommandLocalizations(key) {
+  return Object.fromEntries(
+    Object.entries(i18nConfig.commandLocales)
+      .filter(([, locale]) => isSupported(locale))
+      .map(([discordLocale, locale]) => [discordLocale, t(locale, key)])
+  );
+}
+
+/**
+ * Get the default locale of a server
+ * @param {string} guildId - Guild ID
+ * @returns {string|null} - Locale code or null if the server has no default
+ */
+function getGuildLocale(guildId) {
+  if (!guildId) return null;
+
+  const locale = guildConfigService.get(guildId, "locale");
+  return isSupported(locale) ? locale : null;
+}
+
+/**
+ * Map a Discord client language to a catalogue
+ * @param {string} discordLocale - Discord locale, e.g. "en-US", "hr"
+ * @returns {string|null} - Locale code or null if there is no catalogue for it
+ */
+function fromDiscordLocale(discordLocale) {
+  if (!discordLocale) return null;
+
+  const language = discordLocale.split("-")[0];
+  const candidates = [
+    discordLocale,
+    language,
+    i18nConfig.discordLocaleAliases[discordLocale],
+    i18nConfig.discordLocaleAliases[language],
+  ];
+
+  return candidates.find(isSupported) || null;
+}
+
+/**
+ * Get the IDs of a member's roles
+ * Interaction members can be a GuildMember or raw API data (role ID array).
+ * @param {Object} member - Guild member
+ * @returns {Array<string>}
+ */
+function getMemberRoleIds(member) {
+  if (!member?.roles) return [];
+  if (Array.isArray(member.roles)) return member.roles;
+  return [...(member.roles.cache?.keys() || [])];
+}
+
+/**
+ * Decide which locale to answer a member in
+ * @param {Object} context - { member, guildId, discordLocale }
+ * @returns {string} - Locale code
+ */
+function resolveLocale({ member = null, guildId = null, discordLocale = null } = {}) {
+  const roleIds = getMemberRoleIds(member);
+  if (guildId && roleIds.length > 0) {
+    for (const [name, locale] of Object.entries(i18nConfig.languageRoles)) {
+      const roleId = guildConfigService.getRole(guildId, name);
+      if (roleId && roleIds.includes(roleId) && isSupported(locale)) {
+        return locale;
+      }
+    }
+  }
+
+  return (
+    getGuildLocale(guildId) ||
+    fromDiscordLocale(discordLocale) ||
+    i18nConfig.defaultLocale
+  );
+}
+
+/**
+ * Decide which locale to answer an interaction in
+ * @param {Interaction} interaction - Discord interaction
+ * @returns {string} - Locale code
+ */
+function getInteractionLocale(interaction) {
+  return resolveLocale({
+    member: interaction.member,
+    guildId: interaction.guildId ?? interaction.guild?.id,
+    discordLocale: interaction.locale,
+  });
+}
+
+/**
+ * Decide which locale to DM a user in
+ * Uses the first configured server the user is a member of.
+ * @param {Client} client - Discord client
+ * @param {string} discordId - Discord user ID
+ * @returns {string} - Locale code
+ */
+async function getUserLocale(client, discordId) {
+  for (const guildId of guildConfigService.getGuildIds()) {
+    const guild = client?.guilds.cache.get(guildId);
+    if (!guild) continue;
+
+    const member =
+      guild.members.cache.get(discordId) ||
+      (await guild.members.fetch(discordId).catch(() => null));
+    if (member) {
+      return resolveLocale({ member, guildId });
+    }
+  }
+
+  return i18nConfig.defaultLocale;
+}
+
+module.exports = {
+  t,
+  formatDate,
+  getCommandLocalizations,
+  getLocales,
+  isSupported,
+  getGuildLocale,
+  resolveLocale,
+  getInteractionLocale,
+  getUserLocale,
+};
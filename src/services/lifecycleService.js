@@ -0,0 +1,183 @@
+/**
+ * Lifecycle Service
+ * Keeps track of the work in flight (polls, resets, webhooks, interactions)
+ * so a shutdown can let it finish instead of killing it halfway through a
+ * role update.
+ *
+ * On SIGTERM/SIGINT index.js calls beginShutdown(): no new jobs start, and
+ * long loops (subscription checks, reset runs) stop between members. Jobs
+ * that stop early or outlive the drain timeout are recorded in bot_state and
+ * reported on the next boot; each of them resumes from its own saved state
+ * (sync cursor, reset_run_items, pending_checkouts).
+ */
+
+const database = require("./database");
+const logger = require("../utils/logger").child({ module: "lifecycle" });
+
+// bot_state key of the jobs interrupted by the last shutdown
+const INTERRUPTED_JOBS_KEY = "interrupted_jobs";
+
+let shuttingDown = false;
+let nextJobId = 1;
+
+// Jobs in flight: id → { name, startedAt, promise }
+const runningJobs = new Map();
+
+// Jobs stopped by this shutdown: [{ name, interruptedAt, ...details }]
+const interruptedJobs = [];
+
+/**
+ * Check whether the bot is shutting down
+ * Long-running loops check this between steps and stop early.
+ * @returns {boolean}
+ */
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Run a job, tracking it until it settles
+ * Jobs are not started once shutdown has begun.
+ * @param {string} name - Job name, e.g. "subscription_check"
+ * @param {Function} task - Async function doing the work
+ * @returns {Promise<*>} - The task's result, or null if it was not started
+ */
+async function trackJob(name, task) {
+  if (shuttingDown) {
+    logger.debug(`Not starting ${name}: shutting down`);
+    return null;
+  }
+
+  const id = nextJobId++;
+  const promise = Promise.resolve().then(task);
+  runningJobs.set(id, { name, startedAt: new Date(), promise });
+
+  try {
+    return await promise;
+  } finally {
+    runningJobs.delete(id);
+  }
+}
+
+/**
+ * Get the jobs in flight
+ * @returns {Array} - [{ name, startedAt }]
+ */
+function getRunningJobs() {
+  return [...runningJobs.values()].map(({ name, startedAt }) => ({
+    name,
+    startedAt,
+  }));
+}
+
+/**
+ * Record a job that stopped before finishing because of the shutdown
+ * @param {string} name - Job name
+ * @param {Object} details - Anything that helps resume it (e.g. { runId })
+ */
+function markInterrupted(name, details = {}) {
+  interruptedJobs.push({
+    name,
+    ...details,
+    interruptedAt: new Date().toISOString(),
+  });
+  logger.warn(`Interrupted ${name} for shutdown`, details);
+}
+
+/**
+ * Stop starting new jobs
+ */
+function beginShutdown() {
+  shuttingDown = true;
+}
+
+/**
+ * Wait for the jobs in flight to finish
+ * Jobs still running at the deadline are recorded as interrupted.
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Array} - Jobs still running at the deadline ([{ name, startedAt }])
+ */
+async function drain(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (runningJobs.size > 0 && Date.now() < deadline) {
+    logger.info(
+      `Waiting for ${runningJobs.size} job(s): ${getRunningJobs()
+        .map((job) => job.name)
+        .join(", ")}`
+    );
+
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...runningJobs.values()].map((job) => job.promise)),
+      new Promise((resolve) => {
+        timer = setTimeout(resolve, deadline - Date.now());
+      }),
+    ]);
+    clearTimeout(timer);
+  }
+
+  const unfinished = getRunningJobs();
+  for (const job of unfinished) {
+    markInterrupted(job.name, {
+      startedAt: job.startedAt.toISOString(),
+      reason: "still running at shutdown deadline",
+    });
+  }
+  return unfinished;
+}
+
+/**
+ * Save the jobs this shutdown interrupted, so the next boot reports them
+ * @returns {boolean} - Success status
+ */
+async function saveInterruptedJobs() {
+  if (interruptedJobs.length === 0) {
+    return true;
+  }
+
+  return database.setResetFlag(
+    INTERRUPTED_JOBS_KEY,
+    JSON.stringify(interruptedJobs)
+  );
+}
+
+/**
+ * Report and clear the jobs the previous shutdown interrupted
+ * Call after the database is initialized, before the jobs start again.
+ * @returns {Array} - Interrupted jobs ([{ name, interruptedAt, ...details }])
+ */
+async function loadInterruptedJobs() {
+  const saved = await database.getResetFlag(INTERRUPTED_JOBS_KEY);
+  if (!saved || saved === "[]") {
+    return [];
+  }
+
+  let jobs = [];
+  try {
+    jobs = JSON.parse(saved);
+  } catch (error) {
+    logger.error(`Could not read interrupted jobs: ${error.message}`);
+  }
+
+  for (const job of jobs) {
+    logger.warn(
+      `${job.name} was interrupted by the last shutdown (${job.interruptedAt}), resuming`,
+      job
+    );
+  }
+
+  await database.setResetFlag(INTERRUPTED_JOBS_KEY, "[]");
+  return jobs;
+}
+
+module.exports = {
+  isShuttingDown,
+  trackJob,
+  getRunningJobs,
+  markInterrupted,
+  beginShutdown,
+  drain,
+  saveInterruptedJobs,
+  loadInterruptedJobs,
+};
@@ -0,0 +1,275 @@
+/**
+ * Manual Access Service
+ * Access granted by staff without a Stripe subscription (mentors, partners,
+ * scholarship students) via /grant and /revoke
+ *
+ * Grants live in the manual_access table with an expiry. While a grant is
+ * active, subscriptionService.removeSubscriptionRoles keeps the member's
+ * roles, so no sync path (polling, webhooks, dunning, legacy expiry) takes
+ * access away. Expired grants are closed during the regular subscription
+ * check; roles are only removed if the member has no paid subscription.
+ */
+
+const database = require("./database");
+const auditService = require("./auditService");
+const planService = require("./planService");
+const i18n = require("./i18n");
+const logger = require("../utils/logger").child({
+  module: "manualAccessService",
+});
+const metrics = require("../utils/metrics");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Duration units accepted by /grant ("m" and "mo" are months of 30 days)
+const DURATION_UNITS = {
+  h: HOUR_MS,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+  m: 30 * DAY_MS,
+  mo: 30 * DAY_MS,
+  y: 365 * DAY_MS,
+};
+
+// Longest grant /grant accepts
+const MAX_DURATION_MS = 5 * 365 * DAY_MS;
+
+// Subscription statuses that keep access on their own when a grant ends
+// (past_due only while its grace period is still running)
+const PAID_ACCESS_STATUSES = ["active", "trialing", "past_due"];
+
+// Reference to Discord client (set during initialization)
+let discordClient = null;
+
+/**
+ * Initialize the manual access service
+ * @param {Object} client - Discord client instance
+ */
+function init(client) {
+  discordClient = client;
+  logger.info("Manual access service initialized");
+}
+
+/**
+ * Parse a grant duration such as "30d", "2w", "6m" or "12h"
+ * @param {string} text - Duration text
+ * @returns {number|null} - Duration in milliseconds or null if invalid or
+ *   longer than MAX_DURATION_MS
+ */
+function parseDuration(text) {
+  const match = String(text)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+)\s*(h|d|w|mo|m|y)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const durationMs = parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+  return durationMs > 0 && durationMs <= MAX_DURATION_MS ? durationMs : null;
+}
+
+/**
+ * Check whether a user currently has manual access
+ * @param {string} discordId - Discord user ID
+ * @returns {boolean} - True if an active grant exists
+ */
+async function hasActiveManualAccess(discordId) {
+  return Boolean(await database.getActiveManualAccess(discordId));
+}
+
+/**
+ * Grant manual access (replaces any active grant of the user)
+ * @param {string} discordId - Discord user ID
+ * @param {Object} options - { actorId, durationMs, reason }
+ * @returns {Object} - { success, expiresAt } or { success: false, error }
+ */
+async function grantAccess(discordId, { actorId, durationMs, reason }) {
+  if (!(durationMs > 0 && durationMs <= MAX_DURATION_MS)) {
+    return { success: false, error: "Grants can last at most 5 years" };
+  }
+
+  const previous = await database.getActiveManualAccess(discordId);
+  if (previous) {
+    await database.closeManualAccess(
+      discordId,
+      "revoked",
+      actorId,
+      "replaced by a new grant"
+    );
+  }
+
+  const expiresAt = new Date(Date.now() + durationMs);
+  const grantId = await database.createManualAccess({
+    discordId,
+    grantedBy: actorId,
+    reason,
+    expiresAt,
+  });
+
+  if (!grantId) {
+    return { success: false, error: "Could not save the grant to the database" };
+  }
+
+  await auditService.record({
+    actorId,
+    targetId: discordId,
+    action: auditService.ACTIONS.MANUAL_ACCESS_GRANTED,
+    before: previous ? { expiresAt: previous.expires_at } : null,
+    after: { grantId, expiresAt },
+    reason,
+  });
+
+  // Lazy require: subscriptionService depends on this module
+  const subscriptionService = require("./subscriptionService");
+  await subscriptionService.assignSubscriptionRoles(
+    discordId,
+    planService.getDefaultPlan().priceId || null,
+    { actorId, reason: `manual access: ${reason}` }
+  );
+
+  logger.info(
+    `Manual access granted to ${discordId} by ${actorId} until ${expiresAt.toISOString()}`
+  );
+  return { success: true, expiresAt };
+}
+
+/**
+ * Revoke a user's manual access
+ * Roles are only removed if the user has no paid subscription.
+ * @param {string} discordId - Discord user ID
+ * @param {Object} options - { actorId, reason }
+ * @returns {Object} - { success, rolesRemoved } or { success: false, error }
+ */
+async function revokeAccess(discordId, { actorId, reason }) {
+  const grant = await database.getActiveManualAccess(discordId);
+  if (!grant) {
+    return { success: false, error: "This member has no active manual access." };
+  }
+
+  await database.closeManualAccess(discordId, "revoked", actorId, reason);
+
+  await auditService.record({
+    actorId,
+    targetId: discordId,
+    action: auditService.ACTIONS.MANUAL_ACCESS_REVOKED,
+    before: { grantId: grant.id, expiresAt: grant.expires_at },
+    after: null,
+    reason,
+  });
+
+  const rolesRemoved = await endAccess(discordId, {
+    actorId,
+    reason: `manual access revoked: ${reason}`,
+  });
+
+  logger.info(`Manual access of ${discordId} revoked by ${actorId}`);
+  return { success: true, rolesRemoved };
+}
+
+/**
+ * Remove access roles after a grant ended, unless a paid subscription still covers the user
+ * @param {string} discordId - Discord user ID
+ * @param {Object} context - Audit context { actorId, reason }
+ * @returns {boolean} - True if roles were removed
+ */
+async function endAccess(discordId, context) {
+  const dbUser = await database.getUserByDiscordId(discordId);
+
+  const status = dbUser?.subscription_status;
+  const graceExpired =
+    status === "past_due" &&
+    (await database.getDunningRecord(discordId))?.last_stage === "final";
+
+  if (PAID_ACCESS_STATUSES.includes(status) && !graceExpired) {
+    logger.info(
+      `Manual access of ${discordId} ended - keeping roles (subscription ${status})`
+    );
+    return false;
+  }
+
+  // Lazy require: subscriptionService depends on this module
+  const subscriptionService = require("./subscriptionService");
+  return subscriptionService.removeSubscriptionRoles(discordId, context);
+}
+
+/**
+ * Close grants that have expired and remove access they alone provided
+ * Run with the regular subscription check.
+ */
+async function processExpiredGrants() {
+  const grants = await database.getExpiredManualAccess();
+  if (grants.length === 0) {
+    return;
+  }
+
+  logger.info(`Processing ${grants.length} expired manual access grants`);
+
+  for (const grant of grants) {
+    const discordId = grant.discord_id;
+
+    try {
+      await database.closeManualAccess(
+        discordId,
+        "expired",
+        auditService.SYSTEM_ACTOR,
+        "grant expired"
+      );
+
+      await auditService.record({
+        targetId: discordId,
+        action: auditService.ACTIONS.MANUAL_ACCESS_EXPIRED,
+        before: { grantId: grant.id, expiresAt: grant.expires_at },
+        after: null,
+        reason: grant.reason,
+      });
+
+      const rolesRemoved = await endAccess(discordId, {
+        reason: "manual access expired",
+      });
+
+      if (rolesRemoved) {
+        await sendManualAccessEndedDM(discordId);
+      }
+    } catch (error) {
+      logger.error(
+        `Error expiring manual access for ${discordId}: ${error.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Send manual access ended DM in the user's language
+ * @param {string} discordId - Discord user ID
+ */
+async function sendManualAccessEndedDM(discordId) {
+  try {
+    if (!discordClient) {
+      logger.warn("Discord client not available for manual access DM");
+      return;
+    }
+
+    const user = await discordClient.users.fetch(discordId);
+    const locale = await i18n.getUserLocale(discordClient, discordId);
+    await user.send(i18n.t(locale, "dm.manualAccessEnded"));
+
+    logger.info(`Sent manual access ended DM to ${user.tag}`);
+  } catch (error) {
+    logger.warn(
+      `Could not send manual access ended DM to ${discordId}: ${error.message}`
+    );
+    metrics.increment("dms_failed_total", { type: "manual_access_ended" });
+  }
+}
+
+module.exports = {
+  init,
+  parseDuration,
+  hasActiveManualAccess,
+  grantAccess,
+  revokeAccess,
+  processExpiredGrants,
+};
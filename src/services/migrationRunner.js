@@ -0,0 +1,198 @@
+/**
+ * Migration Runner
+ * Applies the numbered schema migrations in src/migrations and records each
+ * one in the schema_migrations table. Migration files are named
+ * NNN_description.js and export { description, up(db), down(db) }.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger").child({ module: "migrationRunner" });
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Load all migration files, ordered by version
+ * @param {string} dir - Directory containing the migration files
+ * @returns {Array} - [{ version, name, description, up, down }]
+ * @throws {Error} - If two files share a version or a file is incomplete
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  const versions = new Set();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const version = Number(match[1]);
+    if (versions.has(version)) {
+      throw new Error(`Duplicate migration version ${match[1]} (${file})`);
+    }
+    versions.add(version);
+
+    const migration = require(path.join(dir, file));
+    if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    migrations.push({
+      version,
+      name: match[2],
+      description: migration.description || match[2],
+      up: migration.up,
+      down: migration.down,
+    });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the schema_migrations table if it doesn't exist
+ * @param {Object} db - Storage driver (see src/storage)
+ */
+async function ensureMigrationsTable(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+/**
+ * Get applied and pending migrations
+ * @param {Object} db - Storage driver (see src/storage)
+ * @param {Array} migrations - Migrations from loadMigrations()
+ * @returns {Object} - { applied, pending, unknown } (unknown = applied versions with no file)
+ */
+async function getStatus(db, migrations = loadMigrations()) {
+  await ensureMigrationsTable(db);
+
+  const [rows] = await db.execute(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC"
+  );
+  const appliedRows = new Map(rows.map((row) => [Number(row.version), row]));
+  const knownVersions = new Set(migrations.map((m) => m.version));
+
+  return {
+    applied: migrations
+      .filter((m) => appliedRows.has(m.version))
+      .map((m) => ({ ...m, appliedAt: appliedRows.get(m.version).applied_at })),
+    pending: migrations.filter((m) => !appliedRows.has(m.version)),
+    unknown: rows.filter((row) => !knownVersions.has(Number(row.version))),
+  };
+}
+
+/**
+ * Apply pending migrations in order
+ * Stops at the first failure; migrations applied before it stay recorded.
+ * @param {Object} db - Storage driver (see src/storage)
+ * @param {Object} options - { to } highest version to apply (default: all)
+ * @param {Array} migrations - Migrations from loadMigrations()
+ * @returns {Array} - Applied migrations
+ */
+async function migrateUp(db, { to = Infinity } = {}, migrations = loadMigrations()) {
+  const { pending } = await getStatus(db, migrations);
+  const applied = [];
+
+  for (const migration of pending.filter((m) => m.version <= to)) {
+    logger.info(`Applying migration ${formatMigration(migration)}`);
+
+    try {
+      await migration.up(db);
+    } catch (error) {
+      throw new Error(
+        `Migration ${formatMigration(migration)} failed: ${error.message}`
+      );
+    }
+
+    await db.execute(
+      "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+      [migration.version, migration.name]
+    );
+    applied.push(migration);
+  }
+
+  return applied;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} db - Storage driver (see src/storage)
+ * @param {Object} options - { steps } number of migrations to revert (default 1)
+ * @param {Array} migrations - Migrations from loadMigrations()
+ * @returns {Array} - Reverted migrations
+ */
+async function migrateDown(db, { steps = 1 } = {}, migrations = loadMigrations()) {
+  const { applied } = await getStatus(db, migrations);
+  const reverted = [];
+
+  for (const migration of applied.reverse().slice(0, steps)) {
+    logger.info(`Reverting migration ${formatMigration(migration)}`);
+
+    try {
+      await migration.down(db);
+    } catch (error) {
+      throw new Error(
+        `Reverting migration ${formatMigration(migration)} failed: ${error.message}`
+      );
+    }
+
+    await db.execute("DELETE FROM schema_migrations WHERE version = ?", [
+      migration.version,
+    ]);
+    reverted.push(migration);
+  }
+
+  return reverted;
+}
+
+/**
+ * Make sure every migration has been applied
+ * @param {Object} db - Storage driver (see src/storage)
+ * @param {Array} migrations - Migrations from loadMigrations()
+ * @throws {Error} - If any migration is pending
+ */
+async function assertSchemaCurrent(db, migrations = loadMigrations()) {
+  const { pending, unknown } = await getStatus(db, migrations);
+
+  if (unknown.length > 0) {
+    logger.warn(
+      `Database has migrations this build doesn't know: ${unknown
+        .map((row) => `${row.version} (${row.name})`)
+        .join(", ")}`
+    );
+  }
+
+  if (pending.length > 0) {
+    throw new Error(
+      `Database schema is out of date, ${pending.length} pending migration(s): ${pending
+        .map(formatMigration)
+        .join(", ")}. Run "npm run migrate up" first.`
+    );
+  }
+}
+
+/**
+ * Format a migration for logs
+ * @param {Object} migration - Migration
+ * @returns {string} - e.g. "003_create_subscription_dunning"
+ */
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, "0")}_${migration.name}`;
+}
+
+module.exports = {
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent,
+  formatMigration,
+};
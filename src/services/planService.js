@@ -0,0 +1,116 @@
+/**
+ * Plan Service
+ * Lookups over the subscription plan catalogue (config/plans.js)
+ */
+
+const planConfig = require("../config/plans");
+const stripeService = require("./stripeService");
+const guildConfigService = require("./guildConfigService");
+
+/**
+ * Get the Stripe price to check out a plan with (test price in test mode)
+ * @param {Object} plan - Plan
+ * @returns {string|undefined} - Stripe price ID
+ */
+function getCheckoutPriceId(plan) {
+  return stripeService.getIsTestMode() ? plan.testPriceId : plan.priceId;
+}
+
+/**
+ * Get plans that can be offered in the Subscribe flow
+ * @returns {Array} - Plans with a Stripe price ID configured for the current mode
+ */
+function getAvailablePlans() {
+  return planConfig.plans.filter((plan) => getCheckoutPriceId(plan));
+}
+
+/**
+ * Get a plan by its catalogue ID
+ * @param {string} planId - Plan ID (e.g. "monthly")
+ * @returns {Object|null} - Plan or null if unknown
+ */
+function getPlanById(planId) {
+  return planConfig.plans.find((plan) => plan.id === planId) || null;
+}
+
+/**
+ * Get the default plan
+ * @returns {Object} - Default plan
+ */
+function getDefaultPlan() {
+  return getPlanById(planConfig.defaultPlanId) || planConfig.plans[0];
+}
+
+/**
+ * Get the plan a Stripe price belongs to
+ * Unknown or missing prices resolve to the default plan.
+ * @param {string|null} priceId - Stripe price ID
+ * @returns {Object} - Plan
+ */
+function getPlanForPrice(priceId) {
+  const plan = priceId
+    ? planConfig.plans.find(
+        (p) => p.priceId === priceId || p.testPriceId === priceId
+      )
+    : null;
+
+  return plan || getDefaultPlan();
+}
+
+/**
+ * Get a plan's role grants with role IDs from the guild settings
+ * Roles a server has no setting for are left out.
+ * @param {Object} plan - Plan
+ * @returns {Array} - { guildId, roles: Array<string>, unverifiedRole }
+ */
+function getPlanGrants(plan) {
+  return plan.grants
+    .filter((grant) => grant.guildId)
+    .map((grant) => ({
+      guildId: grant.guildId,
+      roles: grant.roles
+        .map((name) => guildConfigService.getRole(grant.guildId, name))
+        .filter(Boolean),
+      unverifiedRole: grant.unverifiedRole
+        ? guildConfigService.getRole(grant.guildId, grant.unverifiedRole)
+        : null,
+    }));
+}
+
+/**
+ * Get every role any plan can grant, grouped by guild
+ * Used to strip roles from other plans when a member switches plans.
+ * @returns {Map<string, Object>} - guildId → { roles: Set, unverifiedRoles: Set }
+ */
+function getManagedRolesByGuild() {
+  const managed = new Map();
+
+  for (const plan of planConfig.plans) {
+    for (const grant of getPlanGrants(plan)) {
+      if (!managed.has(grant.guildId)) {
+        managed.set(grant.guildId, {
+          roles: new Set(),
+          unverifiedRoles: new Set(),
+        });
+      }
+
+      const entry = managed.get(grant.guildId);
+      grant.roles.forEach((roleId) => entry.roles.add(roleId));
+      if (grant.unverifiedRole) {
+        entry.unverifiedRoles.add(grant.unverifiedRole);
+      }
+    }
+  }
+
+  return managed;
+}
+
+module.exports = {
+  getCheckoutPriceId,
+  getAvailablePlans,
+  getPlanById,
+  getDefaultPlan,
+  getPlanForPrice,
+  getPlanGrants,
+  getManagedRolesByGuild,
+};
@@ -0,0 +1,304 @@
+/**
+ * Purchase Service
+ * Handles purchase, refund and chargeback events pushed by the Seolaxy
+ * platform (POST /webhooks/seolaxy, verified with seolaxyApi.constructWebhookEvent)
+ *
+ * A purchase is saved as "pending", keyed by its payment intent ID or invoice
+ * number, and becomes "linked" once a member registers with one of them (or
+ * straight away if one already has). The buyer email is only informative:
+ * members type it themselves, so it never links or revokes anything. A
+ * refund or chargeback removes the access roles of the member registered
+ * with the purchase, unless a Stripe subscription or a staff grant still
+ * entitles them to them.
+ */
+
+const database = require("./database");
+const cohortService = require("./cohortService");
+const auditService = require("./auditService");
+const userService = require("./userService");
+const manualAccessService = require("./manualAccessService");
+const logger = require("../utils/logger").child({ module: "purchaseService" });
+const metrics = require("../utils/metrics");
+
+// Event type -> purchase status it leads to
+const EVENT_STATUSES = {
+  "purchase.completed": "pending",
+  "purchase.refunded": "refunded",
+  "purchase.chargeback": "chargeback",
+};
+
+/**
+ * Handle a verified Seolaxy platform event
+ * @param {Object} event - { id, type, data: { email, first_name, last_name,
+ *   payment_intent_id, invoice_number } }
+ * @returns {boolean} - True if the event type was handled
+ * @throws {Error} - If the purchase could not be saved or the member's roles
+ *   could not be removed (the platform retries)
+ */
+async function handleSeolaxyEvent(event) {
+  const status = EVENT_STATUSES[event.type];
+  if (!status) {
+    logger.debug(`Ignoring Seolaxy event type ${event.type}`);
+    return false;
+  }
+
+  const data = event.data || {};
+  if (!data.payment_intent_id && !data.invoice_number) {
+    logger.warn(
+      `Seolaxy event ${event.id} (${event.type}) has no payment intent or invoice, ignoring`
+    );
+    return false;
+  }
+
+  metrics.increment("purchase_events_total", { type: event.type });
+
+  const purchase = {
+    reference: data.invoice_number || data.payment_intent_id,
+    email: String(data.email || "").trim().toLowerCase() || null,
+    firstName: data.first_name,
+    lastName: data.last_name,
+    paymentIntentId: data.payment_intent_id,
+    invoiceNumber: data.invoice_number,
+    eventId: event.id,
+  };
+
+  if (status === "pending") {
+    await recordPurchase(purchase);
+  } else {
+    await revokePurchase(purchase, status);
+  }
+  return true;
+}
+
+/**
+ * Save a completed purchase, linked to its member if they registered already
+ * @param {Object} purchase - Purchase from the event
+ */
+async function recordPurchase(purchase) {
+  const existing = await database.getSeolaxyPurchase(
+    purchase.paymentIntentId,
+    purchase.invoiceNumber
+  );
+  if (existing && ["refunded", "chargeback"].includes(existing.status)) {
+    // Delivered after its own refund, keep the refund
+    logger.info(
+      `Ignoring purchase event ${purchase.eventId} for ${purchase.reference}, it was already ${existing.status}`
+    );
+    return;
+  }
+
+  const user = await findRegisteredUser(purchase, existing);
+  const status = user ? "linked" : "pending";
+  const saved = existing
+    ? await database.updateSeolaxyPurchase(existing.id, {
+        status,
+        discordId: user?.discord_id,
+        eventId: purchase.eventId,
+      })
+    : await database.saveSeolaxyPurchase({
+        ...purchase,
+        status,
+        discordId: user?.discord_id,
+      });
+  if (!saved) {
+    throw new Error(`Could not save the Seolaxy purchase ${purchase.reference}`);
+  }
+
+  logger.info(
+    user
+      ? `Seolaxy purchase ${purchase.reference} linked to ${user.discord_id}`
+      : `Seolaxy purchase ${purchase.reference} waiting for the member to register`
+  );
+}
+
+/**
+ * Mark a purchase refunded or charged back and remove the access it gave
+ * @param {Object} purchase - Purchase from the event
+ * @param {string} status - "refunded" or "chargeback"
+ * @throws {Error} - If the purchase could not be saved or the roles removed
+ */
+async function revokePurchase(purchase, status) {
+  const existing = await database.getSeolaxyPurchase(
+    purchase.paymentIntentId,
+    purchase.invoiceNumber
+  );
+  const user = await findRegisteredUser(purchase, existing);
+
+  const saved = existing
+    ? await database.updateSeolaxyPurchase(existing.id, {
+        status,
+        discordId: user?.discord_id || existing.discord_id,
+        eventId: purchase.eventId,
+      })
+    : await database.saveSeolaxyPurchase({
+        ...purchase,
+        status,
+        discordId: user?.discord_id,
+      });
+  if (!saved) {
+    throw new Error(`Could not save the Seolaxy ${status} of ${purchase.reference}`);
+  }
+
+  if (!user) {
+    logger.info(
+      `Seolaxy ${status} for ${purchase.reference}, no registered member to remove`
+    );
+    return;
+  }
+
+  await removeAccess(user, status, purchase.eventId);
+}
+
+/**
+ * Find the member registered with a purchase
+ * Only the link and the purchase IDs count here, so a refund never touches
+ * a member who registered with another purchase under the same email.
+ * @param {Object} purchase - Purchase from the event
+ * @param {Object|null} existing - Saved seolaxy_purchases row, if any
+ * @returns {Object|null} - User row or null
+ */
+async function findRegisteredUser(purchase, existing = null) {
+  if (existing?.discord_id && isSamePurchase(existing, purchase)) {
+    const linked = await database.getUserByDiscordId(existing.discord_id);
+    if (linked) {
+      return linked;
+    }
+  }
+
+  for (const id of [purchase.invoiceNumber, purchase.paymentIntentId]) {
+    if (id) {
+      const user = await database.getUserByInvoiceNumber(id);
+      if (user) {
+        return user;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a saved purchase and an event describe the same purchase
+ * @param {Object} existing - Saved seolaxy_purchases row
+ * @param {Object} purchase - Purchase from the event
+ * @returns {boolean}
+ */
+function isSamePurchase(existing, purchase) {
+  return (
+    (purchase.invoiceNumber &&
+      existing.invoice_number === purchase.invoiceNumber) ||
+    (purchase.paymentIntentId &&
+      existing.payment_intent_id === purchase.paymentIntentId) ||
+    false
+  );
+}
+
+/**
+ * Remove the roles a refunded purchase gave and audit it
+ * Cohort members lose the cohort verified role; main server members lose
+ * their member roles unless a subscription or grant still covers them.
+ * @param {Object} user - User row
+ * @param {string} status - "refunded" or "chargeback"
+ * @param {string} eventId - Seolaxy event ID
+ * @throws {Error} - If the roles could not be removed
+ */
+async function removeAccess(user, status, eventId) {
+  const discordId = user.discord_id;
+  const cohort = user.cohort_id
+    ? cohortService.getCohortById(user.cohort_id)
+    : null;
+
+  if (
+    !cohort &&
+    ((await userService.hasActiveSubscription(discordId)) ||
+      (await manualAccessService.hasActiveManualAccess(discordId)))
+  ) {
+    logger.info(
+      `Seolaxy ${status} for ${discordId}, keeping roles covered by a subscription or grant`
+    );
+    return;
+  }
+
+  const { client } = require("../index");
+  const guildId = cohort ? cohort.guild_id : process.env.GUILD_ID;
+  const guild = await client.guilds.fetch(guildId).catch(() => null);
+  const member = await guild?.members.fetch(discordId).catch(() => null);
+  if (!member) {
+    logger.info(`Seolaxy ${status} for ${discordId}, not a member of ${guildId}`);
+    return;
+  }
+
+  let rolesRemoved = [];
+  let failure = null;
+  try {
+    if (cohort) {
+      const role = guild.roles.cache.get(cohort.verified_role_id);
+      if (role && member.roles.cache.has(role.id)) {
+        await member.roles.remove(role);
+        rolesRemoved = [`${cohort.name} Verified`];
+      }
+    } else {
+      const result = await userService.removeAccessRoles(member, guild);
+      rolesRemoved = result.rolesRemoved;
+      if (!result.success) {
+        failure = new Error("not every member role could be removed");
+      }
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  if (rolesRemoved.length > 0) {
+    await auditService.record({
+      targetId: discordId,
+      action: auditService.ACTIONS.ROLES_REMOVED,
+      before: { guildId, roles: rolesRemoved },
+      after: { guildId, roles: [] },
+      reason: `Seolaxy ${status} (${eventId})`,
+    });
+    logger.info(
+      `Removed ${rolesRemoved.join(", ")} from ${discordId} after Seolaxy ${status}`
+    );
+  }
+
+  if (failure) {
+    // Thrown on so the webhook fails and the platform redelivers the event
+    throw new Error(
+      `Could not remove roles from ${discordId} after Seolaxy ${status}: ${failure.message}`
+    );
+  }
+}
+
+/**
+ * Link a pending purchase to a member who just registered with its invoice
+ * number or payment intent ID
+ * @param {Object} userData - Registration data { discordId, invoiceNumber }
+ * @returns {boolean} - True if a purchase was linked
+ */
+async function linkRegistration(userData) {
+  const reference = String(userData.invoiceNumber || "").trim();
+  if (!reference) {
+    return false;
+  }
+
+  const purchase = await database.getSeolaxyPurchase(reference, reference);
+  if (!purchase || purchase.status !== "pending") {
+    return false;
+  }
+
+  const linked = await database.updateSeolaxyPurchase(purchase.id, {
+    status: "linked",
+    discordId: userData.discordId,
+    eventId: purchase.last_event_id,
+  });
+  if (linked) {
+    logger.info(
+      `Seolaxy purchase ${reference} linked to ${userData.discordId}`
+    );
+  }
+  return linked;
+}
+
+module.exports = {
+  handleSeolaxyEvent,
+  linkRegistration,
+};
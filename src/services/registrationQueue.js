@@ -0,0 +1,258 @@
+/**
+ * Registration Queue
+ * Registrations submitted while the Seolaxy API is unavailable (timeouts,
+ * network errors, 5xx responses or an open circuit breaker, see
+ * seolaxyApi.js) wait in the pending_registrations table. Every
+ * apiConfig.retryQueue.intervalMs the due ones are validated again, with a
+ * growing delay between attempts; once the API answers, the registration is
+ * completed as if the member had just submitted it and the member gets a DM.
+ * Registrations still unanswered after apiConfig.retryQueue.maxAgeMs are
+ * dropped and the member is asked to register again.
+ *
+ * The queue lives in the database, so it survives restarts.
+ */
+
+const database = require("./database");
+const seolaxyApi = require("./seolaxyApi");
+const cohortService = require("./cohortService");
+const lifecycleService = require("./lifecycleService");
+const i18n = require("./i18n");
+const apiConfig = require("../config/api");
+const logger = require("../utils/logger").child({ module: "registrationQueue" });
+const metrics = require("../utils/metrics");
+
+// Reference to Discord client (set during initialization)
+let discordClient = null;
+let queueInterval = null;
+
+/**
+ * Initialize the registration queue
+ * @param {Object} client - Discord client instance
+ */
+async function init(client) {
+  discordClient = client;
+
+  const queued = await updateQueuedGauge();
+  logger.info(`Registration queue initialized (${queued} queued)`);
+}
+
+/**
+ * Retry queued registrations every apiConfig.retryQueue.intervalMs
+ */
+function startPolling() {
+  if (queueInterval) {
+    logger.warn("Registration queue polling already running");
+    return;
+  }
+
+  queueInterval = setInterval(
+    () => lifecycleService.trackJob("registration_queue", processQueue),
+    apiConfig.retryQueue.intervalMs
+  );
+
+  logger.info(
+    `Started registration queue (every ${
+      apiConfig.retryQueue.intervalMs / 1000
+    }s)`
+  );
+}
+
+/**
+ * Stop retrying queued registrations
+ */
+function stopPolling() {
+  if (queueInterval) {
+    clearInterval(queueInterval);
+    queueInterval = null;
+    logger.info("Stopped registration queue");
+  }
+}
+
+/**
+ * Queue a registration the Seolaxy API could not validate
+ * @param {Object} registration - Registration data (see database.saveUser)
+ *   plus { guildId, locale, maybeEnrolled, lastError }
+ * @returns {boolean} - True if it was queued
+ */
+async function enqueue(registration) {
+  const queued = await database.savePendingRegistration({
+    ...registration,
+    nextAttemptAt: new Date(Date.now() + apiConfig.retryQueue.intervalMs),
+  });
+
+  if (queued) {
+    logger.info(
+      `Queued registration of ${registration.discordUsername} (${registration.invoiceNumber}) until the Seolaxy API is available`
+    );
+    await updateQueuedGauge();
+  }
+  return queued;
+}
+
+/**
+ * Retry the queued registrations that are due
+ * Stops early while the circuit breaker is open or on shutdown; the rest
+ * are retried on the next run.
+ * @param {Date} now - Current time
+ * @returns {Object} - { completed, refused, retried, dropped }
+ */
+async function processQueue(now = new Date()) {
+  const stats = { completed: 0, refused: 0, retried: 0, dropped: 0 };
+  const due = await database.getDuePendingRegistrations(now);
+
+  for (const registration of due) {
+    if (lifecycleService.isShuttingDown()) break;
+    if (seolaxyApi.isCircuitOpen()) {
+      logger.debug("Seolaxy API circuit open, registration queue waits");
+      break;
+    }
+
+    const outcome = await processRegistration(registration, now);
+    stats[outcome]++;
+  }
+
+  if (due.length > 0) {
+    logger.info(
+      `Registration queue: ${stats.completed} completed, ${stats.refused} refused, ${stats.retried} retried, ${stats.dropped} dropped`
+    );
+    await updateQueuedGauge();
+  }
+  return stats;
+}
+
+/**
+ * Validate one queued registration again and complete, reschedule or drop it
+ * @param {Object} registration - pending_registrations row
+ * @param {Date} now - Current time
+ * @returns {string} - "completed", "refused", "retried" or "dropped"
+ */
+async function processRegistration(registration, now) {
+  const { discord_id: discordId, invoice_number: invoiceNumber } =
+    registration;
+
+  const cohort = registration.cohort_id
+    ? cohortService.getCohortById(registration.cohort_id)
+    : null;
+  const member = await fetchMember(registration.guild_id, discordId);
+
+  if ((registration.cohort_id && !cohort) || !member) {
+    logger.warn(
+      `Dropping queued registration of ${discordId}: ${
+        member ? "cohort" : "member"
+      } no longer exists`
+    );
+    await database.deletePendingRegistration(registration.id);
+    return "dropped";
+  }
+
+  const validationResult = await seolaxyApi.validatePaymentIntent(
+    invoiceNumber,
+    cohort ? cohortService.getApiToken(cohort) : undefined,
+    { maybeEnrolled: Boolean(registration.maybe_enrolled) }
+  );
+
+  if (validationResult.retryable) {
+    const age = now - new Date(registration.created_at);
+    if (age >= apiConfig.retryQueue.maxAgeMs) {
+      logger.warn(
+        `Dropping queued registration of ${discordId} (${invoiceNumber}) after ${registration.attempts + 1} attempts`
+      );
+      await database.deletePendingRegistration(registration.id);
+      await sendQueueDM(
+        discordId,
+        i18n.t(registration.locale, "dm.registrationQueue.expired")
+      );
+      return "dropped";
+    }
+
+    const attempts = registration.attempts + 1;
+    await database.reschedulePendingRegistration(registration.id, {
+      attempts,
+      maybeEnrolled: validationResult.maybeEnrolled,
+      lastError: validationResult.error,
+      nextAttemptAt: new Date(
+        now.getTime() +
+          seolaxyApi.getRetryDelay(attempts, {
+            baseDelayMs: apiConfig.retryQueue.intervalMs,
+            maxDelayMs: apiConfig.retryQueue.maxDelayMs,
+          })
+      ),
+    });
+    return "retried";
+  }
+
+  // Handlers lazy-loaded: they queue registrations through this module
+  const { completeQueuedRegistration } = require("../handlers/modals");
+  const result = await completeQueuedRegistration(
+    registration,
+    validationResult,
+    member,
+    cohort
+  );
+  await database.deletePendingRegistration(registration.id);
+
+  const intro = i18n.t(
+    registration.locale,
+    result.success
+      ? "dm.registrationQueue.completed"
+      : "dm.registrationQueue.refused"
+  );
+  await sendQueueDM(discordId, {
+    ...result.reply,
+    content: [intro, result.reply.content].filter(Boolean).join("\n\n"),
+  });
+
+  logger.info(
+    `Queued registration of ${discordId} (${invoiceNumber}) ${
+      result.success ? "completed" : `refused: ${validationResult.error || "duplicate"}`
+    }`
+  );
+  return result.success ? "completed" : "refused";
+}
+
+/**
+ * Fetch the member a queued registration belongs to
+ * @param {string} guildId - Server the member registered in
+ * @param {string} discordId - Discord user ID
+ * @returns {GuildMember|null} - null if the server or member is gone
+ */
+async function fetchMember(guildId, discordId) {
+  const guild = await discordClient?.guilds.fetch(guildId).catch(() => null);
+  if (!guild) return null;
+  return guild.members.fetch(discordId).catch(() => null);
+}
+
+/**
+ * Tell a member what happened to their queued registration
+ * @param {string} discordId - Discord user ID
+ * @param {string|Object} message - Message content or payload
+ */
+async function sendQueueDM(discordId, message) {
+  try {
+    const user = await discordClient.users.fetch(discordId);
+    await user.send(message);
+  } catch (error) {
+    logger.warn(
+      `Could not send registration queue DM to ${discordId}: ${error.message}`
+    );
+    metrics.increment("dms_failed_total", { type: "registration_queue" });
+  }
+}
+
+/**
+ * Publish the number of queued registrations
+ * @returns {number} - Queued registrations
+ */
+async function updateQueuedGauge() {
+  const queued = await database.countPendingRegistrations();
+  metrics.setGauge("registrations_queued", queued);
+  return queued;
+}
+
+module.exports = {
+  init,
+  startPolling,
+  stopPolling,
+  enqueue,
+  processQueue,
+};
@@ -1,67 +1,349 @@
 /**
  * Seolaxy API Service
  * Handles all API calls to Seolaxy services
+ *
+ * Requests time out after apiConfig.timeout and timeouts, network errors and
+ * 5xx responses are retried (apiConfig.retry). A circuit breaker stops
+ * calling the API after repeated failures: validations then fail at once
+ * with a retryable "unavailable" result, which the join handlers turn into
+ * a queued registration (see registrationQueue.js).
  */
 
+const crypto = require("crypto");
 const apiConfig = require("../config/api");
-const logger = require("../utils/logger");
+const logger = require("../utils/logger").child({ module: "seolaxyApi" });
+const metrics = require("../utils/metrics");
+
+// Failures after which the request may still have reached the API and
+// enrolled the purchase. A network error (e.g. connection refused) may not.
+const UNCERTAIN_ERRORS = ["timeout", "server_error"];
+
+// Circuit breaker state: "closed" (requests go through), "open" (requests
+// fail at once) or "half_open" (cooldown over, one trial request decides).
+// trialStartedAt is set while the half-open trial request is in flight.
+const circuit = {
+  state: "closed",
+  failures: 0,
+  openedAt: null,
+  trialStartedAt: null,
+};
+
+/**
+ * Check whether the circuit breaker currently refuses requests
+ * Once the cooldown has passed the circuit lets one trial request through;
+ * while it is in flight the circuit still counts as open. A trial that never
+ * reported back is replaced after another cooldown.
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function isCircuitOpen(now = Date.now()) {
+  const { cooldownMs } = apiConfig.circuitBreaker;
+
+  if (circuit.state === "open") {
+    return now - circuit.openedAt < cooldownMs;
+  }
+  if (circuit.state === "half_open") {
+    return (
+      circuit.trialStartedAt !== null &&
+      now - circuit.trialStartedAt < cooldownMs
+    );
+  }
+  return false;
+}
+
+/**
+ * Decide whether a request may be sent now
+ * After the cooldown the circuit becomes half-open and this request is the
+ * trial one; recordSuccess or recordFailure settles it.
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function allowRequest(now = Date.now()) {
+  if (circuit.state === "closed") {
+    return true;
+  }
+  if (isCircuitOpen(now)) {
+    return false;
+  }
+
+  if (circuit.state === "open") {
+    circuit.state = "half_open";
+    logger.info("Seolaxy API circuit half-open, sending one trial request");
+  }
+  circuit.trialStartedAt = now;
+  return true;
+}
+
+/**
+ * Get the circuit breaker state
+ * @returns {Object} - { state, failures, openedAt }
+ */
+function getCircuitState() {
+  return { ...circuit };
+}
+
+/**
+ * Record a request the API answered
+ */
+function recordSuccess() {
+  if (circuit.state !== "closed") {
+    logger.info("Seolaxy API is answering again, circuit closed");
+  }
+  circuit.state = "closed";
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.trialStartedAt = null;
+  metrics.setGauge("api_circuit_open", 0);
+}
+
+/**
+ * Record a failed request and open the circuit if there were too many
+ */
+function recordFailure() {
+  circuit.failures++;
+
+  if (
+    circuit.state === "half_open" ||
+    circuit.failures >= apiConfig.circuitBreaker.failureThreshold
+  ) {
+    if (circuit.state !== "open") {
+      logger.warn(
+        `Seolaxy API circuit opened after ${circuit.failures} failed request(s), pausing for ${
+          apiConfig.circuitBreaker.cooldownMs / 1000
+        }s`
+      );
+    }
+    circuit.state = "open";
+    circuit.openedAt = Date.now();
+    circuit.trialStartedAt = null;
+    metrics.setGauge("api_circuit_open", 1);
+  }
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with jitter, so members
+ * who hit the same outage don't all retry at once
+ * @param {number} attempt - Attempt that failed (1-based)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} - Delay in ms
+ */
+function getRetryDelay(attempt, { baseDelayMs, maxDelayMs } = apiConfig.retry) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+}
 
 /**
  * Validate payment intent or invoice number using Seolaxy API
+ * The outcome is counted in the api_validations_total metric.
  * @param {string} userInput - Payment intent ID (starts with "pi") or invoice number (starts with "SM")
- * @param {string} [bearerToken] - Optional bearer token override (for Mentorship #2)
- * @returns {Object} - Validation result with success status and error details
+ * @param {string} [bearerToken] - Optional bearer token override (a cohort's token)
+ * @param {Object} [options] - { maybeEnrolled } true if an earlier validation
+ *   of this input may have reached the API, so "already enrolled" means it
+ *   was enrolled by that attempt
+ * @returns {Object} - { success, error, message, retryable, maybeEnrolled,
+ *   enrolledByEarlierAttempt }
+ */
+async function validatePaymentIntent(userInput, bearerToken, options = {}) {
+  const result = await validate(userInput, bearerToken, options);
+
+  metrics.increment("api_validations_total", {
+    outcome: result.success ? "success" : result.error,
+  });
+
+  return result;
+}
+
+/**
+ * Send the enrollment request, retrying failures
+ * @param {string} userInput - Payment intent ID or invoice number
+ * @param {string} [bearerToken] - Optional bearer token override
+ * @param {Object} options - { maybeEnrolled }
+ * @returns {Object} - Validation result
  */
-async function validatePaymentIntent(userInput, bearerToken) {
+async function validate(userInput, bearerToken, { maybeEnrolled = false }) {
   logger.info(`Validating payment intent: ${userInput}`);
 
-  const token = bearerToken || apiConfig.bearerToken;
+  const { result, uncertainAttempts } = await sendWithRetries(
+    apiConfig.endpoints.enrollDiscord,
+    userInput,
+    bearerToken,
+    interpretEnrollment
+  );
 
-  try {
-    const url = `${apiConfig.baseURL}${apiConfig.endpoints.enrollDiscord}`;
+  // A timed out or 5xx request may have reached the API even though it failed
+  const mayHaveEnrolled = maybeEnrolled || uncertainAttempts > 0;
 
-    // Check if bearer token is configured
-    if (!token) {
-      logger.error(
-        "Seolaxy API bearer token not configured"
-      );
-      return {
+  // ...in which case it may have enrolled the purchase before failing. The
+  // callers audit registrations completed this way.
+  if (result.error === "already_enrolled" && mayHaveEnrolled) {
+    logger.warn(
+      `Treating ${userInput} as enrolled by an earlier attempt that got no answer (${
+        uncertainAttempts > 0
+          ? `${uncertainAttempts} timeout/5xx now`
+          : "queued after a timeout/5xx"
+      })`
+    );
+    return {
+      success: true,
+      error: null,
+      message: "Successfully enrolled user to Discord",
+      retryable: false,
+      enrolledByEarlierAttempt: true,
+    };
+  }
+
+  return result.retryable ? { ...result, maybeEnrolled: mayHaveEnrolled } : result;
+}
+
+/**
+ * Release a purchase's Discord enrollment, so it can be used to register
+ * again (after staff removed the member who used it)
+ * A purchase that is not enrolled counts as released. The outcome is
+ * counted in the api_releases_total metric.
+ * @param {string} userInput - Payment intent ID (starts with "pi") or invoice number (starts with "SM")
+ * @param {string} [bearerToken] - Optional bearer token override (a cohort's token)
+ * @returns {Object} - { success, error, message, retryable }
+ */
+async function releaseEnrollment(userInput, bearerToken) {
+  logger.info(`Releasing Discord enrollment of ${userInput}`);
+
+  const { result } = await sendWithRetries(
+    apiConfig.endpoints.unenrollDiscord,
+    userInput,
+    bearerToken,
+    interpretRelease
+  );
+
+  metrics.increment("api_releases_total", {
+    outcome: result.success ? "success" : result.error,
+  });
+
+  return result;
+}
+
+/**
+ * Check the input and send a purchase request, retrying failures
+ * @param {string} endpoint - API endpoint path
+ * @param {string} userInput - Payment intent ID or invoice number
+ * @param {string} [bearerToken] - Optional bearer token override
+ * @param {Function} interpret - (status, data, userInput) => result for
+ *   answers other than 5xx
+ * @returns {Object} - { result, uncertainAttempts } uncertainAttempts:
+ *   failed attempts that may have reached the API (UNCERTAIN_ERRORS)
+ */
+async function sendWithRetries(endpoint, userInput, bearerToken, interpret) {
+  const token = bearerToken || apiConfig.bearerToken;
+
+  // Check if bearer token is configured
+  if (!token) {
+    logger.error("Seolaxy API bearer token not configured");
+    return {
+      result: {
         success: false,
         error: "configuration_error",
-        message:
-          "Service configuration error. Please contact an administrator.",
-      };
-    }
+        message: "Service configuration error. Please contact an administrator.",
+        retryable: false,
+      },
+      uncertainAttempts: 0,
+    };
+  }
 
-    // Determine the body structure based on user input
-    let requestBody;
-    if (userInput.startsWith("pi")) {
-      // It's a payment intent ID
-      requestBody = {
-        payment_intent_id: userInput,
-        invoice_number: "",
-      };
-    } else if (userInput.startsWith("SM")) {
-      // It's an invoice number
-      requestBody = {
-        payment_intent_id: "",
-        invoice_number: userInput,
-      };
-    } else {
-      logger.error(
-        `Invalid input format: ${userInput}. Must start with "pi" or "SM"`
-      );
-      return {
+  const requestBody = buildRequestBody(userInput);
+  if (!requestBody) {
+    logger.error(
+      `Invalid input format: ${userInput}. Must start with "pi" or "SM"`
+    );
+    return {
+      result: {
         success: false,
         error: "invalid_format",
         message:
           "Payment intent must start with 'pi' or invoice number must start with 'SM'.",
+        retryable: false,
+      },
+      uncertainAttempts: 0,
+    };
+  }
+
+  let uncertainAttempts = 0;
+  for (let attempt = 1; ; attempt++) {
+    if (!allowRequest()) {
+      logger.warn(`Seolaxy API circuit open, not sending ${userInput}`);
+      return {
+        result: {
+          success: false,
+          error: "unavailable",
+          message: "Validation service is temporarily unavailable.",
+          retryable: true,
+        },
+        uncertainAttempts,
       };
     }
 
-    logger.info(`Sending PATCH request with body:`, requestBody);
-    logger.info(`Request body JSON:`, JSON.stringify(requestBody, null, 2));
-    console.log("🔍 API Request Body:", JSON.stringify(requestBody, null, 2));
+    const result = await sendRequest(
+      endpoint,
+      userInput,
+      token,
+      requestBody,
+      interpret
+    );
+
+    if (!result.retryable) {
+      recordSuccess();
+      return { result, uncertainAttempts };
+    }
+
+    recordFailure();
+    if (UNCERTAIN_ERRORS.includes(result.error)) {
+      uncertainAttempts++;
+    }
+
+    if (attempt >= apiConfig.retry.attempts) {
+      return { result, uncertainAttempts };
+    }
+
+    const delay = getRetryDelay(attempt);
+    logger.warn(
+      `Seolaxy API ${result.error} for ${userInput}, retrying in ${delay}ms (attempt ${attempt}/${apiConfig.retry.attempts})`
+    );
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Build the request body for a payment intent or invoice number
+ * @param {string} userInput - Payment intent ID or invoice number
+ * @returns {Object|null} - Request body, or null if the input has neither format
+ */
+function buildRequestBody(userInput) {
+  if (userInput.startsWith("pi")) {
+    // It's a payment intent ID
+    return { payment_intent_id: userInput, invoice_number: "" };
+  }
+  if (userInput.startsWith("SM")) {
+    // It's an invoice number
+    return { payment_intent_id: "", invoice_number: userInput };
+  }
+  return null;
+}
+
+/**
+ * Send one purchase request to the Seolaxy API
+ * @param {string} endpoint - API endpoint path
+ * @param {string} userInput - Payment intent ID or invoice number
+ * @param {string} token - Bearer token
+ * @param {Object} requestBody - Request body
+ * @param {Function} interpret - (status, data, userInput) => result for
+ *   answers other than 5xx
+ * @returns {Object} - Result with retryable set for failures worth trying again
+ */
+async function sendRequest(endpoint, userInput, token, requestBody, interpret) {
+  const url = `${apiConfig.baseURL}${endpoint}`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), apiConfig.timeout);
+
+  try {
+    logger.debug(`Sending PATCH ${endpoint} with body:`, requestBody);
 
     const response = await fetch(url, {
       method: "PATCH",
@@ -71,7 +353,7 @@ async function validatePaymentIntent(userInput, bearerToken) {
         "User-Agent": "Seolaxy-Discord-Bot/1.0",
       },
       body: JSON.stringify(requestBody),
-      timeout: apiConfig.timeout,
+      signal: controller.signal,
     });
 
     if (!response.ok) {
@@ -79,103 +361,204 @@ async function validatePaymentIntent(userInput, bearerToken) {
         `API request failed with status: ${response.status} ${response.statusText}`
       );
 
-      // Handle 409 Conflict specifically (user already enrolled)
-      if (response.status === 409) {
-        return {
-          success: false,
-          error: "already_enrolled",
-          message:
-            "This purchase has already been used for Discord enrollment.",
-        };
-      }
-
-      // Handle 404 Not Found specifically (invoice/payment intent not found)
-      if (response.status === 404) {
+      if (response.status >= 500) {
         return {
           success: false,
-          error: "purchase_not_found",
+          error: "server_error",
           message:
-            "No purchase found for the provided payment intent ID or invoice number.",
+            "Validation service is currently unavailable. Please try again later.",
+          retryable: true,
         };
       }
-
-      return {
-        success: false,
-        error: "api_error",
-        message:
-          "Validation service is currently unavailable. Please try again later.",
-      };
+      return interpret(response.status, null, userInput);
     }
 
     const data = await response.json();
-    logger.info(`Payment intent ${userInput} validation response:`, data);
+    logger.info(`Seolaxy API ${endpoint} response for ${userInput}:`, data);
+    return interpret(response.status, data, userInput);
+  } catch (error) {
+    const timedOut = controller.signal.aborted;
+    logger.error(
+      `Error sending ${userInput} to ${endpoint}: ${
+        timedOut ? `no answer within ${apiConfig.timeout}ms` : error.message
+      }`
+    );
 
-    // Handle different response cases based on the new API responses
-    if (data.error === "already_enrolled") {
-      logger.warn(
-        `User has already enrolled to Discord with this purchase: ${userInput}`
-      );
-      return {
-        success: false,
-        error: "already_enrolled",
-        message: "This purchase has already been used for Discord enrollment.",
-      };
-    }
+    return {
+      success: false,
+      error: timedOut ? "timeout" : "network_error",
+      message:
+        "Network error occurred. Please check your connection and try again.",
+      retryable: true,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    if (data.error === "purchase_not_found") {
-      logger.warn(
-        `No purchase found for the provided payment intent ID or invoice number: ${userInput}`
-      );
-      return {
-        success: false,
-        error: "purchase_not_found",
-        message:
-          "No purchase found for the provided payment intent ID or invoice number.",
-      };
-    }
+/**
+ * Turn an enroll-discord answer into a validation result
+ * @param {number} status - HTTP status (not 5xx)
+ * @param {Object|null} data - Response body of a 2xx answer
+ * @param {string} userInput - Payment intent ID or invoice number
+ * @returns {Object} - Validation result
+ */
+function interpretEnrollment(status, data, userInput) {
+  // Handle 409 Conflict specifically (user already enrolled)
+  if (status === 409 || data?.error === "already_enrolled") {
+    logger.warn(
+      `User has already enrolled to Discord with this purchase: ${userInput}`
+    );
+    return {
+      success: false,
+      error: "already_enrolled",
+      message: "This purchase has already been used for Discord enrollment.",
+      retryable: false,
+    };
+  }
 
-    // Check for success response
-    if (data.success === true) {
-      logger.info(`Payment intent ${userInput} validation successful`);
-      return {
-        success: true,
-        error: null,
-        message: "Successfully enrolled user to Discord",
-      };
-    }
+  // Handle 404 Not Found specifically (invoice/payment intent not found)
+  if (status === 404 || data?.error === "purchase_not_found") {
+    logger.warn(
+      `No purchase found for the provided payment intent ID or invoice number: ${userInput}`
+    );
+    return {
+      success: false,
+      error: "purchase_not_found",
+      message:
+        "No purchase found for the provided payment intent ID or invoice number.",
+      retryable: false,
+    };
+  }
 
-    // If we get here, the response format might be unexpected
-    logger.warn(`Unexpected API response format for ${userInput}:`, data);
+  if (!data) {
     return {
       success: false,
-      error: "unexpected_response",
-      message: "Unexpected response from validation service.",
+      error: "api_error",
+      message:
+        "Validation service is currently unavailable. Please try again later.",
+      retryable: false,
     };
-  } catch (error) {
-    logger.error(
-      `Error validating payment intent ${userInput}: ${error.message}`
-    );
+  }
+
+  // Check for success response
+  if (data.success === true) {
+    logger.info(`Payment intent ${userInput} validation successful`);
+    return {
+      success: true,
+      error: null,
+      message: "Successfully enrolled user to Discord",
+      retryable: false,
+    };
+  }
+
+  // If we get here, the response format might be unexpected
+  logger.warn(`Unexpected API response format for ${userInput}:`, data);
+  return {
+    success: false,
+    error: "unexpected_response",
+    message: "Unexpected response from validation service.",
+    retryable: false,
+  };
+}
 
-    // In case of network errors, we'll return false to be safe
+/**
+ * Turn an unenroll-discord answer into a release result
+ * @param {number} status - HTTP status (not 5xx)
+ * @param {Object|null} data - Response body of a 2xx answer
+ * @param {string} userInput - Payment intent ID or invoice number
+ * @returns {Object} - Release result
+ */
+function interpretRelease(status, data, userInput) {
+  // 409: the purchase is not enrolled, which is what we wanted
+  if (
+    status === 409 ||
+    data?.error === "not_enrolled" ||
+    data?.success === true
+  ) {
+    logger.info(`Discord enrollment of ${userInput} released`);
+    return {
+      success: true,
+      error: null,
+      message: "Discord enrollment released",
+      retryable: false,
+    };
+  }
+
+  if (status === 404 || data?.error === "purchase_not_found") {
+    logger.warn(`No purchase found to release for ${userInput}`);
     return {
       success: false,
-      error: "network_error",
+      error: "purchase_not_found",
       message:
-        "Network error occurred. Please check your connection and try again.",
+        "No purchase found for the provided payment intent ID or invoice number.",
+      retryable: false,
     };
   }
+
+  logger.warn(`Unexpected release response for ${userInput}:`, data);
+  return {
+    success: false,
+    error: data ? "unexpected_response" : "api_error",
+    message: "The Seolaxy API did not release the enrollment.",
+    retryable: false,
+  };
 }
 
 /**
- * Validate invoice number for Mentorship #2 using dedicated JWT
- * @param {string} invoiceNumber - Invoice number (e.g., SM-XXXX/2026)
- * @returns {Object} - Validation result with success status and error details
+ * Verify and parse an inbound Seolaxy platform webhook
+ * The Seolaxy-Signature header is "t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ * "<t>.<raw body>" keyed with SEOLAXY_WEBHOOK_SECRET>", as with Stripe.
+ * @param {Buffer|string} rawBody - Raw request body exactly as received
+ * @param {string} signature - Value of the Seolaxy-Signature header
+ * @param {number} now - Current time in ms
+ * @returns {Object} - Verified event { id, type, data }
+ * @throws {Error} - If the secret is not configured, the signature is
+ *   invalid or too old, or the body is not an event
  */
-async function validateMentorship2Payment(invoiceNumber) {
-  return validatePaymentIntent(invoiceNumber, apiConfig.mentorship2BearerToken);
+function constructWebhookEvent(rawBody, signature, now = Date.now()) {
+  const { secret, toleranceMs } = apiConfig.webhook;
+  if (!secret) {
+    throw new Error("Seolaxy webhook secret not configured");
+  }
+
+  const parts = Object.fromEntries(
+    String(signature)
+      .split(",")
+      .map((part) => part.trim().split("="))
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    throw new Error("Malformed signature header");
+  }
+  if (Math.abs(now - timestamp * 1000) > toleranceMs) {
+    throw new Error("Signature timestamp outside the tolerance");
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest();
+  const received = Buffer.from(parts.v1, "hex");
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    throw new Error("Signature does not match");
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  if (!event || !event.id || !event.type) {
+    throw new Error("Body is not a Seolaxy event");
+  }
+  return event;
 }
 
 module.exports = {
   validatePaymentIntent,
-  validateMentorship2Payment,
+  releaseEnrollment,
+  constructWebhookEvent,
+  isCircuitOpen,
+  getCircuitState,
+  getRetryDelay,
 };
@@ -5,12 +5,21 @@
 
 const Stripe = require("stripe");
 const stripeConfig = require("../config/stripe");
-const logger = require("../utils/logger");
+const logger = require("../utils/logger").child({ module: "stripeService" });
 
 // Initialize Stripe client
 let stripe = null;
 let isTestMode = false;
 
+// Events that mean a subscription changed (used for incremental sync)
+const SUBSCRIPTION_EVENT_TYPES = [
+  "customer.subscription.created",
+  "customer.subscription.updated",
+  "customer.subscription.deleted",
+  "customer.subscription.paused",
+  "customer.subscription.resumed",
+];
+
 /**
  * Initialize Stripe client
  * @returns {boolean} - Success status
@@ -34,14 +43,37 @@ function initStripe() {
   }
 }
 
+/**
+ * Check whether the Stripe client has been initialized
+ * @returns {boolean}
+ */
+function isInitialized() {
+  return stripe !== null;
+}
+
+/**
+ * Get the price a subscription is billed on
+ * @param {Object} subscription - Stripe subscription object
+ * @returns {string|null} - Stripe price ID
+ */
+function getSubscriptionPriceId(subscription) {
+  return subscription.items?.data?.[0]?.price?.id || null;
+}
+
 /**
  * Create a Stripe Checkout session for subscription
  * @param {string} discordId - Discord user ID
  * @param {string} discordUsername - Discord username
  * @param {string} email - User email (optional, for prefill)
+ * @param {string} priceId - Stripe price ID of the chosen plan (defaults to STRIPE_PRICE_ID)
  * @returns {Object} - Checkout session data or error
  */
-async function createCheckoutSession(discordId, discordUsername, email = null) {
+async function createCheckoutSession(
+  discordId,
+  discordUsername,
+  email = null,
+  priceId = stripeConfig.priceId
+) {
   try {
     if (!stripe) {
       initStripe();
@@ -51,7 +83,7 @@ async function createCheckoutSession(discordId, discordUsername, email = null) {
       return { success: false, error: "Stripe not initialized" };
     }
 
-    if (!stripeConfig.priceId) {
+    if (!priceId) {
       return { success: false, error: "Stripe price ID not configured" };
     }
 
@@ -60,7 +92,7 @@ async function createCheckoutSession(discordId, discordUsername, email = null) {
       payment_method_types: ["card"],
       line_items: [
         {
-          price: stripeConfig.priceId,
+          price: priceId,
           quantity: 1,
         },
       ],
@@ -98,6 +130,7 @@ async function createCheckoutSession(discordId, discordUsername, email = null) {
       success: true,
       sessionId: session.id,
       url: session.url,
+      expiresAt: new Date(session.expires_at * 1000),
     };
   } catch (error) {
     logger.error(`Error creating checkout session: ${error.message}`);
@@ -108,7 +141,8 @@ async function createCheckoutSession(discordId, discordUsername, email = null) {
 /**
  * Get subscription status from Stripe
  * @param {string} subscriptionId - Stripe subscription ID
- * @returns {Object} - Subscription data or error
+ * @returns {Object} - Subscription data, or { success: false, error,
+ *   notFound } where notFound means Stripe has no such subscription
  */
 async function getSubscriptionStatus(subscriptionId) {
   try {
@@ -128,10 +162,15 @@ async function getSubscriptionStatus(subscriptionId) {
       currentPeriodEnd: new Date(subscription.current_period_end * 1000),
       cancelAtPeriodEnd: subscription.cancel_at_period_end,
       customerId: subscription.customer,
+      priceId: getSubscriptionPriceId(subscription),
     };
   } catch (error) {
     logger.error(`Error getting subscription status: ${error.message}`);
-    return { success: false, error: error.message };
+    return {
+      success: false,
+      error: error.message,
+      notFound: error.statusCode === 404,
+    };
   }
 }
 
@@ -172,6 +211,7 @@ async function getCheckoutSession(sessionId) {
         subscriptionId: subscription.id,
         subscriptionStatus: subscription.status,
         currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+        priceId: getSubscriptionPriceId(subscription),
       };
     }
 
@@ -282,6 +322,108 @@ async function cancelSubscription(subscriptionId, immediately = false) {
   }
 }
 
+/**
+ * Resume a subscription that is set to cancel at period end
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Object} - Result of resumption
+ */
+async function resumeSubscription(subscriptionId) {
+  try {
+    if (!stripe) {
+      initStripe();
+    }
+
+    if (!stripe) {
+      return { success: false, error: "Stripe not initialized" };
+    }
+
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      cancel_at_period_end: false,
+    });
+
+    logger.info(`Subscription ${subscriptionId} resumed (will renew)`);
+
+    return {
+      success: true,
+      status: subscription.status,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+    };
+  } catch (error) {
+    logger.error(`Error resuming subscription: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create a Stripe Customer Portal session
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Object} - Portal session URL or error
+ */
+async function createBillingPortalSession(customerId) {
+  try {
+    if (!stripe) {
+      initStripe();
+    }
+
+    if (!stripe) {
+      return { success: false, error: "Stripe not initialized" };
+    }
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: stripeConfig.billingPortal.returnUrl,
+    });
+
+    logger.info(`Created billing portal session for customer ${customerId}`);
+
+    return { success: true, url: session.url };
+  } catch (error) {
+    logger.error(`Error creating billing portal session: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List a customer's most recent invoices
+ * @param {string} customerId - Stripe customer ID
+ * @param {number} limit - Maximum number of invoices to return
+ * @returns {Object} - { success, invoices } or error
+ */
+async function listCustomerInvoices(customerId, limit = 5) {
+  try {
+    if (!stripe) {
+      initStripe();
+    }
+
+    if (!stripe) {
+      return { success: false, error: "Stripe not initialized" };
+    }
+
+    const invoices = await stripe.invoices.list({
+      customer: customerId,
+      limit,
+    });
+
+    return {
+      success: true,
+      invoices: invoices.data.map((invoice) => ({
+        id: invoice.id,
+        number: invoice.number,
+        status: invoice.status,
+        amountDue: invoice.amount_due,
+        amountPaid: invoice.amount_paid,
+        currency: invoice.currency,
+        created: new Date(invoice.created * 1000),
+        hostedInvoiceUrl: invoice.hosted_invoice_url,
+      })),
+    };
+  } catch (error) {
+    logger.error(`Error listing customer invoices: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Get customer by Discord ID from metadata
  * @param {string} discordId - Discord user ID
@@ -327,52 +469,212 @@ async function getCustomerByDiscordId(discordId) {
 }
 
 /**
- * Get all active subscriptions
- * @returns {Array} - Array of active subscriptions with Discord IDs
+ * Check whether a Stripe error is a rate limit (HTTP 429) error
+ * @param {Error} error - Error thrown by the Stripe client
+ * @returns {boolean} - True if the request was rate limited
  */
-async function getAllActiveSubscriptions() {
-  try {
-    if (!stripe) {
-      initStripe();
+function isRateLimitError(error) {
+  return error?.type === "StripeRateLimitError" || error?.statusCode === 429;
+}
+
+/**
+ * Run a Stripe request, backing off exponentially when rate limited
+ * @param {Function} request - async () => Stripe response
+ * @returns {Promise<Object>} - Stripe response
+ */
+async function withRateLimitBackoff(request) {
+  const { maxRetries, baseDelayMs } = stripeConfig.rateLimit;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!isRateLimitError(error) || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const delay = baseDelayMs * 2 ** attempt;
+      logger.warn(
+        `Stripe rate limit hit, retrying in ${delay}ms (attempt ${
+          attempt + 1
+        }/${maxRetries})`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
     }
+  }
+}
 
-    if (!stripe) {
-      return [];
+/**
+ * Convert a Stripe subscription into the shape used by the sync code
+ * @param {Object} subscription - Stripe subscription object
+ * @returns {Object|null} - Subscription summary, or null if not linked to Discord
+ */
+function toSubscriptionSummary(subscription) {
+  const discordId = subscription.metadata?.discord_id;
+
+  if (!discordId) {
+    return null;
+  }
+
+  return {
+    subscriptionId: subscription.id,
+    discordId,
+    status: subscription.status,
+    currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+    cancelAtPeriodEnd: subscription.cancel_at_period_end,
+    customerId:
+      typeof subscription.customer === "string"
+        ? subscription.customer
+        : subscription.customer?.id,
+    priceId: getSubscriptionPriceId(subscription),
+  };
+}
+
+/**
+ * Iterate over every subscription linked to a Discord user, page by page
+ * @param {Object} options - Listing options
+ * @param {Date} options.createdSince - Only subscriptions created at or after this date
+ * @yields {Object} - Subscription summary (see toSubscriptionSummary)
+ */
+async function* iterateSubscriptions({ createdSince = null } = {}) {
+  if (!stripe) {
+    initStripe();
+  }
+
+  if (!stripe) {
+    return;
+  }
+
+  const params = {
+    status: "all",
+    limit: 100,
+    expand: ["data.customer"],
+  };
+
+  if (createdSince) {
+    params.created = { gte: Math.floor(createdSince.getTime() / 1000) };
+  }
+
+  let hasMore = true;
+  while (hasMore) {
+    const page = await withRateLimitBackoff(() =>
+      stripe.subscriptions.list(params)
+    );
+
+    for (const subscription of page.data) {
+      const summary = toSubscriptionSummary(subscription);
+      if (summary) {
+        yield summary;
+      }
     }
 
-    const subscriptions = await stripe.subscriptions.list({
-      status: "all",
-      limit: 100,
-      expand: ["data.customer"],
-    });
+    hasMore = page.has_more && page.data.length > 0;
+    if (hasMore) {
+      params.starting_after = page.data[page.data.length - 1].id;
+    }
+  }
+}
+
+/**
+ * Iterate over subscriptions that changed since a given date
+ * Stripe can't filter subscriptions by update time, so this walks the
+ * customer.subscription.* events (kept by Stripe for 30 days) and yields the
+ * current state of each subscription they reference.
+ * @param {Date} updatedSince - Only subscriptions changed at or after this date
+ * @yields {Object} - Subscription summary (see toSubscriptionSummary)
+ */
+async function* iterateSubscriptionsUpdatedSince(updatedSince) {
+  if (!stripe) {
+    initStripe();
+  }
 
-    const activeSubscriptions = [];
+  if (!stripe) {
+    return;
+  }
 
-    for (const subscription of subscriptions.data) {
-      const discordId = subscription.metadata?.discord_id;
+  const params = {
+    types: SUBSCRIPTION_EVENT_TYPES,
+    created: { gte: Math.floor(updatedSince.getTime() / 1000) },
+    limit: 100,
+  };
 
-      if (discordId) {
-        activeSubscriptions.push({
-          subscriptionId: subscription.id,
-          discordId,
-          status: subscription.status,
-          currentPeriodEnd: new Date(subscription.current_period_end * 1000),
-          cancelAtPeriodEnd: subscription.cancel_at_period_end,
-          customerId:
-            typeof subscription.customer === "string"
-              ? subscription.customer
-              : subscription.customer?.id,
-        });
+  const seen = new Set();
+  let hasMore = true;
+
+  while (hasMore) {
+    const page = await withRateLimitBackoff(() => stripe.events.list(params));
+
+    for (const event of page.data) {
+      const subscriptionId = event.data?.object?.id;
+      if (!subscriptionId || seen.has(subscriptionId)) {
+        continue;
+      }
+      seen.add(subscriptionId);
+
+      const subscription = await withRateLimitBackoff(() =>
+        stripe.subscriptions.retrieve(subscriptionId)
+      );
+      const summary = toSubscriptionSummary(subscription);
+      if (summary) {
+        yield summary;
       }
     }
 
-    return activeSubscriptions;
+    hasMore = page.has_more && page.data.length > 0;
+    if (hasMore) {
+      params.starting_after = page.data[page.data.length - 1].id;
+    }
+  }
+}
+
+/**
+ * Get all subscriptions linked to a Discord user (all pages)
+ * @param {Object} options - Listing options
+ * @param {Date} options.createdSince - Only subscriptions created at or after this date
+ * @param {Date} options.updatedSince - Only subscriptions changed at or after this date
+ * @returns {Array|null} - Subscription summaries, or null if listing failed
+ */
+async function getAllActiveSubscriptions({
+  createdSince = null,
+  updatedSince = null,
+} = {}) {
+  try {
+    const iterator = updatedSince
+      ? iterateSubscriptionsUpdatedSince(updatedSince)
+      : iterateSubscriptions({ createdSince });
+
+    const subscriptions = [];
+    for await (const subscription of iterator) {
+      subscriptions.push(subscription);
+    }
+
+    return subscriptions;
   } catch (error) {
     logger.error(`Error getting all active subscriptions: ${error.message}`);
-    return [];
+    return null;
   }
 }
 
+/**
+ * Verify a webhook signature and construct the Stripe event
+ * Works offline - only the signing secret is needed, not an API key.
+ * @param {Buffer|string} rawBody - Raw request body exactly as received
+ * @param {string} signature - Value of the Stripe-Signature header
+ * @returns {Object} - Verified Stripe event
+ * @throws {Error} - If the secret is not configured or the signature is invalid
+ */
+function constructWebhookEvent(rawBody, signature) {
+  if (!stripeConfig.webhookSecret) {
+    throw new Error("Stripe webhook secret not configured");
+  }
+
+  return Stripe.webhooks.constructEvent(
+    rawBody,
+    signature,
+    stripeConfig.webhookSecret
+  );
+}
+
 /**
  * Switch Stripe to test mode (uses test keys, test price)
  */
@@ -387,6 +689,8 @@ function switchToTestMode() {
 
   stripeConfig.secretKey = testKey;
   stripeConfig.priceId = testPrice || stripeConfig.priceId;
+  stripeConfig.webhookSecret =
+    process.env.STRIPE_TEST_WEBHOOK_SECRET || stripeConfig.webhookSecret;
   stripe = null; // Force re-initialization
   isTestMode = true;
 
@@ -403,6 +707,7 @@ function switchToTestMode() {
 function switchToLiveMode() {
   stripeConfig.secretKey = process.env.STRIPE_SECRET_KEY;
   stripeConfig.priceId = process.env.STRIPE_PRICE_ID;
+  stripeConfig.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
   stripe = null; // Force re-initialization
   isTestMode = false;
 
@@ -423,13 +728,20 @@ function getIsTestMode() {
 
 module.exports = {
   initStripe,
+  isInitialized,
   createCheckoutSession,
   getSubscriptionStatus,
   getCheckoutSession,
   listRecentCompletedCheckouts,
   cancelSubscription,
+  resumeSubscription,
+  createBillingPortalSession,
+  listCustomerInvoices,
   getCustomerByDiscordId,
   getAllActiveSubscriptions,
+  iterateSubscriptions,
+  iterateSubscriptionsUpdatedSince,
+  constructWebhookEvent,
   switchToTestMode,
   switchToLiveMode,
   getIsTestMode,
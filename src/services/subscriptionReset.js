@@ -2,40 +2,66 @@
  * Subscription Reset Service
  * Manual reset of all verified members via admin command
  * Finds members by Discord role (not DB), DMs them, removes roles, and deletes from DB
+ *
+ * /reset-all only plans the reset (dry run + CSV report). A second
+ * administrator has to approve it before anything is changed, and progress is
+ * recorded per member in reset_run_items so an interrupted run can resume.
  */
 
 const database = require("./database");
 const stripeService = require("./stripeService");
-const ROLES = require("../constants/roles");
-const logger = require("../utils/logger");
+const auditService = require("./auditService");
+const guildConfigService = require("./guildConfigService");
+const lifecycleService = require("./lifecycleService");
+const i18n = require("./i18n");
+const { createSubscriptionResetEmbed } = require("../components/embeds");
+const logger = require("../utils/logger").child({
+  module: "subscriptionReset",
+});
+const metrics = require("../utils/metrics");
 
 let discordClient = null;
 
 const DELAY_BETWEEN_USERS_MS = 2000;
 
-// Member roles that indicate a verified/active user
-const MEMBER_ROLE_IDS = [
-  ROLES.MEMBER,
-  ROLES.ENGLISH_MEMBER,
-  ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
-];
+// How long a dry run can be approved by a second admin (15 minutes)
+const APPROVAL_TTL_MS = 15 * 60 * 1000;
+
+// Reset run currently being executed (one at a time)
+let activeRunId = null;
+
+// Subscription statuses Stripe no longer bills, so there is nothing to cancel
+const ENDED_SUBSCRIPTION_STATUSES = ["canceled", "incomplete_expired"];
+
+// Member roles (guild settings) that indicate a verified/active user
+const MEMBER_ROLES = ["legacyMember", "englishMember", "member"];
+
+/**
+ * Get the IDs of the main server's member roles
+ * @param {Guild} guild - Main guild
+ * @returns {Array<string>}
+ */
+function getMemberRoleIds(guild) {
+  return MEMBER_ROLES.map((name) =>
+    guildConfigService.getRole(guild.id, name)
+  ).filter(Boolean);
+}
 
 /**
  * Initialize the subscription reset service
+ * Resumes approved runs that were interrupted by a restart.
  * @param {Client} client - Discord client
  */
 function init(client) {
   discordClient = client;
+  resumeUnfinishedRuns();
 }
 
 /**
- * Execute the subscription reset
- * Finds all guild members with verified roles, DMs them, removes roles, adds UNVERIFIED, deletes from DB
- * @returns {Object} Result with successCount, errorCount, and totalCount
+ * Get the main guild with its member cache populated
+ * @returns {Guild} - Main guild
  */
-async function executeReset() {
-  logger.info("=== STARTING SUBSCRIPTION RESET ===");
-
+async function getMainGuild() {
   if (!discordClient) {
     throw new Error("Discord client not initialized");
   }
@@ -47,110 +73,338 @@ async function executeReset() {
 
   // Fetch all guild members to ensure cache is populated
   await guild.members.fetch();
+  return guild;
+}
+
+/**
+ * Plan a subscription reset (dry run)
+ * Records every member with a verified role, their Stripe subscription and
+ * DB row, without changing anything. The run must be approved by a second
+ * administrator within APPROVAL_TTL_MS before it can be executed.
+ * @param {string} requestedBy - Discord ID of the admin requesting the reset
+ * @returns {Object} - { runId, items, expiresAt } (runId is null if nobody would be reset)
+ */
+async function planReset(requestedBy) {
+  const unfinished = await database.getUnfinishedResetRuns();
+  if (unfinished.length > 0) {
+    throw new Error(
+      `Reset run #${unfinished[0].id} is still in progress, wait for it to finish`
+    );
+  }
+
+  const guild = await getMainGuild();
+  const memberRoleIds = getMemberRoleIds(guild);
 
   // Find all members who have any of the member roles
   const membersToReset = guild.members.cache.filter((member) =>
-    MEMBER_ROLE_IDS.some((roleId) => member.roles.cache.has(roleId))
+    memberRoleIds.some((roleId) => member.roles.cache.has(roleId))
   );
 
-  const totalCount = membersToReset.size;
-  logger.info(`Found ${totalCount} members with verified roles to reset`);
+  const items = [];
+  for (const [, member] of membersToReset) {
+    const dbUser = await database.getUserByDiscordId(member.id);
 
-  if (totalCount === 0) {
-    logger.info("No verified members found");
-    return { successCount: 0, errorCount: 0, totalCount: 0 };
+    items.push({
+      discordId: member.id,
+      discordUsername: member.user.tag,
+      memberRoles: memberRoleIds.filter((roleId) =>
+        member.roles.cache.has(roleId)
+      ),
+      stripeSubscriptionId: dbUser?.stripe_subscription_id || null,
+      subscriptionStatus: dbUser?.subscription_status || null,
+      hasDbRow: !!dbUser,
+    });
   }
 
-  let successCount = 0;
-  let errorCount = 0;
+  logger.info(
+    `Reset dry run by ${requestedBy}: ${items.length} members with verified roles`
+  );
 
-  const unverifiedRole = guild.roles.cache.get(ROLES.UNVERIFIED);
+  if (items.length === 0) {
+    return { runId: null, items, expiresAt: null };
+  }
 
-  for (const [, member] of membersToReset) {
-    try {
+  const expiresAt = new Date(Date.now() + APPROVAL_TTL_MS);
+  const runId = await database.createResetRun({
+    requestedBy,
+    expiresAt,
+    items,
+  });
+
+  if (!runId) {
+    throw new Error("Could not save reset run to database");
+  }
+
+  return { runId, items, expiresAt };
+}
+
+/**
+ * Approve a planned reset run
+ * @param {number} runId - Reset run ID
+ * @param {string} approverId - Discord ID of the approving admin
+ * @returns {Object} - { success, error }
+ */
+async function approveReset(runId, approverId) {
+  const run = await database.getResetRun(runId);
+
+  if (!run) {
+    return { success: false, error: "Reset run not found." };
+  }
+
+  if (run.status !== "planned") {
+    return { success: false, error: `Reset run is already ${run.status}.` };
+  }
+
+  if (new Date(run.expires_at).getTime() <= Date.now()) {
+    await database.updateResetRunStatus(runId, "expired", "planned");
+    return {
+      success: false,
+      error: "The approval window has expired. Run /reset-all again.",
+    };
+  }
+
+  if (run.requested_by === approverId) {
+    return {
+      success: false,
+      error: "A second administrator must approve this reset.",
+    };
+  }
+
+  const approved = await database.approveResetRun(runId, approverId);
+  if (!approved) {
+    return { success: false, error: "Reset run could not be approved." };
+  }
+
+  logger.info(`Reset run #${runId} approved by ${approverId}`);
+  return { success: true };
+}
+
+/**
+ * Cancel a planned reset run
+ * @param {number} runId - Reset run ID
+ * @param {string} userId - Discord ID of the admin cancelling
+ * @returns {boolean} - True if the run was cancelled
+ */
+async function cancelReset(runId, userId) {
+  const cancelled = await database.updateResetRunStatus(
+    runId,
+    "cancelled",
+    "planned"
+  );
+
+  if (cancelled) {
+    logger.info(`Reset run #${runId} cancelled by ${userId}`);
+  }
+  return cancelled;
+}
+
+/**
+ * Execute an approved reset run
+ * Members are processed in order and each outcome is recorded, so an
+ * interrupted run continues with the members that are still pending.
+ * @param {number} runId - Reset run ID
+ * @returns {Object} Result with successCount, errorCount, and totalCount, or
+ *   { interrupted: true } if a shutdown stopped it
+ */
+async function executeRun(runId) {
+  if (activeRunId) {
+    throw new Error(`Reset run #${activeRunId} is already running`);
+  }
+
+  const run = await database.getResetRun(runId);
+  if (!run || !["approved", "running"].includes(run.status)) {
+    throw new Error(`Reset run #${runId} is not approved`);
+  }
+
+  activeRunId = runId;
+
+  try {
+    logger.info(`=== STARTING SUBSCRIPTION RESET (run #${runId}) ===`);
+    await database.updateResetRunStatus(runId, "running");
+
+    const guild = await getMainGuild();
+    const unverifiedRoleId = guildConfigService.getRole(guild.id, "unverified");
+    const unverifiedRole = guild.roles.cache.get(unverifiedRoleId);
+    const pendingItems = await database.getResetRunItems(runId, "pending");
+
+    if (pendingItems.length < run.total_count) {
       logger.info(
-        `Processing reset for ${member.user.tag} (${member.id})`
+        `Resuming reset run #${runId}: ${pendingItems.length} of ${run.total_count} members left`
       );
+    }
+
+    for (const [index, item] of pendingItems.entries()) {
+      // Stop between members on shutdown; the run stays "running" and
+      // continues with the pending members on the next boot
+      if (lifecycleService.isShuttingDown()) {
+        lifecycleService.markInterrupted("reset_run", {
+          runId,
+          remaining: pendingItems.length - index,
+        });
+        return { interrupted: true };
+      }
 
-      // 1. Cancel Stripe subscription if user exists in DB
       try {
-        const dbUser = await database.getUserByDiscordId(member.id);
-        if (dbUser && dbUser.stripe_subscription_id) {
-          try {
-            await stripeService.cancelSubscription(
-              dbUser.stripe_subscription_id,
-              true
-            );
-            logger.info(
-              `Cancelled Stripe subscription ${dbUser.stripe_subscription_id} for ${member.user.tag}`
-            );
-          } catch (stripeError) {
-            logger.error(
-              `Failed to cancel Stripe sub for ${member.user.tag}: ${stripeError.message}`
-            );
-          }
-        }
-      } catch (dbLookupError) {
+        logger.info(
+          `Processing reset for ${item.discord_username} (${item.discord_id})`
+        );
+        await resetMember(guild, item, unverifiedRole);
+        await database.updateResetRunItem(item.id, "done");
+        await auditService.record({
+          actorId: run.approved_by,
+          targetId: item.discord_id,
+          action: auditService.ACTIONS.MEMBER_RESET,
+          before: {
+            roles: item.member_roles ? item.member_roles.split(",") : [],
+            stripeSubscriptionId: item.stripe_subscription_id,
+            subscriptionStatus: item.subscription_status,
+            hasDbRow: !!item.has_db_row,
+          },
+          after: {
+            roles: unverifiedRoleId ? [unverifiedRoleId] : [],
+            stripeSubscriptionId: null,
+            hasDbRow: false,
+          },
+          reason: `reset run #${runId} requested by ${run.requested_by}`,
+        });
+      } catch (userError) {
         logger.error(
-          `Failed DB lookup for ${member.user.tag}: ${dbLookupError.message}`
+          `Error processing reset for ${item.discord_username}: ${userError.message}`
         );
+        await database.updateResetRunItem(item.id, "failed", userError.message);
       }
 
-      // 2. Remove all member roles
-      for (const roleId of MEMBER_ROLE_IDS) {
-        if (member.roles.cache.has(roleId)) {
-          const role = guild.roles.cache.get(roleId);
-          if (role) {
-            await member.roles.remove(role);
-            logger.info(`Removed ${role.name} role from ${member.user.tag}`);
-          }
-        }
-      }
+      // Rate limiting delay between users
+      await new Promise((resolve) =>
+        setTimeout(resolve, DELAY_BETWEEN_USERS_MS)
+      );
+    }
 
-      // 3. Add UNVERIFIED role back
-      if (unverifiedRole && !member.roles.cache.has(ROLES.UNVERIFIED)) {
-        await member.roles.add(unverifiedRole);
-        logger.info(`Added unverified role to ${member.user.tag}`);
-      }
+    await database.updateResetRunStatus(runId, "completed");
 
-      // 4. Delete user from DB if they exist
-      try {
-        await database.deleteUser(member.id);
-        logger.info(`Deleted DB entry for ${member.user.tag}`);
-      } catch (dbError) {
-        logger.error(
-          `Failed to delete DB entry for ${member.user.tag}: ${dbError.message}`
-        );
-      }
+    const items = await database.getResetRunItems(runId);
+    const successCount = items.filter((i) => i.status === "done").length;
+    const errorCount = items.filter((i) => i.status === "failed").length;
+    const totalCount = items.length;
 
-      // 5. Send DM notification
-      try {
-        await sendResetNotificationDM(member.id);
-        logger.info(`Sent reset DM to ${member.user.tag}`);
-      } catch (dmError) {
-        logger.error(
-          `Failed to send DM to ${member.user.tag}: ${dmError.message}`
-        );
-      }
+    logger.info(`=== SUBSCRIPTION RESET COMPLETED (run #${runId}) ===`);
+    logger.info(
+      `Results: ${successCount} successful, ${errorCount} errors out of ${totalCount} users`
+    );
+
+    return { successCount, errorCount, totalCount };
+  } finally {
+    activeRunId = null;
+  }
+}
 
-      successCount++;
-    } catch (userError) {
-      errorCount++;
-      logger.error(
-        `Error processing reset for ${member.user.tag}: ${userError.message}`
+/**
+ * Reset a single member recorded in a reset run
+ * Cancels their Stripe subscription, swaps member roles for UNVERIFIED,
+ * deletes their DB row and DMs them. Purchases stay enrolled on Seolaxy, so
+ * members cannot register again with their old invoice: a reset forces them
+ * to subscribe.
+ * @param {Guild} guild - Main guild
+ * @param {Object} item - Reset run item
+ * @param {Role} unverifiedRole - Unverified role
+ * @throws {Error} - If the Stripe subscription could not be cancelled and
+ *   has not ended
+ */
+async function resetMember(guild, item, unverifiedRole) {
+  // 1. Cancel Stripe subscription recorded in the dry run. If that fails
+  // and Stripe does not report it ended already, stop here: the member would
+  // keep being billed, and the DB row is the only local record of the
+  // subscription (the item is marked failed)
+  if (
+    item.stripe_subscription_id &&
+    !ENDED_SUBSCRIPTION_STATUSES.includes(item.subscription_status)
+  ) {
+    const result = await stripeService.cancelSubscription(
+      item.stripe_subscription_id,
+      true
+    );
+    if (result.success) {
+      logger.info(
+        `Cancelled Stripe subscription ${item.stripe_subscription_id} for ${item.discord_username}`
+      );
+    } else if (await hasSubscriptionEnded(item.stripe_subscription_id)) {
+      // Stale dry-run status, or a run interrupted after the cancel
+      logger.info(
+        `Stripe subscription ${item.stripe_subscription_id} of ${item.discord_username} had already ended`
+      );
+    } else {
+      throw new Error(
+        `Could not cancel Stripe subscription ${item.stripe_subscription_id}: ${result.error}`
       );
     }
+  }
 
-    // Rate limiting delay between users
-    await new Promise((resolve) => setTimeout(resolve, DELAY_BETWEEN_USERS_MS));
+  // 2. Remove all member roles and 3. add UNVERIFIED back (if still in the server)
+  const member = await guild.members.fetch(item.discord_id).catch(() => null);
+  if (member) {
+    for (const roleId of getMemberRoleIds(guild)) {
+      if (member.roles.cache.has(roleId)) {
+        const role = guild.roles.cache.get(roleId);
+        if (role) {
+          await member.roles.remove(role);
+          logger.info(`Removed ${role.name} role from ${member.user.tag}`);
+        }
+      }
+    }
+
+    if (unverifiedRole && !member.roles.cache.has(unverifiedRole.id)) {
+      await member.roles.add(unverifiedRole);
+      logger.info(`Added unverified role to ${member.user.tag}`);
+    }
+  } else {
+    logger.warn(`${item.discord_username} left the server, skipping roles`);
   }
 
-  logger.info("=== SUBSCRIPTION RESET COMPLETED ===");
-  logger.info(
-    `Results: ${successCount} successful, ${errorCount} errors out of ${totalCount} users`
-  );
+  // 4. Delete user from DB if they exist
+  if (item.has_db_row) {
+    await database.deleteUser(item.discord_id);
+    logger.info(`Deleted DB entry for ${item.discord_username}`);
+  }
+
+  // 5. Send DM notification
+  await sendResetNotificationDM(item.discord_id);
+}
+
+/**
+ * Check Stripe for whether a subscription has already ended
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {boolean} - True if it is canceled, expired or no longer exists
+ */
+async function hasSubscriptionEnded(subscriptionId) {
+  const result = await stripeService.getSubscriptionStatus(subscriptionId);
+  if (!result.success) {
+    return result.notFound;
+  }
+  return ENDED_SUBSCRIPTION_STATUSES.includes(result.status);
+}
+
+/**
+ * Resume approved reset runs that were interrupted by a restart
+ */
+async function resumeUnfinishedRuns() {
+  try {
+    const runs = await database.getUnfinishedResetRuns();
+
+    for (const run of runs) {
+      logger.warn(`Resuming interrupted reset run #${run.id}`);
+      await lifecycleService.trackJob("reset_run", () => executeRun(run.id));
+    }
+  } catch (error) {
+    logger.error(`Error resuming reset runs: ${error.message}`);
+  }
+}
 
-  return { successCount, errorCount, totalCount };
+/**
+ * Check whether a reset run is currently executing
+ * @returns {boolean}
+ */
+function isRunning() {
+  return activeRunId !== null;
 }
 
 /**
@@ -170,29 +424,21 @@ async function sendResetNotificationDM(discordId) {
       return;
     }
 
-    await user.send({
-      embeds: [
-        {
-          title: "Pretplata resetovana",
-          description:
-            "Tvoja pretplata na Seolaxy mentorship je zavrsena.\n\n" +
-            "Zbog prelaska na novi sistem pretplata, potrebno je da se ponovo pretplatis.\n\n" +
-            "Idi na kanal za prijavu na serveru i klikni na **Subscribe** dugme kako bi nastavio/la sa pristupom.\n\n" +
-            "Hvala na razumijevanju! 💙",
-          color: 0x5865f2,
-          footer: {
-            text: "Seolaxy Mentorship",
-          },
-        },
-      ],
-    });
+    const locale = await i18n.getUserLocale(discordClient, discordId);
+    await user.send({ embeds: [createSubscriptionResetEmbed(locale)] });
   } catch (error) {
     // User may have DMs disabled
     logger.warn(`Could not send reset DM to ${discordId}: ${error.message}`);
+    metrics.increment("dms_failed_total", { type: "subscription_reset" });
   }
 }
 
 module.exports = {
   init,
-  executeReset,
+  planReset,
+  approveReset,
+  cancelReset,
+  executeRun,
+  isRunning,
+  APPROVAL_TTL_MS,
 };
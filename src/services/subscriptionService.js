@@ -2,24 +2,47 @@
  * Subscription Polling Service
  * Handles subscription status monitoring and role management
  *
- * Dual-mode polling system:
+ * Stripe webhooks (see handleStripeEvent) deliver changes as they happen.
+ * Polling is kept as a safety net for missed or delayed events:
  * - Normal mode: Polls every 60 minutes for all active subscriptions
- * - Fast mode: Polls every 15 seconds for 20 minutes after checkout URL generated
+ * - Fast mode: Polls every 15 seconds while checkout sessions are pending
+ *   (every 60 seconds when webhooks are configured)
+ *
+ * Pending checkouts are stored in the pending_checkouts table, so fast polling
+ * resumes after a restart instead of waiting for the next hourly check.
  */
 
 const stripeService = require("./stripeService");
 const database = require("./database");
-const logger = require("../utils/logger");
+const dunningService = require("./dunningService");
+const planService = require("./planService");
+const auditService = require("./auditService");
+const manualAccessService = require("./manualAccessService");
+const guildConfigService = require("./guildConfigService");
+const lifecycleService = require("./lifecycleService");
+const i18n = require("./i18n");
+const logger = require("../utils/logger").child({
+  module: "subscriptionService",
+});
+const metrics = require("../utils/metrics");
 const stripeConfig = require("../config/stripe");
-const ROLES = require("../constants/roles");
 const CHANNELS = require("../constants/channels");
+const { createSubscribeButton } = require("../components/buttons");
 
 // Polling state
 let normalPollingInterval = null;
 let fastPollingInterval = null;
 
-// Pending checkouts tracking: Map<discordId, { sessionId, createdAt }>
-const pendingCheckouts = new Map();
+// Member roles from before subscriptions (guild settings), removed when
+// access ends
+const LEGACY_MEMBER_ROLES = ["legacyMember", "englishMember"];
+
+// bot_state keys for incremental subscription checks
+const SYNC_CURSOR_KEY = "stripe_sync_cursor";
+const LAST_FULL_SYNC_KEY = "stripe_last_full_sync";
+
+// When a Stripe sync last completed (reported by /readyz)
+let lastSuccessfulSyncAt = null;
 
 // Reference to Discord client (set during initialization)
 let discordClient = null;
@@ -28,9 +51,17 @@ let discordClient = null;
  * Initialize the subscription service
  * @param {Object} client - Discord client instance
  */
-function init(client) {
+async function init(client) {
   discordClient = client;
   stripeService.initStripe();
+
+  // Resume fast polling for checkouts that were pending before a restart
+  const pending = await database.getPendingCheckouts();
+  if (pending.length > 0) {
+    logger.info(`Resuming fast polling for ${pending.length} pending checkouts`);
+    startFastPolling();
+  }
+
   logger.info("Subscription service initialized");
 }
 
@@ -43,12 +74,13 @@ function startPolling() {
     return;
   }
 
-  // Run immediately on start
-  checkAllSubscriptions();
-
-  // Then run every 60 minutes
+  // Run immediately on start, then every 60 minutes (tracked, so a
+  // shutdown waits for a check in progress)
+  const runCheck = () =>
+    lifecycleService.trackJob("subscription_check", checkAllSubscriptions);
+  runCheck();
   normalPollingInterval = setInterval(
-    checkAllSubscriptions,
+    runCheck,
     stripeConfig.polling.normalInterval
   );
 
@@ -74,21 +106,47 @@ function stopPolling() {
     fastPollingInterval = null;
     logger.info("Stopped fast subscription polling");
   }
+}
 
-  pendingCheckouts.clear();
+/**
+ * Create a checkout session for a user and start fast polling for its payment
+ * @param {string} discordId - Discord user ID
+ * @param {string} discordUsername - Discord username
+ * @param {string} email - User email (optional, for prefill)
+ * @param {string} priceId - Stripe price ID of the chosen plan (optional)
+ * @returns {Object} - Checkout session data or error (see stripeService.createCheckoutSession)
+ */
+async function startCheckout(discordId, discordUsername, email, priceId) {
+  const checkoutResult = await stripeService.createCheckoutSession(
+    discordId,
+    discordUsername,
+    email,
+    priceId
+  );
+
+  if (checkoutResult.success) {
+    metrics.increment("checkouts_created_total");
+    await triggerFastPolling(
+      discordId,
+      checkoutResult.sessionId,
+      checkoutResult.expiresAt
+    );
+  }
+
+  return checkoutResult;
 }
 
 /**
  * Trigger fast polling for a specific user after checkout URL generation
  * @param {string} discordId - Discord user ID
  * @param {string} sessionId - Stripe checkout session ID
+ * @param {Date} expiresAt - When the checkout session expires
  */
-function triggerFastPolling(discordId, sessionId) {
-  // Add to pending checkouts
-  pendingCheckouts.set(discordId, {
-    sessionId,
-    createdAt: Date.now(),
-  });
+async function triggerFastPolling(discordId, sessionId, expiresAt) {
+  const expiry =
+    expiresAt || new Date(Date.now() + stripeConfig.polling.fastDuration);
+
+  await database.savePendingCheckout(discordId, sessionId, expiry);
 
   logger.info(
     `Added Discord user ${discordId} to fast polling queue (session: ${sessionId})`
@@ -109,31 +167,36 @@ function startFastPolling() {
   }
 
   // Run immediately
-  checkPendingCheckouts();
+  const runCheck = () =>
+    lifecycleService.trackJob("pending_checkouts", checkPendingCheckouts);
+  runCheck();
 
-  // Then run every minute
-  fastPollingInterval = setInterval(
-    checkPendingCheckouts,
-    stripeConfig.polling.fastInterval
-  );
+  // Webhooks deliver checkout completion directly, so poll less often when enabled
+  const interval = stripeConfig.webhookSecret
+    ? stripeConfig.polling.webhookFastInterval
+    : stripeConfig.polling.fastInterval;
 
-  logger.info(
-    `Started fast subscription polling (every ${
-      stripeConfig.polling.fastInterval / 1000
-    }s)`
-  );
+  fastPollingInterval = setInterval(runCheck, interval);
+
+  logger.info(`Started fast subscription polling (every ${interval / 1000}s)`);
 }
 
 /**
  * Stop fast polling for a specific user
  * @param {string} discordId - Discord user ID
+ * @param {string} status - Final checkout status ('completed' or 'expired')
  */
-function stopFastPolling(discordId) {
-  pendingCheckouts.delete(discordId);
-  logger.info(`Removed Discord user ${discordId} from fast polling queue`);
+async function stopFastPolling(discordId, status = "completed") {
+  const closed = await database.closePendingCheckouts(discordId, status);
+  if (closed > 0) {
+    logger.info(
+      `Removed Discord user ${discordId} from fast polling queue (${status})`
+    );
+  }
 
   // Stop fast polling if no more pending checkouts
-  if (pendingCheckouts.size === 0 && fastPollingInterval) {
+  const remaining = await database.getPendingCheckouts();
+  if (remaining.length === 0 && fastPollingInterval) {
     clearInterval(fastPollingInterval);
     fastPollingInterval = null;
     logger.info("Stopped fast polling - no more pending checkouts");
@@ -144,59 +207,148 @@ function stopFastPolling(discordId) {
  * Check pending checkouts (fast polling)
  */
 async function checkPendingCheckouts() {
-  if (pendingCheckouts.size === 0) {
+  const pending = await database.getPendingCheckouts();
+
+  if (pending.length === 0) {
+    if (fastPollingInterval) {
+      clearInterval(fastPollingInterval);
+      fastPollingInterval = null;
+      logger.info("Stopped fast polling - no more pending checkouts");
+    }
     return;
   }
 
-  logger.debug(`Checking ${pendingCheckouts.size} pending checkouts`);
+  logger.debug(`Checking ${pending.length} pending checkouts`);
 
+  const stopTimer = metrics.startTimer("poll_duration_seconds", {
+    job: "pending_checkouts",
+  });
   const now = Date.now();
-  const expiredUsers = [];
 
-  for (const [discordId, checkoutData] of pendingCheckouts.entries()) {
-    const { sessionId, createdAt } = checkoutData;
+  for (const checkout of pending) {
+    // Checkouts stay in pending_checkouts, so the next boot polls the rest
+    if (lifecycleService.isShuttingDown()) break;
 
-    // Check if fast polling duration exceeded
-    if (now - createdAt > stripeConfig.polling.fastDuration) {
-      const durationMinutes = stripeConfig.polling.fastDuration / 60000;
-      logger.info(
-        `Fast polling expired for Discord user ${discordId} after ${durationMinutes} minutes`
+    const discordId = checkout.discord_id;
+    const sessionId = checkout.session_id;
+
+    try {
+      // Check the checkout session status
+      const sessionResult = await stripeService.getCheckoutSession(sessionId);
+
+      if (sessionResult.success && sessionResult.paid) {
+        logger.info(
+          `Payment detected for Discord user ${discordId} - processing subscription`
+        );
+
+        // Process the new subscription, and keep polling if it was not saved
+        if (await processNewSubscription(sessionResult)) {
+          await stopFastPolling(discordId, "completed");
+        }
+        continue;
+      }
+
+      // Checked after the session so a last-minute payment is not missed
+      if (now >= new Date(checkout.expires_at).getTime()) {
+        logger.info(
+          `Checkout session ${sessionId} for Discord user ${discordId} expired unpaid`
+        );
+        await stopFastPolling(discordId, "expired");
+
+        if (stripeConfig.checkout.notifyOnExpiry) {
+          await sendCheckoutExpiredDM(discordId);
+        }
+      }
+    } catch (error) {
+      logger.error(
+        `Error checking pending checkout ${sessionId}: ${error.message}`
       );
-      expiredUsers.push(discordId);
-      continue;
     }
+  }
 
-    // Check the checkout session status
-    const sessionResult = await stripeService.getCheckoutSession(sessionId);
+  stopTimer();
+}
 
-    if (sessionResult.success && sessionResult.paid) {
-      logger.info(
-        `Payment detected for Discord user ${discordId} - processing subscription`
-      );
+/**
+ * Get the date to fetch subscription changes from for an incremental check
+ * @returns {Date|null} - Cursor date, or null if a full listing is due
+ */
+async function getIncrementalSyncCursor() {
+  if (!stripeConfig.polling.incrementalSync) {
+    return null;
+  }
 
-      // Process the new subscription
-      await processNewSubscription(sessionResult);
+  const lastFullSync = Number(await database.getResetFlag(LAST_FULL_SYNC_KEY));
+  const cursor = Number(await database.getResetFlag(SYNC_CURSOR_KEY));
 
-      // Remove from fast polling
-      expiredUsers.push(discordId);
-    }
+  if (!lastFullSync || !cursor) {
+    return null;
   }
 
-  // Clean up expired/processed users
-  for (const discordId of expiredUsers) {
-    stopFastPolling(discordId);
+  if (Date.now() - lastFullSync >= stripeConfig.polling.fullSyncInterval) {
+    return null;
   }
+
+  return new Date(cursor);
+}
+
+/**
+ * Record a successful sync so the next check only fetches newer changes
+ * @param {Date} startedAt - When the sync started fetching from Stripe
+ * @param {boolean} fullSync - Whether all subscriptions were listed
+ */
+async function saveSyncCursor(startedAt, fullSync) {
+  await database.setResetFlag(SYNC_CURSOR_KEY, String(startedAt.getTime()));
+
+  if (fullSync) {
+    await database.setResetFlag(LAST_FULL_SYNC_KEY, String(startedAt.getTime()));
+  }
+
+  lastSuccessfulSyncAt = new Date();
+  metrics.setGauge(
+    "last_successful_sync_timestamp_seconds",
+    Math.floor(lastSuccessfulSyncAt.getTime() / 1000)
+  );
+}
+
+/**
+ * Get when a Stripe sync (startup sync or hourly check) last completed
+ * @returns {Date|null} - Completion time, or null if none has completed yet
+ */
+function getLastSuccessfulSync() {
+  return lastSuccessfulSyncAt;
 }
 
 /**
  * Check all active subscriptions (normal polling)
+ * Only subscriptions changed since the previous check are fetched, with a
+ * full listing every stripeConfig.polling.fullSyncInterval.
  */
 async function checkAllSubscriptions() {
   logger.info("Running subscription status check...");
 
+  // Stopped in finally, so failed and interrupted checks are timed too
+  let stopTimer = null;
   try {
-    // Get all Stripe subscriptions
-    const stripeSubscriptions = await stripeService.getAllActiveSubscriptions();
+    const startedAt = new Date();
+    const updatedSince = await getIncrementalSyncCursor();
+    stopTimer = metrics.startTimer("poll_duration_seconds", {
+      job: updatedSince ? "incremental_check" : "full_check",
+    });
+
+    // Get Stripe subscriptions (all, or only those changed since the last check)
+    const stripeResult = await stripeService.getAllActiveSubscriptions({
+      updatedSince,
+    });
+    const stripeSubscriptions = stripeResult || [];
+
+    if (updatedSince) {
+      logger.debug(
+        `Incremental check: ${
+          stripeSubscriptions.length
+        } subscriptions changed since ${updatedSince.toISOString()}`
+      );
+    }
 
     // Get all users from database
     const dbUsers = await database.fetchAllUsers();
@@ -206,12 +358,20 @@ async function checkAllSubscriptions() {
 
     // Process Stripe subscriptions
     for (const stripeSub of stripeSubscriptions) {
+      // Stop between members on shutdown. The sync cursor is not advanced,
+      // so the next check sees these changes again.
+      if (lifecycleService.isShuttingDown()) {
+        lifecycleService.markInterrupted("subscription_check");
+        return;
+      }
+
       const {
         discordId,
         status,
         subscriptionId,
         currentPeriodEnd,
         customerId,
+        priceId,
       } = stripeSub;
 
       const dbUser = dbUserMap.get(discordId);
@@ -228,11 +388,22 @@ async function checkAllSubscriptions() {
           customerId,
           subscriptionId,
           status,
-          currentPeriodEnd
+          currentPeriodEnd,
+          priceId
         );
         continue;
       }
 
+      // Ignore ended subscriptions the user has since replaced with a new one
+      if (
+        dbUser.stripe_subscription_id &&
+        dbUser.stripe_subscription_id !== subscriptionId &&
+        status !== "active" &&
+        status !== "trialing"
+      ) {
+        continue;
+      }
+
       // Check if user has no subscription info but has a Stripe subscription
       if (!dbUser.stripe_subscription_id && subscriptionId) {
         logger.info(
@@ -241,13 +412,14 @@ async function checkAllSubscriptions() {
         await database.updateUserSubscription(discordId, {
           stripeCustomerId: customerId,
           stripeSubscriptionId: subscriptionId,
+          stripePriceId: priceId,
           subscriptionStatus: status,
           subscriptionEndsAt: currentPeriodEnd,
         });
 
         // Ensure they have roles
         if (status === "active") {
-          await assignSubscriptionRoles(discordId);
+          await assignSubscriptionRoles(discordId, priceId);
         }
         continue;
       }
@@ -262,27 +434,46 @@ async function checkAllSubscriptions() {
           discordId,
           dbUser,
           status,
-          currentPeriodEnd
+          currentPeriodEnd,
+          priceId
         );
+      } else {
+        await handlePlanChange(discordId, dbUser, stripeSub);
       }
     }
 
+    // Send past_due reminders and revoke access when the grace period expires
+    await dunningService.processDunning();
+
     // Check for legacy users with expiring grace period
     await checkLegacyUserExpiry();
 
+    // Close expired /grant access (roles stay if a subscription covers them)
+    await manualAccessService.processExpiredGrants();
+
     // Revoke access for DB users whose Stripe subscription is no longer valid
-    // (catches canceled/unpaid/missing subs we didn't see in the list, e.g. list limit)
-    await revokeExpiredSubscriptions(dbUsers, stripeSubscriptions);
+    // (catches canceled/unpaid/missing subs we didn't see in the list).
+    // Incremental checks skip this: cancellations show up as changes.
+    if (!updatedSince) {
+      await revokeExpiredSubscriptions(dbUsers, stripeSubscriptions);
+    }
+
+    // Don't advance the cursor past changes we failed to fetch
+    if (stripeResult) {
+      await saveSyncCursor(startedAt, !updatedSince);
+    }
 
     logger.info("Subscription status check completed");
   } catch (error) {
     logger.error(`Error in subscription check: ${error.message}`);
+  } finally {
+    stopTimer?.();
   }
 }
 
 /**
  * Revoke access for users in DB who have active/trialing but their Stripe subscription
- * is canceled, unpaid, or no longer exists (e.g. not in list due to limit, or deleted).
+ * is canceled, unpaid, or no longer exists (e.g. deleted).
  * @param {Array} dbUsers - All users from database
  * @param {Array} stripeSubscriptions - Subscriptions returned from Stripe list
  */
@@ -321,8 +512,12 @@ async function revokeExpiredSubscriptions(dbUsers, stripeSubscriptions) {
         subscriptionStatus: status,
         subscriptionEndsAt: result.currentPeriodEnd || new Date(),
       });
-      await removeSubscriptionRoles(discordId);
-      await sendSubscriptionEndedDM(discordId, status);
+      const rolesRemoved = await removeSubscriptionRoles(discordId, {
+        reason: `subscription ${status}`,
+      });
+      if (rolesRemoved) {
+        await sendSubscriptionEndedDM(discordId, status);
+      }
     }
   }
 }
@@ -335,13 +530,15 @@ async function revokeExpiredSubscriptions(dbUsers, stripeSubscriptions) {
  * @param {string} subscriptionId - Stripe subscription ID
  * @param {string} status - Subscription status
  * @param {Date} currentPeriodEnd - Subscription period end date
+ * @param {string} priceId - Stripe price ID of the subscription's plan
  */
 async function syncStripeSubscriber(
   discordId,
   customerId,
   subscriptionId,
   status,
-  currentPeriodEnd
+  currentPeriodEnd,
+  priceId = null
 ) {
   try {
     // Fetch Discord user info
@@ -362,13 +559,14 @@ async function syncStripeSubscriber(
       projectName: null,
       stripeCustomerId: customerId,
       stripeSubscriptionId: subscriptionId,
+      stripePriceId: priceId,
       subscriptionStatus: status,
       subscriptionEndsAt: currentPeriodEnd,
     });
 
     // Assign roles if active
     if (status === "active") {
-      await assignSubscriptionRoles(discordId);
+      await assignSubscriptionRoles(discordId, priceId);
       await sendSubscriptionWelcomeDM(discordId);
     }
 
@@ -381,6 +579,7 @@ async function syncStripeSubscriber(
 /**
  * Process a new subscription after successful payment
  * @param {Object} sessionData - Checkout session data
+ * @returns {boolean} - True if the subscription was saved
  */
 async function processNewSubscription(sessionData) {
   const {
@@ -390,17 +589,33 @@ async function processNewSubscription(sessionData) {
     subscriptionId,
     subscriptionStatus,
     currentPeriodEnd,
+    priceId,
   } = sessionData;
 
   try {
     // Check if user already exists in database
-    let user = await database.getUserByDiscordId(discordId);
+    const user = await database.getUserByDiscordId(discordId);
+
+    // Webhook and fast polling can both report the same checkout
+    if (
+      user &&
+      user.stripe_subscription_id === subscriptionId &&
+      user.subscription_status === subscriptionStatus
+    ) {
+      logger.info(
+        `Subscription ${subscriptionId} for ${discordId} already processed - ensuring roles only`
+      );
+      await assignSubscriptionRoles(discordId, priceId);
+      return true;
+    }
 
+    let saved;
     if (user) {
       // Update existing user with subscription info
-      await database.updateUserSubscription(discordId, {
+      saved = await database.updateUserSubscription(discordId, {
         stripeCustomerId: customerId,
         stripeSubscriptionId: subscriptionId,
+        stripePriceId: priceId,
         subscriptionStatus: subscriptionStatus,
         subscriptionEndsAt: currentPeriodEnd,
       });
@@ -409,7 +624,7 @@ async function processNewSubscription(sessionData) {
       const discordUser = await fetchDiscordUser(discordId);
 
       // Create new user with subscription info
-      await database.saveSubscriptionUser({
+      saved = await database.saveSubscriptionUser({
         discordId,
         discordUsername: discordUser?.tag || `User#${discordId}`,
         firstName: "",
@@ -418,13 +633,20 @@ async function processNewSubscription(sessionData) {
         projectName: null,
         stripeCustomerId: customerId,
         stripeSubscriptionId: subscriptionId,
+        stripePriceId: priceId,
         subscriptionStatus: subscriptionStatus,
         subscriptionEndsAt: currentPeriodEnd,
       });
     }
+    if (!saved) {
+      throw new Error(`Could not save subscription ${subscriptionId}`);
+    }
+
+    // A new subscription ends any grace period from a previous one
+    await dunningService.resolveDunning(discordId);
 
-    // Assign access roles
-    await assignSubscriptionRoles(discordId);
+    // Assign access roles for the purchased plan
+    await assignSubscriptionRoles(discordId, priceId);
 
     // Send welcome DM
     await sendSubscriptionWelcomeDM(discordId);
@@ -432,8 +654,235 @@ async function processNewSubscription(sessionData) {
     logger.info(
       `Successfully processed new subscription for Discord user ${discordId}`
     );
+    return true;
   } catch (error) {
     logger.error(`Error processing new subscription: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Handle a verified Stripe webhook event
+ * Routes the event into the same logic used by the pollers. Errors are
+ * re-thrown so the webhook responds with a failure and Stripe retries.
+ * @param {Object} event - Verified Stripe event
+ * @returns {boolean} - True if the event type is handled
+ */
+async function handleStripeEvent(event) {
+  logger.info(`Received Stripe event ${event.id} (${event.type})`);
+
+  switch (event.type) {
+    case "checkout.session.completed":
+      await handleCheckoutCompletedEvent(event.data.object);
+      return true;
+
+    case "customer.subscription.updated":
+    case "customer.subscription.deleted":
+      await handleSubscriptionEvent(
+        event.data.object,
+        event.type === "customer.subscription.deleted"
+      );
+      return true;
+
+    case "invoice.payment_failed":
+      await handleInvoicePaymentFailedEvent(event.data.object);
+      return true;
+
+    default:
+      logger.debug(`Ignoring unhandled Stripe event type ${event.type}`);
+      return false;
+  }
+}
+
+/**
+ * Handle checkout.session.completed webhook event
+ * @param {Object} session - Stripe checkout session object
+ */
+async function handleCheckoutCompletedEvent(session) {
+  const discordId = session.client_reference_id;
+
+  if (session.mode !== "subscription" || !discordId) {
+    logger.debug(`Ignoring checkout session ${session.id} (not a bot checkout)`);
+    return;
+  }
+
+  // Re-fetch with the subscription expanded so webhook and polling share one shape
+  const sessionResult = await stripeService.getCheckoutSession(session.id);
+
+  if (!sessionResult.success) {
+    throw new Error(
+      `Could not load checkout session ${session.id}: ${sessionResult.error}`
+    );
+  }
+
+  if (!sessionResult.paid) {
+    logger.info(
+      `Checkout session ${session.id} completed but not paid yet (${sessionResult.status})`
+    );
+    return;
+  }
+
+  if (!(await processNewSubscription(sessionResult))) {
+    throw new Error(
+      `Could not process the subscription of checkout session ${session.id}`
+    );
+  }
+  await stopFastPolling(discordId, "completed");
+}
+
+/**
+ * Handle customer.subscription.updated / deleted webhook events
+ * @param {Object} subscription - Stripe subscription object
+ * @param {boolean} deleted - Whether the subscription was deleted
+ */
+async function handleSubscriptionEvent(subscription, deleted) {
+  const customerId =
+    typeof subscription.customer === "string"
+      ? subscription.customer
+      : subscription.customer?.id;
+
+  let discordId = subscription.metadata?.discord_id;
+  if (!discordId && customerId) {
+    const userByCustomer = await database.getUserByStripeCustomerId(customerId);
+    discordId = userByCustomer?.discord_id;
+  }
+
+  if (!discordId) {
+    logger.warn(
+      `Stripe subscription ${subscription.id} has no Discord user - ignoring event`
+    );
+    return;
+  }
+
+  const status = deleted ? "canceled" : subscription.status;
+  const currentPeriodEnd = new Date(subscription.current_period_end * 1000);
+  const priceId = subscription.items?.data?.[0]?.price?.id || null;
+  const dbUser = await database.getUserByDiscordId(discordId);
+
+  if (!dbUser) {
+    if (status === "active" || status === "trialing") {
+      await syncStripeSubscriber(
+        discordId,
+        customerId,
+        subscription.id,
+        status,
+        currentPeriodEnd,
+        priceId
+      );
+    }
+    return;
+  }
+
+  // A replaced subscription changing or ending must not touch the user's
+  // current one (same rule as checkAllSubscriptions)
+  if (
+    dbUser.stripe_subscription_id &&
+    dbUser.stripe_subscription_id !== subscription.id &&
+    status !== "active" &&
+    status !== "trialing"
+  ) {
+    logger.info(
+      `Ignoring ${status} event of old subscription ${subscription.id} for ${discordId}`
+    );
+    return;
+  }
+
+  if (dbUser.subscription_status !== status) {
+    logger.info(
+      `Webhook: status changed for ${discordId}: ${dbUser.subscription_status} -> ${status}`
+    );
+    const changed = await handleSubscriptionStatusChange(
+      discordId,
+      dbUser,
+      status,
+      currentPeriodEnd,
+      priceId
+    );
+    if (!changed) {
+      throw new Error(
+        `Could not apply status ${status} of subscription ${subscription.id}`
+      );
+    }
+    return;
+  }
+
+  // Upgrade/downgrade - swap plan roles
+  const planChanged = await handlePlanChange(discordId, dbUser, {
+    subscriptionId: subscription.id,
+    customerId,
+    status,
+    currentPeriodEnd,
+    priceId,
+  });
+  if (planChanged) {
+    return;
+  }
+
+  // Same status (e.g. renewal) - keep IDs and period end up to date
+  const updated = await database.updateUserSubscription(discordId, {
+    stripeCustomerId: customerId,
+    stripeSubscriptionId: subscription.id,
+    subscriptionStatus: status,
+    subscriptionEndsAt: currentPeriodEnd,
+  });
+  if (!updated) {
+    throw new Error(`Could not save subscription ${subscription.id}`);
+  }
+}
+
+/**
+ * Handle invoice.payment_failed webhook event
+ * @param {Object} invoice - Stripe invoice object
+ */
+async function handleInvoicePaymentFailedEvent(invoice) {
+  const subscriptionRef =
+    invoice.subscription || invoice.parent?.subscription_details?.subscription;
+  const subscriptionId =
+    typeof subscriptionRef === "string" ? subscriptionRef : subscriptionRef?.id;
+
+  if (!subscriptionId) {
+    logger.debug(`Invoice ${invoice.id} is not for a subscription - ignoring`);
+    return;
+  }
+
+  const result = await stripeService.getSubscriptionStatus(subscriptionId);
+
+  if (!result.success) {
+    throw new Error(
+      `Could not load subscription ${subscriptionId}: ${result.error}`
+    );
+  }
+
+  const customerId =
+    typeof result.customerId === "string"
+      ? result.customerId
+      : result.customerId?.id;
+  const dbUser = await database.getUserByStripeCustomerId(customerId);
+
+  if (!dbUser) {
+    logger.warn(
+      `Payment failed for subscription ${subscriptionId} but no matching user in database`
+    );
+    return;
+  }
+
+  if (dbUser.subscription_status === result.status) {
+    logger.info(
+      `Payment failed for ${dbUser.discord_id} (status still ${result.status})`
+    );
+    return;
+  }
+
+  const changed = await handleSubscriptionStatusChange(
+    dbUser.discord_id,
+    dbUser,
+    result.status,
+    result.currentPeriodEnd
+  );
+  if (!changed) {
+    throw new Error(
+      `Could not apply status ${result.status} of subscription ${subscriptionId}`
+    );
   }
 }
 
@@ -443,37 +892,51 @@ async function processNewSubscription(sessionData) {
  * @param {Object} dbUser - Database user record
  * @param {string} newStatus - New subscription status
  * @param {Date} currentPeriodEnd - Subscription period end date
+ * @param {string} priceId - Stripe price ID of the subscription's plan (optional)
+ * @returns {boolean} - True if the change was saved and applied
  */
 async function handleSubscriptionStatusChange(
   discordId,
   dbUser,
   newStatus,
-  currentPeriodEnd
+  currentPeriodEnd,
+  priceId = null
 ) {
   try {
     // Update database
-    await database.updateUserSubscription(discordId, {
+    const updated = await database.updateUserSubscription(discordId, {
+      stripePriceId: priceId,
       subscriptionStatus: newStatus,
       subscriptionEndsAt: currentPeriodEnd,
     });
+    if (!updated) {
+      throw new Error(`Could not save status ${newStatus} for ${discordId}`);
+    }
 
     switch (newStatus) {
       case "active":
-        // Subscription reactivated - ensure roles are assigned
-        await assignSubscriptionRoles(discordId);
+        // Subscription reactivated - end grace period and restore roles
+        await dunningService.resolveDunning(discordId);
+        await assignSubscriptionRoles(discordId, priceId);
         await sendSubscriptionActivatedDM(discordId);
         break;
 
       case "past_due":
-        // Payment failed - send warning, start grace period
-        await sendPaymentFailedDM(discordId);
+        // Payment failed - start grace period (sends the first warning DM)
+        await dunningService.startDunning(discordId);
         break;
 
       case "canceled":
       case "unpaid":
         // Subscription ended - remove access roles
-        await removeSubscriptionRoles(discordId);
-        await sendSubscriptionEndedDM(discordId, newStatus);
+        await dunningService.resolveDunning(discordId);
+        if (
+          await removeSubscriptionRoles(discordId, {
+            reason: `subscription ${newStatus}`,
+          })
+        ) {
+          await sendSubscriptionEndedDM(discordId, newStatus);
+        }
         break;
 
       case "trialing":
@@ -484,8 +947,125 @@ async function handleSubscriptionStatusChange(
       default:
         logger.warn(`Unknown subscription status: ${newStatus}`);
     }
+    return true;
   } catch (error) {
     logger.error(`Error handling subscription status change: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Swap plan roles when a subscription moved to another price (upgrade/downgrade)
+ * @param {string} discordId - Discord user ID
+ * @param {Object} dbUser - User record from database
+ * @param {Object} subscription - Subscription summary (see stripeService.getAllActiveSubscriptions)
+ * @returns {boolean} - True if the plan changed
+ */
+async function handlePlanChange(discordId, dbUser, subscription) {
+  const { priceId, status } = subscription;
+
+  if (!priceId || dbUser.stripe_price_id === priceId) {
+    return false;
+  }
+
+  const previousPlan = planService.getPlanForPrice(dbUser.stripe_price_id);
+  const newPlan = planService.getPlanForPrice(priceId);
+  if (previousPlan.id !== newPlan.id) {
+    logger.info(
+      `Plan changed for ${discordId}: ${previousPlan.id} -> ${newPlan.id}`
+    );
+  }
+
+  await database.updateUserSubscription(discordId, {
+    stripeCustomerId: subscription.customerId,
+    stripeSubscriptionId: subscription.subscriptionId,
+    stripePriceId: priceId,
+    subscriptionStatus: status,
+    subscriptionEndsAt: subscription.currentPeriodEnd,
+  });
+
+  if (status === "active" || status === "trialing") {
+    await assignSubscriptionRoles(discordId, priceId);
+  }
+
+  return true;
+}
+
+/**
+ * Re-read one member's subscription from Stripe and bring the database and
+ * roles in line with it (staff "Resync" action)
+ * @param {string} discordId - Discord user ID
+ * @param {Object} context - Audit context { actorId, reason }
+ * @returns {Object} - { success, status } or { success: false, error }
+ */
+async function resyncMember(discordId, context = {}) {
+  try {
+    const dbUser = await database.getUserByDiscordId(discordId);
+
+    let subscriptionId = dbUser?.stripe_subscription_id;
+    if (!subscriptionId) {
+      const customer = await stripeService.getCustomerByDiscordId(discordId);
+      subscriptionId = customer?.subscription?.id;
+    }
+
+    if (!subscriptionId) {
+      return { success: false, error: "No Stripe subscription found" };
+    }
+
+    const result = await stripeService.getSubscriptionStatus(subscriptionId);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    const { status, currentPeriodEnd, priceId } = result;
+    const customerId =
+      typeof result.customerId === "string"
+        ? result.customerId
+        : result.customerId?.id;
+
+    logger.info(`Resyncing ${discordId} from Stripe (status: ${status})`);
+
+    if (!dbUser) {
+      await syncStripeSubscriber(
+        discordId,
+        customerId,
+        subscriptionId,
+        status,
+        currentPeriodEnd,
+        priceId
+      );
+      return { success: true, status };
+    }
+
+    if (dbUser.subscription_status !== status) {
+      await handleSubscriptionStatusChange(
+        discordId,
+        dbUser,
+        status,
+        currentPeriodEnd,
+        priceId
+      );
+      return { success: true, status };
+    }
+
+    await database.updateUserSubscription(discordId, {
+      stripeCustomerId: customerId,
+      stripeSubscriptionId: subscriptionId,
+      stripePriceId: priceId,
+      subscriptionStatus: status,
+      subscriptionEndsAt: currentPeriodEnd,
+    });
+
+    if (status === "active" || status === "trialing") {
+      await assignSubscriptionRoles(discordId, priceId, context);
+    } else if (status === "canceled" || status === "unpaid") {
+      await removeSubscriptionRoles(discordId, context);
+    }
+
+    return { success: true, status };
+  } catch (error) {
+    logger.error(`Error resyncing ${discordId}: ${error.message}`);
+    return { success: false, error: error.message };
   }
 }
 
@@ -512,11 +1092,13 @@ async function checkLegacyUserExpiry() {
           subscriptionEndsAt: now,
         });
 
-        // Remove roles
-        await removeSubscriptionRoles(user.discord_id);
-
-        // Send notification
-        await sendLegacyExpiryDM(user.discord_id);
+        // Remove roles and notify (unless /grant access keeps them)
+        const rolesRemoved = await removeSubscriptionRoles(user.discord_id, {
+          reason: "legacy grace period expired",
+        });
+        if (rolesRemoved) {
+          await sendLegacyExpiryDM(user.discord_id);
+        }
       }
     }
   } catch (error) {
@@ -525,47 +1107,145 @@ async function checkLegacyUserExpiry() {
 }
 
 /**
- * Assign subscription access roles to user
+ * Fetch a member of a guild the bot is in
+ * @param {string} guildId - Guild ID
  * @param {string} discordId - Discord user ID
+ * @returns {Object|null} - { guild, member } or null if unavailable
  */
-async function assignSubscriptionRoles(discordId) {
+async function fetchGuildMember(guildId, discordId) {
+  const guild = discordClient.guilds.cache.get(guildId);
+
+  if (!guild) {
+    logger.error(`Guild ${guildId} not found for subscription roles`);
+    return null;
+  }
+
+  const member = await guild.members.fetch(discordId).catch(() => null);
+
+  if (!member) {
+    logger.warn(
+      `Could not find member ${discordId} in guild ${guild.name} for subscription roles`
+    );
+    return null;
+  }
+
+  return { guild, member };
+}
+
+/**
+ * Record a subscription role change in the audit log
+ * @param {string} action - auditService.ACTIONS.ROLES_GRANTED or ROLES_REMOVED
+ * @param {string} discordId - Discord user ID
+ * @param {string} guildId - Guild the roles belong to
+ * @param {Array<string>} rolesBefore - Tracked roles the member had before
+ * @param {Array<string>} added - Role IDs added
+ * @param {Array<string>} removed - Role IDs removed
+ * @param {Object} context - { actorId, reason }
+ */
+async function recordRoleChange(
+  action,
+  discordId,
+  guildId,
+  rolesBefore,
+  added,
+  removed,
+  context
+) {
+  if (added.length === 0 && removed.length === 0) {
+    return;
+  }
+
+  const rolesAfter = rolesBefore
+    .filter((roleId) => !removed.includes(roleId))
+    .concat(added);
+
+  await auditService.record({
+    actorId: context.actorId,
+    targetId: discordId,
+    action,
+    before: { guildId, roles: rolesBefore },
+    after: { guildId, roles: rolesAfter },
+    reason: context.reason || "subscription sync",
+  });
+}
+
+/**
+ * Assign the roles of the user's subscription plan
+ * Roles from other plans are removed, so this also handles upgrades/downgrades.
+ * @param {string} discordId - Discord user ID
+ * @param {string} priceId - Stripe price ID (defaults to the price stored for the user)
+ * @param {Object} context - Audit context { actorId, reason } (defaults to system sync)
+ */
+async function assignSubscriptionRoles(discordId, priceId = null, context = {}) {
   try {
     if (!discordClient) {
       logger.warn("Discord client not available for role assignment");
       return;
     }
 
-    // Get main server guild
-    const guild = discordClient.guilds.cache.get(process.env.GUILD_ID);
+    const planPriceId =
+      priceId || (await database.getUserByDiscordId(discordId))?.stripe_price_id;
+    const plan = planService.getPlanForPrice(planPriceId);
+    let activated = false;
+
+    for (const [guildId, managed] of planService.getManagedRolesByGuild()) {
+      const found = await fetchGuildMember(guildId, discordId);
+      if (!found) continue;
+
+      const { guild, member } = found;
+      const grant = planService
+        .getPlanGrants(plan)
+        .find((g) => g.guildId === guildId);
+      const grantedRoles = grant ? grant.roles : [];
+      const rolesBefore = [...managed.roles, ...managed.unverifiedRoles].filter(
+        (roleId) => member.roles.cache.has(roleId)
+      );
+      const added = [];
+      const removed = [];
+
+      // Remove unverified role if present
+      if (grant?.unverifiedRole && member.roles.cache.has(grant.unverifiedRole)) {
+        await member.roles.remove(grant.unverifiedRole);
+        removed.push(grant.unverifiedRole);
+        logger.info(`Removed unverified role from ${member.user.tag}`);
+      }
 
-    if (!guild) {
-      logger.error("Main guild not found for role assignment");
-      return;
-    }
+      // Remove roles that belong to other plans
+      for (const roleId of managed.roles) {
+        if (!grantedRoles.includes(roleId) && member.roles.cache.has(roleId)) {
+          await member.roles.remove(roleId);
+          removed.push(roleId);
+          logger.info(
+            `Removed role ${roleId} from ${member.user.tag} (not part of ${plan.id} plan)`
+          );
+        }
+      }
 
-    // Fetch the member
-    const member = await guild.members.fetch(discordId).catch(() => null);
+      for (const roleId of grantedRoles) {
+        const role = guild.roles.cache.get(roleId);
+        if (role && !member.roles.cache.has(roleId)) {
+          await member.roles.add(role);
+          added.push(roleId);
+          activated = true;
+          logger.info(
+            `Assigned ${role.name} role to ${member.user.tag} (${plan.id} plan)`
+          );
+        }
+      }
 
-    if (!member) {
-      logger.warn(
-        `Could not find member ${discordId} in guild for role assignment`
+      await recordRoleChange(
+        auditService.ACTIONS.ROLES_GRANTED,
+        discordId,
+        guildId,
+        rolesBefore,
+        added,
+        removed,
+        { ...context, reason: context.reason || `${plan.id} plan access` }
       );
-      return;
-    }
-
-    // Remove unverified role if present
-    const unverifiedRole = guild.roles.cache.get(ROLES.UNVERIFIED);
-    if (unverifiedRole && member.roles.cache.has(ROLES.UNVERIFIED)) {
-      await member.roles.remove(unverifiedRole);
-      logger.info(`Removed unverified role from ${member.user.tag}`);
     }
 
-    // Always assign Bosnian/Croatian/Serbian Member role on this server
-    const memberRole = guild.roles.cache.get(ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER);
-
-    if (memberRole && !member.roles.cache.has(memberRole.id)) {
-      await member.roles.add(memberRole);
-      logger.info(`Assigned Bosnian/Croatian/Serbian Member role to ${member.user.tag}`);
+    if (activated) {
+      metrics.increment("subscriptions_activated_total");
     }
   } catch (error) {
     logger.error(`Error assigning subscription roles: ${error.message}`);
@@ -574,58 +1254,89 @@ async function assignSubscriptionRoles(discordId) {
 
 /**
  * Remove subscription access roles from user
+ * Members with active manual access (/grant) keep their roles, so no sync
+ * path revokes comped members.
  * @param {string} discordId - Discord user ID
+ * @param {Object} context - Audit context { actorId, reason } (defaults to system sync)
+ * @returns {boolean} - False if roles were kept or could not be removed
  */
-async function removeSubscriptionRoles(discordId) {
+async function removeSubscriptionRoles(discordId, context = {}) {
   try {
     if (!discordClient) {
       logger.warn("Discord client not available for role removal");
-      return;
+      return false;
     }
 
-    // Get main server guild
-    const guild = discordClient.guilds.cache.get(process.env.GUILD_ID);
-
-    if (!guild) {
-      logger.error("Main guild not found for role removal");
-      return;
+    if (await manualAccessService.hasActiveManualAccess(discordId)) {
+      logger.info(
+        `Keeping access roles for ${discordId}: active manual access (${context.reason || "subscription sync"})`
+      );
+      return false;
     }
 
-    // Fetch the member
-    const member = await guild.members.fetch(discordId).catch(() => null);
+    let revoked = false;
 
-    if (!member) {
-      logger.warn(
-        `Could not find member ${discordId} in guild for role removal`
-      );
-      return;
-    }
+    for (const [guildId, managed] of planService.getManagedRolesByGuild()) {
+      const found = await fetchGuildMember(guildId, discordId);
+      if (!found) continue;
 
-    // Remove all member roles
-    const memberRoles = [
-      ROLES.MEMBER,
-      ROLES.ENGLISH_MEMBER,
-      ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
-    ];
+      const { guild, member } = found;
 
-    for (const roleId of memberRoles) {
-      if (member.roles.cache.has(roleId)) {
-        const role = guild.roles.cache.get(roleId);
-        if (role) {
-          await member.roles.remove(role);
-          logger.info(`Removed ${role.name} role from ${member.user.tag}`);
+      // Remove all roles any plan grants, plus legacy member roles
+      const memberRoles = [
+        ...managed.roles,
+        ...LEGACY_MEMBER_ROLES.map((name) =>
+          guildConfigService.getRole(guildId, name)
+        ).filter(Boolean),
+      ];
+
+      const rolesBefore = [...memberRoles, ...managed.unverifiedRoles].filter(
+        (roleId) => member.roles.cache.has(roleId)
+      );
+      const added = [];
+      const removed = [];
+
+      for (const roleId of memberRoles) {
+        if (member.roles.cache.has(roleId)) {
+          const role = guild.roles.cache.get(roleId);
+          if (role) {
+            await member.roles.remove(role);
+            removed.push(roleId);
+            revoked = true;
+            logger.info(`Removed ${role.name} role from ${member.user.tag}`);
+          }
+        }
+      }
+
+      // Add unverified role back
+      for (const roleId of managed.unverifiedRoles) {
+        const unverifiedRole = guild.roles.cache.get(roleId);
+        if (unverifiedRole && !member.roles.cache.has(roleId)) {
+          await member.roles.add(unverifiedRole);
+          added.push(roleId);
+          logger.info(`Added unverified role to ${member.user.tag}`);
         }
       }
+
+      await recordRoleChange(
+        auditService.ACTIONS.ROLES_REMOVED,
+        discordId,
+        guildId,
+        rolesBefore,
+        added,
+        removed,
+        context
+      );
     }
 
-    // Add unverified role back
-    const unverifiedRole = guild.roles.cache.get(ROLES.UNVERIFIED);
-    if (unverifiedRole && !member.roles.cache.has(ROLES.UNVERIFIED)) {
-      await member.roles.add(unverifiedRole);
-      logger.info(`Added unverified role to ${member.user.tag}`);
+    if (revoked) {
+      metrics.increment("subscriptions_revoked_total");
     }
+
+    return true;
   } catch (error) {
     logger.error(`Error removing subscription roles: ${error.message}`);
+    return false;
   }
 }
 
@@ -648,7 +1359,7 @@ async function fetchDiscordUser(discordId) {
 }
 
 /**
- * Send subscription welcome DM (Bosnian without diacritics)
+ * Send subscription welcome DM in the user's language
  * @param {string} discordId - Discord user ID
  */
 async function sendSubscriptionWelcomeDM(discordId) {
@@ -656,21 +1367,18 @@ async function sendSubscriptionWelcomeDM(discordId) {
     const user = await fetchDiscordUser(discordId);
     if (!user) return;
 
-    await user.send(
-      `🎉 **Dobrodosli u Seolaxy!**\n\n` +
-        `Vasa pretplata je sada aktivna i dobili ste pristup svim clanskim kanalima.\n\n` +
-        `Hvala vam na podrsci! Ako imate bilo kakvih pitanja, slobodno se obratite nasem osoblju.\n\n` +
-        `Uzivajte u clanstvu! 🚀`
-    );
+    const locale = await i18n.getUserLocale(discordClient, discordId);
+    await user.send(i18n.t(locale, "dm.welcome"));
 
     logger.info(`Sent welcome DM to ${user.tag}`);
   } catch (error) {
     logger.warn(`Could not send welcome DM to ${discordId}: ${error.message}`);
+    metrics.increment("dms_failed_total", { type: "welcome" });
   }
 }
 
 /**
- * Send subscription activated DM (Bosnian without diacritics)
+ * Send subscription activated DM in the user's language
  * @param {string} discordId - Discord user ID
  */
 async function sendSubscriptionActivatedDM(discordId) {
@@ -678,95 +1386,89 @@ async function sendSubscriptionActivatedDM(discordId) {
     const user = await fetchDiscordUser(discordId);
     if (!user) return;
 
-    await user.send(
-      `✅ **Pretplata ponovo aktivirana!**\n\n` +
-        `Vasa pretplata je ponovo aktivna i vas pristup je vracen.\n\n` +
-        `Hvala vam sto nastavljate clanstvo! 🎉`
-    );
+    const locale = await i18n.getUserLocale(discordClient, discordId);
+    await user.send(i18n.t(locale, "dm.reactivated"));
 
     logger.info(`Sent reactivation DM to ${user.tag}`);
   } catch (error) {
     logger.warn(
       `Could not send reactivation DM to ${discordId}: ${error.message}`
     );
+    metrics.increment("dms_failed_total", { type: "reactivation" });
   }
 }
 
 /**
- * Send payment failed DM (Bosnian without diacritics)
+ * Send subscription ended DM in the user's language
  * @param {string} discordId - Discord user ID
+ * @param {string} reason - Reason for subscription end
  */
-async function sendPaymentFailedDM(discordId) {
+async function sendSubscriptionEndedDM(discordId, reason) {
   try {
     const user = await fetchDiscordUser(discordId);
     if (!user) return;
 
+    const locale = await i18n.getUserLocale(discordClient, discordId);
     await user.send(
-      `⚠️ **Problem sa placanjem**\n\n` +
-        `Nismo mogli obraditi vase placanje pretplate. Molimo azurirajte nacin placanja kako biste izbjegli gubitak pristupa.\n\n` +
-        `Imate ${stripeConfig.gracePeriodDays} dana da rijesite ovaj problem.\n\n` +
-        `Ako vam treba pomoc, molimo kontaktirajte nase osoblje.`
+      i18n.t(locale, "dm.ended", {
+        reason: i18n.t(
+          locale,
+          reason === "canceled" ? "dm.endedCanceled" : "dm.endedPaymentFailed"
+        ),
+      })
     );
 
-    logger.info(`Sent payment failed DM to ${user.tag}`);
+    logger.info(`Sent subscription ended DM to ${user.tag}`);
   } catch (error) {
     logger.warn(
-      `Could not send payment failed DM to ${discordId}: ${error.message}`
+      `Could not send subscription ended DM to ${discordId}: ${error.message}`
     );
+    metrics.increment("dms_failed_total", { type: "subscription_ended" });
   }
 }
 
 /**
- * Send subscription ended DM (Bosnian without diacritics)
+ * Send legacy user expiry DM in the user's language
  * @param {string} discordId - Discord user ID
- * @param {string} reason - Reason for subscription end
  */
-async function sendSubscriptionEndedDM(discordId, reason) {
+async function sendLegacyExpiryDM(discordId) {
   try {
     const user = await fetchDiscordUser(discordId);
     if (!user) return;
 
-    const reasonText =
-      reason === "canceled"
-        ? "Vasa pretplata je otkazana."
-        : "Vasa pretplata je zavrsena zbog problema sa placanjem.";
-
-    await user.send(
-      `😔 **Pretplata zavrsena**\n\n` +
-        `${reasonText}\n\n` +
-        `Vase uloge pristupa su uklonjene. Da biste ponovo dobili pristup, molimo pretplatite se koristeci dugme za pretplatu na serveru.\n\n` +
-        `Nadamo se da cemo vas uskoro ponovo vidjeti! 💙`
-    );
+    const locale = await i18n.getUserLocale(discordClient, discordId);
+    await user.send(i18n.t(locale, "dm.legacyExpired"));
 
-    logger.info(`Sent subscription ended DM to ${user.tag}`);
+    logger.info(`Sent legacy expiry DM to ${user.tag}`);
   } catch (error) {
     logger.warn(
-      `Could not send subscription ended DM to ${discordId}: ${error.message}`
+      `Could not send legacy expiry DM to ${discordId}: ${error.message}`
     );
+    metrics.increment("dms_failed_total", { type: "legacy_expiry" });
   }
 }
 
 /**
- * Send legacy user expiry DM (Bosnian without diacritics)
+ * Send checkout expired DM with a fresh Subscribe button in the user's language
  * @param {string} discordId - Discord user ID
  */
-async function sendLegacyExpiryDM(discordId) {
+async function sendCheckoutExpiredDM(discordId) {
   try {
     const user = await fetchDiscordUser(discordId);
     if (!user) return;
 
-    await user.send(
-      `⏰ **Period besplatnog pristupa je zavrsen**\n\n` +
-        `Vas jednomjesecni besplatni pristup je zavrsen. Presli smo na model pretplate.\n\n` +
-        `Da biste nastavili uzivati pristup svim clanskim kanalima, molimo pretplatite se koristeci dugme na serveru.\n\n` +
-        `Hvala vam sto ste dio nase zajednice! 💙`
-    );
+    const locale = await i18n.getUserLocale(discordClient, discordId);
+    await user.send({
+      content: i18n.t(locale, "dm.checkoutExpired"),
+      components: [createSubscribeButton(locale)],
+    });
 
-    logger.info(`Sent legacy expiry DM to ${user.tag}`);
+    logger.info(`Sent checkout expired DM to ${user.tag}`);
   } catch (error) {
     logger.warn(
-      `Could not send legacy expiry DM to ${discordId}: ${error.message}`
+      `Could not send checkout expired DM to ${discordId}: ${error.message}`
     );
+    metrics.increment("dms_failed_total", { type: "checkout_expired" });
   }
 }
 
@@ -774,17 +1476,19 @@ async function sendLegacyExpiryDM(discordId) {
  * Get pending checkouts count
  * @returns {number} - Number of pending checkouts
  */
-function getPendingCheckoutsCount() {
-  return pendingCheckouts.size;
+async function getPendingCheckoutsCount() {
+  const pending = await database.getPendingCheckouts();
+  return pending.length;
 }
 
 /**
- * Check if user has pending checkout
+ * Check if user has pending checkout that has not expired yet
  * @param {string} discordId - Discord user ID
  * @returns {boolean} - True if user has pending checkout
  */
-function hasPendingCheckout(discordId) {
-  return pendingCheckouts.has(discordId);
+async function hasPendingCheckout(discordId) {
+  const checkout = await database.getPendingCheckoutByDiscordId(discordId);
+  return !!checkout && new Date(checkout.expires_at).getTime() > Date.now();
 }
 
 /**
@@ -795,8 +1499,19 @@ function hasPendingCheckout(discordId) {
 async function syncAllFromStripe() {
   logger.info("Starting full Stripe → database sync...");
 
+  // Stopped in finally, so failed syncs are timed too
+  const stopTimer = metrics.startTimer("poll_duration_seconds", {
+    job: "startup_sync",
+  });
   try {
+    const startedAt = new Date();
     const stripeSubscriptions = await stripeService.getAllActiveSubscriptions();
+
+    if (!stripeSubscriptions) {
+      logger.warn("Sync: Could not list Stripe subscriptions, skipping sync");
+      return;
+    }
+
     const dbUsers = await database.fetchAllUsers();
     const dbUserMap = new Map(dbUsers.map((u) => [u.discord_id, u]));
 
@@ -808,8 +1523,14 @@ async function syncAllFromStripe() {
     const stripeDiscordIds = new Set();
 
     for (const stripeSub of stripeSubscriptions) {
-      const { discordId, status, subscriptionId, currentPeriodEnd, customerId } =
-        stripeSub;
+      const {
+        discordId,
+        status,
+        subscriptionId,
+        currentPeriodEnd,
+        customerId,
+        priceId,
+      } = stripeSub;
 
       stripeDiscordIds.add(discordId);
       const dbUser = dbUserMap.get(discordId);
@@ -831,6 +1552,7 @@ async function syncAllFromStripe() {
           projectName: null,
           stripeCustomerId: customerId,
           stripeSubscriptionId: subscriptionId,
+          stripePriceId: priceId,
           subscriptionStatus: status,
           subscriptionEndsAt: currentPeriodEnd,
         });
@@ -838,7 +1560,7 @@ async function syncAllFromStripe() {
 
         // Assign roles if active
         if (status === "active" || status === "trialing") {
-          await assignSubscriptionRoles(discordId);
+          await assignSubscriptionRoles(discordId, priceId);
           rolesFixed++;
         }
       } else {
@@ -846,11 +1568,13 @@ async function syncAllFromStripe() {
         const statusChanged = dbUser.subscription_status !== status;
         const subIdChanged = dbUser.stripe_subscription_id !== subscriptionId;
         const customerIdChanged = dbUser.stripe_customer_id !== customerId;
+        const priceChanged = !!priceId && dbUser.stripe_price_id !== priceId;
 
-        if (statusChanged || subIdChanged || customerIdChanged) {
+        if (statusChanged || subIdChanged || customerIdChanged || priceChanged) {
           await database.updateUserSubscription(discordId, {
             stripeCustomerId: customerId,
             stripeSubscriptionId: subscriptionId,
+            stripePriceId: priceId,
             subscriptionStatus: status,
             subscriptionEndsAt: currentPeriodEnd,
           });
@@ -863,15 +1587,24 @@ async function syncAllFromStripe() {
           }
         }
 
-        // Ensure active users have the correct role
+        // Ensure active users have the roles of their current plan
         if (status === "active" || status === "trialing") {
-          await assignSubscriptionRoles(discordId);
+          await dunningService.resolveDunning(discordId);
+          await assignSubscriptionRoles(discordId, priceId);
           rolesFixed++;
         }
 
+        // Users that went past_due while the bot was down enter the grace period
+        if (status === "past_due") {
+          await dunningService.startDunning(discordId);
+        }
+
         // Ensure canceled/unpaid users don't have member roles
         if (status === "canceled" || status === "unpaid") {
-          await removeSubscriptionRoles(discordId);
+          await dunningService.resolveDunning(discordId);
+          await removeSubscriptionRoles(discordId, {
+            reason: `subscription ${status}`,
+          });
         }
       }
     }
@@ -903,17 +1636,24 @@ async function syncAllFromStripe() {
             subscriptionStatus: finalStatus,
             subscriptionEndsAt: result.currentPeriodEnd || new Date(),
           });
-          await removeSubscriptionRoles(dbUser.discord_id);
+          await removeSubscriptionRoles(dbUser.discord_id, {
+            reason: `subscription ${finalStatus}`,
+          });
           revoked++;
         }
       }
     }
 
+    // The hourly check can now fetch only changes made after this sync
+    await saveSyncCursor(startedAt, true);
+
     logger.info(
       `Full Stripe sync complete: ${synced} new, ${updated} updated, ${rolesFixed} roles ensured, ${revoked} revoked`
     );
   } catch (error) {
     logger.error(`Error during full Stripe sync: ${error.message}`);
+  } finally {
+    stopTimer();
   }
 }
 
@@ -921,6 +1661,7 @@ module.exports = {
   init,
   startPolling,
   stopPolling,
+  startCheckout,
   triggerFastPolling,
   stopFastPolling,
   checkAllSubscriptions,
@@ -931,4 +1672,7 @@ module.exports = {
   getPendingCheckoutsCount,
   hasPendingCheckout,
   syncAllFromStripe,
+  getLastSuccessfulSync,
+  resyncMember,
+  handleStripeEvent,
 };
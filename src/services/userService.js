@@ -4,9 +4,11 @@
  */
 
 const database = require("./database");
-const logger = require("../utils/logger");
-const ROLES = require("../constants/roles");
+const logger = require("../utils/logger").child({ module: "userService" });
+const metrics = require("../utils/metrics");
 const CHANNELS = require("../constants/channels");
+const i18n = require("./i18n");
+const guildConfigService = require("./guildConfigService");
 
 /**
  * Generate invite link to second server and send DM to English user
@@ -72,16 +74,13 @@ async function handleEnglishUserInvite(userData, member) {
 
     // Send DM to user
     try {
-      const dmMessage = `🎉 **Welcome to Seolaxy!**
-
-Your registration has been successful! As an English speaker, you've been invited to our dedicated English server.
-
-**🔗 Your Personal Invite Link:**
-${invite.url}
-
-⚠️ **Important:** This link is for one-time use only and expires in 24 hours. Click it to join the SEOLAXY (EN) server where you'll find all English-speaking members and content.
-
-Welcome aboard! 🚀`;
+      const locale = i18n.resolveLocale({
+        member,
+        guildId: member.guild?.id,
+      });
+      const dmMessage = i18n.t(locale, "dm.englishInvite", {
+        url: invite.url,
+      });
 
       await member.send(dmMessage);
       result.inviteSent = true;
@@ -92,6 +91,7 @@ Welcome aboard! 🚀`;
       logger.warn(
         `Could not send DM to ${userData.discordUsername}: ${dmError.message}`
       );
+      metrics.increment("dms_failed_total", { type: "english_invite" });
       result.error = "Could not send DM";
       // Still mark invite as created even if DM fails
     }
@@ -125,15 +125,21 @@ async function notifyStaffAboutNicknameError(
       return;
     }
 
-    const staffChannel = await client.channels.fetch(CHANNELS.STAFF_CHANNEL_ID);
+    const staffChannelId = guildConfigService.getChannel(guild.id, "staff");
+    if (!staffChannelId) {
+      logger.warn(`No staff channel configured for guild ${guild.id}`);
+      return;
+    }
+
+    const staffChannel = await client.channels.fetch(staffChannelId);
     if (!staffChannel) {
-      logger.error(
-        `Could not find staff channel with ID: ${CHANNELS.STAFF_CHANNEL_ID}`
-      );
+      logger.error(`Could not find staff channel with ID: ${staffChannelId}`);
       return;
     }
 
-    const message = `<@&${ROLES.STAFF}> 🚨 **Nickname Length Error**
+    const staffRoleId = guildConfigService.getRole(guild.id, "staff");
+    const mention = staffRoleId ? `<@&${staffRoleId}> ` : "";
+    const message = `${mention}🚨 **Nickname Length Error**
 
 **User:** ${userData.discordUsername} (${userData.firstName} ${userData.lastName})
 **Attempted Nickname:** \`${attemptedNickname}\`
@@ -247,6 +253,25 @@ async function processUserRegistration(userData, member, guild) {
   }
 }
 
+/**
+ * Get a server's verification role IDs from its guild settings
+ * @param {string} guildId - Guild ID
+ * @returns {Object} - Role IDs by setting name (null if not configured)
+ */
+function getRoleIds(guildId) {
+  const names = [
+    "unverified",
+    "member",
+    "legacyMember",
+    "englishMember",
+    "english",
+    "bosnian",
+  ];
+  return Object.fromEntries(
+    names.map((name) => [name, guildConfigService.getRole(guildId, name)])
+  );
+}
+
 /**
  * Assign appropriate member role based on language role or server
  * @param {Object} member - Discord guild member
@@ -260,18 +285,15 @@ async function assignMemberRole(member, guild) {
     // Check if user is registering directly on the English server
     const isEnglishServer = guild.id === CHANNELS.SECOND_SERVER_ID;
 
+    const roleIds = getRoleIds(guild.id);
+
     if (isEnglishServer) {
       // User is registering directly on English server
-      const unverifiedRole = guild.roles.cache.get(
-        ROLES.SECOND_SERVER_UNVERIFIED
-      );
-      const verifiedRole = guild.roles.cache.get(ROLES.SECOND_SERVER_VERIFIED);
+      const unverifiedRole = guild.roles.cache.get(roleIds.unverified);
+      const verifiedRole = guild.roles.cache.get(roleIds.member);
 
       // Remove unverified role if user has it
-      if (
-        unverifiedRole &&
-        member.roles.cache.has(ROLES.SECOND_SERVER_UNVERIFIED)
-      ) {
+      if (unverifiedRole && member.roles.cache.has(unverifiedRole.id)) {
         await member.roles.remove(unverifiedRole);
         logger.info(
           `Removed unverified role from ${member.user.tag} on English server`
@@ -296,18 +318,18 @@ async function assignMemberRole(member, guild) {
     }
 
     // Main server logic
-    const unverifiedRole = guild.roles.cache.get(ROLES.UNVERIFIED);
+    const unverifiedRole = guild.roles.cache.get(roleIds.unverified);
     let memberRole;
 
     // Determine which language role the user has and assign appropriate member role
-    if (member.roles.cache.has(ROLES.ENGLISH)) {
+    if (roleIds.english && member.roles.cache.has(roleIds.english)) {
       // Skip role assignment for English users - they will be invited to second server
       result.roleName = "English Member (Redirected to EN Server)";
       result.userLanguage = "english";
       result.success = true; // Mark as successful but don't assign role
 
       // Remove unverified role only
-      if (unverifiedRole && member.roles.cache.has(ROLES.UNVERIFIED)) {
+      if (unverifiedRole && member.roles.cache.has(unverifiedRole.id)) {
         await member.roles.remove(unverifiedRole);
         logger.info(
           `Removed unverified role from ${member.user.tag} (English user - no member role assigned)`
@@ -315,13 +337,13 @@ async function assignMemberRole(member, guild) {
       }
 
       return result; // Early return - skip member role assignment
-    } else if (member.roles.cache.has(ROLES.BOSNIAN_CROATIAN_SERBIAN)) {
-      memberRole = guild.roles.cache.get(ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER);
+    } else if (roleIds.bosnian && member.roles.cache.has(roleIds.bosnian)) {
+      memberRole = guild.roles.cache.get(roleIds.member);
       result.roleName = "Bosnian/Croatian/Serbian Member";
       result.userLanguage = "bosnian";
     } else {
       // Fallback to legacy member role if no language role found
-      memberRole = guild.roles.cache.get(ROLES.MEMBER);
+      memberRole = guild.roles.cache.get(roleIds.legacyMember);
       result.roleName = "Member (No language role detected)";
       result.userLanguage = "unknown";
       logger.warn(
@@ -341,7 +363,7 @@ async function assignMemberRole(member, guild) {
 
     if (memberRole) {
       // Remove unverified role if user has it
-      if (unverifiedRole && member.roles.cache.has(ROLES.UNVERIFIED)) {
+      if (unverifiedRole && member.roles.cache.has(unverifiedRole.id)) {
         await member.roles.remove(unverifiedRole);
         logger.info(`Removed unverified role from ${member.user.tag}`);
       }
@@ -373,11 +395,12 @@ async function removeAccessRoles(member, guild) {
   try {
     // Check if this is the English server
     const isEnglishServer = guild.id === CHANNELS.SECOND_SERVER_ID;
+    const roleIds = getRoleIds(guild.id);
 
     if (isEnglishServer) {
       // Remove English server verified role
-      const verifiedRole = guild.roles.cache.get(ROLES.SECOND_SERVER_VERIFIED);
-      if (verifiedRole && member.roles.cache.has(ROLES.SECOND_SERVER_VERIFIED)) {
+      const verifiedRole = guild.roles.cache.get(roleIds.member);
+      if (verifiedRole && member.roles.cache.has(verifiedRole.id)) {
         await member.roles.remove(verifiedRole);
         result.rolesRemoved.push("Second Server Verified");
         logger.info(
@@ -386,13 +409,8 @@ async function removeAccessRoles(member, guild) {
       }
 
       // Add unverified role back
-      const unverifiedRole = guild.roles.cache.get(
-        ROLES.SECOND_SERVER_UNVERIFIED
-      );
-      if (
-        unverifiedRole &&
-        !member.roles.cache.has(ROLES.SECOND_SERVER_UNVERIFIED)
-      ) {
+      const unverifiedRole = guild.roles.cache.get(roleIds.unverified);
+      if (unverifiedRole && !member.roles.cache.has(unverifiedRole.id)) {
         await member.roles.add(unverifiedRole);
         logger.info(
           `Added unverified role to ${member.user.tag} on English server`
@@ -405,13 +423,13 @@ async function removeAccessRoles(member, guild) {
 
     // Main server - remove all possible member roles
     const memberRoles = [
-      { id: ROLES.MEMBER, name: "Member" },
-      { id: ROLES.ENGLISH_MEMBER, name: "English Member" },
-      { id: ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER, name: "BCS Member" },
+      { id: roleIds.legacyMember, name: "Member" },
+      { id: roleIds.englishMember, name: "English Member" },
+      { id: roleIds.member, name: "BCS Member" },
     ];
 
     for (const roleInfo of memberRoles) {
-      if (member.roles.cache.has(roleInfo.id)) {
+      if (roleInfo.id && member.roles.cache.has(roleInfo.id)) {
         const role = guild.roles.cache.get(roleInfo.id);
         if (role) {
           await member.roles.remove(role);
@@ -422,8 +440,8 @@ async function removeAccessRoles(member, guild) {
     }
 
     // Add unverified role back
-    const unverifiedRole = guild.roles.cache.get(ROLES.UNVERIFIED);
-    if (unverifiedRole && !member.roles.cache.has(ROLES.UNVERIFIED)) {
+    const unverifiedRole = guild.roles.cache.get(roleIds.unverified);
+    if (unverifiedRole && !member.roles.cache.has(unverifiedRole.id)) {
       await member.roles.add(unverifiedRole);
       logger.info(`Added unverified role to ${member.user.tag}`);
     }
@@ -457,11 +475,10 @@ async function notifySubscriptionExpiring(user, daysRemaining) {
       return;
     }
 
-    const message =
-      `⏰ **Subscription Reminder**\n\n` +
-      `Your Seolaxy subscription will expire in **${daysRemaining} day${daysRemaining === 1 ? "" : "s"}**.\n\n` +
-      `To continue enjoying access to all member channels, please ensure your payment method is up to date.\n\n` +
-      `If you have any questions, please contact our staff.`;
+    const locale = await i18n.getUserLocale(client, user.discord_id);
+    const message = i18n.t(locale, "dm.expiring", {
+      days: i18n.t(locale, "units.days", { count: daysRemaining }),
+    });
 
     await discordUser.send(message);
     logger.info(
@@ -471,6 +488,7 @@ async function notifySubscriptionExpiring(user, daysRemaining) {
     logger.warn(
       `Could not send subscription expiring notification to ${user.discord_id}: ${error.message}`
     );
+    metrics.increment("dms_failed_total", { type: "expiring_reminder" });
   }
 }
 
@@ -0,0 +1,159 @@
+/**
+ * Whois Service
+ * Collects everything staff need to answer "what's going on with this
+ * member?" in one place: database record, live Stripe state, roles in each
+ * guild, pending checkout, manual access and recent audit history (used by /whois)
+ */
+
+const database = require("./database");
+const stripeService = require("./stripeService");
+const auditService = require("./auditService");
+const guildConfigService = require("./guildConfigService");
+const logger = require("../utils/logger").child({ module: "whoisService" });
+
+const RECENT_INVOICES_LIMIT = 3;
+
+/**
+ * Get the Discord ID an identifier points at directly (mention or snowflake)
+ * @param {string} identifier - Lookup input
+ * @returns {string|null} - Discord ID or null if the identifier is not one
+ */
+function parseDiscordId(identifier) {
+  const match = String(identifier)
+    .trim()
+    .match(/^(?:<@!?)?(\d{17,19})>?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the guilds a member's roles are shown for (every configured server)
+ * @param {Client} client - Discord client
+ * @returns {Array} - [{ label, guild }] (guild is null when the bot is not in it)
+ */
+function getLookupGuilds(client) {
+  return guildConfigService.getGuildIds().map((guildId) => {
+    const guild = client.guilds.cache.get(guildId) || null;
+    return { label: guild?.name || guildId, guild };
+  });
+}
+
+/**
+ * Get a member's roles in each lookup guild
+ * @param {Client} client - Discord client
+ * @param {string} discordId - Discord user ID
+ * @returns {Array} - [{ label, available, isMember, roles }]
+ */
+async function getGuildRoles(client, discordId) {
+  const results = [];
+
+  for (const { label, guild } of getLookupGuilds(client)) {
+    if (!guild) {
+      results.push({ label, available: false, isMember: false, roles: [] });
+      continue;
+    }
+
+    const member = await guild.members.fetch(discordId).catch(() => null);
+    results.push({
+      label,
+      available: true,
+      isMember: Boolean(member),
+      roles: member
+        ? member.roles.cache
+            .filter((role) => role.id !== guild.id)
+            .map((role) => role.id)
+        : [],
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Get live Stripe state for a member
+ * @param {string} discordId - Discord user ID
+ * @param {Object|null} dbUser - Database record
+ * @returns {Object} - { customerId, subscription, invoices, error }
+ */
+async function getStripeState(discordId, dbUser) {
+  let customerId = dbUser?.stripe_customer_id || null;
+  let subscriptionId = dbUser?.stripe_subscription_id || null;
+
+  if (!customerId) {
+    const customer = await stripeService.getCustomerByDiscordId(discordId);
+    customerId = customer?.customerId || null;
+    subscriptionId = customer?.subscription?.id || null;
+  }
+
+  if (!customerId) {
+    return { customerId: null, subscription: null, invoices: [], error: null };
+  }
+
+  const [subscriptionResult, invoicesResult] = await Promise.all([
+    subscriptionId
+      ? stripeService.getSubscriptionStatus(subscriptionId)
+      : Promise.resolve(null),
+    stripeService.listCustomerInvoices(customerId, RECENT_INVOICES_LIMIT),
+  ]);
+
+  const error =
+    (subscriptionResult && !subscriptionResult.success
+      ? subscriptionResult.error
+      : null) || (!invoicesResult.success ? invoicesResult.error : null);
+
+  return {
+    customerId,
+    subscription:
+      subscriptionResult?.success
+        ? { id: subscriptionId, ...subscriptionResult }
+        : null,
+    invoices: invoicesResult.success ? invoicesResult.invoices : [],
+    error,
+  };
+}
+
+/**
+ * Look up a member by mention, Discord ID, email, invoice number or Stripe customer ID
+ * @param {Client} client - Discord client
+ * @param {string} identifier - Lookup input
+ * @returns {Object|null} - Member profile, or null if nobody matches
+ */
+async function lookupMember(client, identifier) {
+  const dbUser = await database.findUserByIdentifier(identifier);
+  const discordId = dbUser?.discord_id || parseDiscordId(identifier);
+
+  if (!discordId) {
+    return null;
+  }
+
+  const discordUser = await client.users.fetch(discordId).catch(() => null);
+  if (!dbUser && !discordUser) {
+    return null;
+  }
+
+  logger.debug(`Building whois profile for ${discordId}`);
+
+  const [stripe, guilds, pendingCheckout, manualAccess, audit] =
+    await Promise.all([
+      getStripeState(discordId, dbUser),
+      getGuildRoles(client, discordId),
+      database.getPendingCheckoutByDiscordId(discordId),
+      database.getActiveManualAccess(discordId),
+      auditService.getAuditPage(discordId, 1),
+    ]);
+
+  return {
+    discordId,
+    discordUser,
+    dbUser,
+    stripe,
+    guilds,
+    pendingCheckout,
+    manualAccess,
+    audit,
+  };
+}
+
+module.exports = {
+  lookupMember,
+  parseDiscordId,
+};
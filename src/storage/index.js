@@ -0,0 +1,32 @@
+/**
+ * Storage
+ * Picks the database driver configured in src/config/database.js. Both
+ * drivers expose the same interface, so src/services/database.js and the
+ * migrations run unchanged on either:
+ *   dialect, connect(), execute(sql, params), onConflictUpdate(), insertIgnore, close()
+ */
+
+const dbConfig = require("../config/database");
+const { createMysqlStorage } = require("./mysql");
+const { createSqliteStorage } = require("./sqlite");
+
+/**
+ * Create the configured storage driver (not yet connected)
+ * @param {Object} config - Database configuration
+ * @returns {Object} - Storage driver
+ * @throws {Error} - If the configured client is unknown
+ */
+function createStorage(config = dbConfig) {
+  switch (config.client) {
+    case "mysql":
+      return createMysqlStorage(config.mysql);
+    case "sqlite":
+      return createSqliteStorage(config.sqlite);
+    default:
+      throw new Error(
+        `Unknown database client "${config.client}" (use "mysql" or "sqlite")`
+      );
+  }
+}
+
+module.exports = { createStorage };
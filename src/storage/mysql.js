@@ -0,0 +1,68 @@
+/**
+ * MySQL Storage Driver
+ * Thin wrapper around a mysql2 pool, used in production
+ */
+
+const mysql = require("mysql2/promise");
+
+/**
+ * Create a MySQL driver
+ * @param {Object} options - mysql2 pool options
+ * @returns {Object} - Storage driver
+ */
+function createMysqlStorage(options) {
+  let pool = null;
+
+  return {
+    dialect: "mysql",
+
+    /**
+     * Create the pool and check that the server answers
+     */
+    async connect() {
+      pool = mysql.createPool(options);
+      const connection = await pool.getConnection();
+      await connection.ping();
+      connection.release();
+    },
+
+    /**
+     * Run a statement
+     * @param {string} sql - SQL with ? placeholders
+     * @param {Array} params - Parameter values
+     * @returns {Array} - [rows] for queries, [{ affectedRows, insertId }] for writes
+     */
+    async execute(sql, params = []) {
+      return pool.execute(sql, params);
+    },
+
+    /**
+     * Build the upsert clause that follows INSERT ... VALUES (...)
+     * @param {Array<string>} conflictColumns - Unique key columns
+     * @param {Array<string>} updateColumns - Columns set from the inserted row
+     * @param {Array<string>} extraAssignments - Literal assignments (e.g. "updated_at = CURRENT_TIMESTAMP")
+     * @returns {string} - SQL clause
+     */
+    onConflictUpdate(conflictColumns, updateColumns, extraAssignments = []) {
+      return `ON DUPLICATE KEY UPDATE ${[
+        ...updateColumns.map((column) => `${column} = VALUES(${column})`),
+        ...extraAssignments,
+      ].join(", ")}`;
+    },
+
+    // INSERT that skips rows violating a unique key
+    insertIgnore: "INSERT IGNORE",
+
+    /**
+     * Close the pool
+     */
+    async close() {
+      if (pool) {
+        await pool.end();
+        pool = null;
+      }
+    },
+  };
+}
+
+module.exports = { createMysqlStorage };
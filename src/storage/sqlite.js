@@ -0,0 +1,184 @@
+/**
+ * SQLite Storage Driver
+ * Local file database for development, backed by better-sqlite3. It accepts
+ * the same SQL as the MySQL driver for the statements the bot uses:
+ * CREATE TABLE statements written for MySQL (AUTO_INCREMENT, ENUM, inline
+ * INDEX, ON UPDATE CURRENT_TIMESTAMP, table options) are translated, and
+ * results come back in mysql2's shape, with timestamps as Date objects.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// How SQLite's CURRENT_TIMESTAMP formats dates (always UTC)
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+/**
+ * Convert a parameter to a value better-sqlite3 can bind
+ * @param {*} value - Parameter value
+ * @returns {*} - Bindable value
+ */
+function toSqliteValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 19).replace("T", " ");
+  }
+  if (typeof value === "boolean") {
+    return value ? 1 : 0;
+  }
+  if (value === undefined) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Turn timestamp columns back into Date objects, like mysql2 does
+ * @param {Object} row - Result row
+ * @returns {Object} - Row
+ */
+function fromSqliteRow(row) {
+  for (const [column, value] of Object.entries(row)) {
+    if (typeof value === "string" && TIMESTAMP_PATTERN.test(value)) {
+      row[column] = new Date(`${value.replace(" ", "T")}Z`);
+    }
+  }
+  return row;
+}
+
+/**
+ * Translate a MySQL CREATE TABLE statement to SQLite
+ * @param {string} sql - MySQL CREATE TABLE statement
+ * @returns {Array<string>} - CREATE TABLE, then its indexes and triggers
+ */
+function translateCreateTable(sql) {
+  const table = sql.match(/CREATE TABLE(?: IF NOT EXISTS)?\s+(\w+)/i)[1];
+  const indexes = [];
+  let hasAutoUpdate = false;
+
+  const lines = sql
+    .trim()
+    .replace(/\)\s*ENGINE=[\s\S]*$/i, ")")
+    .split("\n")
+    .filter((line) => {
+      const index = line.trim().match(/^INDEX (\w+) \(([^)]+)\),?$/i);
+      if (index) {
+        indexes.push(
+          `CREATE INDEX IF NOT EXISTS ${index[1]} ON ${table} (${index[2]})`
+        );
+      }
+      return !index;
+    })
+    .map((line) => {
+      if (/ON UPDATE CURRENT_TIMESTAMP/i.test(line)) {
+        hasAutoUpdate = true;
+      }
+      return line
+        .replace(/\b(?:BIG)?INT AUTO_INCREMENT PRIMARY KEY/i, "INTEGER PRIMARY KEY AUTOINCREMENT")
+        .replace(/(\w+) ENUM\(([^)]*)\)/i, "$1 TEXT CHECK ($1 IN ($2))")
+        .replace(/UNIQUE KEY \w+ \(/i, "UNIQUE (")
+        .replace(/ ON UPDATE CURRENT_TIMESTAMP/i, "");
+    });
+
+  // Removing trailing INDEX lines can leave a dangling comma
+  const createTable = lines.join("\n").replace(/,(\s*\))$/, "$1");
+
+  const triggers = hasAutoUpdate
+    ? [
+        `CREATE TRIGGER IF NOT EXISTS ${table}_updated_at
+         AFTER UPDATE ON ${table} FOR EACH ROW
+         WHEN NEW.updated_at IS OLD.updated_at
+         BEGIN
+           UPDATE ${table} SET updated_at = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+         END`,
+      ]
+    : [];
+
+  return [createTable, ...indexes, ...triggers];
+}
+
+/**
+ * Create a SQLite driver
+ * @param {Object} options - { filename } path of the database file, or ":memory:"
+ * @returns {Object} - Storage driver
+ */
+function createSqliteStorage({ filename }) {
+  let db = null;
+
+  return {
+    dialect: "sqlite",
+
+    /**
+     * Open (and create if needed) the database file
+     */
+    async connect() {
+      // Optional dependency: only installed where SQLite is used
+      const Database = require("better-sqlite3");
+
+      if (filename !== ":memory:") {
+        fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+      }
+
+      db = new Database(filename);
+      db.pragma("journal_mode = WAL");
+    },
+
+    /**
+     * Run a statement
+     * @param {string} sql - SQL with ? placeholders
+     * @param {Array} params - Parameter values
+     * @returns {Array} - [rows] for queries, [{ affectedRows, insertId }] for writes
+     */
+    async execute(sql, params = []) {
+      if (/^\s*CREATE TABLE/i.test(sql)) {
+        for (const statement of translateCreateTable(sql)) {
+          db.prepare(statement).run();
+        }
+        return [{ affectedRows: 0, insertId: 0 }];
+      }
+
+      const statement = db.prepare(sql);
+      const values = params.map(toSqliteValue);
+
+      if (statement.reader) {
+        return [statement.all(values).map(fromSqliteRow)];
+      }
+
+      const result = statement.run(values);
+      return [
+        {
+          affectedRows: result.changes,
+          insertId: Number(result.lastInsertRowid),
+        },
+      ];
+    },
+
+    /**
+     * Build the upsert clause that follows INSERT ... VALUES (...)
+     * @param {Array<string>} conflictColumns - Unique key columns
+     * @param {Array<string>} updateColumns - Columns set from the inserted row
+     * @param {Array<string>} extraAssignments - Literal assignments (e.g. "updated_at = CURRENT_TIMESTAMP")
+     * @returns {string} - SQL clause
+     */
+    onConflictUpdate(conflictColumns, updateColumns, extraAssignments = []) {
+      return `ON CONFLICT (${conflictColumns.join(", ")}) DO UPDATE SET ${[
+        ...updateColumns.map((column) => `${column} = excluded.${column}`),
+        ...extraAssignments,
+      ].join(", ")}`;
+    },
+
+    // INSERT that skips rows violating a unique key
+    insertIgnore: "INSERT OR IGNORE",
+
+    /**
+     * Close the database file
+     */
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    },
+  };
+}
+
+module.exports = { createSqliteStorage, translateCreateTable };
@@ -1,25 +1,374 @@
 /**
  * Logging Utility
- * Provides centralized logging functionality
+ * Structured logger writing one JSON object per line:
+ *   {"timestamp":"...","level":"info","module":"subscriptionService","message":"..."}
+ *
+ * - Modules get a child logger tagged with their name: logger.child({ module })
+ * - runWithContext() attaches correlation fields (discordId, interactionId, ...)
+ *   to everything logged while a piece of work runs, including awaited calls
+ * - Any number of arguments is accepted; objects are serialized and the first
+ *   Error is written with its stack under "error"
+ * - Emails and secrets (tokens, API keys, signing secrets) are redacted
+ * - LOG_FILE adds a size-rotated file sink (see config/logging.js)
  */
 
-const config = require("../config/discord");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
+const loggingConfig = require("../config/logging");
 
-const logger = {
-  info: (message) =>
-    console.log(`[INFO] ${new Date().toISOString()} - ${message}`),
+const LEVEL_PRIORITY = { error: 0, warn: 1, info: 2, debug: 3 };
+const CONSOLE_METHODS = { error: "error", warn: "warn", info: "log", debug: "log" };
 
-  warn: (message) =>
-    console.warn(`[WARN] ${new Date().toISOString()} - ${message}`),
+// Object keys whose values are never written
+const SENSITIVE_KEY_PATTERN = /token|secret|password|authorization|api_?key/i;
 
-  error: (message) =>
-    console.error(`[ERROR] ${new Date().toISOString()} - ${message}`),
+// Applied to every finished line, in order
+const REDACTIONS = [
+  [/\b(Bearer\s+)[\w.~+/-]+=*/gi, "$1[REDACTED]"],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, "[REDACTED_JWT]"],
+  [/\b((?:sk|rk)_(?:live|test)_)[0-9a-zA-Z]+/g, "$1[REDACTED]"],
+  [/\bwhsec_[0-9a-zA-Z]+/g, "whsec_[REDACTED]"],
+  // Discord bot tokens: base64 user ID . timestamp . HMAC
+  [/\b[\w-]{23,28}\.[\w-]{6}\.[\w-]{27,40}\b/g, "[REDACTED_TOKEN]"],
+  // Emails keep their first character and domain: i***@example.com
+  [/\b([A-Za-z0-9])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g, "$1***@$2"],
+];
 
-  debug: (message) => {
-    if (config.bot.logLevel === "debug") {
-      console.log(`[DEBUG] ${new Date().toISOString()} - ${message}`);
+const contextStorage = new AsyncLocalStorage();
+
+let currentLevel = LEVEL_PRIORITY[loggingConfig.level] !== undefined
+  ? loggingConfig.level
+  : "info";
+let fileSink = openFileSink();
+
+/**
+ * Open the configured log file, if any
+ * A log file that can't be opened only disables the file sink.
+ * @returns {Object|null} - File sink or null
+ */
+function openFileSink() {
+  if (!loggingConfig.file) {
+    return null;
+  }
+
+  try {
+    return createFileSink(
+      loggingConfig.file,
+      loggingConfig.maxFileBytes,
+      loggingConfig.maxFiles,
+      (error) => {
+        fileSink = null;
+        console.error(`Log file disabled, write failed: ${error.message}`);
+      }
+    );
+  } catch (error) {
+    console.error(`Log file disabled, cannot open ${loggingConfig.file}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Create an append-only file sink that rotates by size
+ * Lines go through a write stream, so logging never waits for the disk.
+ * When the file would grow past maxBytes it is renamed to <file>.1, older
+ * files shift up (<file>.1 -> <file>.2) and the oldest beyond maxFiles is dropped.
+ * @param {string} filename - Log file path
+ * @param {number} maxBytes - Size at which the file is rotated
+ * @param {number} maxFiles - Rotated files to keep
+ * @param {Function} onError - Called once if writing to the file fails
+ * @returns {Object} - { write(text), close() }
+ */
+function createFileSink(filename, maxBytes, maxFiles, onError) {
+  fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  let size = fs.existsSync(filename) ? fs.statSync(filename).size : 0;
+  // Streams of rotated files still writing their last lines
+  const closing = new Set();
+  let failed = false;
+  let stream = openStream();
+
+  /**
+   * Open the active file for appending
+   * The descriptor is opened synchronously, so lines still queued when the
+   * file is renamed end up in the renamed file.
+   * @returns {fs.WriteStream}
+   */
+  function openStream() {
+    const fileStream = fs.createWriteStream(filename, {
+      fd: fs.openSync(filename, "a"),
+    });
+    fileStream.on("error", (error) => {
+      if (!failed) {
+        failed = true;
+        onError(error);
+      }
+    });
+    return fileStream;
+  }
+
+  /**
+   * Finish writing a stream
+   * @param {fs.WriteStream} fileStream - Stream to end
+   * @returns {Promise<void>}
+   */
+  function endStream(fileStream) {
+    const ended = new Promise((resolve) => {
+      fileStream.once("error", resolve);
+      fileStream.end(resolve);
+    }).then(() => closing.delete(ended));
+    closing.add(ended);
+    return ended;
+  }
+
+  /**
+   * Shift rotated files up by one and start a new active file
+   */
+  function rotate() {
+    endStream(stream);
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      const from = `${filename}.${index}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${filename}.${index + 1}`);
+      }
+    }
+    fs.renameSync(filename, `${filename}.1`);
+    stream = openStream();
+    size = 0;
+  }
+
+  return {
+    write(text) {
+      const bytes = Buffer.byteLength(text);
+      if (size > 0 && size + bytes > maxBytes) {
+        rotate();
+      }
+      stream.write(text);
+      size += bytes;
+    },
+    async close() {
+      endStream(stream);
+      await Promise.all(closing);
+    },
+  };
+}
+
+/**
+ * Serialize an Error, including its code and cause if present
+ * @param {Error} error - Error
+ * @returns {Object} - { name, message, code, stack, cause }
+ */
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+  };
+  if (error.code !== undefined) serialized.code = error.code;
+  serialized.stack = error.stack;
+  if (error.cause instanceof Error) serialized.cause = serializeError(error.cause);
+  return serialized;
+}
+
+/**
+ * JSON.stringify that survives circular references and BigInts and drops
+ * the values of sensitive keys
+ * @param {*} value - Value to serialize
+ * @returns {string} - JSON
+ */
+function safeStringify(value) {
+  const seen = new WeakSet();
+
+  try {
+    return JSON.stringify(value, (key, item) => {
+      if (key && SENSITIVE_KEY_PATTERN.test(key) && item !== null && item !== "") {
+        return "[REDACTED]";
+      }
+      if (typeof item === "bigint") {
+        return item.toString();
+      }
+      if (item instanceof Error) {
+        return { name: item.name, message: item.message };
+      }
+      if (item && typeof item === "object") {
+        if (seen.has(item)) return "[Circular]";
+        seen.add(item);
+      }
+      return item;
+    });
+  } catch (error) {
+    return util.inspect(value, { depth: 3, breakLength: Infinity });
+  }
+}
+
+/**
+ * Format one log argument for the message text
+ * @param {*} arg - Argument
+ * @returns {string}
+ */
+function formatArg(arg) {
+  if (typeof arg === "string") {
+    return arg;
+  }
+  if (arg instanceof Error) {
+    return arg.message;
+  }
+
+  const isPlain =
+    Array.isArray(arg) ||
+    (arg !== null &&
+      typeof arg === "object" &&
+      [Object.prototype, null].includes(Object.getPrototypeOf(arg)));
+
+  return isPlain
+    ? safeStringify(arg)
+    : util.inspect(arg, { depth: 3, breakLength: Infinity });
+}
+
+/**
+ * Mask emails and secrets in a finished log line
+ * @param {string} text - Log line
+ * @returns {string}
+ */
+function redact(text) {
+  return REDACTIONS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+}
+
+/**
+ * Build the log entry for a call
+ * @param {string} level - Log level
+ * @param {Object} fields - Fields bound with child()
+ * @param {Array} args - Logged arguments
+ * @returns {Object} - Log entry
+ */
+function buildEntry(level, fields, args) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    ...fields,
+    ...contextStorage.getStore(),
+    message: args.map(formatArg).join(" "),
+  };
+
+  const error = args.find((arg) => arg instanceof Error);
+  if (error) {
+    entry.error = serializeError(error);
+  }
+
+  return entry;
+}
+
+/**
+ * Format an entry as a human-readable line (LOG_FORMAT=text)
+ * @param {Object} entry - Log entry
+ * @returns {string}
+ */
+function formatText(entry) {
+  const { timestamp, level, module: moduleName, message, error, ...context } = entry;
+  const contextText = Object.entries(context)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(" ");
+
+  return [
+    `[${level.toUpperCase()}] ${timestamp}`,
+    moduleName ? `[${moduleName}]` : null,
+    `- ${message}`,
+    contextText ? `(${contextText})` : null,
+  ]
+    .filter(Boolean)
+    .join(" ") + (error?.stack ? `\n${error.stack}` : "");
+}
+
+/**
+ * Write a log entry if its level is enabled
+ * @param {string} level - Log level
+ * @param {Object} fields - Fields bound with child()
+ * @param {Array} args - Logged arguments
+ */
+function write(level, fields, args) {
+  if (LEVEL_PRIORITY[level] > LEVEL_PRIORITY[currentLevel]) {
+    return;
+  }
+
+  const entry = buildEntry(level, fields, args);
+  const json = redact(safeStringify(entry));
+  const line = loggingConfig.format === "text" ? redact(formatText(entry)) : json;
+
+  console[CONSOLE_METHODS[level]](line);
+
+  if (fileSink) {
+    try {
+      fileSink.write(`${json}\n`);
+    } catch (error) {
+      fileSink = null;
+      console.error(`Log file disabled, write failed: ${error.message}`);
     }
-  },
-};
+  }
+}
+
+/**
+ * Write out buffered log file lines and close the file
+ * Call before the process exits; later entries only go to the console.
+ * @returns {Promise<void>}
+ */
+async function close() {
+  const sink = fileSink;
+  fileSink = null;
+  if (sink) {
+    await sink.close();
+  }
+}
+
+/**
+ * Run a function with correlation fields attached to everything it logs
+ * @param {Object} context - Fields such as { discordId, interactionId }
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+function runWithContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Change the log level at runtime
+ * @param {string} level - error, warn, info or debug
+ * @throws {Error} - If the level is unknown
+ */
+function setLevel(level) {
+  if (LEVEL_PRIORITY[level] === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  currentLevel = level;
+}
+
+/**
+ * Get the current log level
+ * @returns {string}
+ */
+function getLevel() {
+  return currentLevel;
+}
+
+/**
+ * Create a logger that adds fixed fields to every entry
+ * @param {Object} fields - Fields such as { module: "database" }
+ * @returns {Object} - Logger
+ */
+function createLogger(fields = {}) {
+  return {
+    LEVELS: Object.keys(LEVEL_PRIORITY),
+    error: (...args) => write("error", fields, args),
+    warn: (...args) => write("warn", fields, args),
+    info: (...args) => write("info", fields, args),
+    debug: (...args) => write("debug", fields, args),
+    child: (childFields) => createLogger({ ...fields, ...childFields }),
+    runWithContext,
+    setLevel,
+    getLevel,
+    close,
+  };
+}
 
-module.exports = logger;
+module.exports = createLogger();
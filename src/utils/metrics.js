@@ -0,0 +1,240 @@
+/**
+ * Metrics
+ * In-process Prometheus metrics, rendered in the text exposition format by
+ * the /metrics endpoint. Every metric is declared in METRICS below (with the
+ * label names it takes, if any) so HELP/TYPE lines are rendered even before
+ * the first sample is recorded.
+ */
+
+const PREFIX = "seolaxy_";
+
+// Poll and sync durations range from a few milliseconds to several minutes
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const METRICS = {
+  checkouts_created_total: {
+    type: "counter",
+    help: "Stripe checkout sessions created",
+  },
+  subscriptions_activated_total: {
+    type: "counter",
+    help: "Members who were given subscription access roles",
+  },
+  subscriptions_revoked_total: {
+    type: "counter",
+    help: "Members whose subscription access roles were removed",
+  },
+  dms_failed_total: {
+    type: "counter",
+    help: "Direct messages that could not be delivered, by message type",
+    labels: ["type"],
+  },
+  api_validations_total: {
+    type: "counter",
+    help: "Seolaxy API payment validations, by outcome",
+    labels: ["outcome"],
+  },
+  api_releases_total: {
+    type: "counter",
+    help: "Seolaxy API enrollment releases, by outcome",
+    labels: ["outcome"],
+  },
+  purchase_events_total: {
+    type: "counter",
+    help: "Purchase, refund and chargeback events received from the Seolaxy platform, by type",
+    labels: ["type"],
+  },
+  api_circuit_open: {
+    type: "gauge",
+    help: "Whether the Seolaxy API circuit breaker refuses requests (1) or not (0)",
+  },
+  registrations_queued: {
+    type: "gauge",
+    help: "Registrations waiting for the Seolaxy API to recover",
+  },
+  poll_duration_seconds: {
+    type: "histogram",
+    help: "Duration of Stripe polls and syncs, by job",
+    labels: ["job"],
+    buckets: DURATION_BUCKETS,
+  },
+  last_successful_sync_timestamp_seconds: {
+    type: "gauge",
+    help: "Unix time of the last successful Stripe sync",
+  },
+  discord_ready: {
+    type: "gauge",
+    help: "Whether the Discord gateway connection is ready (1) or not (0)",
+  },
+};
+
+// Samples per metric: Map<name, Map<labelKey, { labels, value | buckets, sum, count }>>
+const samples = new Map(Object.keys(METRICS).map((name) => [name, new Map()]));
+
+/**
+ * Look up a declared metric
+ * @param {string} name - Metric name without prefix
+ * @param {string} type - Expected metric type
+ * @returns {Object} - Metric definition
+ * @throws {Error} - If the metric is not declared with that type
+ */
+function getDefinition(name, type) {
+  const definition = METRICS[name];
+  if (!definition || definition.type !== type) {
+    throw new Error(`Unknown ${type} metric: ${name}`);
+  }
+  return definition;
+}
+
+/**
+ * Get the sample for a label set, creating it if needed
+ * @param {string} name - Metric name without prefix
+ * @param {Object} labels - Label values
+ * @param {Function} create - () => initial sample fields
+ * @returns {Object} - Sample
+ */
+function getSample(name, labels, create) {
+  const key = JSON.stringify(Object.entries(labels).sort());
+  const series = samples.get(name);
+
+  if (!series.has(key)) {
+    series.set(key, { labels, ...create() });
+  }
+  return series.get(key);
+}
+
+/**
+ * Increment a counter
+ * @param {string} name - Counter name without prefix (e.g. "dms_failed_total")
+ * @param {Object} labels - Label values
+ * @param {number} value - Amount to add (default 1)
+ */
+function increment(name, labels = {}, value = 1) {
+  getDefinition(name, "counter");
+  getSample(name, labels, () => ({ value: 0 })).value += value;
+}
+
+/**
+ * Set a gauge
+ * @param {string} name - Gauge name without prefix
+ * @param {number} value - New value
+ * @param {Object} labels - Label values
+ */
+function setGauge(name, value, labels = {}) {
+  getDefinition(name, "gauge");
+  getSample(name, labels, () => ({ value: 0 })).value = value;
+}
+
+/**
+ * Record a histogram observation
+ * @param {string} name - Histogram name without prefix
+ * @param {number} value - Observed value
+ * @param {Object} labels - Label values
+ */
+function observe(name, value, labels = {}) {
+  const definition = getDefinition(name, "histogram");
+  const sample = getSample(name, labels, () => ({
+    buckets: definition.buckets.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+
+  definition.buckets.forEach((bound, index) => {
+    if (value <= bound) {
+      sample.buckets[index] += 1;
+    }
+  });
+  sample.sum += value;
+  sample.count += 1;
+}
+
+/**
+ * Start timing something that is recorded in a histogram
+ * @param {string} name - Histogram name without prefix
+ * @param {Object} labels - Label values
+ * @returns {Function} - Call when done to record the elapsed seconds
+ */
+function startTimer(name, labels = {}) {
+  const startedAt = process.hrtime.bigint();
+
+  return () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    observe(name, seconds, labels);
+    return seconds;
+  };
+}
+
+/**
+ * Format a label set, e.g. {type="welcome"}
+ * @param {Object} labels - Label values
+ * @returns {string} - Formatted labels (empty string for none)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+
+  const formatted = entries.map(
+    ([key, value]) =>
+      `${key}="${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return `{${formatted.join(",")}}`;
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ * @returns {string} - Metrics text
+ */
+function render() {
+  const lines = [];
+
+  for (const [name, definition] of Object.entries(METRICS)) {
+    const fullName = `${PREFIX}${name}`;
+    const series = samples.get(name);
+
+    lines.push(`# HELP ${fullName} ${definition.help}`);
+    lines.push(`# TYPE ${fullName} ${definition.type}`);
+
+    if (definition.type === "histogram") {
+      for (const sample of series.values()) {
+        definition.buckets.forEach((bound, index) => {
+          lines.push(
+            `${fullName}_bucket${formatLabels({
+              ...sample.labels,
+              le: String(bound),
+            })} ${sample.buckets[index]}`
+          );
+        });
+        lines.push(
+          `${fullName}_bucket${formatLabels({ ...sample.labels, le: "+Inf" })} ${sample.count}`
+        );
+        lines.push(`${fullName}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+        lines.push(`${fullName}_count${formatLabels(sample.labels)} ${sample.count}`);
+      }
+      continue;
+    }
+
+    // Unlabelled counters start at 0 so rate() works from the first scrape
+    if (series.size === 0 && definition.type === "counter" && !definition.labels) {
+      lines.push(`${fullName} 0`);
+    }
+
+    for (const sample of series.values()) {
+      lines.push(`${fullName}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  increment,
+  setGauge,
+  observe,
+  startTimer,
+  render,
+};
@@ -3,7 +3,7 @@
  * Centralizes validation logic
  */
 
-const logger = require("./logger");
+const logger = require("./logger").child({ module: "validation" });
 
 /**
  * Validates required environment variables
@@ -0,0 +1,208 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { PermissionFlagsBits } = require("discord.js");
+const { createHarness } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+
+const ADMIN_ID = "300000000000000001";
+const M2_GUILD_ID = "200000000000000003";
+const M3_ROLE_ID = "500000000000000003";
+const M3_JOIN_CHANNEL_ID = "600000000000000001";
+const M3_USERS_CHANNEL_ID = "600000000000000002";
+
+let harness;
+let cohortService;
+let m2Guild;
+let apiRequests;
+let originalFetch;
+
+beforeEach(async () => {
+  harness = createHarness({
+    env: {
+      MENTORSHIP2_API_BEARER_TOKEN: "m2-test-token",
+      MENTORSHIP3_API_BEARER_TOKEN: "m3-test-token",
+      MENTORSHIP2_SERVER_ID: M2_GUILD_ID,
+    },
+  });
+  const channels = harness.load("constants/channels");
+
+  m2Guild = harness.client.addGuild({
+    id: M2_GUILD_ID,
+    name: "Mentorship",
+    roleIds: [harness.ROLES.MENTORSHIP2_VERIFIED, M3_ROLE_ID],
+  });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_JOIN_CHANNEL_ID, name: "join" });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_USERS_CHANNEL_ID, name: "users" });
+  m2Guild.addChannel({ id: M3_JOIN_CHANNEL_ID, name: "join-m3" });
+  m2Guild.addChannel({ id: M3_USERS_CHANNEL_ID, name: "users-m3" });
+
+  cohortService = harness.load("services/cohortService");
+
+  // Seolaxy API stand-in: records requests and accepts every enrollment
+  originalFetch = globalThis.fetch;
+  apiRequests = [];
+  globalThis.fetch = async (url, options) => {
+    apiRequests.push({ url, options });
+    return { ok: true, status: 200, json: async () => ({ success: true }) };
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+  harness.cleanup();
+});
+
+/**
+ * Run /cohort create as an administrator of the Mentorship server
+ * @param {Object} options - Command options
+ * @returns {Object} - Interaction with its responses
+ */
+async function createMentorship3(options = {}) {
+  const user = harness.client.addUser({ id: ADMIN_ID });
+  m2Guild.addMember(user);
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: m2Guild,
+    commandName: "cohort",
+    subcommand: "create",
+    options: {
+      slug: "mentorship3",
+      name: "Mentorship #3",
+      invoice_pattern: "SM-%/2027",
+      api_token_env: "MENTORSHIP3_API_BEARER_TOKEN",
+      join_channel: m2Guild.channels.cache.get(M3_JOIN_CHANNEL_ID),
+      users_channel: m2Guild.channels.cache.get(M3_USERS_CHANNEL_ID),
+      verified_role: { id: M3_ROLE_ID },
+      ...options,
+    },
+    permissions: [PermissionFlagsBits.Administrator],
+  });
+  await harness.load("handlers/commands").handleCommand(interaction);
+  return interaction;
+}
+
+/**
+ * Submit a cohort's join modal as a new member
+ * @param {string} slug - Cohort slug
+ * @param {string} invoiceNumber - Invoice number typed by the member
+ * @returns {Object} - { interaction, member }
+ */
+async function join(slug, invoiceNumber) {
+  const user = harness.client.addUser();
+  const member = m2Guild.addMember(user);
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: m2Guild,
+    customId: `cohort_join_modal_${slug}`,
+    fields: {
+      first_name: "Ivan",
+      last_name: "Kovac",
+      email: "ivan@example.com",
+      project_name: "blog",
+      invoice_number: invoiceNumber,
+    },
+  });
+  await harness.load("handlers/modals").handleModal(interaction);
+  return { interaction, member };
+}
+
+test("the Mentorship #2 cohort is created on startup and keeps its members", async () => {
+  harness.db.insertUser({ discord_id: "400000000000000001", invoice_number: "SM-0001/2026" });
+  harness.db.insertUser({ discord_id: "400000000000000002", invoice_number: "pi_123" });
+
+  await harness.initServices();
+
+  const cohort = cohortService.getCohort("mentorship2");
+  assert.equal(cohort.guild_id, M2_GUILD_ID);
+  assert.equal(cohort.verified_role_id, harness.ROLES.MENTORSHIP2_VERIFIED);
+  assert.deepEqual(
+    (await harness.db.fetchCohortUsers(cohort.id)).map((u) => u.discord_id),
+    ["400000000000000001"]
+  );
+
+  // A restart does not create it twice
+  await cohortService.init(harness.client);
+  assert.equal(harness.db.tables.cohorts.length, 1);
+});
+
+test("/cohort create adds a cohort with its own token, role and invoices", async () => {
+  harness.db.insertUser({ discord_id: "400000000000000001", invoice_number: "SM-0001/2027" });
+  await harness.initServices();
+
+  const interaction = await createMentorship3();
+  assert.match(interaction.lastResponse().content, /Created \*\*Mentorship #3\*\*/);
+  assert.match(interaction.lastResponse().content, /1 existing member/);
+
+  const cohort = cohortService.getCohort("mentorship3");
+  assert.equal(cohort.guild_id, M2_GUILD_ID);
+  assert.equal(harness.db.tables.audit_events[0].action, "cohort_created");
+
+  const { member } = await join("mentorship3", "SM-0042/2027");
+  assert.equal(apiRequests[0].options.headers.Authorization, "Bearer m3-test-token");
+  assert.ok(member.hasRole(M3_ROLE_ID));
+  assert.ok(!member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  assert.equal((await harness.db.getUserByDiscordId(member.id)).cohort_id, cohort.id);
+});
+
+test("invoices of another cohort are refused before calling the API", async () => {
+  await harness.initServices();
+  await createMentorship3();
+
+  const { interaction, member } = await join("mentorship3", "SM-0042/2026");
+
+  assert.match(interaction.lastResponse().content, /SM-XXXX\/2027/);
+  assert.equal(apiRequests.length, 0);
+  assert.ok(!member.hasRole(M3_ROLE_ID));
+});
+
+test("a cohort outside its registration window refuses joins", async () => {
+  await harness.initServices();
+  await createMentorship3({ starts: "2020-01-01", ends: "2020-02-01" });
+  const cohort = cohortService.getCohort("mentorship3");
+  assert.equal(cohortService.isOpen(cohort), false);
+
+  const user = harness.client.addUser();
+  m2Guild.addMember(user);
+  const button = createInteraction({
+    client: harness.client,
+    user,
+    guild: m2Guild,
+    customId: "cohort_join_mentorship3",
+  });
+  await harness.load("handlers/buttons").handleButton(button);
+  assert.match(button.lastResponse().content, /je zatvorena/);
+
+  const { interaction } = await join("mentorship3", "SM-0042/2027");
+  assert.match(interaction.lastResponse().content, /je zatvorena/);
+  assert.equal(apiRequests.length, 0);
+});
+
+test("/cohort create refuses invalid slugs, taken slugs, bad dates and other variables", async () => {
+  await harness.initServices();
+
+  assert.match(
+    (await createMentorship3({ slug: "Mentorship_3" })).lastResponse().content,
+    /lowercase letters/
+  );
+  assert.match(
+    (await createMentorship3({ slug: "mentorship2" })).lastResponse().content,
+    /already exists/
+  );
+  assert.match(
+    (await createMentorship3({ ends: "next year" })).lastResponse().content,
+    /not a date/
+  );
+  assert.match(
+    (await createMentorship3({ api_token_env: "DISCORD_TOKEN" })).lastResponse().content,
+    /must be named like/
+  );
+  assert.match(
+    (await createMentorship3({ api_token_env: "MENTORSHIP4_API_BEARER_TOKEN" }))
+      .lastResponse().content,
+    /`MENTORSHIP4_API_BEARER_TOKEN` is not set/
+  );
+  assert.equal(cohortService.getApiToken({ api_token_env: "DISCORD_TOKEN" }), null);
+  assert.equal(cohortService.getCohort("mentorship3"), null);
+});
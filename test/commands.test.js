@@ -0,0 +1,125 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PermissionFlagsBits, REST } = require("discord.js");
+const { createHarness } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+
+const DEPLOY_SCRIPT = path.join(__dirname, "..", "scripts", "deploy-commands.js");
+
+let harness;
+let registry;
+let commands;
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "seolaxy-commands-"));
+  harness = createHarness({
+    env: { COMMANDS_HASH_FILE: path.join(tmpDir, "commands.hash") },
+  });
+  registry = harness.load("commands");
+  commands = harness.load("handlers/commands");
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete require.cache[DEPLOY_SCRIPT];
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  harness.cleanup();
+});
+
+/**
+ * Create a command interaction from a main server member
+ * @param {Object} fields - createInteraction fields
+ * @returns {Object} - Fake interaction
+ */
+function commandInteraction(fields) {
+  const { user } = harness.addMember();
+  return createInteraction({
+    client: harness.client,
+    user,
+    guild: harness.mainGuild,
+    ...fields,
+  });
+}
+
+test("every command module is registered with a permission rule", () => {
+  const names = registry.getCommandNames();
+  assert.deepEqual(
+    registry.getDefinitions().map((definition) => definition.name),
+    names
+  );
+
+  for (const name of ["subscription", "whois", "config", "test-reset"]) {
+    assert.ok(names.includes(name), `/${name} is missing`);
+    assert.ok(registry.getCommand(name).permissions);
+  }
+
+  const subscription = registry.getCommand("subscription").definition;
+  assert.equal(subscription.description_localizations.hr, "Pregledajte i upravljajte svojom Seolaxy pretplatom");
+  assert.ok(subscription.options.every((option) => option.description_localizations.hr));
+});
+
+test("subcommands are routed to their handler", async () => {
+  const interaction = commandInteraction({
+    commandName: "subscription",
+    subcommand: "status",
+  });
+
+  await commands.handleCommand(interaction);
+
+  assert.equal(interaction.responses[0].type, "deferReply");
+  assert.match(interaction.responses[1].payload.content, /Nemate pretplatu/);
+});
+
+test("unknown commands are denied", async () => {
+  const interaction = commandInteraction({ commandName: "nope" });
+
+  await commands.handleCommand(interaction);
+
+  assert.match(interaction.responses[0].payload.content, /permission/);
+});
+
+test("autocomplete suggests only to members allowed to run the command", async () => {
+  const admin = commandInteraction({
+    commandName: "config",
+    subcommand: "show",
+    focused: { name: "server", value: "seo" },
+    permissions: [PermissionFlagsBits.Administrator],
+  });
+  const member = commandInteraction({
+    commandName: "config",
+    subcommand: "show",
+    focused: { name: "server", value: "seo" },
+  });
+
+  await commands.handleAutocomplete(admin);
+  await commands.handleAutocomplete(member);
+
+  assert.deepEqual(admin.responses[0].payload, [
+    { name: "Seolaxy", value: harness.mainGuild.id },
+  ]);
+  assert.deepEqual(member.responses[0].payload, []);
+});
+
+test("deployCommands only registers commands when their definitions change", async () => {
+  const put = mock.method(REST.prototype, "put", async (route, { body }) => body);
+  mock.method(console, "log", () => {});
+  const { deployCommands } = require(DEPLOY_SCRIPT);
+
+  const first = await deployCommands();
+  const second = await deployCommands();
+  const forced = await deployCommands({ force: true });
+
+  assert.equal(first.deployed, true);
+  assert.equal(second.deployed, false);
+  assert.equal(forced.deployed, true);
+  assert.equal(put.mock.callCount(), 2);
+  assert.deepEqual(put.mock.calls[0].arguments[1].body, registry.getDefinitions());
+
+  // Registering somewhere else is a change
+  process.env.GUILD_ID = "200000000000000009";
+  assert.equal((await deployCommands()).deployed, true);
+});
@@ -0,0 +1,279 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { PermissionFlagsBits } = require("discord.js");
+const { createHarness } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+const { createMockSeolaxyApi } = require("../scripts/mock-seolaxy-api");
+
+const STAFF_ID = "300000000000000001";
+const INVOICE = "SM-0001/2026";
+const M2_GUILD_ID = "200000000000000003";
+
+let mockApi;
+let harness;
+let m2Guild;
+let cohort;
+let staff;
+
+beforeEach(async () => {
+  mockApi = createMockSeolaxyApi({
+    purchases: [{ invoiceNumber: INVOICE, enrolled: true }],
+  });
+
+  harness = createHarness({
+    env: {
+      SEOLAXY_API_BASE_URL: await mockApi.start(),
+      MENTORSHIP2_API_BEARER_TOKEN: "m2-test-token",
+      MENTORSHIP2_SERVER_ID: M2_GUILD_ID,
+      SEOLAXY_API_TIMEOUT_MS: "200",
+      SEOLAXY_API_RETRY_DELAY_MS: "1",
+    },
+  });
+  const channels = harness.load("constants/channels");
+
+  m2Guild = harness.client.addGuild({
+    id: M2_GUILD_ID,
+    name: "Mentorship #2",
+    roleIds: [harness.ROLES.MENTORSHIP2_VERIFIED],
+  });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_JOIN_CHANNEL_ID, name: "join" });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_USERS_CHANNEL_ID, name: "users" });
+
+  await harness.initServices();
+  cohort = harness.load("services/cohortService").getCohort("mentorship2");
+
+  staff = harness.client.addUser({ id: STAFF_ID });
+  m2Guild.addMember(staff);
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  harness.cleanup();
+  await mockApi.stop();
+});
+
+/**
+ * Add an M2 member registered with INVOICE
+ * @returns {Object} - { user, member }
+ */
+function addM2Member() {
+  const user = harness.client.addUser();
+  const member = m2Guild.addMember(user, [harness.ROLES.MENTORSHIP2_VERIFIED]);
+  harness.db.insertUser({
+    discord_id: user.id,
+    discord_username: user.tag,
+    first_name: "Ana",
+    last_name: "Horvat",
+    email: "ana@example.com",
+    project_name: "shop",
+    invoice_number: INVOICE,
+    cohort_id: cohort.id,
+  });
+  return { user, member };
+}
+
+/**
+ * Run an /enrollment subcommand as an administrator
+ * @param {string} subcommand - "transfer" or "release"
+ * @param {Object} options - Command options
+ * @returns {Object} - Interaction with its responses
+ */
+async function runEnrollment(subcommand, options) {
+  const interaction = createInteraction({
+    client: harness.client,
+    user: staff,
+    guild: m2Guild,
+    commandName: "enrollment",
+    subcommand,
+    options,
+    permissions: [PermissionFlagsBits.Administrator],
+  });
+  await harness.load("handlers/commands").handleCommand(interaction);
+  return interaction;
+}
+
+/**
+ * Submit a cohort modal as staff or as a member
+ * @param {string} customId - Modal custom ID
+ * @param {Object} fields - Text input values
+ * @param {Object} user - Submitting user (defaults to staff)
+ * @returns {Object} - Interaction with its responses
+ */
+async function submitModal(customId, fields, user = staff) {
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: m2Guild,
+    customId,
+    fields,
+    permissions: [PermissionFlagsBits.Administrator],
+  });
+  await harness.load("handlers/modals").handleModal(interaction);
+  return interaction;
+}
+
+test("removing a member releases the purchase so a new account can register with it", async () => {
+  const { user } = addM2Member();
+
+  const removal = await submitModal("cohort_remove_user_modal_mentorship2", {
+    identifier: INVOICE,
+  });
+  assert.doesNotMatch(removal.lastResponse().content, /enrollment release/);
+  assert.equal(mockApi.findPurchase(INVOICE).enrolled, false);
+  assert.equal(mockApi.requests[0].endpoint, "/purchase/unenroll-discord");
+  assert.equal(mockApi.requests[0].authorization, "Bearer m2-test-token");
+
+  const released = harness.db.tables.audit_events.find(
+    (event) => event.action === "enrollment_released"
+  );
+  assert.equal(released.target_id, user.id);
+  assert.equal(released.actor_id, STAFF_ID);
+
+  const newUser = harness.client.addUser();
+  const newMember = m2Guild.addMember(newUser);
+  await submitModal(
+    "cohort_join_modal_mentorship2",
+    {
+      first_name: "Ana",
+      last_name: "Horvat",
+      email: "ana@example.com",
+      project_name: "shop",
+      invoice_number: INVOICE,
+    },
+    newUser
+  );
+  assert.ok(newMember.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  assert.equal((await harness.db.getUserByDiscordId(newUser.id)).invoice_number, INVOICE);
+});
+
+test("a release that fails is reported and can be retried with /enrollment release", async () => {
+  const { user } = addM2Member();
+
+  const refused = await runEnrollment("release", { invoice: INVOICE });
+  assert.match(refused.lastResponse().content, /still registered/);
+  assert.equal(mockApi.requests.length, 0);
+
+  mockApi.failNext(3, 503);
+  const removal = await submitModal("cohort_remove_user_modal_mentorship2", {
+    identifier: user.id,
+  });
+  assert.match(removal.lastResponse().content, /enrollment release invoice:SM-0001\/2026/);
+  assert.equal(await harness.db.getUserByDiscordId(user.id), null);
+  assert.equal(mockApi.findPurchase(INVOICE).enrolled, true);
+
+  const release = await runEnrollment("release", { invoice: INVOICE });
+  assert.match(release.lastResponse().content, /Released/);
+  assert.equal(mockApi.findPurchase(INVOICE).enrolled, false);
+
+  // Releasing again is harmless
+  const again = await runEnrollment("release", { invoice: INVOICE });
+  assert.match(again.lastResponse().content, /Released/);
+});
+
+test("/enrollment transfer moves the registration and its role to another member", async () => {
+  const { user, member } = addM2Member();
+  const newUser = harness.client.addUser();
+  const newMember = m2Guild.addMember(newUser);
+
+  const interaction = await runEnrollment("transfer", {
+    invoice: INVOICE,
+    new_member: newUser,
+    reason: "lost account",
+  });
+
+  assert.match(interaction.lastResponse().content, /Moved/);
+  assert.equal(await harness.db.getUserByDiscordId(user.id), null);
+  const moved = await harness.db.getUserByDiscordId(newUser.id);
+  assert.equal(moved.invoice_number, INVOICE);
+  assert.equal(moved.discord_username, newUser.tag);
+  assert.ok(!member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  assert.ok(newMember.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+
+  // Both accounts show the transfer in /audit; Seolaxy is not asked
+  const events = harness.db.tables.audit_events;
+  assert.deepEqual(
+    events.map((event) => [event.action, event.target_id]),
+    [
+      ["enrollment_transferred", user.id],
+      ["enrollment_transferred", newUser.id],
+    ]
+  );
+  assert.equal(events[0].reason, "lost account");
+  assert.equal(mockApi.requests.length, 0);
+  assert.equal(mockApi.findPurchase(INVOICE).enrolled, true);
+
+  // The new account is registered now, so it cannot take another invoice
+  harness.db.insertUser({ discord_id: user.id, invoice_number: "SM-0002/2026" });
+  const refused = await runEnrollment("transfer", {
+    invoice: "SM-0002/2026",
+    new_member: newUser,
+  });
+  assert.match(refused.lastResponse().content, /already registered with `SM-0001\/2026`/);
+});
+
+test("/enrollment transfer refuses registrations that carry a Stripe subscription", async () => {
+  const payer = harness.addMember([harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER]);
+  harness.db.insertUser({
+    discord_id: payer.user.id,
+    invoice_number: "pi_main_0001",
+    stripe_customer_id: "cus_payer",
+    stripe_subscription_id: "sub_payer",
+    subscription_status: "active",
+  });
+  const newUser = harness.client.addUser();
+  harness.mainGuild.addMember(newUser);
+
+  const interaction = await runEnrollment("transfer", {
+    invoice: "pi_main_0001",
+    new_member: newUser,
+  });
+
+  assert.match(interaction.lastResponse().content, /Stripe subscription/);
+  assert.equal(
+    (await harness.db.getUserByDiscordId(payer.user.id)).stripe_subscription_id,
+    "sub_payer"
+  );
+  assert.equal(await harness.db.getUserByDiscordId(newUser.id), null);
+  assert.ok(payer.member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+});
+
+test("/test-reset in test mode releases the purchase only for staff", async () => {
+  mock.method(
+    harness.load("services/stripeService"),
+    "getIsTestMode",
+    () => true
+  );
+
+  /**
+   * Run /test-reset as a member
+   * @param {Object} user - Invoking user
+   * @param {Array<bigint>} permissions - Their permissions
+   * @returns {Object} - Interaction with its responses
+   */
+  async function testReset(user, permissions) {
+    const interaction = createInteraction({
+      client: harness.client,
+      user,
+      guild: m2Guild,
+      commandName: "test-reset",
+      permissions,
+    });
+    await harness.load("handlers/commands").handleCommand(interaction);
+    return interaction;
+  }
+
+  const { user } = addM2Member();
+  const member = await testReset(user, []);
+  assert.equal(await harness.db.getUserByDiscordId(user.id), null);
+  assert.match(member.lastResponse().content, /kept, only staff release/);
+  assert.equal(mockApi.findPurchase(INVOICE).enrolled, true);
+  assert.equal(mockApi.requests.length, 0);
+
+  harness.db.insertUser({
+    discord_id: staff.id,
+    invoice_number: INVOICE,
+    cohort_id: cohort.id,
+  });
+  await testReset(staff, [PermissionFlagsBits.Administrator]);
+  assert.equal(mockApi.findPurchase(INVOICE).enrolled, false);
+});
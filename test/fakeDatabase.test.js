@@ -0,0 +1,14 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeDatabase } = require("./helpers/fakeDatabase");
+
+test("the fake database implements every export of the real one", () => {
+  const realDatabase = require("../src/services/database");
+  const fakeDatabase = createFakeDatabase();
+
+  const missing = Object.keys(realDatabase).filter(
+    (name) => typeof fakeDatabase[name] !== typeof realDatabase[name]
+  );
+
+  assert.deepEqual(missing, []);
+});
@@ -0,0 +1,159 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { PermissionFlagsBits } = require("discord.js");
+const { createHarness } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+
+const ADMIN_ID = "300000000000000001";
+const NEW_MEMBER_ROLE = "500000000000000001";
+
+let harness;
+let guildConfigService;
+let channels;
+
+beforeEach(() => {
+  harness = createHarness();
+  guildConfigService = harness.load("services/guildConfigService");
+  channels = harness.load("constants/channels");
+});
+
+afterEach(() => harness.cleanup());
+
+/**
+ * Run /config as an administrator of the main server
+ * @param {string} subcommand - show, set or reset
+ * @param {Object} options - Command options
+ * @param {Array} permissions - Permissions of the invoking member
+ * @returns {Object} - Interaction with its responses
+ */
+async function runConfig(subcommand, options = {}, permissions = null) {
+  const user = harness.client.addUser({ id: ADMIN_ID });
+  harness.mainGuild.addMember(user);
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: harness.mainGuild,
+    commandName: "config",
+    subcommand,
+    options,
+    permissions: permissions || [PermissionFlagsBits.Administrator],
+  });
+  await harness.load("handlers/commands").handleCommand(interaction);
+  return interaction;
+}
+
+test("defaults apply until a stored value overrides them", async () => {
+  const guildId = harness.mainGuild.id;
+  harness.db.tables.guild_config.push({
+    guild_id: guildId,
+    setting_key: "roles.member",
+    value: NEW_MEMBER_ROLE,
+  });
+
+  assert.equal(guildConfigService.getRole(guildId, "member"), harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER);
+
+  await guildConfigService.init(harness.client);
+
+  assert.equal(guildConfigService.getRole(guildId, "member"), NEW_MEMBER_ROLE);
+  assert.equal(guildConfigService.get(guildId, "locale"), "bs");
+  assert.deepEqual(guildConfigService.getGuildsWithFlow("subscribe"), [guildId]);
+  assert.throws(() => guildConfigService.get(guildId, "roles.nope"), /Unknown guild setting/);
+});
+
+test("a server without an ID is found through its join channel", async () => {
+  const m2Guild = harness.client.addGuild({ id: "200000000000000003" });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_JOIN_CHANNEL_ID, name: "join" });
+
+  await guildConfigService.init(harness.client);
+
+  assert.ok(guildConfigService.getGuildIds().includes(m2Guild.id));
+  assert.equal(guildConfigService.get(m2Guild.id, "locale"), "hr");
+});
+
+test("set only accepts roles and channels of the server and is audited", async () => {
+  const guild = harness.mainGuild;
+  guild.addRole(NEW_MEMBER_ROLE);
+
+  const missing = await guildConfigService.set(guild, "roles.member", "999", ADMIN_ID);
+  assert.equal(missing.success, false);
+  assert.match(missing.error, /No role/);
+  assert.equal((await guildConfigService.set(guild, "channels.join", "999", ADMIN_ID)).success, false);
+  assert.equal((await guildConfigService.set(guild, "locale", "de", ADMIN_ID)).success, false);
+  assert.equal((await guildConfigService.set(guild, "flows.subscribe", "maybe", ADMIN_ID)).success, false);
+
+  const result = await guildConfigService.set(guild, "roles.member", `<@&${NEW_MEMBER_ROLE}>`, ADMIN_ID);
+  assert.equal(result.success, true);
+  assert.equal(result.previous, harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER);
+  assert.equal(guildConfigService.getRole(guild.id, "member"), NEW_MEMBER_ROLE);
+  assert.equal(harness.db.tables.guild_config[0].value, NEW_MEMBER_ROLE);
+
+  const [event] = harness.db.tables.audit_events;
+  assert.equal(event.action, "guild_config_changed");
+  assert.equal(event.target_id, guild.id);
+  assert.equal(event.actor_id, ADMIN_ID);
+
+  await guildConfigService.set(guild, "roles.premium", "none", ADMIN_ID);
+  assert.equal(guildConfigService.getRole(guild.id, "premium"), null);
+});
+
+test("subscription roles follow the configured member role", async () => {
+  harness.mainGuild.addRole(NEW_MEMBER_ROLE);
+  await guildConfigService.set(harness.mainGuild, "roles.member", NEW_MEMBER_ROLE, ADMIN_ID);
+  await harness.initServices();
+
+  const { user, member } = harness.addMember([harness.ROLES.UNVERIFIED]);
+  await harness.load("services/subscriptionService").assignSubscriptionRoles(
+    user.id,
+    process.env.STRIPE_PRICE_ID
+  );
+
+  assert.ok(member.hasRole(NEW_MEMBER_ROLE));
+  assert.ok(!member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.ok(!member.hasRole(harness.ROLES.UNVERIFIED));
+});
+
+test("/config is for administrators and can set, reset and show settings", async () => {
+  const denied = await runConfig("set", { key: "locale", value: "en" }, []);
+  assert.match(denied.responses[0].payload.content, /permission/);
+  assert.equal(guildConfigService.get(harness.mainGuild.id, "locale"), "bs");
+
+  const set = await runConfig("set", { key: "locale", value: "EN" });
+  assert.match(set.responses[0].payload.content, /`bs` → `en`/);
+  assert.equal(guildConfigService.get(harness.mainGuild.id, "locale"), "en");
+
+  const show = await runConfig("show");
+  assert.match(show.responses[0].payload.content, /`locale`: `en` ✏️/);
+
+  const reset = await runConfig("reset", { key: "locale" });
+  assert.match(reset.responses[0].payload.content, /`en` → `bs`/);
+  assert.deepEqual(harness.db.tables.guild_config, []);
+
+  const again = await runConfig("reset", { key: "locale" });
+  assert.match(again.responses[0].payload.content, /not overridden/);
+});
+
+test("/config only shows or changes another server for its administrators", async () => {
+  const otherGuild = harness.client.addGuild({ name: "Other server" });
+  const options = { key: "locale", value: "en", server: otherGuild.id };
+
+  const notMember = await runConfig("set", options);
+  assert.match(notMember.responses[0].payload.content, /Administrator permission in \*\*Other server/);
+  const shown = await runConfig("show", { server: otherGuild.id });
+  assert.match(shown.responses[0].payload.content, /Administrator permission/);
+  assert.doesNotMatch(shown.responses[0].payload.content, /Settings for/);
+
+  otherGuild.addMember(harness.client.users.cache.get(ADMIN_ID));
+  const notAdmin = await runConfig("reset", { key: "locale", server: otherGuild.id });
+  assert.match(notAdmin.responses[0].payload.content, /Administrator permission/);
+  assert.equal(guildConfigService.get(otherGuild.id, "locale"), null);
+
+  otherGuild.members.cache.delete(ADMIN_ID);
+  otherGuild.addMember(harness.client.users.cache.get(ADMIN_ID), [], [
+    PermissionFlagsBits.Administrator,
+  ]);
+  const allowed = await runConfig("set", options);
+  assert.match(allowed.responses[0].payload.content, /→ `en`/);
+  const allowedShow = await runConfig("show", { server: otherGuild.id });
+  assert.match(allowedShow.responses[0].payload.content, /Settings for Other server/);
+  assert.equal(guildConfigService.get(otherGuild.id, "locale"), "en");
+});
@@ -0,0 +1,114 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+
+let harness;
+let health;
+let subscriptionService;
+
+beforeEach(async () => {
+  harness = createHarness();
+  await harness.initServices();
+  health = harness.load("handlers/health");
+  subscriptionService = harness.load("services/subscriptionService");
+});
+
+afterEach(() => harness.cleanup());
+
+/**
+ * Scrape /metrics and read one sample
+ * @param {string} sample - Metric name with labels, e.g. 'seolaxy_dms_failed_total{type="welcome"}'
+ * @returns {number|undefined} - Sample value, undefined if not rendered
+ */
+async function scrape(sample) {
+  const { body } = await health.handleMetrics();
+  const line = body.split("\n").find((l) => l.startsWith(`${sample} `));
+  return line === undefined ? undefined : Number(line.slice(sample.length + 1));
+}
+
+test("/healthz answers while the process runs", async () => {
+  const result = await health.handleHealthz();
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.status, "ok");
+});
+
+test("/readyz stays unavailable until a Stripe sync has completed", async () => {
+  const before = await health.handleReadyz();
+  assert.equal(before.status, 503);
+  assert.equal(before.body.checks.lastSync.ok, false);
+  assert.equal(before.body.checks.discord.ok, true);
+  assert.equal(before.body.checks.database.ok, true);
+  assert.equal(before.body.checks.stripe.ok, true);
+
+  await subscriptionService.syncAllFromStripe();
+
+  const after = await health.handleReadyz();
+  assert.equal(after.status, 200);
+  assert.equal(after.body.ready, true);
+  assert.ok(after.body.checks.lastSync.lastSuccessAt);
+});
+
+test("/readyz reports a lost gateway or database", async () => {
+  await subscriptionService.syncAllFromStripe();
+  harness.client.ready = false;
+  harness.db.connected = false;
+
+  const result = await health.handleReadyz();
+
+  assert.equal(result.status, 503);
+  assert.equal(result.body.checks.discord.ok, false);
+  assert.equal(result.body.checks.database.ok, false);
+  assert.equal(result.body.checks.lastSync.ok, true);
+});
+
+test("/metrics counts activations, revocations, failed DMs and poll durations", async () => {
+  assert.equal(await scrape("seolaxy_subscriptions_activated_total"), 0);
+
+  const { user } = harness.addMember([harness.ROLES.UNVERIFIED]);
+  const subscription = harness.stripe.addSubscription({ discordId: user.id });
+  await subscriptionService.syncAllFromStripe();
+
+  assert.equal(await scrape("seolaxy_subscriptions_activated_total"), 1);
+  assert.equal(
+    await scrape('seolaxy_poll_duration_seconds_count{job="startup_sync"}'),
+    1
+  );
+  assert.ok((await scrape("seolaxy_last_successful_sync_timestamp_seconds")) > 0);
+  assert.equal(await scrape("seolaxy_discord_ready"), 1);
+
+  harness.stripe.updateSubscription(subscription.id, { status: "canceled" });
+  user.dmsDisabled = true;
+  await subscriptionService.checkAllSubscriptions();
+
+  assert.equal(await scrape("seolaxy_subscriptions_revoked_total"), 1);
+  assert.equal(
+    await scrape('seolaxy_dms_failed_total{type="subscription_ended"}'),
+    1
+  );
+});
+
+test("/metrics times syncs that fail too", async () => {
+  harness.stripe.state.nextError = new Error("Stripe is down");
+  await subscriptionService.syncAllFromStripe();
+
+  assert.equal(
+    await scrape('seolaxy_poll_duration_seconds_count{job="startup_sync"}'),
+    1
+  );
+  assert.equal((await health.handleReadyz()).body.checks.lastSync.ok, false);
+});
+
+test("/metrics counts Seolaxy API validation outcomes", async () => {
+  const seolaxyApi = harness.load("services/seolaxyApi");
+
+  // No bearer token is configured in tests
+  await seolaxyApi.validatePaymentIntent("pi_123");
+
+  assert.equal(
+    await scrape('seolaxy_api_validations_total{outcome="configuration_error"}'),
+    1
+  );
+  const result = await health.handleMetrics();
+  assert.match(result.headers["Content-Type"], /^text\/plain; version=0\.0\.4/);
+});
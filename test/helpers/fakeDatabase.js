@@ -0,0 +1,648 @@
+/**
+ * In-memory stand-in for src/services/database.js
+ * Implements the same exported functions over plain arrays so services and
+ * handlers can run without MySQL. Rows use the same column names as the
+ * real tables. Tests can read and seed `tables` directly.
+ */
+
+/**
+ * Create an empty in-memory database
+ * @returns {Object} - Database module stand-in plus { tables, insertUser }
+ */
+function createFakeDatabase() {
+  const tables = {
+    users: [],
+    subscription_dunning: [],
+    pending_checkouts: [],
+    reset_runs: [],
+    reset_run_items: [],
+    audit_events: [],
+    manual_access: [],
+    guild_config: [],
+    cohorts: [],
+    pending_registrations: [],
+    seolaxy_purchases: [],
+    bot_state: new Map(),
+  };
+  const ids = {};
+
+  /**
+   * Get the next auto increment ID of a table
+   * @param {string} table - Table name
+   * @returns {number} - Next ID
+   */
+  function nextId(table) {
+    ids[table] = (ids[table] || 0) + 1;
+    return ids[table];
+  }
+
+  /**
+   * Insert a users row with column defaults
+   * @param {Object} row - Column values
+   * @returns {Object} - Inserted row
+   */
+  function insertUser(row) {
+    const now = new Date();
+    const user = {
+      id: nextId("users"),
+      discord_id: null,
+      discord_username: "",
+      first_name: "",
+      last_name: "",
+      email: "",
+      project_name: null,
+      invoice_number: null,
+      stripe_customer_id: null,
+      stripe_subscription_id: null,
+      stripe_price_id: null,
+      subscription_status: "none",
+      subscription_ends_at: null,
+      is_legacy_user: false,
+      cohort_id: null,
+      created_at: now,
+      updated_at: now,
+      ...row,
+    };
+    tables.users.push(user);
+    return user;
+  }
+
+  const findUser = (discordId) =>
+    tables.users.find((u) => u.discord_id === discordId) || null;
+  const copy = (row) => (row ? { ...row } : null);
+  const sortByDesc = (rows, key) =>
+    [...rows].sort((a, b) => new Date(b[key]) - new Date(a[key]));
+
+  const database = {
+    tables,
+    insertUser,
+
+    initDatabase: async () => {},
+    getPool: () => null,
+    closeDatabase: async () => {
+      database.connected = false;
+    },
+    // Set to false to make the database look unreachable
+    connected: true,
+    checkConnection: async () => database.connected,
+
+    // Users
+    saveUser: async (userData) => {
+      const existing = findUser(userData.discordId);
+      const values = {
+        discord_username: userData.discordUsername,
+        first_name: userData.firstName,
+        last_name: userData.lastName,
+        email: userData.email,
+        project_name: userData.projectName,
+        invoice_number: userData.invoiceNumber,
+        cohort_id: userData.cohortId || null,
+        updated_at: new Date(),
+      };
+      if (existing) {
+        Object.assign(existing, values);
+      } else {
+        insertUser({ discord_id: userData.discordId, ...values });
+      }
+      return true;
+    },
+    fetchAllUsers: async () =>
+      sortByDesc(tables.users, "created_at").map(copy),
+    fetchCohortUsers: async (cohortId) =>
+      sortByDesc(
+        tables.users.filter((u) => u.cohort_id === cohortId),
+        "created_at"
+      ).map(copy),
+    checkPaymentIntentExists: async (invoiceNumber) =>
+      tables.users.some((u) => u.invoice_number === invoiceNumber),
+    getUserByDiscordId: async (discordId) => copy(findUser(discordId)),
+    getUserByInvoiceNumber: async (invoiceNumber) =>
+      copy(tables.users.find((u) => u.invoice_number === invoiceNumber)),
+    getUserByEmail: async (email) =>
+      copy(
+        sortByDesc(tables.users, "created_at").find(
+          (u) => (u.email || "").toLowerCase() === email.toLowerCase()
+        )
+      ),
+    getUserByStripeCustomerId: async (customerId) =>
+      copy(tables.users.find((u) => u.stripe_customer_id === customerId)),
+    findUserByIdentifier: async (identifier) => {
+      const trimmed = String(identifier).trim();
+      if (!trimmed) return null;
+      const mention = trimmed.match(/^<@!?(\d{17,19})>$/);
+      if (mention) return database.getUserByDiscordId(mention[1]);
+      if (/^\d{17,19}$/.test(trimmed)) return database.getUserByDiscordId(trimmed);
+      if (trimmed.startsWith("cus_")) {
+        return database.getUserByStripeCustomerId(trimmed);
+      }
+      if (trimmed.includes("@")) return database.getUserByEmail(trimmed);
+      return database.getUserByInvoiceNumber(trimmed);
+    },
+    deleteUser: async (discordId) => {
+      const index = tables.users.findIndex((u) => u.discord_id === discordId);
+      if (index === -1) return false;
+      tables.users.splice(index, 1);
+      return true;
+    },
+    updateUser: async (discordId, updates) => {
+      const user = findUser(discordId);
+      if (!user) return false;
+      for (const key of ["first_name", "last_name", "email", "project_name"]) {
+        if (updates[key] !== undefined && updates[key] !== null) {
+          user[key] = updates[key];
+        }
+      }
+      user.updated_at = new Date();
+      return true;
+    },
+    transferUser: async (fromDiscordId, toDiscordId, toUsername) => {
+      const user = findUser(fromDiscordId);
+      if (!user || findUser(toDiscordId)) return false;
+      user.discord_id = toDiscordId;
+      user.discord_username = toUsername;
+      user.updated_at = new Date();
+      return true;
+    },
+
+    // Subscriptions
+    saveSubscriptionUser: async (userData) => {
+      const values = {
+        discord_username: userData.discordUsername,
+        first_name: userData.firstName || "",
+        last_name: userData.lastName || "",
+        email: userData.email || "",
+        project_name: userData.projectName || null,
+        stripe_customer_id: userData.stripeCustomerId,
+        stripe_subscription_id: userData.stripeSubscriptionId,
+        stripe_price_id: userData.stripePriceId || null,
+        subscription_status: userData.subscriptionStatus || "active",
+        subscription_ends_at: userData.subscriptionEndsAt || null,
+        updated_at: new Date(),
+      };
+      const existing = findUser(userData.discordId);
+      if (existing) {
+        Object.assign(existing, values);
+      } else {
+        insertUser({ discord_id: userData.discordId, ...values });
+      }
+      return true;
+    },
+    updateUserSubscription: async (discordId, data) => {
+      const user = findUser(discordId);
+      if (!user) return false;
+      user.stripe_customer_id = data.stripeCustomerId || user.stripe_customer_id;
+      user.stripe_subscription_id =
+        data.stripeSubscriptionId || user.stripe_subscription_id;
+      user.stripe_price_id = data.stripePriceId || user.stripe_price_id;
+      user.subscription_status = data.subscriptionStatus;
+      user.subscription_ends_at = data.subscriptionEndsAt || null;
+      user.updated_at = new Date();
+      return true;
+    },
+    getUsersWithActiveSubscriptions: async () =>
+      tables.users
+        .filter(
+          (u) =>
+            ["active", "trialing", "past_due"].includes(u.subscription_status) &&
+            u.stripe_subscription_id
+        )
+        .map(copy),
+    getLegacyUsers: async () =>
+      tables.users
+        .filter(
+          (u) =>
+            u.is_legacy_user &&
+            ["trialing", "none"].includes(u.subscription_status)
+        )
+        .map(copy),
+    getUsersWithExpiringSubscriptions: async (daysUntilExpiry = 3) => {
+      const limit = Date.now() + daysUntilExpiry * 24 * 60 * 60 * 1000;
+      return tables.users
+        .filter(
+          (u) =>
+            u.subscription_status === "past_due" &&
+            u.subscription_ends_at &&
+            new Date(u.subscription_ends_at).getTime() <= limit
+        )
+        .map(copy);
+    },
+    markExistingUsersAsLegacy: async (gracePeriodDays = 30) => {
+      const users = tables.users.filter(
+        (u) => !u.stripe_subscription_id && !u.is_legacy_user
+      );
+      for (const user of users) {
+        user.is_legacy_user = true;
+        user.subscription_status = "trialing";
+        user.subscription_ends_at = new Date(
+          Date.now() + gracePeriodDays * 24 * 60 * 60 * 1000
+        );
+      }
+      return users.length;
+    },
+    resetUserSubscriptionData: async (discordId) => {
+      const user = findUser(discordId);
+      if (!user) return false;
+      Object.assign(user, {
+        stripe_customer_id: null,
+        stripe_subscription_id: null,
+        stripe_price_id: null,
+        subscription_status: "none",
+        subscription_ends_at: null,
+        updated_at: new Date(),
+      });
+      return true;
+    },
+
+    // Dunning
+    getDunningRecord: async (discordId) =>
+      copy(tables.subscription_dunning.find((r) => r.discord_id === discordId)),
+    getDunningRecords: async () =>
+      [...tables.subscription_dunning]
+        .sort((a, b) => a.past_due_since - b.past_due_since)
+        .map(copy),
+    createDunningRecord: async (discordId, pastDueSince = new Date()) => {
+      if (tables.subscription_dunning.some((r) => r.discord_id === discordId)) {
+        return false;
+      }
+      tables.subscription_dunning.push({
+        discord_id: discordId,
+        past_due_since: pastDueSince,
+        last_stage: "initial",
+        access_revoked: false,
+        updated_at: new Date(),
+      });
+      return true;
+    },
+    updateDunningStage: async (discordId, stage, accessRevoked = false) => {
+      const record = tables.subscription_dunning.find(
+        (r) => r.discord_id === discordId
+      );
+      if (!record) return false;
+      record.last_stage = stage;
+      record.access_revoked = accessRevoked;
+      return true;
+    },
+    deleteDunningRecord: async (discordId) => {
+      const before = tables.subscription_dunning.length;
+      tables.subscription_dunning = tables.subscription_dunning.filter(
+        (r) => r.discord_id !== discordId
+      );
+      return tables.subscription_dunning.length < before;
+    },
+
+    // Pending checkouts
+    savePendingCheckout: async (discordId, sessionId, expiresAt) => {
+      const existing = tables.pending_checkouts.find(
+        (c) => c.session_id === sessionId
+      );
+      if (existing) {
+        existing.status = "pending";
+        existing.expires_at = expiresAt;
+      } else {
+        tables.pending_checkouts.push({
+          id: nextId("pending_checkouts"),
+          discord_id: discordId,
+          session_id: sessionId,
+          status: "pending",
+          created_at: new Date(),
+          expires_at: expiresAt,
+        });
+      }
+      return true;
+    },
+    getPendingCheckouts: async () =>
+      tables.pending_checkouts.filter((c) => c.status === "pending").map(copy),
+    getPendingCheckoutByDiscordId: async (discordId) =>
+      copy(
+        sortByDesc(tables.pending_checkouts, "created_at").find(
+          (c) => c.discord_id === discordId && c.status === "pending"
+        )
+      ),
+    closePendingCheckouts: async (discordId, status) => {
+      const rows = tables.pending_checkouts.filter(
+        (c) => c.discord_id === discordId && c.status === "pending"
+      );
+      rows.forEach((c) => {
+        c.status = status;
+      });
+      return rows.length;
+    },
+
+    // Subscription reset runs
+    createResetRun: async (runData) => {
+      const runId = nextId("reset_runs");
+      tables.reset_runs.push({
+        id: runId,
+        status: "planned",
+        requested_by: runData.requestedBy,
+        approved_by: null,
+        total_count: runData.items.length,
+        expires_at: runData.expiresAt,
+        created_at: new Date(),
+        started_at: null,
+        completed_at: null,
+      });
+      for (const item of runData.items) {
+        tables.reset_run_items.push({
+          id: nextId("reset_run_items"),
+          run_id: runId,
+          discord_id: item.discordId,
+          discord_username: item.discordUsername,
+          member_roles: item.memberRoles.join(","),
+          stripe_subscription_id: item.stripeSubscriptionId || null,
+          subscription_status: item.subscriptionStatus || null,
+          has_db_row: item.hasDbRow ? 1 : 0,
+          status: "pending",
+          error: null,
+          processed_at: null,
+        });
+      }
+      return runId;
+    },
+    getResetRun: async (runId) =>
+      copy(tables.reset_runs.find((r) => r.id === Number(runId))),
+    getUnfinishedResetRuns: async () =>
+      tables.reset_runs
+        .filter((r) => ["approved", "running"].includes(r.status))
+        .map(copy),
+    getResetRunItems: async (runId, status = null) =>
+      tables.reset_run_items
+        .filter(
+          (i) => i.run_id === Number(runId) && (!status || i.status === status)
+        )
+        .map(copy),
+    approveResetRun: async (runId, approvedBy) => {
+      const run = tables.reset_runs.find((r) => r.id === Number(runId));
+      if (
+        !run ||
+        run.status !== "planned" ||
+        new Date(run.expires_at).getTime() <= Date.now()
+      ) {
+        return false;
+      }
+      run.status = "approved";
+      run.approved_by = approvedBy;
+      return true;
+    },
+    updateResetRunStatus: async (runId, status, fromStatus = null) => {
+      const run = tables.reset_runs.find((r) => r.id === Number(runId));
+      if (!run || (fromStatus && run.status !== fromStatus)) return false;
+      run.status = status;
+      if (status === "running") run.started_at = run.started_at || new Date();
+      if (status === "completed") run.completed_at = new Date();
+      return true;
+    },
+    updateResetRunItem: async (itemId, status, errorMessage = null) => {
+      const item = tables.reset_run_items.find((i) => i.id === itemId);
+      if (!item) return false;
+      item.status = status;
+      item.error = errorMessage;
+      item.processed_at = new Date();
+      return true;
+    },
+
+    // Audit log
+    saveAuditEvent: async (event) => {
+      tables.audit_events.push({
+        id: nextId("audit_events"),
+        actor_id: event.actorId,
+        target_id: event.targetId || null,
+        action: event.action,
+        before_state:
+          event.before === undefined ? null : JSON.stringify(event.before),
+        after_state: event.after === undefined ? null : JSON.stringify(event.after),
+        reason: event.reason || null,
+        created_at: new Date(),
+      });
+      return true;
+    },
+    getAuditEvents: async (targetId, limit, offset) =>
+      tables.audit_events
+        .filter((e) => e.target_id === targetId)
+        .sort((a, b) => b.id - a.id)
+        .slice(offset, offset + limit)
+        .map(copy),
+    countAuditEvents: async (targetId) =>
+      tables.audit_events.filter((e) => e.target_id === targetId).length,
+
+    // Manual access
+    createManualAccess: async (grant) => {
+      const id = nextId("manual_access");
+      tables.manual_access.push({
+        id,
+        discord_id: grant.discordId,
+        granted_by: grant.grantedBy,
+        reason: grant.reason || null,
+        expires_at: grant.expiresAt,
+        status: "active",
+        closed_by: null,
+        close_reason: null,
+        created_at: new Date(),
+      });
+      return id;
+    },
+    getActiveManualAccess: async (discordId) =>
+      copy(
+        tables.manual_access.find(
+          (g) =>
+            g.discord_id === discordId &&
+            g.status === "active" &&
+            new Date(g.expires_at).getTime() > Date.now()
+        )
+      ),
+    getExpiredManualAccess: async () =>
+      tables.manual_access
+        .filter(
+          (g) =>
+            g.status === "active" &&
+            new Date(g.expires_at).getTime() <= Date.now()
+        )
+        .map(copy),
+    closeManualAccess: async (discordId, status, closedBy, reason = null) => {
+      const grants = tables.manual_access.filter(
+        (g) => g.discord_id === discordId && g.status === "active"
+      );
+      for (const grant of grants) {
+        Object.assign(grant, { status, closed_by: closedBy, close_reason: reason });
+      }
+      return grants.length;
+    },
+
+    // Guild config
+    getGuildConfig: async () => tables.guild_config.map(copy),
+    setGuildConfigValue: async (guildId, key, value, updatedBy) => {
+      const existing = tables.guild_config.find(
+        (r) => r.guild_id === guildId && r.setting_key === key
+      );
+      if (existing) {
+        Object.assign(existing, { value, updated_by: updatedBy, updated_at: new Date() });
+      } else {
+        tables.guild_config.push({
+          guild_id: guildId,
+          setting_key: key,
+          value,
+          updated_by: updatedBy,
+          updated_at: new Date(),
+        });
+      }
+      return true;
+    },
+    deleteGuildConfigValue: async (guildId, key) => {
+      const before = tables.guild_config.length;
+      tables.guild_config = tables.guild_config.filter(
+        (r) => !(r.guild_id === guildId && r.setting_key === key)
+      );
+      return tables.guild_config.length < before;
+    },
+
+    // Cohorts
+    getCohorts: async () => tables.cohorts.map(copy),
+    createCohort: async (cohort) => {
+      if (tables.cohorts.some((c) => c.slug === cohort.slug)) return null;
+      const row = {
+        id: nextId("cohorts"),
+        slug: cohort.slug,
+        name: cohort.name,
+        guild_id: cohort.guildId || null,
+        join_channel_id: cohort.joinChannelId || null,
+        users_channel_id: cohort.usersChannelId || null,
+        verified_role_id: cohort.verifiedRoleId || null,
+        api_token_env: cohort.apiTokenEnv || null,
+        invoice_pattern: cohort.invoicePattern,
+        starts_at: cohort.startsAt || null,
+        ends_at: cohort.endsAt || null,
+        created_by: cohort.createdBy || null,
+        created_at: new Date(),
+      };
+      tables.cohorts.push(row);
+      return row.id;
+    },
+    updateCohortGuild: async (cohortId, guildId) => {
+      const cohort = tables.cohorts.find((c) => c.id === cohortId);
+      if (!cohort) return false;
+      cohort.guild_id = guildId;
+      return true;
+    },
+    assignUsersToCohort: async (cohortId, invoicePattern) => {
+      // SQL LIKE: % is any text, _ any one character, case-insensitive
+      const like = new RegExp(
+        `^${invoicePattern
+          .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+          .replace(/%/g, ".*")
+          .replace(/_/g, ".")}$`,
+        "i"
+      );
+      const matching = tables.users.filter(
+        (u) => u.cohort_id === null && like.test(u.invoice_number || "")
+      );
+      matching.forEach((u) => (u.cohort_id = cohortId));
+      return matching.length;
+    },
+
+    // Registration queue
+    savePendingRegistration: async (registration) => {
+      const values = {
+        discord_username: registration.discordUsername,
+        guild_id: registration.guildId,
+        cohort_id: registration.cohortId || null,
+        first_name: registration.firstName,
+        last_name: registration.lastName,
+        email: registration.email,
+        project_name: registration.projectName,
+        invoice_number: registration.invoiceNumber,
+        locale: registration.locale,
+        attempts: 0,
+        maybe_enrolled: registration.maybeEnrolled ? 1 : 0,
+        last_error: registration.lastError || null,
+        next_attempt_at: registration.nextAttemptAt,
+        created_at: new Date(),
+      };
+      const existing = tables.pending_registrations.find(
+        (r) => r.discord_id === registration.discordId
+      );
+      if (existing) {
+        Object.assign(existing, values);
+      } else {
+        tables.pending_registrations.push({
+          id: nextId("pending_registrations"),
+          discord_id: registration.discordId,
+          ...values,
+        });
+      }
+      return true;
+    },
+    getDuePendingRegistrations: async (now) =>
+      tables.pending_registrations
+        .filter((r) => r.next_attempt_at <= now)
+        .sort((a, b) => a.created_at - b.created_at)
+        .map(copy),
+    countPendingRegistrations: async () => tables.pending_registrations.length,
+    reschedulePendingRegistration: async (id, update) => {
+      const row = tables.pending_registrations.find((r) => r.id === id);
+      if (!row) return false;
+      Object.assign(row, {
+        attempts: update.attempts,
+        maybe_enrolled: update.maybeEnrolled ? 1 : 0,
+        last_error: update.lastError,
+        next_attempt_at: update.nextAttemptAt,
+      });
+      return true;
+    },
+    deletePendingRegistration: async (id) => {
+      const before = tables.pending_registrations.length;
+      tables.pending_registrations = tables.pending_registrations.filter(
+        (r) => r.id !== id
+      );
+      return tables.pending_registrations.length < before;
+    },
+
+    // Seolaxy purchases
+    saveSeolaxyPurchase: async (purchase) => {
+      tables.seolaxy_purchases.push({
+        id: nextId("seolaxy_purchases"),
+        email: purchase.email ? purchase.email.toLowerCase() : null,
+        first_name: purchase.firstName || null,
+        last_name: purchase.lastName || null,
+        payment_intent_id: purchase.paymentIntentId || null,
+        invoice_number: purchase.invoiceNumber || null,
+        status: purchase.status,
+        discord_id: purchase.discordId || null,
+        last_event_id: purchase.eventId || null,
+        created_at: new Date(),
+        updated_at: new Date(),
+      });
+      return true;
+    },
+    getSeolaxyPurchase: async (paymentIntentId, invoiceNumber) =>
+      copy(
+        tables.seolaxy_purchases.find(
+          (p) =>
+            (paymentIntentId && p.payment_intent_id === paymentIntentId) ||
+            (invoiceNumber && p.invoice_number === invoiceNumber)
+        )
+      ),
+    updateSeolaxyPurchase: async (id, update) => {
+      const row = tables.seolaxy_purchases.find((p) => p.id === id);
+      if (!row) return false;
+      Object.assign(row, {
+        status: update.status,
+        discord_id: update.discordId || null,
+        last_event_id: update.eventId || null,
+        updated_at: new Date(),
+      });
+      return true;
+    },
+
+    // Bot state
+    getResetFlag: async (flagName) =>
+      tables.bot_state.has(flagName) ? tables.bot_state.get(flagName) : null,
+    setResetFlag: async (flagName, value) => {
+      tables.bot_state.set(flagName, value);
+      return true;
+    },
+  };
+
+  return database;
+}
+
+module.exports = { createFakeDatabase };
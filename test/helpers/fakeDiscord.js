@@ -0,0 +1,369 @@
+/**
+ * In-memory stand-in for the discord.js client
+ * Guilds, members, roles, channels and DMs are plain objects shaped like the
+ * parts of discord.js the bot uses, backed by real discord.js Collections.
+ * Interactions record every reply so tests can assert on what users see.
+ */
+
+const { Collection } = require("discord.js");
+
+let snowflakeCounter = 0;
+
+/**
+ * Generate a unique Discord-style ID
+ * @returns {string} - 18 digit snowflake
+ */
+function snowflake() {
+  snowflakeCounter += 1;
+  return String(100000000000000000n + BigInt(snowflakeCounter));
+}
+
+/**
+ * Error thrown by discord.js when an entity does not exist
+ * @param {string} what - Entity name
+ * @returns {Error} - Error
+ */
+function unknown(what) {
+  const error = new Error(`Unknown ${what}`);
+  error.code = 10007;
+  return error;
+}
+
+/**
+ * Create a Discord user that records DMs
+ * @param {Object} fields - { id, username }
+ * @returns {Object} - Fake user
+ */
+function createUser({ id = snowflake(), username = `user${id.slice(-4)}` } = {}) {
+  return {
+    id,
+    username,
+    tag: username,
+    bot: false,
+    dms: [],
+    // Set to true to make send() reject like a user with closed DMs
+    dmsDisabled: false,
+    async send(payload) {
+      if (this.dmsDisabled) {
+        throw new Error("Cannot send messages to this user");
+      }
+      this.dms.push(typeof payload === "string" ? { content: payload } : payload);
+    },
+  };
+}
+
+/**
+ * Create a text channel that records sent messages
+ * @param {Object} fields - { id, name, guild }
+ * @returns {Object} - Fake channel
+ */
+function createChannel({ id = snowflake(), name = "channel", guild = null } = {}) {
+  const messages = new Collection();
+
+  const channel = {
+    id,
+    name,
+    guild,
+    guildId: guild?.id ?? null,
+    sent: [],
+    messages: {
+      cache: messages,
+      fetch: async (options) => {
+        if (typeof options === "string") {
+          const message = messages.get(options);
+          if (!message) throw unknown("Message");
+          return message;
+        }
+        return messages;
+      },
+    },
+    async send(payload) {
+      const message = {
+        id: snowflake(),
+        channel,
+        author: null,
+        ...(typeof payload === "string" ? { content: payload } : payload),
+        async edit(update) {
+          Object.assign(message, update);
+          return message;
+        },
+        async delete() {
+          messages.delete(message.id);
+        },
+      };
+      messages.set(message.id, message);
+      channel.sent.push(message);
+      return message;
+    },
+  };
+
+  return channel;
+}
+
+/**
+ * Create a guild with roles, members and channels
+ * @param {Object} fields - { id, name, roleIds }
+ * @returns {Object} - Fake guild
+ */
+function createGuild({ id = snowflake(), name = "guild", roleIds = [] } = {}) {
+  const guild = {
+    id,
+    name,
+    roles: { cache: new Collection() },
+    members: { cache: new Collection() },
+    channels: { cache: new Collection() },
+  };
+
+  guild.members.fetch = async (memberId) => {
+    if (memberId === undefined) {
+      return guild.members.cache;
+    }
+    const member = guild.members.cache.get(memberId);
+    if (!member) throw unknown("Member");
+    return member;
+  };
+
+  guild.roles.fetch = async (roleId) => {
+    const role = guild.roles.cache.get(roleId);
+    if (!role) throw unknown("Role");
+    return role;
+  };
+
+  guild.channels.fetch = async (channelId) => {
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel) throw unknown("Channel");
+    return channel;
+  };
+
+  guild.addRole = (roleId, roleName = `role-${roleId}`) => {
+    const role = { id: roleId, name: roleName, guild };
+    guild.roles.cache.set(roleId, role);
+    return role;
+  };
+
+  guild.addMember = (user, memberRoleIds = [], permissions = []) => {
+    const member = createMember(guild, user, memberRoleIds, permissions);
+    guild.members.cache.set(user.id, member);
+    return member;
+  };
+
+  guild.addChannel = (fields = {}) => {
+    const channel = createChannel({ ...fields, guild });
+    guild.channels.cache.set(channel.id, channel);
+    return channel;
+  };
+
+  roleIds.forEach((roleId) => guild.addRole(roleId));
+  return guild;
+}
+
+/**
+ * Create a guild member whose role changes apply to its role cache
+ * @param {Object} guild - Fake guild
+ * @param {Object} user - Fake user
+ * @param {Array<string>} roleIds - Initial role IDs
+ * @param {Array<bigint>} permissions - Permission flags the member has
+ * @returns {Object} - Fake member
+ */
+function createMember(guild, user, roleIds = [], permissions = []) {
+  const cache = new Collection();
+
+  /**
+   * Resolve a role or role ID to a role of the guild
+   * @param {Object|string} roleOrId - Role or role ID
+   * @returns {Object} - Role
+   */
+  const resolveRole = (roleOrId) => {
+    const roleId = typeof roleOrId === "string" ? roleOrId : roleOrId.id;
+    const role = guild.roles.cache.get(roleId);
+    if (!role) throw unknown("Role");
+    return role;
+  };
+
+  const member = {
+    id: user.id,
+    user,
+    guild,
+    nickname: null,
+    permissions: {
+      has: (permission) => permissions.includes(permission),
+    },
+    roles: {
+      cache,
+      async add(roleOrId) {
+        const role = resolveRole(roleOrId);
+        cache.set(role.id, role);
+      },
+      async remove(roleOrId) {
+        const role = resolveRole(roleOrId);
+        cache.delete(role.id);
+      },
+    },
+    async setNickname(nickname) {
+      member.nickname = nickname;
+    },
+    hasRole(roleId) {
+      return cache.has(roleId);
+    },
+  };
+
+  roleIds.forEach((roleId) => {
+    const role = guild.roles.cache.get(roleId) || guild.addRole(roleId);
+    cache.set(roleId, role);
+  });
+
+  return member;
+}
+
+/**
+ * Create a client that knows a set of guilds and users
+ * @returns {Object} - Fake client
+ */
+function createClient() {
+  const client = {
+    user: createUser({ username: "Seolaxy Bot" }),
+    guilds: { cache: new Collection() },
+    users: { cache: new Collection() },
+    channels: { cache: new Collection() },
+    // Set to false to simulate a lost gateway connection
+    ready: true,
+    isReady() {
+      return client.ready;
+    },
+  };
+
+  client.users.fetch = async (userId) => {
+    const user = client.users.cache.get(userId);
+    if (!user) throw unknown("User");
+    return user;
+  };
+
+  client.guilds.fetch = async (guildId) => {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) throw unknown("Guild");
+    return guild;
+  };
+
+  client.channels.fetch = async (channelId) => {
+    const channel = client.channels.cache.get(channelId);
+    if (!channel) throw unknown("Channel");
+    return channel;
+  };
+
+  client.addGuild = (fields) => {
+    const guild = createGuild(fields);
+    const addChannel = guild.addChannel;
+    guild.addChannel = (channelFields) => {
+      const channel = addChannel(channelFields);
+      client.channels.cache.set(channel.id, channel);
+      return channel;
+    };
+    client.guilds.cache.set(guild.id, guild);
+    return guild;
+  };
+
+  client.addUser = (fields) => {
+    const user = createUser(fields);
+    client.users.cache.set(user.id, user);
+    return user;
+  };
+
+  return client;
+}
+
+/**
+ * Create an interaction that records replies
+ * @param {Object} fields - { client, user, guild, member, customId, commandName,
+ *   subcommand, options, focused, fields, permissions, channel, locale }
+ *   (focused is the { name, value } option being autocompleted)
+ * @returns {Object} - Fake interaction
+ */
+function createInteraction({
+  client,
+  user,
+  guild = null,
+  member = null,
+  customId = null,
+  commandName = null,
+  subcommand = null,
+  options = {},
+  focused = null,
+  fields = {},
+  permissions = [],
+  channel = null,
+  locale = "en-US",
+}) {
+  const interaction = {
+    client,
+    user,
+    guild,
+    guildId: guild?.id ?? null,
+    locale,
+    member: member || guild?.members.cache.get(user.id) || null,
+    channel,
+    customId,
+    commandName,
+    deferred: false,
+    replied: false,
+    // Every reply, edit and follow-up in order: { type, payload }
+    responses: [],
+    memberPermissions: {
+      has: (permission) => permissions.includes(permission),
+    },
+    options: {
+      getSubcommand: () => subcommand,
+      getUser: (name) => options[name] ?? null,
+      getChannel: (name) => options[name] ?? null,
+      getRole: (name) => options[name] ?? null,
+      getString: (name) => options[name] ?? null,
+      getInteger: (name) => options[name] ?? null,
+      getBoolean: (name) => options[name] ?? null,
+      getFocused: (full = false) => (full ? focused : focused?.value ?? ""),
+    },
+    fields: {
+      getTextInputValue: (name) => fields[name] ?? "",
+    },
+    async deferReply(payload = {}) {
+      interaction.deferred = true;
+      interaction.responses.push({ type: "deferReply", payload });
+    },
+    async deferUpdate() {
+      interaction.deferred = true;
+      interaction.responses.push({ type: "deferUpdate", payload: {} });
+    },
+    async reply(payload) {
+      interaction.replied = true;
+      interaction.responses.push({ type: "reply", payload });
+    },
+    async editReply(payload) {
+      interaction.responses.push({ type: "editReply", payload });
+    },
+    async respond(choices) {
+      interaction.responses.push({ type: "respond", payload: choices });
+    },
+    async followUp(payload) {
+      interaction.responses.push({ type: "followUp", payload });
+    },
+    async update(payload) {
+      interaction.responses.push({ type: "update", payload });
+    },
+    async showModal(modal) {
+      interaction.responses.push({ type: "showModal", payload: modal });
+    },
+    /**
+     * Get the last response payload
+     * @returns {Object|undefined} - Payload
+     */
+    lastResponse() {
+      return interaction.responses[interaction.responses.length - 1]?.payload;
+    },
+  };
+
+  return interaction;
+}
+
+module.exports = {
+  snowflake,
+  createClient,
+  createInteraction,
+};
@@ -0,0 +1,302 @@
+/**
+ * In-memory stand-in for the `stripe` package
+ * Covers the API calls made by src/services/stripeService.js. Webhook
+ * signing uses the real package, so signed fixtures verify exactly as in
+ * production.
+ */
+
+const RealStripe = require("stripe");
+
+/**
+ * Create an empty fake Stripe account
+ * @returns {Object} - { Stripe, state, addCustomer, addSubscription, updateSubscription, completeCheckout }
+ */
+function createFakeStripe() {
+  const state = {
+    customers: [],
+    subscriptions: [],
+    sessions: [],
+    invoices: [],
+    events: [],
+    // Set to an Error to make the next API call reject with it
+    nextError: null,
+  };
+  let counter = 0;
+
+  const nextId = (prefix) => `${prefix}_test_${++counter}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  /**
+   * Throw the queued error, if any
+   */
+  function maybeFail() {
+    if (state.nextError) {
+      const error = state.nextError;
+      state.nextError = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Build a "not found" error like the Stripe client throws
+   * @param {string} id - Missing object ID
+   * @returns {Error} - Error
+   */
+  function notFound(id) {
+    const error = new Error(`No such object: '${id}'`);
+    error.type = "StripeInvalidRequestError";
+    error.statusCode = 404;
+    return error;
+  }
+
+  /**
+   * Return one page of a list, newest first
+   * @param {Array} items - All matching objects
+   * @param {Object} params - { limit, starting_after }
+   * @returns {Object} - { data, has_more }
+   */
+  function paginate(items, params = {}) {
+    const sorted = [...items].reverse();
+    let start = 0;
+    if (params.starting_after) {
+      start = sorted.findIndex((item) => item.id === params.starting_after) + 1;
+    }
+    const limit = params.limit || 10;
+    return {
+      object: "list",
+      data: sorted.slice(start, start + limit),
+      has_more: start + limit < sorted.length,
+    };
+  }
+
+  /**
+   * Record a subscription event (used by incremental sync)
+   * @param {string} type - Event type
+   * @param {Object} subscription - Subscription object
+   */
+  function recordEvent(type, subscription) {
+    state.events.push({
+      id: nextId("evt"),
+      type,
+      created: now(),
+      data: { object: { ...subscription } },
+    });
+  }
+
+  /**
+   * Add a customer
+   * @param {Object} fields - { discordId, email }
+   * @returns {Object} - Customer
+   */
+  function addCustomer({ discordId, email = null } = {}) {
+    const customer = {
+      id: nextId("cus"),
+      object: "customer",
+      email,
+      metadata: discordId ? { discord_id: discordId } : {},
+    };
+    state.customers.push(customer);
+    return customer;
+  }
+
+  /**
+   * Add a subscription (and a customer if none is given)
+   * @param {Object} fields - { discordId, status, priceId, customerId, currentPeriodEnd }
+   * @returns {Object} - Subscription
+   */
+  function addSubscription({
+    discordId,
+    status = "active",
+    priceId = process.env.STRIPE_PRICE_ID,
+    customerId = null,
+    currentPeriodEnd = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+  }) {
+    const customer = customerId || addCustomer({ discordId }).id;
+    const subscription = {
+      id: nextId("sub"),
+      object: "subscription",
+      customer,
+      status,
+      created: now(),
+      current_period_end: Math.floor(currentPeriodEnd.getTime() / 1000),
+      cancel_at_period_end: false,
+      metadata: discordId ? { discord_id: discordId } : {},
+      items: { data: [{ price: { id: priceId } }] },
+    };
+    state.subscriptions.push(subscription);
+    recordEvent("customer.subscription.created", subscription);
+    return subscription;
+  }
+
+  /**
+   * Change a subscription (records a customer.subscription.updated event)
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} changes - Fields to change
+   * @returns {Object} - Updated subscription
+   */
+  function updateSubscription(subscriptionId, changes) {
+    const subscription = state.subscriptions.find((s) => s.id === subscriptionId);
+    Object.assign(subscription, changes);
+    recordEvent(
+      subscription.status === "canceled"
+        ? "customer.subscription.deleted"
+        : "customer.subscription.updated",
+      subscription
+    );
+    return subscription;
+  }
+
+  /**
+   * Mark a checkout session as paid, creating its subscription
+   * @param {string} sessionId - Checkout session ID
+   * @param {Object} fields - { email }
+   * @returns {Object} - Created subscription
+   */
+  function completeCheckout(sessionId, { email = "member@example.com" } = {}) {
+    const session = state.sessions.find((s) => s.id === sessionId);
+    const subscription = addSubscription({
+      discordId: session.client_reference_id,
+      priceId: session.line_items[0].price,
+    });
+    Object.assign(session, {
+      status: "complete",
+      payment_status: "paid",
+      customer: subscription.customer,
+      customer_details: { email },
+      subscription: subscription.id,
+    });
+    return subscription;
+  }
+
+  const api = {
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          maybeFail();
+          const session = {
+            id: nextId("cs"),
+            object: "checkout.session",
+            url: `https://checkout.stripe.test/${counter}`,
+            status: "open",
+            payment_status: "unpaid",
+            created: now(),
+            customer: null,
+            customer_details: null,
+            subscription: null,
+            ...params,
+          };
+          state.sessions.push(session);
+          return session;
+        },
+        retrieve: async (sessionId) => {
+          maybeFail();
+          const session = state.sessions.find((s) => s.id === sessionId);
+          if (!session) throw notFound(sessionId);
+          return { ...session };
+        },
+        list: async (params = {}) => {
+          maybeFail();
+          return paginate(state.sessions, params);
+        },
+      },
+    },
+    subscriptions: {
+      list: async (params = {}) => {
+        maybeFail();
+        let items = state.subscriptions;
+        if (params.customer) {
+          items = items.filter((s) => s.customer === params.customer);
+        }
+        if (params.status && params.status !== "all") {
+          items = items.filter((s) => s.status === params.status);
+        }
+        if (params.created?.gte) {
+          items = items.filter((s) => s.created >= params.created.gte);
+        }
+        return paginate(items, params);
+      },
+      retrieve: async (subscriptionId) => {
+        maybeFail();
+        const subscription = state.subscriptions.find(
+          (s) => s.id === subscriptionId
+        );
+        if (!subscription) throw notFound(subscriptionId);
+        return { ...subscription };
+      },
+      update: async (subscriptionId, params) => {
+        maybeFail();
+        if (!state.subscriptions.some((s) => s.id === subscriptionId)) {
+          throw notFound(subscriptionId);
+        }
+        return { ...updateSubscription(subscriptionId, params) };
+      },
+      cancel: async (subscriptionId) => {
+        maybeFail();
+        if (!state.subscriptions.some((s) => s.id === subscriptionId)) {
+          throw notFound(subscriptionId);
+        }
+        return { ...updateSubscription(subscriptionId, { status: "canceled" }) };
+      },
+    },
+    customers: {
+      search: async ({ query }) => {
+        maybeFail();
+        const discordId = query.match(/metadata\['discord_id'\]:'([^']+)'/)?.[1];
+        return {
+          object: "search_result",
+          data: state.customers.filter(
+            (c) => c.metadata.discord_id === discordId
+          ),
+        };
+      },
+    },
+    invoices: {
+      list: async (params = {}) => {
+        maybeFail();
+        return paginate(
+          state.invoices.filter((i) => i.customer === params.customer),
+          params
+        );
+      },
+    },
+    events: {
+      list: async (params = {}) => {
+        maybeFail();
+        const items = state.events.filter(
+          (e) =>
+            (!params.types || params.types.includes(e.type)) &&
+            (!params.created?.gte || e.created >= params.created.gte)
+        );
+        return paginate(items, params);
+      },
+    },
+    billingPortal: {
+      sessions: {
+        create: async ({ customer }) => {
+          maybeFail();
+          return { url: `https://billing.stripe.test/${customer}` };
+        },
+      },
+    },
+  };
+
+  /**
+   * Stand-in for the Stripe constructor (`new Stripe(key, options)`)
+   * @returns {Object} - Fake API client
+   */
+  function Stripe() {
+    return api;
+  }
+  Stripe.webhooks = RealStripe.webhooks;
+
+  return {
+    Stripe,
+    state,
+    addCustomer,
+    addSubscription,
+    updateSubscription,
+    completeCheckout,
+  };
+}
+
+module.exports = { createFakeStripe };
@@ -0,0 +1,210 @@
+/**
+ * Test harness
+ * Loads the bot's modules against in-memory fakes: a fake Discord client,
+ * the in-memory database stand-in and the fake Stripe package. Each call to
+ * createHarness() starts from a clean module cache, so tests don't share
+ * service state. With { database: "sqlite" } the real database service runs
+ * on a throwaway SQLite file instead of the stand-in.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Module = require("module");
+const { createClient } = require("./fakeDiscord");
+const { createFakeDatabase } = require("./fakeDatabase");
+const { createFakeStripe } = require("./fakeStripe");
+
+const SRC_DIR = path.join(__dirname, "..", "..", "src");
+const STRIPE_PATH = require.resolve("stripe");
+
+// Environment the config modules read at load time
+const TEST_ENV = {
+  DISCORD_TOKEN: "test-token",
+  CLIENT_ID: "100000000000000001",
+  GUILD_ID: "200000000000000001",
+  STRIPE_SECRET_KEY: "sk_test_fake",
+  STRIPE_PRICE_ID: "price_monthly_test",
+  STRIPE_WEBHOOK_SECRET: "whsec_test_secret",
+  SEOLAXY_WEBHOOK_SECRET: "seolaxy_test_secret",
+  HTTP_SERVER_ENABLED: "false",
+};
+
+// Environment variables that must not leak in from the developer's shell
+const CLEARED_ENV = [
+  "ENGLISH_SERVER_ID",
+  "COMMANDS_HASH_FILE",
+  "MENTORSHIP2_SERVER_ID",
+  "STRIPE_YEARLY_PRICE_ID",
+  "STRIPE_PREMIUM_PRICE_ID",
+  "STRIPE_TEST_PRICE_ID",
+  "STRIPE_TEST_YEARLY_PRICE_ID",
+  "STRIPE_TEST_PREMIUM_PRICE_ID",
+  "STRIPE_TEST_WEBHOOK_SECRET",
+  "PREMIUM_MEMBER_ROLE_ID",
+  "SEOLAXY_API_BASE_URL",
+  "SEOLAXY_API_BEARER_TOKEN",
+  "SEOLAXY_API_TIMEOUT_MS",
+  "SEOLAXY_API_RETRY_DELAY_MS",
+  "MENTORSHIP2_API_BEARER_TOKEN",
+  "DB_CLIENT",
+  "SQLITE_FILENAME",
+  "LOG_FILE",
+  "LOG_FORMAT",
+];
+
+/**
+ * Put a module into the require cache so later require() calls get it
+ * @param {string} filename - Absolute module path
+ * @param {*} exports - Module exports
+ */
+function installModule(filename, exports) {
+  const fake = new Module(filename);
+  fake.filename = filename;
+  fake.loaded = true;
+  fake.exports = exports;
+  require.cache[filename] = fake;
+}
+
+/**
+ * Create a logger that records messages instead of printing them
+ * @returns {Object} - Logger with a `messages` array of { level, message }
+ */
+function createRecordingLogger() {
+  const messages = [];
+  const log = (level) => (message) => messages.push({ level, message });
+  let level = "info";
+
+  const logger = {
+    messages,
+    LEVELS: ["error", "warn", "info", "debug"],
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    debug: log("debug"),
+    child: () => logger,
+    runWithContext: (context, fn) => fn(),
+    setLevel: (newLevel) => {
+      level = newLevel;
+    },
+    getLevel: () => level,
+  };
+
+  return logger;
+}
+
+/**
+ * Create a fresh harness
+ * @param {Object} options - { env } extra environment variables,
+ *   { database } "fake" (in-memory stand-in) or "sqlite" (real service, not yet initialized)
+ * @returns {Object} - Harness
+ */
+function createHarness({ env = {}, database = "fake" } = {}) {
+  for (const key of CLEARED_ENV) {
+    delete process.env[key];
+  }
+  Object.assign(process.env, TEST_ENV, env);
+
+  let sqliteDir = null;
+  if (database === "sqlite") {
+    sqliteDir = fs.mkdtempSync(path.join(os.tmpdir(), "seolaxy-test-"));
+    process.env.DB_CLIENT = "sqlite";
+    process.env.SQLITE_FILENAME = path.join(sqliteDir, "seolaxy.db");
+  }
+
+  for (const key of Object.keys(require.cache)) {
+    if (key.startsWith(SRC_DIR)) {
+      delete require.cache[key];
+    }
+  }
+
+  const client = createClient();
+  const stripe = createFakeStripe();
+  const logger = createRecordingLogger();
+
+  installModule(path.join(SRC_DIR, "utils", "logger.js"), logger);
+  // index.js logs in to Discord when loaded; handlers only need its client
+  installModule(path.join(SRC_DIR, "index.js"), { client });
+  installModule(STRIPE_PATH, stripe.Stripe);
+
+  let db;
+  if (database === "sqlite") {
+    db = require(path.join(SRC_DIR, "services", "database"));
+  } else {
+    db = createFakeDatabase();
+    installModule(path.join(SRC_DIR, "services", "database.js"), db);
+  }
+
+  const ROLES = require(path.join(SRC_DIR, "constants", "roles"));
+  const mainGuild = client.addGuild({
+    id: process.env.GUILD_ID,
+    name: "Seolaxy",
+    roleIds: Object.values(ROLES),
+  });
+
+  const loaded = [];
+
+  const harness = {
+    client,
+    db,
+    stripe,
+    logger,
+    mainGuild,
+    ROLES,
+
+    /**
+     * Require a module from src/ (e.g. "services/subscriptionService")
+     * @param {string} relativePath - Path relative to src/
+     * @returns {*} - Module exports
+     */
+    load(relativePath) {
+      const loadedModule = require(path.join(SRC_DIR, relativePath));
+      loaded.push(loadedModule);
+      return loadedModule;
+    },
+
+    /**
+     * Add a user who is a member of the main guild
+     * @param {Array<string>} roleIds - Initial role IDs
+     * @param {Object} fields - Extra user fields
+     * @returns {Object} - { user, member }
+     */
+    addMember(roleIds = [], fields = {}) {
+      const user = client.addUser(fields);
+      const member = mainGuild.addMember(user, roleIds);
+      return { user, member };
+    },
+
+    /**
+     * Initialize the services that hold the Discord client
+     */
+    async initServices() {
+      await harness.load("services/guildConfigService").init(client);
+      await harness.load("services/cohortService").init(client);
+      await harness.load("services/subscriptionService").init(client);
+      harness.load("services/dunningService").init(client);
+      harness.load("services/manualAccessService").init(client);
+      await harness.load("services/registrationQueue").init(client);
+    },
+
+    /**
+     * Stop timers started by the loaded services and remove the SQLite file
+     */
+    async cleanup() {
+      for (const loadedModule of loaded) {
+        if (typeof loadedModule.stopPolling === "function") {
+          loadedModule.stopPolling();
+        }
+      }
+
+      if (sqliteDir) {
+        await db.getPool()?.close();
+        fs.rmSync(sqliteDir, { recursive: true, force: true });
+      }
+    },
+  };
+
+  return harness;
+}
+
+module.exports = { createHarness, TEST_ENV };
@@ -0,0 +1,109 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+
+const ENGLISH_GUILD_ID = "200000000000000002";
+const M2_GUILD_ID = "200000000000000003";
+
+let harness;
+let i18n;
+
+beforeEach(() => {
+  harness = createHarness({
+    env: {
+      ENGLISH_SERVER_ID: ENGLISH_GUILD_ID,
+      MENTORSHIP2_SERVER_ID: M2_GUILD_ID,
+    },
+  });
+  i18n = harness.load("services/i18n");
+});
+
+afterEach(() => harness.cleanup());
+
+/**
+ * Flatten a catalogue into { key: [placeholders] }, plural forms merged
+ * @param {Object} messages - Catalogue messages
+ * @param {string} prefix - Key prefix
+ * @returns {Object}
+ */
+function flatten(messages, prefix = "") {
+  const entries = {};
+
+  for (const [name, value] of Object.entries(messages)) {
+    const key = `${prefix}${name}`;
+    if (typeof value === "object" && !("other" in value)) {
+      Object.assign(entries, flatten(value, `${key}.`));
+      continue;
+    }
+
+    const text = typeof value === "string" ? value : Object.values(value).join(" ");
+    entries[key] = [...new Set(text.match(/\{\w+\}/g) || [])].sort();
+  }
+
+  return entries;
+}
+
+test("every catalogue has the English keys with the same placeholders", () => {
+  const reference = flatten(harness.load("locales/en").messages);
+
+  for (const locale of i18n.getLocales()) {
+    const entries = flatten(harness.load(`locales/${locale}`).messages);
+    assert.deepEqual(entries, reference, `${locale} catalogue differs from en`);
+  }
+});
+
+test("placeholders are filled and plurals follow the locale's rules", () => {
+  assert.equal(
+    i18n.t("en", "cohort.manage.updated", { name: "Ana Horvat" }),
+    "✅ User **Ana Horvat** has been updated."
+  );
+  assert.equal(i18n.t("en", "units.days", { count: 1 }), "1 day");
+  assert.equal(i18n.t("en", "units.days", { count: 3 }), "3 days");
+  assert.equal(i18n.t("bs", "units.days", { count: 21 }), "21 dan");
+  assert.equal(i18n.t("bs", "units.days", { count: 3 }), "3 dana");
+  assert.equal(i18n.t("hr", "units.days", { count: 5 }), "5 dana");
+});
+
+test("missing messages fall back to English, then the default value, then the key", () => {
+  delete harness.load("locales/bs").messages.subscribe.pendingCheckout;
+
+  assert.equal(
+    i18n.t("bs", "subscribe.pendingCheckout"),
+    i18n.t("en", "subscribe.pendingCheckout")
+  );
+  assert.equal(i18n.t("de", "buttons.join"), "Join");
+  assert.equal(i18n.t("bs", "plans.custom.name", { defaultValue: "Custom" }), "Custom");
+  assert.equal(i18n.t("bs", "no.such.key"), "no.such.key");
+  assert.ok(harness.logger.messages.some((m) => m.level === "warn"));
+});
+
+test("language role beats server default, which beats the Discord language", () => {
+  const guildId = harness.mainGuild.id;
+  const englishMember = { roles: [harness.ROLES.ENGLISH] };
+
+  assert.equal(i18n.resolveLocale({ member: englishMember, guildId }), "en");
+  assert.equal(i18n.resolveLocale({ guildId, discordLocale: "en-US" }), "bs");
+  assert.equal(i18n.resolveLocale({ guildId: ENGLISH_GUILD_ID, discordLocale: "hr" }), "en");
+  assert.equal(i18n.resolveLocale({ guildId: M2_GUILD_ID }), "hr");
+  assert.equal(i18n.resolveLocale({ discordLocale: "hr" }), "hr");
+  assert.equal(i18n.resolveLocale({ discordLocale: "sr" }), "bs");
+  assert.equal(i18n.resolveLocale({ discordLocale: "en-GB" }), "en");
+  assert.equal(i18n.resolveLocale({ discordLocale: "de" }), "en");
+});
+
+test("DMs use the language of the first server the user is a member of", async () => {
+  const englishGuild = harness.client.addGuild({ id: ENGLISH_GUILD_ID });
+  const m2Guild = harness.client.addGuild({ id: M2_GUILD_ID });
+  const mainUser = harness.client.addUser();
+  const englishUser = harness.client.addUser();
+  const m2User = harness.client.addUser();
+  harness.mainGuild.addMember(mainUser);
+  englishGuild.addMember(mainUser);
+  englishGuild.addMember(englishUser);
+  m2Guild.addMember(m2User);
+
+  assert.equal(await i18n.getUserLocale(harness.client, mainUser.id), "bs");
+  assert.equal(await i18n.getUserLocale(harness.client, englishUser.id), "en");
+  assert.equal(await i18n.getUserLocale(harness.client, m2User.id), "hr");
+  assert.equal(await i18n.getUserLocale(harness.client, "999"), "en");
+});
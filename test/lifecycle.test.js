@@ -0,0 +1,95 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+
+const REQUESTER_ID = "300000000000000001";
+const APPROVER_ID = "300000000000000002";
+
+let harness;
+let lifecycle;
+
+beforeEach(async () => {
+  harness = createHarness();
+  await harness.initServices();
+  lifecycle = harness.load("services/lifecycleService");
+});
+
+afterEach(() => harness.cleanup());
+
+test("drain waits for running jobs and no new jobs start after shutdown", async () => {
+  let finish;
+  const job = lifecycle.trackJob(
+    "subscription_check",
+    () => new Promise((resolve) => (finish = resolve))
+  );
+  assert.deepEqual(
+    lifecycle.getRunningJobs().map(({ name }) => name),
+    ["subscription_check"]
+  );
+
+  lifecycle.beginShutdown();
+  assert.equal(await lifecycle.trackJob("interaction", () => "ran"), null);
+
+  const drained = lifecycle.drain(1000);
+  finish("done");
+
+  assert.deepEqual(await drained, []);
+  assert.equal(await job, "done");
+  assert.deepEqual(lifecycle.getRunningJobs(), []);
+});
+
+test("jobs still running at the deadline are reported on the next boot", async () => {
+  lifecycle.trackJob("stripe_webhook", () => new Promise(() => {}));
+
+  lifecycle.beginShutdown();
+  const unfinished = await lifecycle.drain(10);
+  await lifecycle.saveInterruptedJobs();
+
+  assert.deepEqual(
+    unfinished.map(({ name }) => name),
+    ["stripe_webhook"]
+  );
+
+  // The next boot reads them from bot_state once
+  const [job] = await lifecycle.loadInterruptedJobs();
+  assert.equal(job.name, "stripe_webhook");
+  assert.equal(job.reason, "still running at shutdown deadline");
+  assert.deepEqual(await lifecycle.loadInterruptedJobs(), []);
+});
+
+test("a reset run stops between members on shutdown and resumes later", async () => {
+  const subscriptionReset = harness.load("services/subscriptionReset");
+  subscriptionReset.init(harness.client);
+  const { member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+
+  const { runId } = await subscriptionReset.planReset(REQUESTER_ID);
+  await subscriptionReset.approveReset(runId, APPROVER_ID);
+
+  lifecycle.beginShutdown();
+  const result = await subscriptionReset.executeRun(runId);
+
+  assert.deepEqual(result, { interrupted: true });
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.equal((await harness.db.getResetRun(runId)).status, "running");
+  assert.equal((await harness.db.getResetRunItems(runId, "pending")).length, 1);
+
+  await lifecycle.saveInterruptedJobs();
+  const [saved] = JSON.parse(await harness.db.getResetFlag("interrupted_jobs"));
+  assert.equal(saved.name, "reset_run");
+  assert.equal(saved.runId, runId);
+  assert.equal(saved.remaining, 1);
+});
+
+test("Stripe webhooks are refused while shutting down so Stripe retries them", async () => {
+  const webhooks = harness.load("handlers/webhooks");
+  lifecycle.beginShutdown();
+
+  const result = await webhooks.handleStripeWebhook(
+    { headers: { "stripe-signature": "t=1,v1=abc" } },
+    Buffer.from("{}")
+  );
+
+  assert.deepEqual(result, { status: 503, body: { error: "shutting_down" } });
+});
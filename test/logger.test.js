@@ -0,0 +1,125 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const LOGGER_PATH = require.resolve("../src/utils/logger");
+const CONFIG_PATH = require.resolve("../src/config/logging");
+const LOG_ENV = ["LOG_LEVEL", "LOG_FORMAT", "LOG_FILE", "LOG_FILE_MAX_BYTES", "LOG_FILE_MAX_FILES"];
+
+const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+let tempDir = null;
+
+afterEach(() => {
+  Object.assign(console, originalConsole);
+  for (const key of LOG_ENV) {
+    delete process.env[key];
+  }
+  if (tempDir) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    tempDir = null;
+  }
+});
+
+/**
+ * Load a fresh logger with the given environment, capturing console output
+ * @param {Object} env - Logging environment variables
+ * @returns {Object} - { logger, lines } where lines are parsed console entries
+ */
+function loadLogger(env = {}) {
+  for (const key of LOG_ENV) {
+    delete process.env[key];
+  }
+  Object.assign(process.env, env);
+  delete require.cache[LOGGER_PATH];
+  delete require.cache[CONFIG_PATH];
+
+  const lines = [];
+  const capture = (line) => lines.push(env.LOG_FORMAT === "text" ? line : JSON.parse(line));
+  Object.assign(console, { log: capture, warn: capture, error: capture });
+
+  return { logger: require(LOGGER_PATH), lines };
+}
+
+test("entries are JSON lines with module, context and serialized arguments", async () => {
+  const { logger, lines } = loadLogger();
+  const log = logger.child({ module: "commands" });
+  const error = new Error("Missing Access");
+  error.code = 50001;
+
+  await logger.runWithContext({ interactionId: "111", discordId: "222" }, async () => {
+    await Promise.resolve();
+    log.error("Could not add role:", error, { roleId: "333" });
+  });
+  log.info("outside");
+
+  const [entry, outside] = lines;
+  assert.equal(entry.level, "error");
+  assert.equal(entry.module, "commands");
+  assert.equal(entry.interactionId, "111");
+  assert.equal(entry.discordId, "222");
+  assert.equal(entry.message, 'Could not add role: Missing Access {"roleId":"333"}');
+  assert.equal(entry.error.code, 50001);
+  assert.match(entry.error.stack, /Missing Access/);
+  assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+  assert.equal(outside.interactionId, undefined);
+});
+
+test("emails and secrets are redacted", () => {
+  const { logger, lines } = loadLogger();
+
+  logger.info("User ivan.kovac@example.com paid", {
+    authorization: "Bearer abc.def",
+    email: "ana@example.com",
+  });
+  logger.warn("Stripe key sk_live_51Habc123 and header Bearer eyJhbGciOi.eyJzdWIi.c2ln");
+
+  const output = JSON.stringify(lines);
+  assert.ok(!output.includes("ivan.kovac@"));
+  assert.ok(!output.includes("ana@"));
+  assert.ok(!output.includes("51Habc123"));
+  assert.ok(!output.includes("eyJzdWIi"));
+  assert.match(lines[0].message, /i\*\*\*@example\.com/);
+  assert.match(lines[0].message, /"authorization":"\[REDACTED\]"/);
+});
+
+test("the level can be changed at runtime", () => {
+  const { logger, lines } = loadLogger({ LOG_LEVEL: "warn" });
+
+  logger.info("hidden");
+  logger.setLevel("debug");
+  logger.debug("shown");
+
+  assert.deepEqual(
+    lines.map((l) => l.message),
+    ["shown"]
+  );
+  assert.equal(logger.getLevel(), "debug");
+  assert.throws(() => logger.setLevel("verbose"), /Unknown log level/);
+});
+
+test("the log file is rotated by size", async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "seolaxy-logs-"));
+  const file = path.join(tempDir, "bot.log");
+  const { logger } = loadLogger({
+    LOG_FILE: file,
+    LOG_FILE_MAX_BYTES: "400",
+    LOG_FILE_MAX_FILES: "2",
+  });
+
+  for (let i = 0; i < 20; i++) {
+    logger.info(`line ${i}`);
+  }
+  await logger.close();
+
+  assert.deepEqual(fs.readdirSync(tempDir).sort(), ["bot.log", "bot.log.1", "bot.log.2"]);
+  const current = fs.readFileSync(file, "utf8").trim().split("\n").map(JSON.parse);
+  assert.equal(current[current.length - 1].message, "line 19");
+  const rotated = fs.readFileSync(`${file}.1`, "utf8").trim().split("\n").map(JSON.parse);
+  assert.equal(
+    rotated[rotated.length - 1].message,
+    `line ${Number(current[0].message.slice(5)) - 1}`
+  );
+  assert.ok(fs.statSync(file).size <= 400);
+});
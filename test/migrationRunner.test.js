@@ -0,0 +1,111 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+
+let migrationRunner;
+
+beforeEach(() => {
+  migrationRunner = createHarness().load("services/migrationRunner");
+});
+
+/**
+ * Create a pool stand-in that keeps schema_migrations rows in memory
+ * @returns {Object} - { execute, rows, statements }
+ */
+function createMigrationsPool() {
+  const pool = { rows: [], statements: [] };
+
+  pool.execute = async (sql, params = []) => {
+    const statement = sql.trim();
+    if (statement.startsWith("SELECT version")) {
+      return [[...pool.rows].sort((a, b) => a.version - b.version)];
+    }
+    if (statement.startsWith("INSERT INTO schema_migrations")) {
+      pool.rows.push({ version: params[0], name: params[1], applied_at: new Date() });
+    } else if (statement.startsWith("DELETE FROM schema_migrations")) {
+      pool.rows = pool.rows.filter((row) => row.version !== params[0]);
+    } else if (!statement.startsWith("CREATE TABLE IF NOT EXISTS schema_migrations")) {
+      pool.statements.push(statement);
+    }
+    return [{ affectedRows: 1 }];
+  };
+
+  return pool;
+}
+
+/**
+ * Build a migration that runs a marker statement up and down
+ * @param {number} version - Migration version
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Migration
+ */
+function migration(version, overrides = {}) {
+  return {
+    version,
+    name: `step_${version}`,
+    description: `Step ${version}`,
+    up: async (db) => db.execute(`UP ${version}`),
+    down: async (db) => db.execute(`DOWN ${version}`),
+    ...overrides,
+  };
+}
+
+test("the migration files are numbered without gaps and load cleanly", () => {
+  const migrations = migrationRunner.loadMigrations();
+
+  assert.ok(migrations.length > 0);
+  migrations.forEach((m, index) => assert.equal(m.version, index + 1));
+});
+
+test("migrateUp applies pending migrations in order and records them", async () => {
+  const pool = createMigrationsPool();
+  const migrations = [migration(1), migration(2), migration(3)];
+
+  const applied = await migrationRunner.migrateUp(pool, { to: 2 }, migrations);
+  assert.deepEqual(applied.map((m) => m.version), [1, 2]);
+
+  await migrationRunner.migrateUp(pool, {}, migrations);
+  assert.deepEqual(pool.statements, ["UP 1", "UP 2", "UP 3"]);
+  assert.deepEqual(pool.rows.map((row) => row.version), [1, 2, 3]);
+});
+
+test("migrateUp stops at a failing migration and keeps earlier ones", async () => {
+  const pool = createMigrationsPool();
+  const failing = migration(2, {
+    up: async () => {
+      throw new Error("syntax error");
+    },
+  });
+
+  await assert.rejects(
+    migrationRunner.migrateUp(pool, {}, [migration(1), failing, migration(3)]),
+    /002_step_2 failed: syntax error/
+  );
+  assert.deepEqual(pool.rows.map((row) => row.version), [1]);
+});
+
+test("migrateDown reverts the most recent migrations", async () => {
+  const pool = createMigrationsPool();
+  const migrations = [migration(1), migration(2), migration(3)];
+  await migrationRunner.migrateUp(pool, {}, migrations);
+
+  const reverted = await migrationRunner.migrateDown(pool, { steps: 2 }, migrations);
+
+  assert.deepEqual(reverted.map((m) => m.version), [3, 2]);
+  assert.deepEqual(pool.statements.slice(3), ["DOWN 3", "DOWN 2"]);
+  assert.deepEqual(pool.rows.map((row) => row.version), [1]);
+});
+
+test("assertSchemaCurrent refuses a schema with pending migrations", async () => {
+  const pool = createMigrationsPool();
+  const migrations = [migration(1), migration(2)];
+  await migrationRunner.migrateUp(pool, { to: 1 }, migrations);
+
+  await assert.rejects(
+    migrationRunner.assertSchemaCurrent(pool, migrations),
+    /1 pending migration\(s\): 002_step_2/
+  );
+
+  await migrationRunner.migrateUp(pool, {}, migrations);
+  await migrationRunner.assertSchemaCurrent(pool, migrations);
+});
@@ -0,0 +1,158 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+const { createMockSeolaxyApi } = require("../scripts/mock-seolaxy-api");
+
+const M2_GUILD_ID = "200000000000000003";
+
+let mockApi;
+let harness;
+let seolaxyApi;
+let m2Guild;
+
+/**
+ * Start the mock API and a harness whose Seolaxy API client talks to it
+ * @param {Object} options - createMockSeolaxyApi() options
+ */
+async function setup(options = {}) {
+  mockApi = createMockSeolaxyApi({
+    tokens: ["main-test-token", "m2-test-token"],
+    ...options,
+  });
+  const url = await mockApi.start();
+
+  harness = createHarness({
+    env: {
+      SEOLAXY_API_BASE_URL: url,
+      SEOLAXY_API_BEARER_TOKEN: "main-test-token",
+      MENTORSHIP2_API_BEARER_TOKEN: "m2-test-token",
+      MENTORSHIP2_SERVER_ID: M2_GUILD_ID,
+      SEOLAXY_API_TIMEOUT_MS: "200",
+      SEOLAXY_API_RETRY_DELAY_MS: "1",
+    },
+  });
+  const channels = harness.load("constants/channels");
+
+  m2Guild = harness.client.addGuild({
+    id: M2_GUILD_ID,
+    name: "Mentorship #2",
+    roleIds: [harness.ROLES.MENTORSHIP2_VERIFIED],
+  });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_JOIN_CHANNEL_ID, name: "join" });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_USERS_CHANNEL_ID, name: "users" });
+
+  await harness.initServices();
+  seolaxyApi = harness.load("services/seolaxyApi");
+}
+
+beforeEach(() => {
+  mockApi = null;
+  harness = null;
+});
+
+afterEach(async () => {
+  harness?.cleanup();
+  await mockApi?.stop();
+});
+
+/**
+ * Submit the Mentorship #2 join modal as a new member
+ * @param {string} invoiceNumber - Invoice number entered
+ * @returns {Object} - { interaction, user, member }
+ */
+async function join(invoiceNumber) {
+  const user = harness.client.addUser();
+  const member = m2Guild.addMember(user);
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: m2Guild,
+    customId: "cohort_join_modal_mentorship2",
+    fields: {
+      first_name: "Ivan",
+      last_name: "Kovac",
+      email: "ivan@example.com",
+      project_name: "blog",
+      invoice_number: invoiceNumber,
+    },
+  });
+  await harness.load("handlers/modals").handleModal(interaction);
+  return { interaction, user, member };
+}
+
+test("the client handles every answer of the enroll-discord contract", async () => {
+  await setup();
+
+  assert.equal(
+    (await seolaxyApi.validatePaymentIntent("pi_mock_main_0001")).success,
+    true
+  );
+  assert.deepEqual(mockApi.requests[0].body, {
+    payment_intent_id: "pi_mock_main_0001",
+    invoice_number: "",
+  });
+  assert.equal(mockApi.requests[0].authorization, "Bearer main-test-token");
+  assert.equal(mockApi.findPurchase("SM-1001/2025").enrolled, true);
+
+  // The same purchase, by invoice number this time
+  const again = await seolaxyApi.validatePaymentIntent("SM-1001/2025");
+  assert.equal(again.error, "already_enrolled");
+  assert.equal(mockApi.requests[1].status, 409);
+
+  const unknown = await seolaxyApi.validatePaymentIntent("SM-9999/2025");
+  assert.equal(unknown.error, "purchase_not_found");
+  assert.equal(mockApi.requests[2].status, 404);
+
+  const wrongToken = await seolaxyApi.validatePaymentIntent("SM-1002/2025", "nope");
+  assert.equal(wrongToken.error, "api_error");
+  assert.equal(wrongToken.retryable, false);
+});
+
+test("refusals in the response body are understood too", async () => {
+  await setup({
+    errorStyle: "body",
+    purchases: [{ invoiceNumber: "SM-0001/2026", enrolled: true }],
+  });
+
+  assert.equal(
+    (await seolaxyApi.validatePaymentIntent("SM-0001/2026")).error,
+    "already_enrolled"
+  );
+  assert.equal(
+    (await seolaxyApi.validatePaymentIntent("SM-0002/2026")).error,
+    "purchase_not_found"
+  );
+  assert.deepEqual(
+    mockApi.requests.map((request) => request.status),
+    [200, 200]
+  );
+});
+
+test("a member registers against the mock, through an outage", async () => {
+  await setup();
+
+  const { user, member } = await join("SM-0001/2026");
+  assert.ok(member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  assert.equal((await harness.db.getUserByDiscordId(user.id)).invoice_number, "SM-0001/2026");
+  assert.equal(mockApi.requests[0].authorization, "Bearer m2-test-token");
+
+  // A hanging request enrolls nothing; the retries hit 503s and the
+  // registration is queued
+  mockApi.failNext(1, "hang");
+  mockApi.failNext(2, 503);
+  const second = await join("SM-0002/2026");
+  assert.match(second.interaction.lastResponse().content, /red čekanja/);
+  assert.equal(mockApi.findPurchase("SM-0002/2026").enrolled, false);
+
+  const queue = harness.load("services/registrationQueue");
+  const stats = await queue.processQueue(new Date(Date.now() + 2 * 60 * 1000));
+  assert.equal(stats.completed, 1);
+  assert.ok(second.member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  assert.equal(mockApi.findPurchase("SM-0002/2026").enrolled, true);
+
+  // Enrolled already in the fixtures
+  const third = await join("SM-0003/2026");
+  assert.equal(third.member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED), false);
+  assert.equal(await harness.db.getUserByDiscordId(third.user.id), null);
+});
@@ -0,0 +1,188 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+
+const STAFF_ID = "300000000000000001";
+const INVOICE = "SM-0042/2026";
+const M2_GUILD_ID = "200000000000000003";
+
+let harness;
+let modals;
+let m2Guild;
+let cohort;
+let originalFetch;
+let apiRequests;
+
+beforeEach(async () => {
+  harness = createHarness({
+    env: {
+      MENTORSHIP2_API_BEARER_TOKEN: "m2-test-token",
+      MENTORSHIP2_SERVER_ID: M2_GUILD_ID,
+    },
+  });
+  const channels = harness.load("constants/channels");
+
+  m2Guild = harness.client.addGuild({
+    id: M2_GUILD_ID,
+    name: "Mentorship #2",
+    roleIds: [harness.ROLES.MENTORSHIP2_VERIFIED],
+  });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_JOIN_CHANNEL_ID, name: "join" });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_USERS_CHANNEL_ID, name: "users" });
+
+  await harness.initServices();
+  cohort = harness.load("services/cohortService").getCohort("mentorship2");
+  modals = harness.load("handlers/modals");
+
+  // Seolaxy API stand-in: records requests and accepts every enrollment
+  originalFetch = globalThis.fetch;
+  apiRequests = [];
+  globalThis.fetch = async (url, options) => {
+    apiRequests.push({ url, options });
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({ success: true }),
+    };
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+  harness.cleanup();
+});
+
+/**
+ * Add an M2 member with a database row
+ * @returns {Object} - { user, member }
+ */
+function addM2Member() {
+  const user = harness.client.addUser();
+  const member = m2Guild.addMember(user, [harness.ROLES.MENTORSHIP2_VERIFIED]);
+  harness.db.insertUser({
+    discord_id: user.id,
+    discord_username: user.tag,
+    first_name: "Ana",
+    last_name: "Horvat",
+    email: "ana@example.com",
+    project_name: "shop",
+    invoice_number: INVOICE,
+    cohort_id: cohort.id,
+  });
+  return { user, member };
+}
+
+/**
+ * Submit a modal as a staff member of the M2 guild
+ * @param {string} customId - Modal custom ID
+ * @param {Object} fields - Text input values
+ * @param {Object} user - Submitting user (defaults to staff)
+ * @returns {Object} - Interaction
+ */
+async function submitModal(customId, fields, user = null) {
+  const interaction = createInteraction({
+    client: harness.client,
+    user: user || harness.client.addUser({ id: STAFF_ID }),
+    guild: m2Guild,
+    customId,
+    fields,
+  });
+  await modals.handleModal(interaction);
+  return interaction;
+}
+
+test("M2 join modal validates the invoice, saves the member and verifies them", async () => {
+  const user = harness.client.addUser();
+  const member = m2Guild.addMember(user);
+
+  const interaction = await submitModal(
+    "cohort_join_modal_mentorship2",
+    {
+      first_name: "Ivan",
+      last_name: "Kovac",
+      email: "ivan@example.com",
+      project_name: "blog",
+      invoice_number: INVOICE,
+    },
+    user
+  );
+
+  assert.equal(apiRequests.length, 1);
+  assert.equal(
+    apiRequests[0].options.headers.Authorization,
+    "Bearer m2-test-token"
+  );
+  assert.equal(JSON.parse(apiRequests[0].options.body).invoice_number, INVOICE);
+
+  const dbUser = await harness.db.getUserByDiscordId(user.id);
+  assert.equal(dbUser.invoice_number, INVOICE);
+  assert.equal(dbUser.cohort_id, cohort.id);
+  assert.ok(member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  assert.equal(member.nickname, "Ivan Kovac [blog]");
+  assert.ok(interaction.lastResponse().embeds);
+});
+
+test("M2 join modal rejects an invoice the API reports as enrolled", async () => {
+  globalThis.fetch = async () => ({ ok: false, status: 409, statusText: "Conflict" });
+  const user = harness.client.addUser();
+  const member = m2Guild.addMember(user);
+
+  const interaction = await submitModal(
+    "cohort_join_modal_mentorship2",
+    { first_name: "Ivan", last_name: "Kovac", invoice_number: INVOICE },
+    user
+  );
+
+  assert.match(interaction.lastResponse().content, /Već registrirano/);
+  assert.equal(await harness.db.getUserByDiscordId(user.id), null);
+  assert.ok(!member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+});
+
+test("M2 remove modal deletes the member, removes the role and audits it", async () => {
+  const { user, member } = addM2Member();
+
+  const interaction = await submitModal(
+    "cohort_remove_user_modal_mentorship2",
+    { identifier: INVOICE }
+  );
+
+  assert.match(interaction.lastResponse().content, /je uklonjen/);
+  assert.equal(await harness.db.getUserByDiscordId(user.id), null);
+  assert.ok(!member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+
+  const [event] = harness.db.tables.audit_events;
+  assert.equal(event.action, "cohort_user_removed");
+  assert.equal(event.actor_id, STAFF_ID);
+});
+
+test("M2 remove modal refuses members from other mentorships", async () => {
+  const user = harness.client.addUser();
+  // Registered before cohorts, invoice outside SM-%/2026
+  harness.db.insertUser({ discord_id: user.id, invoice_number: "SM-0001/2025" });
+
+  const interaction = await submitModal(
+    "cohort_remove_user_modal_mentorship2",
+    { identifier: user.id }
+  );
+
+  assert.match(interaction.lastResponse().content, /nije iz Mentorship #2/);
+  assert.ok(await harness.db.getUserByDiscordId(user.id));
+});
+
+test("M2 edit modal updates the given fields and the nickname", async () => {
+  const { user, member } = addM2Member();
+
+  const interaction = await submitModal("cohort_edit_user_modal_mentorship2", {
+    identifier: user.id,
+    last_name: "Babic",
+    project_name: "agency",
+  });
+
+  assert.match(interaction.lastResponse().content, /je ažuriran/);
+  const dbUser = await harness.db.getUserByDiscordId(user.id);
+  assert.equal(dbUser.first_name, "Ana");
+  assert.equal(dbUser.last_name, "Babic");
+  assert.equal(dbUser.project_name, "agency");
+  assert.equal(member.nickname, "Ana Babic [agency]");
+});
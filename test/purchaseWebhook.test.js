@@ -0,0 +1,297 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createHarness, TEST_ENV } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+const { createMockSeolaxyApi } = require("../scripts/mock-seolaxy-api");
+
+const M2_GUILD_ID = "200000000000000003";
+
+let mockApi;
+let harness;
+let webhooks;
+let m2Guild;
+
+beforeEach(async () => {
+  mockApi = createMockSeolaxyApi({
+    purchases: [{ invoiceNumber: "SM-0001/2026" }],
+  });
+
+  harness = createHarness({
+    env: {
+      SEOLAXY_API_BASE_URL: await mockApi.start(),
+      MENTORSHIP2_API_BEARER_TOKEN: "m2-test-token",
+      MENTORSHIP2_SERVER_ID: M2_GUILD_ID,
+    },
+  });
+  const channels = harness.load("constants/channels");
+
+  m2Guild = harness.client.addGuild({
+    id: M2_GUILD_ID,
+    name: "Mentorship #2",
+    roleIds: [harness.ROLES.MENTORSHIP2_VERIFIED],
+  });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_JOIN_CHANNEL_ID, name: "join" });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_USERS_CHANNEL_ID, name: "users" });
+
+  await harness.initServices();
+  webhooks = harness.load("handlers/webhooks");
+});
+
+afterEach(async () => {
+  harness.cleanup();
+  await mockApi.stop();
+});
+
+/**
+ * Build a webhook request signed like the Seolaxy platform signs it
+ * @param {Object} event - Seolaxy event
+ * @param {Object} options - { secret, timestamp (unix seconds) }
+ * @returns {Object} - { req, rawBody }
+ */
+function signedRequest(
+  event,
+  {
+    secret = TEST_ENV.SEOLAXY_WEBHOOK_SECRET,
+    timestamp = Math.floor(Date.now() / 1000),
+  } = {}
+) {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+  return {
+    req: { headers: { "seolaxy-signature": `t=${timestamp},v1=${signature}` } },
+    rawBody,
+  };
+}
+
+/**
+ * Deliver a signed Seolaxy event to the webhook handler
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @returns {Object} - HTTP result { status, body }
+ */
+async function deliver(type, data) {
+  const { req, rawBody } = signedRequest({
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    data,
+  });
+  return webhooks.handleSeolaxyWebhook(req, rawBody);
+}
+
+test("a purchase waits for its member, who is linked on registration and loses the role on refund", async () => {
+  const purchase = {
+    email: "Ana@Example.com",
+    first_name: "Ana",
+    last_name: "Horvat",
+    invoice_number: "SM-0001/2026",
+  };
+
+  const result = await deliver("purchase.completed", purchase);
+  assert.deepEqual(result, { status: 200, body: { received: true, handled: true } });
+  assert.equal(harness.db.tables.seolaxy_purchases[0].status, "pending");
+  assert.equal(harness.db.tables.seolaxy_purchases[0].email, "ana@example.com");
+
+  const user = harness.client.addUser();
+  const member = m2Guild.addMember(user);
+  await harness.load("handlers/modals").handleModal(
+    createInteraction({
+      client: harness.client,
+      user,
+      guild: m2Guild,
+      customId: "cohort_join_modal_mentorship2",
+      fields: {
+        first_name: "Ana",
+        last_name: "Horvat",
+        email: "ana@example.com",
+        project_name: "shop",
+        invoice_number: "SM-0001/2026",
+      },
+    })
+  );
+  assert.ok(member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  assert.equal(harness.db.tables.seolaxy_purchases[0].status, "linked");
+  assert.equal(harness.db.tables.seolaxy_purchases[0].discord_id, user.id);
+
+  await deliver("purchase.refunded", purchase);
+  assert.equal(harness.db.tables.seolaxy_purchases[0].status, "refunded");
+  assert.ok(!member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  const removed = harness.db.tables.audit_events.find(
+    (event) => event.action === "roles_removed"
+  );
+  assert.equal(removed.target_id, user.id);
+  assert.match(removed.reason, /^Seolaxy refunded/);
+
+  // A late purchase event does not undo the refund
+  await deliver("purchase.completed", purchase);
+  assert.equal(harness.db.tables.seolaxy_purchases[0].status, "refunded");
+});
+
+test("a chargeback removes main server roles unless a subscription covers them", async () => {
+  const covered = harness.addMember([harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER]);
+  harness.db.insertUser({
+    discord_id: covered.user.id,
+    email: "sub@example.com",
+    invoice_number: "SM-1001/2025",
+    subscription_status: "active",
+  });
+  const registered = harness.addMember([harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER]);
+  harness.db.insertUser({
+    discord_id: registered.user.id,
+    email: "ivan@example.com",
+    invoice_number: "pi_main_0002",
+  });
+
+  // Already registered, so the purchase is linked straight away
+  await deliver("purchase.completed", {
+    email: "ivan@example.com",
+    payment_intent_id: "pi_main_0002",
+  });
+  assert.equal(harness.db.tables.seolaxy_purchases[0].status, "linked");
+
+  await deliver("purchase.chargeback", {
+    email: "sub@example.com",
+    invoice_number: "SM-1001/2025",
+  });
+  await deliver("purchase.chargeback", {
+    email: "ivan@example.com",
+    payment_intent_id: "pi_main_0002",
+  });
+
+  assert.ok(covered.member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.ok(!registered.member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.deepEqual(
+    harness.db.tables.seolaxy_purchases.map((row) => row.status),
+    ["chargeback", "chargeback"]
+  );
+});
+
+test("purchases under one email stay separate, and a refund only affects its own member", async () => {
+  const first = harness.addMember([harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER]);
+  harness.db.insertUser({
+    discord_id: first.user.id,
+    email: "ivan@example.com",
+    invoice_number: "pi_main_0001",
+  });
+  const second = harness.addMember([harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER]);
+  harness.db.insertUser({
+    discord_id: second.user.id,
+    email: "ivan@example.com",
+    invoice_number: "pi_main_0002",
+  });
+
+  await deliver("purchase.completed", {
+    email: "ivan@example.com",
+    payment_intent_id: "pi_main_0001",
+  });
+  await deliver("purchase.completed", {
+    email: "ivan@example.com",
+    payment_intent_id: "pi_main_0002",
+  });
+  assert.deepEqual(
+    harness.db.tables.seolaxy_purchases.map((row) => row.discord_id),
+    [first.user.id, second.user.id]
+  );
+
+  await deliver("purchase.refunded", {
+    email: "ivan@example.com",
+    payment_intent_id: "pi_main_0001",
+  });
+
+  assert.deepEqual(
+    harness.db.tables.seolaxy_purchases.map((row) => row.status),
+    ["refunded", "linked"]
+  );
+  assert.ok(!first.member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.ok(second.member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+});
+
+test("registering with the buyer's email but another invoice does not link the purchase", async () => {
+  await deliver("purchase.completed", {
+    email: "ana@example.com",
+    invoice_number: "SM-0999/2026",
+  });
+
+  const user = harness.client.addUser();
+  m2Guild.addMember(user);
+  await harness.load("handlers/modals").handleModal(
+    createInteraction({
+      client: harness.client,
+      user,
+      guild: m2Guild,
+      customId: "cohort_join_modal_mentorship2",
+      fields: {
+        first_name: "Ana",
+        last_name: "Horvat",
+        email: "ana@example.com",
+        project_name: "shop",
+        invoice_number: "SM-0001/2026",
+      },
+    })
+  );
+
+  const [purchase] = harness.db.tables.seolaxy_purchases;
+  assert.equal(purchase.status, "pending");
+  assert.equal(purchase.discord_id, null);
+});
+
+test("a refund without an email still revokes, and is retried until the roles are removed", async () => {
+  const { user, member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+  harness.db.insertUser({ discord_id: user.id, invoice_number: "pi_main_0003" });
+  const removeRole = member.roles.remove;
+  member.roles.remove = async () => {
+    throw new Error("Missing Permissions");
+  };
+
+  const failed = await deliver("purchase.refunded", {
+    payment_intent_id: "pi_main_0003",
+  });
+  assert.deepEqual(failed, { status: 500, body: { error: "processing_failed" } });
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+
+  // The platform redelivers the event once the bot can remove roles again
+  member.roles.remove = removeRole;
+  const retried = await deliver("purchase.refunded", {
+    payment_intent_id: "pi_main_0003",
+  });
+  assert.equal(retried.status, 200);
+  assert.ok(!member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  const [purchase] = harness.db.tables.seolaxy_purchases;
+  assert.equal(purchase.status, "refunded");
+  assert.equal(purchase.email, null);
+});
+
+test("unsigned, forged and stale requests are rejected", async () => {
+  const event = {
+    id: "evt_forged",
+    type: "purchase.refunded",
+    data: { email: "ana@example.com" },
+  };
+
+  const missing = await webhooks.handleSeolaxyWebhook(
+    { headers: {} },
+    Buffer.from(JSON.stringify(event))
+  );
+  assert.deepEqual(missing, { status: 400, body: { error: "missing_signature" } });
+
+  const forged = signedRequest(event, { secret: "someone_else" });
+  assert.deepEqual(
+    await webhooks.handleSeolaxyWebhook(forged.req, forged.rawBody),
+    { status: 400, body: { error: "invalid_signature" } }
+  );
+
+  const stale = signedRequest(event, {
+    timestamp: Math.floor(Date.now() / 1000) - 10 * 60,
+  });
+  assert.deepEqual(
+    await webhooks.handleSeolaxyWebhook(stale.req, stale.rawBody),
+    { status: 400, body: { error: "invalid_signature" } }
+  );
+
+  assert.equal(harness.db.tables.seolaxy_purchases.length, 0);
+});
@@ -0,0 +1,227 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+
+const INVOICE = "SM-0042/2026";
+const M2_GUILD_ID = "200000000000000003";
+
+let harness;
+let seolaxyApi;
+let m2Guild;
+let originalFetch;
+let apiRequests;
+let apiAnswer;
+
+beforeEach(async () => {
+  harness = createHarness({
+    env: {
+      MENTORSHIP2_API_BEARER_TOKEN: "m2-test-token",
+      MENTORSHIP2_SERVER_ID: M2_GUILD_ID,
+      SEOLAXY_API_TIMEOUT_MS: "20",
+      SEOLAXY_API_RETRY_DELAY_MS: "1",
+    },
+  });
+  const channels = harness.load("constants/channels");
+
+  m2Guild = harness.client.addGuild({
+    id: M2_GUILD_ID,
+    name: "Mentorship #2",
+    roleIds: [harness.ROLES.MENTORSHIP2_VERIFIED],
+  });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_JOIN_CHANNEL_ID, name: "join" });
+  m2Guild.addChannel({ id: channels.MENTORSHIP2_USERS_CHANNEL_ID, name: "users" });
+
+  await harness.initServices();
+  seolaxyApi = harness.load("services/seolaxyApi");
+
+  // Seolaxy API stand-in answering with apiAnswer(): a status code,
+  // "hang" to never answer (until the request is aborted) or "refuse" to
+  // fail before reaching it
+  originalFetch = globalThis.fetch;
+  apiRequests = [];
+  apiAnswer = () => 200;
+  globalThis.fetch = async (url, options) => {
+    apiRequests.push({ url, options });
+    const status = apiAnswer();
+    if (status === "refuse") {
+      throw new Error("connect ECONNREFUSED");
+    }
+    if (status === "hang") {
+      return new Promise((resolve, reject) => {
+        options.signal.addEventListener("abort", () =>
+          reject(new Error("This operation was aborted"))
+        );
+      });
+    }
+    return {
+      ok: status < 400,
+      status,
+      statusText: "",
+      json: async () => ({ success: true }),
+    };
+  };
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  globalThis.fetch = originalFetch;
+  harness.cleanup();
+});
+
+/**
+ * Submit the Mentorship #2 join modal as a new member
+ * @returns {Object} - { interaction, user, member }
+ */
+async function join() {
+  const user = harness.client.addUser();
+  const member = m2Guild.addMember(user);
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: m2Guild,
+    customId: "cohort_join_modal_mentorship2",
+    fields: {
+      first_name: "Ivan",
+      last_name: "Kovac",
+      email: "ivan@example.com",
+      project_name: "blog",
+      invoice_number: INVOICE,
+    },
+  });
+  await harness.load("handlers/modals").handleModal(interaction);
+  return { interaction, user, member };
+}
+
+test("5xx answers and timeouts are retried, 404 and 409 are final", async () => {
+  const answers = [503, "hang", 200];
+  apiAnswer = () => answers.shift();
+  const recovered = await seolaxyApi.validatePaymentIntent(INVOICE, "token");
+  assert.equal(recovered.success, true);
+  assert.equal(apiRequests.length, 3);
+
+  apiRequests = [];
+  apiAnswer = () => 404;
+  const notFound = await seolaxyApi.validatePaymentIntent(INVOICE, "token");
+  assert.equal(notFound.error, "purchase_not_found");
+  assert.equal(notFound.retryable, false);
+  assert.equal(apiRequests.length, 1);
+
+  apiRequests = [];
+  apiAnswer = () => "hang";
+  const timedOut = await seolaxyApi.validatePaymentIntent(INVOICE, "token");
+  assert.equal(timedOut.error, "timeout");
+  assert.equal(timedOut.retryable, true);
+  assert.equal(apiRequests.length, 3);
+});
+
+test("only a timeout or 5xx makes a later 409 count as enrolled, and it is audited", async () => {
+  // A refused connection never reached the API: the invoice is someone else's
+  const refused = ["refuse", 409];
+  apiAnswer = () => refused.shift();
+  const taken = await seolaxyApi.validatePaymentIntent(INVOICE, "token");
+  assert.equal(taken.success, false);
+  assert.equal(taken.error, "already_enrolled");
+
+  const hung = ["hang", 409];
+  apiAnswer = () => hung.shift();
+  const { user, member } = await join();
+  assert.ok(member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  const [event] = harness.db.tables.audit_events;
+  assert.equal(event.action, "enrollment_assumed");
+  assert.equal(event.target_id, user.id);
+});
+
+test("the circuit opens after repeated failures and half-opens after the cooldown", async () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  apiAnswer = () => 502;
+
+  await seolaxyApi.validatePaymentIntent(INVOICE, "token");
+  await seolaxyApi.validatePaymentIntent(INVOICE, "token");
+  assert.equal(seolaxyApi.getCircuitState().state, "open");
+
+  apiRequests = [];
+  const refused = await seolaxyApi.validatePaymentIntent(INVOICE, "token");
+  assert.equal(refused.error, "unavailable");
+  assert.equal(refused.retryable, true);
+  assert.equal(apiRequests.length, 0);
+
+  mock.timers.tick(60 * 1000);
+  apiAnswer = () => 200;
+  assert.equal((await seolaxyApi.validatePaymentIntent(INVOICE, "token")).success, true);
+  assert.equal(seolaxyApi.getCircuitState().state, "closed");
+});
+
+test("a half-open circuit lets a single trial request through", async () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  apiAnswer = () => 502;
+  await seolaxyApi.validatePaymentIntent(INVOICE, "token");
+  await seolaxyApi.validatePaymentIntent(INVOICE, "token");
+  assert.equal(seolaxyApi.getCircuitState().state, "open");
+
+  mock.timers.tick(60 * 1000);
+  apiRequests = [];
+  apiAnswer = () => 200;
+  const [trial, other] = await Promise.all([
+    seolaxyApi.validatePaymentIntent(INVOICE, "token"),
+    seolaxyApi.validatePaymentIntent(INVOICE, "token"),
+  ]);
+
+  assert.equal(trial.success, true);
+  assert.equal(other.error, "unavailable");
+  assert.equal(apiRequests.length, 1);
+  assert.equal(seolaxyApi.getCircuitState().state, "closed");
+});
+
+test("a join during an outage is queued and completed when the API recovers", async () => {
+  apiAnswer = () => 503;
+  const { interaction, user, member } = await join();
+
+  assert.match(interaction.lastResponse().content, /red čekanja/);
+  assert.equal(harness.db.tables.pending_registrations.length, 1);
+  assert.equal(await harness.db.getUserByDiscordId(user.id), null);
+
+  // Not due yet
+  const queue = harness.load("services/registrationQueue");
+  assert.equal((await queue.processQueue(new Date())).completed, 0);
+
+  // The first request may have gone through before the 503s
+  apiAnswer = () => 409;
+  const stats = await queue.processQueue(new Date(Date.now() + 2 * 60 * 1000));
+
+  assert.equal(stats.completed, 1);
+  assert.deepEqual(harness.db.tables.pending_registrations, []);
+  assert.equal((await harness.db.getUserByDiscordId(user.id)).invoice_number, INVOICE);
+  assert.ok(member.hasRole(harness.ROLES.MENTORSHIP2_VERIFIED));
+  assert.match(user.dms[0].content, /Registracija dovršena/);
+  assert.ok(user.dms[0].embeds);
+});
+
+test("queued registrations are retried later, refused or dropped after the deadline", async () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const queue = harness.load("services/registrationQueue");
+  apiAnswer = () => 500;
+  const { user } = await join();
+
+  // Still failing: rescheduled (the circuit opens on the way)
+  mock.timers.tick(2 * 60 * 1000);
+  assert.equal((await queue.processQueue()).retried, 1);
+  const [row] = harness.db.tables.pending_registrations;
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_error, "unavailable");
+  assert.equal(seolaxyApi.getCircuitState().state, "open");
+
+  // Unanswered after two days: dropped and the member asked to register again
+  mock.timers.tick(49 * 60 * 60 * 1000);
+  assert.equal((await queue.processQueue()).dropped, 1);
+  assert.match(user.dms[0].content, /istekla/);
+
+  // A refusal is final and explained
+  const second = await join();
+  assert.equal(harness.db.tables.pending_registrations.length, 1);
+  apiAnswer = () => 404;
+  mock.timers.tick(2 * 60 * 1000);
+  assert.equal((await queue.processQueue()).refused, 1);
+  assert.match(second.user.dms[0].content, /nije dovršena[\s\S]*Kupovina nije pronađena/);
+  assert.equal(await harness.db.getUserByDiscordId(second.user.id), null);
+});
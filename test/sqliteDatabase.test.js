@@ -0,0 +1,358 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+
+let harness;
+let database;
+
+/**
+ * Apply all migrations to the harness's SQLite file
+ */
+async function migrate() {
+  const { createStorage } = harness.load("storage");
+  const migrationRunner = harness.load("services/migrationRunner");
+  const storage = createStorage();
+  await storage.connect();
+  await migrationRunner.migrateUp(storage);
+  await storage.close();
+}
+
+beforeEach(async () => {
+  harness = createHarness({ database: "sqlite" });
+  database = harness.db;
+});
+
+afterEach(() => harness.cleanup());
+
+test("initDatabase refuses an unmigrated SQLite database", async () => {
+  await assert.rejects(database.initDatabase(), /pending migration/);
+});
+
+test("users can be saved, found, updated, transferred and deleted", async () => {
+  await migrate();
+  await database.initDatabase();
+
+  await database.saveUser({
+    discordId: "400000000000000001",
+    discordUsername: "ana",
+    firstName: "Ana",
+    lastName: "Horvat",
+    email: "Ana@Example.com",
+    projectName: "shop",
+    invoiceNumber: "SM-0001/2026",
+  });
+  await database.saveUser({
+    discordId: "400000000000000001",
+    discordUsername: "ana",
+    firstName: "Ana",
+    lastName: "Babic",
+    email: "Ana@Example.com",
+    projectName: "shop",
+    invoiceNumber: "SM-0001/2026",
+  });
+
+  const user = await database.findUserByIdentifier("ana@example.com");
+  assert.equal(user.last_name, "Babic");
+  assert.ok(user.created_at instanceof Date);
+  const cohortId = await database.createCohort({
+    slug: "mentorship2",
+    name: "Mentorship #2",
+    invoicePattern: "SM-%/2026",
+  });
+  assert.equal(await database.assignUsersToCohort(cohortId, "sm-%/2026"), 1);
+  assert.equal((await database.fetchCohortUsers(cohortId)).length, 1);
+  assert.equal(await database.checkPaymentIntentExists("SM-0001/2026"), true);
+
+  await database.updateUserSubscription("400000000000000001", {
+    stripeCustomerId: "cus_1",
+    stripeSubscriptionId: "sub_1",
+    subscriptionStatus: "active",
+    subscriptionEndsAt: new Date(Date.now() + 86400000),
+  });
+  const subscriber = await database.getUserByStripeCustomerId("cus_1");
+  assert.equal(subscriber.subscription_status, "active");
+  assert.ok(subscriber.subscription_ends_at > new Date());
+
+  assert.equal(
+    await database.transferUser("400000000000000001", "400000000000000002", "ana2"),
+    true
+  );
+  assert.equal(await database.getUserByDiscordId("400000000000000001"), null);
+  const transferred = await database.getUserByInvoiceNumber("SM-0001/2026");
+  assert.equal(transferred.discord_id, "400000000000000002");
+  assert.equal(transferred.discord_username, "ana2");
+  assert.equal(transferred.subscription_status, "active");
+
+  assert.equal(await database.deleteUser("400000000000000002"), true);
+  assert.equal(await database.getUserByDiscordId("400000000000000002"), null);
+});
+
+test("subscription users, dunning and bot state use upserts", async () => {
+  await migrate();
+  await database.initDatabase();
+
+  const subscriber = {
+    discordId: "400000000000000002",
+    discordUsername: "ivan",
+    stripeCustomerId: "cus_2",
+    stripeSubscriptionId: "sub_2",
+    stripePriceId: "price_monthly_test",
+    subscriptionStatus: "active",
+    subscriptionEndsAt: new Date(),
+  };
+  await database.saveSubscriptionUser(subscriber);
+  await database.saveSubscriptionUser({ ...subscriber, subscriptionStatus: "past_due" });
+  assert.equal(
+    (await database.getUserByDiscordId("400000000000000002")).subscription_status,
+    "past_due"
+  );
+  assert.equal((await database.getUsersWithExpiringSubscriptions(3)).length, 1);
+
+  assert.equal(await database.createDunningRecord("400000000000000002"), true);
+  assert.equal(await database.createDunningRecord("400000000000000002"), false);
+
+  await database.setResetFlag("test_mode", "true");
+  await database.setResetFlag("test_mode", "false");
+  assert.equal(await database.getResetFlag("test_mode"), "false");
+});
+
+test("reset runs, manual access and audit events round-trip", async () => {
+  await migrate();
+  await database.initDatabase();
+
+  const runId = await database.createResetRun({
+    requestedBy: "300000000000000001",
+    expiresAt: new Date(Date.now() + 60000),
+    items: [
+      {
+        discordId: "400000000000000003",
+        discordUsername: "marko",
+        memberRoles: ["1", "2"],
+        hasDbRow: true,
+      },
+    ],
+  });
+  assert.equal(await database.approveResetRun(runId, "300000000000000002"), true);
+  assert.equal(await database.updateResetRunStatus(runId, "running"), true);
+  assert.ok((await database.getResetRun(runId)).started_at instanceof Date);
+  assert.equal((await database.getUnfinishedResetRuns()).length, 1);
+  assert.equal((await database.getResetRunItems(runId, "pending"))[0].has_db_row, 1);
+
+  await database.createManualAccess({
+    discordId: "400000000000000003",
+    grantedBy: "300000000000000001",
+    reason: "partner",
+    expiresAt: new Date(Date.now() - 1000),
+  });
+  assert.equal(await database.getActiveManualAccess("400000000000000003"), null);
+  assert.equal((await database.getExpiredManualAccess()).length, 1);
+
+  await database.saveAuditEvent({
+    actorId: "300000000000000001",
+    targetId: "400000000000000003",
+    action: "manual_access_granted",
+    beforeState: null,
+    afterState: "{}",
+    reason: "partner",
+  });
+  assert.equal(await database.countAuditEvents("400000000000000003"), 1);
+  assert.equal((await database.getAuditEvents("400000000000000003", 10, 0)).length, 1);
+});
+
+test("guild settings are upserted and deleted", async () => {
+  await migrate();
+  await database.initDatabase();
+
+  const guildId = "200000000000000001";
+  assert.equal(await database.setGuildConfigValue(guildId, "locale", "hr", "1"), true);
+  assert.equal(await database.setGuildConfigValue(guildId, "locale", "en", "2"), true);
+
+  const rows = await database.getGuildConfig();
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].value, "en");
+  assert.equal(rows[0].updated_by, "2");
+
+  assert.equal(await database.deleteGuildConfigValue(guildId, "locale"), true);
+  assert.equal(await database.deleteGuildConfigValue(guildId, "locale"), false);
+  assert.deepEqual(await database.getGuildConfig(), []);
+});
+
+test("cohorts are created once per slug and keep their dates", async () => {
+  await migrate();
+  await database.initDatabase();
+
+  const cohort = {
+    slug: "mentorship3",
+    name: "Mentorship #3",
+    invoicePattern: "SM-%/2027",
+    apiTokenEnv: "MENTORSHIP3_API_BEARER_TOKEN",
+    startsAt: new Date("2027-01-01T00:00:00Z"),
+    endsAt: new Date("2027-03-01T00:00:00Z"),
+  };
+  const cohortId = await database.createCohort(cohort);
+  assert.ok(cohortId);
+  assert.equal(await database.createCohort(cohort), null);
+  assert.equal(await database.updateCohortGuild(cohortId, "200000000000000001"), true);
+
+  const [row] = await database.getCohorts();
+  assert.equal(row.guild_id, "200000000000000001");
+  assert.equal(new Date(row.ends_at).toISOString(), "2027-03-01T00:00:00.000Z");
+
+  await database.saveUser({
+    discordId: "400000000000000004",
+    discordUsername: "iva",
+    firstName: "Iva",
+    lastName: "Kovac",
+    email: "iva@example.com",
+    projectName: "blog",
+    invoiceNumber: "SM-0002/2027",
+    cohortId,
+  });
+  assert.equal((await database.fetchCohortUsers(cohortId)).length, 1);
+});
+
+test("queued registrations are upserted, rescheduled and removed", async () => {
+  await migrate();
+  await database.initDatabase();
+
+  const registration = {
+    discordId: "400000000000000005",
+    discordUsername: "luka",
+    guildId: "200000000000000001",
+    firstName: "Luka",
+    lastName: "Maric",
+    email: "luka@example.com",
+    projectName: "shop",
+    invoiceNumber: "pi_123",
+    locale: "bs",
+    maybeEnrolled: true,
+    lastError: "timeout",
+    nextAttemptAt: new Date(Date.now() - 1000),
+  };
+  assert.equal(await database.savePendingRegistration(registration), true);
+  assert.equal(
+    await database.savePendingRegistration({ ...registration, invoiceNumber: "pi_456" }),
+    true
+  );
+  assert.equal(await database.countPendingRegistrations(), 1);
+
+  const [row] = await database.getDuePendingRegistrations(new Date());
+  assert.equal(row.invoice_number, "pi_456");
+  assert.equal(row.maybe_enrolled, 1);
+
+  await database.reschedulePendingRegistration(row.id, {
+    attempts: 1,
+    maybeEnrolled: true,
+    lastError: "server_error",
+    nextAttemptAt: new Date(Date.now() + 60000),
+  });
+  assert.deepEqual(await database.getDuePendingRegistrations(new Date()), []);
+  assert.equal(await database.deletePendingRegistration(row.id), true);
+  assert.equal(await database.countPendingRegistrations(), 0);
+});
+
+test("Seolaxy purchases are keyed by payment intent or invoice and change status", async () => {
+  await migrate();
+  await database.initDatabase();
+
+  const purchase = {
+    email: "Ana@Example.com",
+    firstName: "Ana",
+    lastName: "Horvat",
+    invoiceNumber: "SM-0001/2026",
+    status: "pending",
+    eventId: "evt_1",
+  };
+  assert.equal(await database.saveSeolaxyPurchase(purchase), true);
+  assert.equal(
+    await database.saveSeolaxyPurchase({
+      ...purchase,
+      invoiceNumber: null,
+      paymentIntentId: "pi_0002",
+      eventId: "evt_2",
+    }),
+    true
+  );
+  // The same invoice cannot be saved twice
+  assert.equal(await database.saveSeolaxyPurchase(purchase), false);
+
+  const saved = await database.getSeolaxyPurchase(null, "SM-0001/2026");
+  assert.equal(saved.email, "ana@example.com");
+  assert.equal(saved.last_event_id, "evt_1");
+  assert.equal(saved.discord_id, null);
+  assert.equal(
+    (await database.getSeolaxyPurchase("pi_0002", "pi_0002")).last_event_id,
+    "evt_2"
+  );
+  assert.equal(await database.getSeolaxyPurchase(null, null), null);
+
+  assert.equal(
+    await database.updateSeolaxyPurchase(saved.id, {
+      status: "refunded",
+      discordId: "400000000000000006",
+      eventId: "evt_3",
+    }),
+    true
+  );
+  const refunded = await database.getSeolaxyPurchase(null, "SM-0001/2026");
+  assert.equal(refunded.status, "refunded");
+  assert.equal(refunded.discord_id, "400000000000000006");
+  assert.equal(
+    (await database.getSeolaxyPurchase("pi_0002", null)).status,
+    "pending"
+  );
+  assert.equal(
+    await database.updateSeolaxyPurchase(999, { status: "linked" }),
+    false
+  );
+});
+
+test("the legacy grace period is only given on confirmation, once", async () => {
+  await migrate();
+  await database.initDatabase();
+
+  const member = {
+    discordUsername: "ana",
+    firstName: "Ana",
+    lastName: "Horvat",
+    email: "ana@example.com",
+    projectName: "shop",
+  };
+  await database.saveUser({
+    ...member,
+    discordId: "400000000000000007",
+    invoiceNumber: "",
+  });
+  await database.saveUser({
+    ...member,
+    discordId: "400000000000000008",
+    invoiceNumber: "SM-0001/2026",
+  });
+
+  const migrateScript = require.resolve("../scripts/migrate.js");
+  const { grantLegacyGracePeriod } = require(migrateScript);
+  const { createStorage } = harness.load("storage");
+  const storage = createStorage();
+  await storage.connect();
+  try {
+    assert.deepEqual(await grantLegacyGracePeriod(storage), {
+      alreadyRan: null,
+      eligible: 1,
+      updated: 0,
+    });
+    assert.equal((await database.getLegacyUsers()).length, 0);
+
+    const granted = await grantLegacyGracePeriod(storage, { confirm: true });
+    assert.equal(granted.updated, 1);
+    const [legacy] = await database.getLegacyUsers();
+    assert.equal(legacy.discord_id, "400000000000000007");
+    assert.equal(legacy.subscription_status, "trialing");
+
+    const again = await grantLegacyGracePeriod(storage, { confirm: true });
+    assert.match(again.alreadyRan, /\(1 users\)$/);
+    assert.equal(again.updated, 0);
+  } finally {
+    await storage.close();
+    delete require.cache[migrateScript];
+  }
+});
@@ -0,0 +1,174 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+
+const ENGLISH_GUILD_ID = "200000000000000002";
+
+let harness;
+let buttons;
+
+beforeEach(async () => {
+  harness = createHarness({ env: { ENGLISH_SERVER_ID: ENGLISH_GUILD_ID } });
+  await harness.initServices();
+  buttons = harness.load("handlers/buttons");
+});
+
+afterEach(() => harness.cleanup());
+
+test("new member gets a checkout link and is queued for fast polling", async () => {
+  const { user } = harness.addMember([harness.ROLES.UNVERIFIED]);
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: harness.mainGuild,
+    customId: "subscribe",
+  });
+
+  await buttons.handleSubscribeButton(interaction);
+
+  const reply = interaction.lastResponse();
+  assert.equal(reply.embeds.length, 1);
+  assert.equal(harness.stripe.state.sessions.length, 1);
+  assert.equal(
+    harness.stripe.state.sessions[0].client_reference_id,
+    user.id
+  );
+  assert.equal(harness.db.tables.pending_checkouts[0].discord_id, user.id);
+});
+
+test("active subscriber gets roles back instead of a second checkout", async () => {
+  const { user, member } = harness.addMember([harness.ROLES.UNVERIFIED]);
+  harness.db.insertUser({
+    discord_id: user.id,
+    discord_username: user.tag,
+    subscription_status: "active",
+    stripe_subscription_id: "sub_existing",
+  });
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: harness.mainGuild,
+    customId: "subscribe",
+  });
+
+  await buttons.handleSubscribeButton(interaction);
+
+  assert.match(interaction.lastResponse().content, /Vec imate aktivnu pretplatu/);
+  assert.equal(harness.stripe.state.sessions.length, 0);
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.ok(!member.hasRole(harness.ROLES.UNVERIFIED));
+});
+
+test("member with a pending checkout is not sent another link", async () => {
+  const { user } = harness.addMember();
+  await harness.db.savePendingCheckout(
+    user.id,
+    "cs_pending",
+    new Date(Date.now() + 60000)
+  );
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: harness.mainGuild,
+    customId: "subscribe",
+  });
+
+  await buttons.handleSubscribeButton(interaction);
+
+  assert.match(interaction.lastResponse().content, /aktivnu sesiju za placanje/);
+  assert.equal(harness.stripe.state.sessions.length, 0);
+});
+
+test("English server member is answered in English", async () => {
+  const englishGuild = harness.client.addGuild({
+    id: ENGLISH_GUILD_ID,
+    name: "SEOLAXY (EN)",
+  });
+  const user = harness.client.addUser();
+  englishGuild.addMember(user);
+  await harness.db.savePendingCheckout(
+    user.id,
+    "cs_pending",
+    new Date(Date.now() + 60000)
+  );
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: englishGuild,
+    customId: "second_server_subscribe",
+    locale: "hr",
+  });
+
+  await buttons.handleSecondServerSubscribeButton(interaction);
+
+  assert.match(
+    interaction.lastResponse().content,
+    /You already have an active checkout session/
+  );
+});
+
+test("member with the English role is answered in English on the main server", async () => {
+  const { user } = harness.addMember([harness.ROLES.ENGLISH]);
+  await harness.db.savePendingCheckout(
+    user.id,
+    "cs_pending",
+    new Date(Date.now() + 60000)
+  );
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: harness.mainGuild,
+    customId: "subscribe",
+  });
+
+  await buttons.handleSubscribeButton(interaction);
+
+  assert.match(
+    interaction.lastResponse().content,
+    /You already have an active checkout session/
+  );
+});
+
+test("comped member is not charged", async () => {
+  const { user, member } = harness.addMember([harness.ROLES.UNVERIFIED]);
+  await harness.db.createManualAccess({
+    discordId: user.id,
+    grantedBy: "300000000000000001",
+    reason: "mentor",
+    expiresAt: new Date(Date.now() + 86400000),
+  });
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: harness.mainGuild,
+    customId: "subscribe",
+  });
+
+  await buttons.handleSubscribeButton(interaction);
+
+  assert.match(interaction.lastResponse().content, /besplatan pristup/);
+  assert.equal(harness.stripe.state.sessions.length, 0);
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+});
+
+test("paid checkout found by fast polling grants access and welcomes the member", async () => {
+  const { user, member } = harness.addMember([harness.ROLES.UNVERIFIED]);
+  const subscriptionService = harness.load("services/subscriptionService");
+  const interaction = createInteraction({
+    client: harness.client,
+    user,
+    guild: harness.mainGuild,
+    customId: "subscribe",
+  });
+
+  await buttons.handleSubscribeButton(interaction);
+  harness.stripe.completeCheckout(harness.stripe.state.sessions[0].id);
+  await subscriptionService.checkPendingCheckouts();
+
+  const dbUser = await harness.db.getUserByDiscordId(user.id);
+  assert.equal(dbUser.subscription_status, "active");
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.equal(harness.db.tables.pending_checkouts[0].status, "completed");
+  assert.equal(user.dms.length, 1);
+});
@@ -0,0 +1,188 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+const { createMockSeolaxyApi } = require("../scripts/mock-seolaxy-api");
+
+const REQUESTER_ID = "300000000000000001";
+const APPROVER_ID = "300000000000000002";
+
+let harness;
+let subscriptionReset;
+
+beforeEach(async () => {
+  harness = createHarness();
+  await harness.initServices();
+  subscriptionReset = harness.load("services/subscriptionReset");
+  subscriptionReset.init(harness.client);
+});
+
+afterEach(() => harness.cleanup());
+
+test("planReset records members without changing anything", async () => {
+  const { user, member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+  harness.addMember([harness.ROLES.UNVERIFIED]);
+
+  const plan = await subscriptionReset.planReset(REQUESTER_ID);
+
+  assert.equal(plan.items.length, 1);
+  assert.equal(plan.items[0].discordId, user.id);
+  assert.equal(plan.items[0].hasDbRow, false);
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.equal((await harness.db.getResetRun(plan.runId)).status, "planned");
+});
+
+test("approveReset requires a second administrator", async () => {
+  harness.addMember([harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER]);
+  const { runId } = await subscriptionReset.planReset(REQUESTER_ID);
+
+  const selfApproval = await subscriptionReset.approveReset(runId, REQUESTER_ID);
+  assert.equal(selfApproval.success, false);
+
+  const approval = await subscriptionReset.approveReset(runId, APPROVER_ID);
+  assert.equal(approval.success, true);
+  assert.equal((await harness.db.getResetRun(runId)).status, "approved");
+
+  await assert.rejects(
+    subscriptionReset.planReset(REQUESTER_ID),
+    /still in progress/
+  );
+});
+
+test("executeRun cancels, unassigns, deletes and notifies each member", async () => {
+  const { user, member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+  const subscription = harness.stripe.addSubscription({ discordId: user.id });
+  harness.db.insertUser({
+    discord_id: user.id,
+    discord_username: user.tag,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    subscription_status: "active",
+  });
+
+  const { runId } = await subscriptionReset.planReset(REQUESTER_ID);
+  await subscriptionReset.approveReset(runId, APPROVER_ID);
+  const result = await subscriptionReset.executeRun(runId);
+
+  assert.deepEqual(result, { successCount: 1, errorCount: 0, totalCount: 1 });
+  assert.equal(subscription.status, "canceled");
+  assert.ok(!member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.ok(member.hasRole(harness.ROLES.UNVERIFIED));
+  assert.equal(await harness.db.getUserByDiscordId(user.id), null);
+  assert.equal(user.dms[0].embeds[0].data.title, "Pretplata resetovana");
+  assert.equal((await harness.db.getResetRun(runId)).status, "completed");
+
+  const [event] = harness.db.tables.audit_events;
+  assert.equal(event.action, "member_reset");
+  assert.equal(event.actor_id, APPROVER_ID);
+});
+
+test("a member whose subscription cannot be cancelled is kept for a retry", async () => {
+  const { user, member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+  const subscription = harness.stripe.addSubscription({ discordId: user.id });
+  harness.db.insertUser({
+    discord_id: user.id,
+    discord_username: user.tag,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    subscription_status: "active",
+  });
+
+  const { runId } = await subscriptionReset.planReset(REQUESTER_ID);
+  await subscriptionReset.approveReset(runId, APPROVER_ID);
+  harness.stripe.state.nextError = new Error("Stripe is down");
+  const result = await subscriptionReset.executeRun(runId);
+
+  assert.deepEqual(result, { successCount: 0, errorCount: 1, totalCount: 1 });
+  assert.equal(subscription.status, "active");
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.equal(
+    (await harness.db.getUserByDiscordId(user.id)).stripe_subscription_id,
+    subscription.id
+  );
+  const [item] = await harness.db.getResetRunItems(runId);
+  assert.match(item.error, /Stripe is down/);
+  assert.equal(harness.db.tables.audit_events.length, 0);
+});
+
+test("subscriptions that already ended in Stripe do not fail the reset", async () => {
+  const stale = harness.addMember([harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER]);
+  const subscription = harness.stripe.addSubscription({ discordId: stale.user.id });
+  harness.db.insertUser({
+    discord_id: stale.user.id,
+    discord_username: stale.user.tag,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    subscription_status: "active",
+  });
+  const gone = harness.addMember([harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER]);
+  harness.db.insertUser({
+    discord_id: gone.user.id,
+    discord_username: gone.user.tag,
+    stripe_subscription_id: "sub_deleted",
+    subscription_status: "active",
+  });
+
+  const { runId } = await subscriptionReset.planReset(REQUESTER_ID);
+  await subscriptionReset.approveReset(runId, APPROVER_ID);
+  // Cancelled in Stripe after the dry run, so cancelling again fails
+  harness.stripe.updateSubscription(subscription.id, { status: "canceled" });
+  harness.stripe.state.nextError = new Error("Subscription is already canceled");
+  const result = await subscriptionReset.executeRun(runId);
+
+  assert.deepEqual(result, { successCount: 2, errorCount: 0, totalCount: 2 });
+  for (const { user, member } of [stale, gone]) {
+    assert.equal(await harness.db.getUserByDiscordId(user.id), null);
+    assert.ok(!member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  }
+});
+
+test("executeRun keeps the purchase a member registered with enrolled", async () => {
+  const mockApi = createMockSeolaxyApi({
+    purchases: [{ paymentIntentId: "pi_main_0001", enrolled: true }],
+  });
+  harness.cleanup();
+  harness = createHarness({
+    env: {
+      SEOLAXY_API_BASE_URL: await mockApi.start(),
+      SEOLAXY_API_BEARER_TOKEN: "main-test-token",
+    },
+  });
+  await harness.initServices();
+  subscriptionReset = harness.load("services/subscriptionReset");
+  subscriptionReset.init(harness.client);
+
+  try {
+    const { user } = harness.addMember([
+      harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+    ]);
+    harness.db.insertUser({
+      discord_id: user.id,
+      discord_username: user.tag,
+      invoice_number: "pi_main_0001",
+    });
+
+    const { runId } = await subscriptionReset.planReset(REQUESTER_ID);
+    await subscriptionReset.approveReset(runId, APPROVER_ID);
+    const result = await subscriptionReset.executeRun(runId);
+
+    assert.deepEqual(result, { successCount: 1, errorCount: 0, totalCount: 1 });
+    assert.equal(await harness.db.getUserByDiscordId(user.id), null);
+    assert.equal(mockApi.findPurchase("pi_main_0001").enrolled, true);
+    assert.equal(mockApi.requests.length, 0);
+  } finally {
+    await mockApi.stop();
+  }
+});
+
+test("executeRun refuses runs that were not approved", async () => {
+  harness.addMember([harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER]);
+  const { runId } = await subscriptionReset.planReset(REQUESTER_ID);
+
+  await assert.rejects(subscriptionReset.executeRun(runId), /not approved/);
+});
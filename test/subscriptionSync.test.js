@@ -0,0 +1,163 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+
+let harness;
+let subscriptionService;
+
+beforeEach(async () => {
+  harness = createHarness();
+  await harness.initServices();
+  subscriptionService = harness.load("services/subscriptionService");
+});
+
+afterEach(() => harness.cleanup());
+
+/**
+ * Add a main server member with an active subscription in Stripe and the DB
+ * @returns {Object} - { user, member, subscription }
+ */
+function addSubscriber() {
+  const { user, member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+  const subscription = harness.stripe.addSubscription({ discordId: user.id });
+  harness.db.insertUser({
+    discord_id: user.id,
+    discord_username: user.tag,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    stripe_price_id: process.env.STRIPE_PRICE_ID,
+    subscription_status: "active",
+  });
+  return { user, member, subscription };
+}
+
+test("syncAllFromStripe creates missing subscribers and grants their roles", async () => {
+  const { user, member } = harness.addMember([harness.ROLES.UNVERIFIED]);
+  harness.stripe.addSubscription({ discordId: user.id });
+
+  await subscriptionService.syncAllFromStripe();
+
+  const dbUser = await harness.db.getUserByDiscordId(user.id);
+  assert.equal(dbUser.subscription_status, "active");
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.ok(!member.hasRole(harness.ROLES.UNVERIFIED));
+  assert.ok(harness.db.tables.bot_state.has("stripe_sync_cursor"));
+});
+
+test("syncAllFromStripe revokes members whose subscription ended", async () => {
+  const { user, member, subscription } = addSubscriber();
+  harness.stripe.updateSubscription(subscription.id, { status: "canceled" });
+
+  await subscriptionService.syncAllFromStripe();
+
+  const dbUser = await harness.db.getUserByDiscordId(user.id);
+  assert.equal(dbUser.subscription_status, "canceled");
+  assert.ok(!member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.ok(member.hasRole(harness.ROLES.UNVERIFIED));
+});
+
+test("syncAllFromStripe keeps the database untouched when Stripe fails", async () => {
+  const { user, member } = addSubscriber();
+  const error = new Error("Stripe is down");
+  error.statusCode = 500;
+  harness.stripe.state.nextError = error;
+
+  await subscriptionService.syncAllFromStripe();
+
+  const dbUser = await harness.db.getUserByDiscordId(user.id);
+  assert.equal(dbUser.subscription_status, "active");
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+});
+
+test("checkAllSubscriptions removes access and DMs when a subscription is canceled", async () => {
+  const { user, member, subscription } = addSubscriber();
+  harness.stripe.updateSubscription(subscription.id, { status: "canceled" });
+
+  await subscriptionService.checkAllSubscriptions();
+
+  const dbUser = await harness.db.getUserByDiscordId(user.id);
+  assert.equal(dbUser.subscription_status, "canceled");
+  assert.ok(!member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.match(user.dms[0].content, /Pretplata zavrsena/);
+
+  const actions = harness.db.tables.audit_events.map((e) => e.action);
+  assert.deepEqual(actions, ["roles_removed"]);
+});
+
+test("checkAllSubscriptions starts the grace period for past_due subscriptions", async () => {
+  const { user, member, subscription } = addSubscriber();
+  harness.stripe.updateSubscription(subscription.id, { status: "past_due" });
+
+  await subscriptionService.checkAllSubscriptions();
+
+  assert.equal(harness.db.tables.subscription_dunning[0].discord_id, user.id);
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.match(user.dms[0].content, /Problem sa placanjem/);
+});
+
+test("checkAllSubscriptions only fetches changes after a full sync", async () => {
+  addSubscriber();
+  await subscriptionService.syncAllFromStripe();
+
+  const { user, member } = harness.addMember([harness.ROLES.UNVERIFIED]);
+  harness.stripe.addSubscription({ discordId: user.id });
+
+  await subscriptionService.checkAllSubscriptions();
+
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.ok(
+    harness.logger.messages.some((m) => m.message.startsWith("Incremental check"))
+  );
+});
+
+test("comped members keep their roles when their subscription ends", async () => {
+  const { user, member, subscription } = addSubscriber();
+  await harness.db.createManualAccess({
+    discordId: user.id,
+    grantedBy: "300000000000000001",
+    reason: "scholarship",
+    expiresAt: new Date(Date.now() + 86400000),
+  });
+  harness.stripe.updateSubscription(subscription.id, { status: "canceled" });
+
+  await subscriptionService.checkAllSubscriptions();
+
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.equal(user.dms.length, 0);
+});
+
+test("grants longer than 5 years are refused before anything is saved", async () => {
+  const manualAccessService = harness.load("services/manualAccessService");
+  assert.equal(manualAccessService.parseDuration("5y"), 5 * 365 * 86400000);
+  assert.equal(manualAccessService.parseDuration("6y"), null);
+  assert.equal(manualAccessService.parseDuration("99999999999999999999d"), null);
+
+  const { user } = harness.addMember();
+  const result = await manualAccessService.grantAccess(user.id, {
+    actorId: "300000000000000001",
+    durationMs: Number.MAX_SAFE_INTEGER,
+    reason: "forever",
+  });
+  assert.equal(result.success, false);
+  assert.equal(harness.db.tables.manual_access.length, 0);
+});
+
+test("expired manual access is closed and the member is notified", async () => {
+  const { user, member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+  await harness.db.createManualAccess({
+    discordId: user.id,
+    grantedBy: "300000000000000001",
+    reason: "partner",
+    expiresAt: new Date(Date.now() - 1000),
+  });
+
+  await subscriptionService.checkAllSubscriptions();
+
+  assert.equal(harness.db.tables.manual_access[0].status, "expired");
+  assert.ok(!member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.match(user.dms[0].content, /Pristup istekao/);
+});
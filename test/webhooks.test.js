@@ -0,0 +1,173 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const RealStripe = require("stripe");
+const { createHarness, TEST_ENV } = require("./helpers/harness");
+const { createInteraction } = require("./helpers/fakeDiscord");
+
+let harness;
+let webhooks;
+
+beforeEach(async () => {
+  harness = createHarness();
+  await harness.initServices();
+  webhooks = harness.load("handlers/webhooks");
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  harness.cleanup();
+});
+
+/**
+ * Build a webhook request signed with the test webhook secret
+ * @param {Object} event - Stripe event
+ * @param {string} secret - Signing secret
+ * @returns {Object} - { req, rawBody }
+ */
+function signedRequest(event, secret = TEST_ENV.STRIPE_WEBHOOK_SECRET) {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const signature = RealStripe.webhooks.generateTestHeaderString({
+    payload: rawBody.toString(),
+    secret,
+  });
+  return { req: { headers: { "stripe-signature": signature } }, rawBody };
+}
+
+test("a signed subscription.deleted event removes the member's access", async () => {
+  const { user, member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+  const subscription = harness.stripe.addSubscription({ discordId: user.id });
+  harness.db.insertUser({
+    discord_id: user.id,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    subscription_status: "active",
+  });
+  harness.stripe.updateSubscription(subscription.id, { status: "canceled" });
+
+  const { req, rawBody } = signedRequest({
+    id: "evt_test_webhook",
+    type: "customer.subscription.deleted",
+    data: { object: subscription },
+  });
+  const result = await webhooks.handleStripeWebhook(req, rawBody);
+
+  assert.deepEqual(result, { status: 200, body: { received: true, handled: true } });
+  assert.ok(!member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  assert.equal(
+    (await harness.db.getUserByDiscordId(user.id)).subscription_status,
+    "canceled"
+  );
+});
+
+test("events of a replaced subscription do not change the current one", async () => {
+  const { user, member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+  const old = harness.stripe.addSubscription({ discordId: user.id });
+  const current = harness.stripe.addSubscription({ discordId: user.id });
+  harness.db.insertUser({
+    discord_id: user.id,
+    stripe_customer_id: current.customer,
+    stripe_subscription_id: current.id,
+    subscription_status: "active",
+  });
+  harness.stripe.updateSubscription(old.id, { status: "unpaid" });
+
+  const { req, rawBody } = signedRequest({
+    id: "evt_old_subscription",
+    type: "customer.subscription.updated",
+    data: { object: old },
+  });
+  const result = await webhooks.handleStripeWebhook(req, rawBody);
+
+  assert.equal(result.status, 200);
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+  const dbUser = await harness.db.getUserByDiscordId(user.id);
+  assert.equal(dbUser.subscription_status, "active");
+  assert.equal(dbUser.stripe_subscription_id, current.id);
+});
+
+test("an event that cannot be saved fails so that Stripe retries it", async () => {
+  const { user, member } = harness.addMember([
+    harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER,
+  ]);
+  const subscription = harness.stripe.addSubscription({ discordId: user.id });
+  harness.db.insertUser({
+    discord_id: user.id,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    subscription_status: "active",
+  });
+  harness.stripe.updateSubscription(subscription.id, { status: "canceled" });
+  mock.method(harness.db, "updateUserSubscription", async () => false);
+
+  const { req, rawBody } = signedRequest({
+    id: "evt_db_down",
+    type: "customer.subscription.deleted",
+    data: { object: subscription },
+  });
+  const result = await webhooks.handleStripeWebhook(req, rawBody);
+
+  assert.deepEqual(result, { status: 500, body: { error: "processing_failed" } });
+  assert.ok(member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+});
+
+test("a paid checkout that cannot be saved stays in fast polling", async () => {
+  const { user, member } = harness.addMember([harness.ROLES.UNVERIFIED]);
+  await harness.load("handlers/buttons").handleSubscribeButton(
+    createInteraction({
+      client: harness.client,
+      user,
+      guild: harness.mainGuild,
+      customId: "subscribe",
+    })
+  );
+  const [session] = harness.stripe.state.sessions;
+  harness.stripe.completeCheckout(session.id);
+  mock.method(harness.db, "saveSubscriptionUser", async () => false);
+
+  const { req, rawBody } = signedRequest({
+    id: "evt_checkout_db_down",
+    type: "checkout.session.completed",
+    data: { object: session },
+  });
+  const result = await webhooks.handleStripeWebhook(req, rawBody);
+
+  assert.deepEqual(result, { status: 500, body: { error: "processing_failed" } });
+  assert.notEqual(harness.db.tables.pending_checkouts[0].status, "completed");
+  assert.ok(!member.hasRole(harness.ROLES.BOSNIAN_CROATIAN_SERBIAN_MEMBER));
+});
+
+test("requests signed with another secret are rejected", async () => {
+  const { req, rawBody } = signedRequest(
+    { id: "evt_forged", type: "customer.subscription.deleted", data: { object: {} } },
+    "whsec_someone_else"
+  );
+
+  const result = await webhooks.handleStripeWebhook(req, rawBody);
+
+  assert.deepEqual(result, { status: 400, body: { error: "invalid_signature" } });
+});
+
+test("requests without a signature are rejected", async () => {
+  const result = await webhooks.handleStripeWebhook(
+    { headers: {} },
+    Buffer.from("{}")
+  );
+
+  assert.deepEqual(result, { status: 400, body: { error: "missing_signature" } });
+});
+
+test("unhandled event types are acknowledged", async () => {
+  const { req, rawBody } = signedRequest({
+    id: "evt_other",
+    type: "customer.created",
+    data: { object: {} },
+  });
+
+  const result = await webhooks.handleStripeWebhook(req, rawBody);
+
+  assert.deepEqual(result, { status: 200, body: { received: true, handled: false } });
+});